@@ -0,0 +1,4 @@
+-- Migration: Store per-bar strumming patterns on songs
+-- Each entry: { bar, start_time, end_time, chord, subdivision, pattern, strokes[] }
+
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS strumming_patterns JSONB DEFAULT '[]';
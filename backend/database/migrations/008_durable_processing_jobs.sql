@@ -0,0 +1,30 @@
+-- Migration: Turn processing_jobs into the durable audio processing queue
+-- Status flow: queued -> processing -> completed | failed, with failed attempts going back to
+-- queued after a backoff (run_after) until max_attempts is reached
+
+ALTER TABLE processing_jobs ALTER COLUMN status SET DEFAULT 'queued';
+
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS source_type VARCHAR(20); -- 'upload' or 'youtube'
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS source JSONB;            -- { file_path, original_name } or { youtube_url }
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS user_preferences JSONB DEFAULT '{}';
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS progress_percentage INTEGER DEFAULT 0;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS current_step VARCHAR(50);
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS max_attempts INTEGER DEFAULT 3;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS run_after TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS locked_by VARCHAR(100);
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS results JSONB;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS song_id UUID REFERENCES songs(song_id) ON DELETE SET NULL;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
+
+-- Rows written before the queue existed were only used for tier counting; they count as
+-- one finished attempt so the tier limit keeps seeing them
+UPDATE processing_jobs SET status = 'completed', attempts = 1 WHERE source_type IS NULL;
+
+-- Workers claim the oldest runnable job; crash recovery scans in-flight jobs by heartbeat
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_queue ON processing_jobs(status, run_after, created_at);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_heartbeat ON processing_jobs(heartbeat_at) WHERE status = 'processing';
@@ -0,0 +1,10 @@
+-- Migration: Priority lanes and cancellation for processing jobs
+-- tier picks the job's lane (its priority and how many of its jobs may run at once);
+-- cancel_requested asks the worker running the job to abort it
+
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS tier VARCHAR(20) DEFAULT 'free';
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS priority INTEGER DEFAULT 0;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN DEFAULT false;
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_lane ON processing_jobs(status, tier);
@@ -0,0 +1,19 @@
+-- Migration: Recognise audio that was already analysed
+-- content_hash is the SHA-256 of the uploaded file, audio_fingerprint a compact chroma
+-- fingerprint that survives re-encoding, and analysis_version the analyser version that
+-- produced the song's results (audio is only analysed again when that version changes)
+
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS audio_fingerprint INTEGER[];
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS analysis_version INTEGER;
+
+-- Songs analysed so far came from the first analyser version
+UPDATE songs SET analysis_version = 1 WHERE analysis_version IS NULL AND processing_status = 'completed';
+
+CREATE INDEX IF NOT EXISTS idx_songs_content_hash ON songs(content_hash);
+CREATE INDEX IF NOT EXISTS idx_songs_fingerprint_duration ON songs(duration_seconds) WHERE audio_fingerprint IS NOT NULL;
+
+-- Jobs answered with an existing song never ran the analysis and do not count towards the
+-- daily processing limit
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS deduplicated BOOLEAN DEFAULT false;
+UPDATE processing_jobs SET deduplicated = true WHERE status = 'completed' AND attempts = 0 AND source_type IS NOT NULL;
@@ -0,0 +1,69 @@
+-- Migration: Versioned analysis results
+-- Every analysis of a song is stored as an immutable revision tagged with the analyser version
+-- that produced it. The song's own analysis columns mirror its current (promoted) revision.
+
+CREATE TABLE IF NOT EXISTS song_analysis_revisions (
+    revision_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    song_id UUID NOT NULL REFERENCES songs(song_id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    analysis_version INTEGER NOT NULL,
+    duration_seconds INTEGER,
+    original_key VARCHAR(5),
+    tempo_bpm DECIMAL(5,2),
+    time_signature VARCHAR(10),
+    chord_progression JSONB,
+    beat_grid JSONB,
+    strumming_patterns JSONB,
+    sections JSONB,
+    overall_difficulty DECIMAL(3,2),
+    job_id UUID,
+    batch_id UUID,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (song_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_song_analysis_revisions_song ON song_analysis_revisions(song_id, revision_number DESC);
+CREATE INDEX IF NOT EXISTS idx_song_analysis_revisions_batch ON song_analysis_revisions(batch_id);
+
+CREATE OR REPLACE FUNCTION reject_analysis_revision_update() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'song analysis revisions are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS song_analysis_revisions_immutable ON song_analysis_revisions;
+CREATE TRIGGER song_analysis_revisions_immutable
+    BEFORE UPDATE ON song_analysis_revisions
+    FOR EACH ROW EXECUTE FUNCTION reject_analysis_revision_update();
+
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS current_revision_id UUID REFERENCES song_analysis_revisions(revision_id);
+
+-- Existing analyses become revision 1 of their song
+INSERT INTO song_analysis_revisions (
+    song_id, revision_number, analysis_version, duration_seconds, original_key, tempo_bpm, time_signature,
+    chord_progression, beat_grid, strumming_patterns, sections, overall_difficulty, created_at
+)
+SELECT song_id, 1, COALESCE(analysis_version, 1), duration_seconds, original_key, tempo_bpm, time_signature,
+       chord_progression, beat_grid, strumming_patterns, sections, overall_difficulty,
+       COALESCE(processed_at, created_at)
+FROM songs
+WHERE processing_status = 'completed'
+  AND NOT EXISTS (SELECT 1 FROM song_analysis_revisions r WHERE r.song_id = songs.song_id);
+
+UPDATE songs SET current_revision_id = r.revision_id
+FROM song_analysis_revisions r
+WHERE r.song_id = songs.song_id AND r.revision_number = 1 AND songs.current_revision_id IS NULL;
+
+-- Admin-triggered re-analysis of stored songs with the current analyser
+CREATE TABLE IF NOT EXISTS analysis_batches (
+    batch_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    requested_by UUID NOT NULL,
+    analysis_version INTEGER NOT NULL,
+    auto_promote BOOLEAN DEFAULT false,
+    total_songs INTEGER DEFAULT 0,
+    skipped_songs JSONB DEFAULT '[]',
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES analysis_batches(batch_id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_batch ON processing_jobs(batch_id) WHERE batch_id IS NOT NULL;
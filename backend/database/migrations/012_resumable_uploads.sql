@@ -0,0 +1,23 @@
+-- Migration: Resumable chunked uploads
+-- An upload is created with its total size, filled chunk by chunk at increasing offsets
+-- (received_size is the next expected offset), then finalised into a processing job.
+-- Uploads left unfinished past expires_at are expired and their partial file removed.
+
+CREATE TABLE IF NOT EXISTS uploads (
+    upload_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100),
+    total_size BIGINT NOT NULL,
+    received_size BIGINT DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'uploading', -- uploading, finalized, expired, aborted
+    temp_path VARCHAR(500) NOT NULL,
+    user_preferences JSONB DEFAULT '{}',
+    job_id UUID,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_uploads_user ON uploads(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_uploads_expiry ON uploads(expires_at) WHERE status = 'uploading';
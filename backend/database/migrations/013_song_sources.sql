@@ -0,0 +1,18 @@
+-- Migration: Audio source providers
+-- Songs fetched from a URL remember which provider fetched them (youtube, http, ...), the
+-- provider's id for the audio, the URL, and the license and attribution to show with the song.
+
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS source_provider VARCHAR(30);
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS source_id TEXT;
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS source_url TEXT;
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS license VARCHAR(255);
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS attribution TEXT;
+
+-- Songs so far came from YouTube or uploads
+UPDATE songs
+SET source_provider = 'youtube',
+    source_id = youtube_id,
+    source_url = 'https://www.youtube.com/watch?v=' || youtube_id
+WHERE youtube_id IS NOT NULL AND source_provider IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_songs_source ON songs(source_provider, source_id) WHERE source_id IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Migration: Stem separation
+-- Analysis separates each song into a guitar stem and a backing stem (everything else). The
+-- stems are kept for playback, e.g. a backing track without guitar; paths are relative to the
+-- stem storage directory. Each revision keeps its own stems, promotion copies them to the song.
+
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS stems JSONB;
+ALTER TABLE song_analysis_revisions ADD COLUMN IF NOT EXISTS stems JSONB;
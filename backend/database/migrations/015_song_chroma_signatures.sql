@@ -0,0 +1,14 @@
+-- Migration: Song identification
+-- chroma_signature holds one quantised pitch-class vector per chroma block of the whole track
+-- (12 two-bit levels packed per block, -1 for silence). Recordings are identified by sliding
+-- their own signature along each song's. Each revision keeps its own signature, promotion
+-- copies it to the song; songs analysed before this have none until they are re-analysed.
+-- chroma_keys indexes the signature by its chord changes, so a recording is only slid along the
+-- songs that share the most changes with it.
+
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS chroma_signature INTEGER[];
+ALTER TABLE song_analysis_revisions ADD COLUMN IF NOT EXISTS chroma_signature INTEGER[];
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS chroma_keys INTEGER[];
+ALTER TABLE song_analysis_revisions ADD COLUMN IF NOT EXISTS chroma_keys INTEGER[];
+
+CREATE INDEX IF NOT EXISTS idx_songs_chroma_keys ON songs USING GIN (chroma_keys);
@@ -0,0 +1,7 @@
+-- Migration: String-level practice mistakes
+-- string_mistakes lists, per chord of a practice take, the strings that sounded wrong
+-- ({ chord, start_time, strings: [{ string, fret, status, expected, heard }], extra_notes }).
+-- Strings are numbered as in tablature, 0 for the high E. status is muted, buzzing,
+-- wrong_string or not_muted for recordings, missing or wrong_note for live feedback.
+
+ALTER TABLE practice_analysis ADD COLUMN IF NOT EXISTS string_mistakes JSONB;
@@ -0,0 +1,13 @@
+-- Migration: Chord change drills
+-- A drill is a technique_drill practice session switching between two chords for a set time.
+-- drill_chords holds the pair in a fixed (sorted) order so both directions share a history;
+-- changes_per_minute counts clean changes, and drill_results keeps the details of the attempt.
+
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS drill_chords VARCHAR(10)[];
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS drill_seconds INTEGER;
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS changes_per_minute DECIMAL(6,2);
+ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS drill_results JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_drill_chords
+  ON practice_sessions(user_id, drill_chords, start_time DESC)
+  WHERE drill_chords IS NOT NULL;
@@ -0,0 +1,30 @@
+-- Migration: Spaced repetition of practice
+-- Each chord, technique and song section a user practises is a review item scheduled with SM-2.
+-- item_key is the chord name, the technique, or "<song_id>:<section group>" for a section (its
+-- repeats are one item). Finished sessions grade the items they covered and move due_date on.
+
+CREATE TABLE IF NOT EXISTS practice_review_items (
+    item_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('chord', 'technique', 'section')),
+    item_key VARCHAR(100) NOT NULL,
+    song_id UUID REFERENCES songs(song_id) ON DELETE CASCADE,
+    label VARCHAR(200) NOT NULL,
+    details JSONB,
+
+    -- SM-2 schedule
+    ease_factor DECIMAL(4,2) NOT NULL DEFAULT 2.5,
+    interval_days INTEGER NOT NULL DEFAULT 0,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    lapses INTEGER NOT NULL DEFAULT 0,
+    due_date DATE NOT NULL DEFAULT CURRENT_DATE,
+
+    last_score DECIMAL(5,2),
+    last_reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (user_id, item_type, item_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_practice_review_items_due ON practice_review_items(user_id, due_date);
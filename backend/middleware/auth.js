@@ -136,6 +136,26 @@ class AuthMiddleware {
     };
   }
 
+  // Admin-only routes, used after authenticate(). Admins are listed by email in ADMIN_EMAILS
+  // (comma-separated).
+  requireAdmin() {
+    return (req, res, next) => {
+      const adminEmails = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+
+      if (!req.user || !req.user.email || !adminEmails.includes(req.user.email.toLowerCase())) {
+        return res.status(403).json({
+          error: 'Admin access required',
+          code: 'ADMIN_REQUIRED'
+        });
+      }
+
+      next();
+    };
+  }
+
   // Rate limiting middleware
   rateLimit(options = {}) {
     const windowMs = options.windowMs || 15 * 60 * 1000; // 15 minutes
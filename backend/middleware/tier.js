@@ -1,3 +1,4 @@
+const fs = require('fs').promises;
 const logger = require('../config/logger');
 const { query: dbQuery } = require('../config/database');
 
@@ -15,18 +16,30 @@ const checkTierLimit = (limitType) => {
       // Get user tier
       const userResult = await dbQuery('SELECT subscription_tier FROM users WHERE id = $1', [userId]);
       const tier = userResult.rows[0]?.subscription_tier || 'free';
+      // Later handlers use the tier too, e.g. to pick the job's queue lane
+      req.subscriptionTier = tier;
 
       if (limitType === 'dailyProcesses') {
         const limit = TIER_LIMITS[tier].dailyProcesses;
 
-        // Count processes in last 24h
+        // Count processes in last 24h; jobs answered with an already analysed song and jobs
+        // cancelled before a worker picked them up never ran, and admin re-analysis is not the
+        // admin's own processing
         const countResult = await dbQuery(
-          "SELECT COUNT(*) FROM processing_jobs WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 day'",
+          `SELECT COUNT(*) FROM processing_jobs
+           WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 day'
+             AND NOT COALESCE(deduplicated, false)
+             AND source_type IS DISTINCT FROM 'reanalysis'
+             AND NOT (status = 'cancelled' AND attempts = 0)`,
           [userId]
         );
         const count = parseInt(countResult.rows[0]?.count || 0);
 
         if (count >= limit) {
+          // An upload that will not be processed is not kept
+          if (req.file) {
+            fs.rm(req.file.path, { force: true }).catch(() => {});
+          }
           return res.status(429).json({
             error: 'Tier limit reached',
             code: 'LIMIT_REACHED',
@@ -46,6 +46,25 @@ const validateYouTubeProcessing = [
   handleValidationErrors
 ];
 
+// Audio URL processing validation; which providers accept the URL is checked by the route
+const validateUrlProcessing = [
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Valid http(s) URL is required'),
+
+  body('user_preferences.target_key')
+    .optional()
+    .isLength({ min: 1, max: 5 })
+    .withMessage('Target key must be 1-5 characters'),
+
+  body('user_preferences.difficulty_level')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Difficulty level must be between 1 and 10'),
+
+  handleValidationErrors
+];
+
 // Job status validation - allow UUID or custom job ID formats
 const validateJobStatus = [
   param('jobId')
@@ -137,10 +156,34 @@ const validatePracticeAnalysis = [
     .optional()
     .isLength({ max: 1000 })
     .withMessage('Practice notes must be less than 1000 characters'),
+
+  body('start_time')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Start time must be a non-negative number of seconds'),
   
   handleValidationErrors
 ];
 
+// Chord drill validation
+const validateChordDrillStart = [
+  body('chords')
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Choose two chords to drill'),
+
+  body('chords.*')
+    .isString()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Chord names must be 1-10 characters'),
+
+  body('duration_seconds')
+    .optional()
+    .isInt({ min: 15, max: 300 })
+    .withMessage('Drill duration must be between 15 and 300 seconds'),
+
+  handleValidationErrors
+];
+
 // User registration validation
 const validateUserRegistration = [
   body('email')
@@ -193,12 +236,14 @@ module.exports = {
   router,
   handleValidationErrors,
   validateYouTubeProcessing,
+  validateUrlProcessing,
   validateJobStatus,
   validateSongResults,
   validateTransposition,
   validateTechniqueGuidance,
   validatePracticeStart,
   validatePracticeAnalysis,
+  validateChordDrillStart,
   validateUserRegistration,
   validateUserLogin,
   validateRefreshToken
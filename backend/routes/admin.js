@@ -0,0 +1,209 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const songService = require('../services/songService');
+const audioProcessingService = require('../services/audioProcessing');
+const analysisRevisionService = require('../services/analysisRevisions');
+const authMiddleware = require('../middleware/auth');
+const validationMiddleware = require('../middleware/validation');
+const logger = require('../config/logger');
+
+router.use(authMiddleware.authenticate(), authMiddleware.requireAdmin());
+
+// Queue re-analysis of stored songs with the current analyser
+router.post('/reanalysis',
+  [
+    body('song_ids')
+      .optional()
+      .isArray({ min: 1, max: 500 })
+      .withMessage('song_ids must be a list of 1-500 song ids'),
+
+    body('song_ids.*')
+      .isUUID()
+      .withMessage('Invalid song ID format'),
+
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage('Limit must be between 1 and 1000'),
+
+    body('auto_promote')
+      .optional()
+      .isBoolean()
+      .withMessage('auto_promote must be a boolean')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const batch = await analysisRevisionService.startBatch({
+        requestedBy: req.user.id,
+        analysisVersion: audioProcessingService.analysisVersion,
+        songIds: req.body.song_ids,
+        limit: req.body.limit ? parseInt(req.body.limit) : undefined,
+        autoPromote: req.body.auto_promote === true || req.body.auto_promote === 'true'
+      });
+
+      res.status(202).json({
+        ...batch,
+        status_url: `/api/admin/reanalysis/${batch.batch_id}`
+      });
+    } catch (error) {
+      logger.error('Failed to start re-analysis batch', { error: error.message });
+      res.status(500).json({
+        error: 'Failed to start re-analysis',
+        code: 'REANALYSIS_ERROR'
+      });
+    }
+  }
+);
+
+// Re-analysis batch progress and the revisions it produced
+router.get('/reanalysis/:batchId',
+  [
+    param('batchId')
+      .isUUID()
+      .withMessage('Invalid batch ID format')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const batch = await analysisRevisionService.getBatch(req.params.batchId);
+
+      if (!batch) {
+        return res.status(404).json({
+          error: 'Batch not found',
+          code: 'BATCH_NOT_FOUND'
+        });
+      }
+
+      res.json(batch);
+    } catch (error) {
+      logger.error('Failed to get re-analysis batch', { batchId: req.params.batchId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to get re-analysis batch',
+        code: 'REANALYSIS_ERROR'
+      });
+    }
+  }
+);
+
+// Analysis revisions of a song
+router.get('/songs/:songId/revisions',
+  [
+    param('songId')
+      .isUUID()
+      .withMessage('Invalid song ID format')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const song = await songService.getSongById(req.params.songId);
+
+      if (!song) {
+        return res.status(404).json({
+          error: 'Song not found',
+          code: 'SONG_NOT_FOUND'
+        });
+      }
+
+      const revisions = await analysisRevisionService.listRevisions(song.song_id);
+      res.json({
+        song_id: song.song_id,
+        current_revision_id: song.current_revision_id,
+        revisions
+      });
+    } catch (error) {
+      logger.error('Failed to list analysis revisions', { songId: req.params.songId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to list analysis revisions',
+        code: 'REVISIONS_ERROR'
+      });
+    }
+  }
+);
+
+// Chord, key and tempo differences between two revisions; by default from the current revision
+// to the latest one, i.e. what promoting the latest revision would change
+router.get('/songs/:songId/revisions/diff',
+  [
+    param('songId')
+      .isUUID()
+      .withMessage('Invalid song ID format'),
+
+    query(['from', 'to'])
+      .optional()
+      .custom(value => value === 'current' || value === 'latest' || /^[0-9a-f-]{36}$/i.test(value))
+      .withMessage('Revision must be a revision ID, "current" or "latest"')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { songId } = req.params;
+      const [from, to] = await Promise.all([
+        analysisRevisionService.getRevision(songId, req.query.from || 'current'),
+        analysisRevisionService.getRevision(songId, req.query.to || 'latest')
+      ]);
+
+      if (!from || !to) {
+        return res.status(404).json({
+          error: 'Revision not found',
+          code: 'REVISION_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        song_id: songId,
+        ...analysisRevisionService.diffRevisions(from, to)
+      });
+    } catch (error) {
+      logger.error('Failed to diff analysis revisions', { songId: req.params.songId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to diff analysis revisions',
+        code: 'REVISIONS_ERROR'
+      });
+    }
+  }
+);
+
+// Make a revision the song's current analysis
+router.post('/songs/:songId/revisions/:revisionId/promote',
+  [
+    param('songId')
+      .isUUID()
+      .withMessage('Invalid song ID format'),
+
+    param('revisionId')
+      .isUUID()
+      .withMessage('Invalid revision ID format')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { songId, revisionId } = req.params;
+      const song = await analysisRevisionService.promote(songId, revisionId);
+
+      if (!song) {
+        return res.status(404).json({
+          error: 'Revision not found',
+          code: 'REVISION_NOT_FOUND'
+        });
+      }
+
+      logger.info('Analysis revision promoted by admin', { songId, revisionId, adminId: req.user.id });
+      res.json({
+        song_id: song.song_id,
+        current_revision_id: song.current_revision_id,
+        analysis_version: song.analysis_version,
+        message: 'Revision promoted'
+      });
+    } catch (error) {
+      logger.error('Failed to promote analysis revision', { songId: req.params.songId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to promote analysis revision',
+        code: 'REVISIONS_ERROR'
+      });
+    }
+  }
+);
+
+module.exports = router;
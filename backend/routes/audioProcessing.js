@@ -1,14 +1,19 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs').promises;
 const { body, param, query } = require('express-validator');
 const router = express.Router();
 const audioProcessingService = require('../services/audioProcessing');
 const songService = require('../services/songService');
+const jobQueue = require('../services/jobQueue');
+const audioFingerprintService = require('../services/audioFingerprint');
+const resumableUploadService = require('../services/resumableUpload');
+const audioSources = require('../services/audioSources');
+const songIdentificationService = require('../services/songIdentification');
 const authMiddleware = require('../middleware/auth');
 const validationMiddleware = require('../middleware/validation');
 const { checkTierLimit } = require('../middleware/tier');
-const { query: dbQuery } = require('../config/database');
 const logger = require('../config/logger');
 
 // Configure multer for audio uploads
@@ -58,15 +63,119 @@ const upload = multer({
   }
 });
 
+// Answer an upload of a file that was already analysed by the current analyser straight
+// away. This runs before the tier check, so known audio does not count towards the limit.
+// A resumable upload is checked before it is finalised, so one the tier check rejects can
+// still be finalised later.
+const resolveKnownUpload = async (req, res, next) => {
+  const upload = req.resumableUpload;
+  const filePath = req.file ? req.file.path : upload && upload.temp_path;
+  if (!filePath) return next();
+
+  try {
+    req.contentHash = await audioFingerprintService.hashFile(filePath);
+    const song = await songService.getSongByContentHash(req.contentHash, audioProcessingService.analysisVersion);
+    if (!song) return next();
+
+    const job = await jobQueue.recordCompleted({
+      userId: req.user.id,
+      sourceType: 'upload',
+      source: { original_name: req.file ? req.file.originalname : upload.file_name, content_hash: req.contentHash },
+      songId: song.song_id,
+      results: {
+        message: 'Song already processed',
+        results: songService.toProcessingSummary(song)
+      }
+    });
+
+    if (upload) {
+      await resumableUploadService.finalizeKnown(upload, job.job_id);
+    } else {
+      fs.rm(req.file.path, { force: true }).catch(() => {});
+    }
+    logger.info('Upload matched an analysed song', { userId: req.user.id, songId: song.song_id });
+    return res.json(job.results);
+  } catch (error) {
+    logger.warn('Known upload lookup failed, continuing with processing', { error: error.message });
+    next();
+  }
+};
+
+// Queue an uploaded file; a worker picks it up and the client follows it by job id
+const queueUpload = (req, userPreferences) => jobQueue.enqueue({
+  userId: req.user.id,
+  sourceType: 'upload',
+  source: { file_path: req.file.path, original_name: req.file.originalname, content_hash: req.contentHash },
+  userPreferences,
+  tier: req.subscriptionTier
+});
+
+const UPLOAD_ERROR_STATUS = {
+  INVALID_FILE_TYPE: 400,
+  INVALID_CHUNK: 400,
+  FILE_TOO_LARGE: 413,
+  OFFSET_MISMATCH: 409,
+  UPLOAD_INCOMPLETE: 409,
+  UPLOAD_NOT_ACTIVE: 409,
+  UPLOAD_EXPIRED: 410,
+  CHECKSUM_MISMATCH: 422
+};
+
+// Answer a resumable upload request that failed on the upload's state or contents; the current
+// offset is included so the client knows where to resume
+const sendUploadError = (res, error, fallbackMessage) => {
+  const statusCode = UPLOAD_ERROR_STATUS[error.code];
+  if (!statusCode) {
+    logger.error(fallbackMessage, { error: error.message });
+    return res.status(500).json({
+      error: fallbackMessage,
+      code: 'UPLOAD_ERROR'
+    });
+  }
+
+  if (error.offset !== undefined) res.set('Upload-Offset', String(error.offset));
+  res.status(statusCode).json({
+    error: error.message,
+    code: error.code,
+    offset: error.offset
+  });
+};
+
+// Load the requesting user's resumable upload into req.resumableUpload
+const loadUpload = async (req, res, next) => {
+  try {
+    const upload = await resumableUploadService.getUpload(req.params.uploadId, req.user.id);
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Upload not found',
+        code: 'UPLOAD_NOT_FOUND'
+      });
+    }
+
+    req.resumableUpload = upload;
+    next();
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to load upload');
+  }
+};
+
+const validateUploadId = [
+  param('uploadId')
+    .isUUID()
+    .withMessage('Invalid upload ID format'),
+  validationMiddleware.handleValidationErrors
+];
+
 // Process Audio File Upload
 router.post('/process-audio',
   authMiddleware.authenticate(),
-  checkTierLimit('dailyProcesses'),
   (req, res, next) => {
     logger.info('Authentication passed, processing upload middleware');
     next();
   },
   upload.single('audio_file'),
+  resolveKnownUpload,
+  checkTierLimit('dailyProcesses'),
   async (req, res) => {
     try {
       logger.info('Audio upload request received', {
@@ -88,77 +197,14 @@ router.post('/process-audio',
         logger.warn('Failed to parse user_preferences, using defaults', { error: parseError.message });
       }
 
-      // Record job for tier tracking
-      try {
-        await dbQuery(
-          'INSERT INTO processing_jobs (user_id, status) VALUES ($1, $2)',
-          [req.user.id, 'processing']
-        );
-      } catch (jobError) {
-        logger.warn('Failed to record processing job', { error: jobError.message });
-      }
-
-      // Start processing
-      logger.info('Starting audio processing', {
-        filePath: req.file.path,
-        originalName: req.file.originalname,
-        userPreferences
-      });
-
-      const results = await audioProcessingService.processAudioFile(
-        req.file.path,
-        req.file.originalname,
-        userPreferences
-      );
+      const job = await queueUpload(req, userPreferences);
 
-      logger.info('Audio processing completed', {
-        status: results.status,
-        hasResults: !!results.results
+      res.status(202).json({
+        job_id: job.job_id,
+        status: job.status,
+        message: 'Audio file queued for processing',
+        status_url: `/api/process-status/${job.job_id}`
       });
-
-      // Create song entry in database (optional - don't fail if database is unavailable)
-      if (results.status === 'completed') {
-        try {
-          const songData = {
-            title: results.metadata?.title || 'Unknown Title',
-            artist: results.metadata?.artist || 'Unknown Artist',
-            duration_seconds: Math.round(results.metadata?.duration || 0),
-            original_key: results.key?.key || '',
-            tempo_bpm: results.tempo?.bpm || 0,
-            chord_progression: results.chords || [],
-            overall_difficulty: results.analysis?.difficulty || 3,
-            processing_status: 'completed'
-          };
-
-          const song = await songService.createSong(songData);
-          results.results = {
-            song_id: song.song_id,
-            metadata: results.metadata,
-            chords: results.chords,
-            tablature: results.tablature,
-            tempo: results.tempo,
-            key: results.key,
-            processing_completed: true
-          };
-        } catch (dbError) {
-          logger.warn('Failed to create song entry in database, returning results without DB storage', { 
-            error: dbError.message 
-          });
-          // Still return the processing results even if DB storage fails
-          results.results = {
-            song_id: results.job_id,
-            metadata: results.metadata,
-            chords: results.chords,
-            tablature: results.tablature,
-            tempo: results.tempo,
-            key: results.key,
-            processing_completed: true,
-            database_storage_failed: true
-          };
-        }
-      }
-
-      res.json(results);
     } catch (error) {
       logger.error('Audio processing failed', {
         error: error.message,
@@ -167,6 +213,11 @@ router.post('/process-audio',
         errorName: error.name
       });
 
+      // Nothing will process an upload that never made it into the queue
+      if (req.file) {
+        fs.rm(req.file.path, { force: true }).catch(() => {});
+      }
+
       // Handle specific error types
       let statusCode = 500;
       let errorCode = 'PROCESSING_ERROR';
@@ -204,145 +255,286 @@ router.post('/process-audio',
   }
 );
 
-// Process YouTube URL
-router.post('/process-youtube',
+// Start a resumable upload. Large files are sent as chunks to PUT /uploads/:uploadId and
+// queued for processing by POST /uploads/:uploadId/finalize.
+router.post('/uploads',
   authMiddleware.authenticate(),
   checkTierLimit('dailyProcesses'),
-  validationMiddleware.validateYouTubeProcessing,
+  [
+    body('file_name')
+      .isString()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('File name is required'),
+
+    body('total_size')
+      .isInt({ min: 1 })
+      .withMessage('Total size must be a positive number of bytes'),
+
+    body('mime_type')
+      .optional()
+      .isString()
+      .withMessage('MIME type must be a string'),
+
+    body('user_preferences')
+      .optional()
+      .isObject()
+      .withMessage('User preferences must be an object')
+  ],
+  validationMiddleware.handleValidationErrors,
   async (req, res) => {
     try {
-      const { youtube_url, user_preferences } = req.body;
+      const upload = await resumableUploadService.createUpload({
+        userId: req.user.id,
+        fileName: req.body.file_name,
+        mimeType: req.body.mime_type || null,
+        totalSize: parseInt(req.body.total_size),
+        userPreferences: req.body.user_preferences || {}
+      });
 
-      logger.info('YouTube processing request received', {
-        userId: req.user?.id,
-        youtubeUrl: youtube_url,
-        userPreferences: user_preferences
+      res.status(201).json({
+        ...resumableUploadService.toStatus(upload),
+        upload_url: `/api/uploads/${upload.upload_id}`
       });
+    } catch (error) {
+      sendUploadError(res, error, 'Failed to start upload');
+    }
+  }
+);
 
-      // Check if song already exists
-      const videoId = audioProcessingService.extractVideoId(youtube_url);
-      if (videoId) {
-        try {
-          const song = await songService.getSongByYouTubeId(videoId);
-          if (song && song.processing_status === 'completed') {
-            return res.json({
-              job_id: `existing_${song.song_id}`,
-              status: 'completed',
-              message: 'Song already processed',
-              results: {
-                song_id: song.song_id,
-                metadata: {
-                  title: song.title,
-                  artist: song.artist,
-                  duration: song.duration_seconds,
-                  original_key: song.original_key,
-                  tempo_bpm: song.tempo_bpm,
-                  overall_difficulty: song.overall_difficulty,
-                  video_url: youtube_url
-                },
-                chords: song.chord_progression,
-                processing_completed: true
-              }
-            });
-          }
-        } catch (dbError) {
-          logger.warn('Database lookup failed, continuing with processing', { error: dbError.message });
-        }
-      }
+// Upload status; offset is where the next chunk starts
+router.get('/uploads/:uploadId',
+  authMiddleware.authenticate(),
+  validateUploadId,
+  loadUpload,
+  (req, res) => {
+    res.set('Upload-Offset', String(req.resumableUpload.received_size));
+    res.json(resumableUploadService.toStatus(req.resumableUpload));
+  }
+);
 
-      // Record job for tier tracking
-      try {
-        await dbQuery(
-          'INSERT INTO processing_jobs (user_id, youtube_id, status) VALUES ($1, $2, $3)',
-          [req.user.id, videoId, 'processing']
-        );
-      } catch (jobError) {
-        logger.warn('Failed to record processing job', { error: jobError.message });
+// Append a chunk. The Upload-Offset header must match the upload's current offset and
+// Upload-Checksum carries "sha256 <hex digest>" of the chunk.
+router.put('/uploads/:uploadId',
+  authMiddleware.authenticate(),
+  validateUploadId,
+  loadUpload,
+  express.raw({ type: () => true, limit: resumableUploadService.maxChunkSize }),
+  async (req, res) => {
+    try {
+      const offset = parseInt(req.get('Upload-Offset'));
+      if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({
+          error: 'Upload-Offset header is required',
+          code: 'INVALID_OFFSET'
+        });
       }
 
-      // Process the YouTube URL
-      const results = await audioProcessingService.processYouTubeUrl(youtube_url, user_preferences || {});
-
-      // Create song entry in database (optional - don't fail if database is unavailable)
-      if (results.status === 'completed') {
-        try {
-          const songData = {
-            youtube_id: videoId,
-            title: results.metadata?.title || 'Unknown Title',
-            artist: results.metadata?.artist || 'Unknown Artist',
-            duration_seconds: Math.round(results.metadata?.duration || 0),
-            original_key: results.key?.key || '',
-            tempo_bpm: results.tempo?.bpm || 0,
-            chord_progression: results.chords || [],
-            overall_difficulty: results.analysis?.difficulty || 3,
-            thumbnail_url: results.metadata?.thumbnail,
-            processing_status: 'completed'
-          };
-
-          const song = await songService.createSong(songData);
-          results.results = {
-            song_id: song.song_id,
-            metadata: results.metadata,
-            chords: results.chords,
-            tablature: results.tablature,
-            tempo: results.tempo,
-            key: results.key,
-            processing_completed: true
-          };
-        } catch (dbError) {
-          logger.warn('Failed to save song to database, returning results without DB storage', { error: dbError.message });
-          results.results = {
-            song_id: results.job_id,
-            metadata: results.metadata,
-            chords: results.chords,
-            tablature: results.tablature,
-            tempo: results.tempo,
-            key: results.key,
-            processing_completed: true,
-            database_storage_failed: true
-          };
-        }
-      }
+      const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      const upload = await resumableUploadService.writeChunk(
+        req.resumableUpload, offset, chunk, req.get('Upload-Checksum')
+      );
 
-      res.json(results);
+      res.set('Upload-Offset', String(upload.received_size));
+      res.json(resumableUploadService.toStatus(upload));
     } catch (error) {
-      logger.error('YouTube processing failed', { 
-        error: error.message, 
-        youtube_url: req.body.youtube_url,
-        stack: error.stack
+      sendUploadError(res, error, 'Failed to store chunk');
+    }
+  }
+);
+
+// Assemble a complete upload and queue it like a regular /process-audio upload
+router.post('/uploads/:uploadId/finalize',
+  authMiddleware.authenticate(),
+  validateUploadId,
+  loadUpload,
+  (req, res, next) => {
+    try {
+      resumableUploadService.assertComplete(req.resumableUpload);
+      next();
+    } catch (error) {
+      sendUploadError(res, error, 'Failed to finalise upload');
+    }
+  },
+  resolveKnownUpload,
+  // Runs before the upload is finalised: a rejected upload keeps its chunks and stays finalisable
+  checkTierLimit('dailyProcesses'),
+  async (req, res, next) => {
+    try {
+      req.file = await resumableUploadService.finalize(req.resumableUpload);
+      next();
+    } catch (error) {
+      sendUploadError(res, error, 'Failed to finalise upload');
+    }
+  },
+  async (req, res) => {
+    try {
+      const job = await queueUpload(req, req.resumableUpload.user_preferences || {});
+      await resumableUploadService.attachJob(req.resumableUpload.upload_id, job.job_id);
+
+      res.status(202).json({
+        job_id: job.job_id,
+        status: job.status,
+        message: 'Audio file queued for processing',
+        status_url: `/api/process-status/${job.job_id}`
       });
-      
-      // Determine appropriate status code based on error type
-      let statusCode = 500;
-      let errorCode = 'PROCESSING_ERROR';
-      let errorMessage = error.message || 'Failed to process YouTube URL';
-      
-      // Handle specific error types
-      if (error.message && error.message.includes('Invalid YouTube URL')) {
-        statusCode = 400;
-        errorCode = 'INVALID_URL';
-      } else if (error.message && error.message.includes('Video not found')) {
-        statusCode = 404;
-        errorCode = 'VIDEO_NOT_FOUND';
-      } else if (error.message && error.message.includes('Age-restricted')) {
-        statusCode = 403;
-        errorCode = 'RESTRICTED_VIDEO';
-        errorMessage = 'This video is age-restricted and cannot be processed';
-      }
-      
-      res.status(statusCode).json({
-        error: errorMessage,
-        code: errorCode,
-        message: errorMessage,
-        retry_after: statusCode === 429 ? 60 : undefined,
-        details: process.env.NODE_ENV === 'development' ? {
-          stack: error.stack
-        } : undefined
+    } catch (error) {
+      logger.error('Failed to queue finalised upload', {
+        uploadId: req.params.uploadId,
+        error: error.message
+      });
+      fs.rm(req.file.path, { force: true }).catch(() => {});
+      res.status(500).json({
+        error: 'Failed to process audio file',
+        code: 'PROCESSING_ERROR'
       });
     }
   }
 );
 
+// Abandon an upload and remove what was received
+router.delete('/uploads/:uploadId',
+  authMiddleware.authenticate(),
+  validateUploadId,
+  loadUpload,
+  async (req, res) => {
+    try {
+      await resumableUploadService.abort(req.resumableUpload);
+      res.json({
+        upload_id: req.resumableUpload.upload_id,
+        status: 'aborted'
+      });
+    } catch (error) {
+      sendUploadError(res, error, 'Failed to abort upload');
+    }
+  }
+);
+
+const sendUrlError = (res, error, url) => {
+  logger.error('URL processing failed', {
+    error: error.message,
+    url,
+    stack: error.stack
+  });
+
+  res.status(500).json({
+    error: error.message || 'Failed to process URL',
+    code: 'PROCESSING_ERROR',
+    message: error.message || 'Failed to process URL',
+    details: process.env.NODE_ENV === 'development' ? {
+      stack: error.stack
+    } : undefined
+  });
+};
+
+// Resolve the source provider of a URL into req.audioSource. Audio that was already processed
+// by the current analyser gets a completed job straight away; songs from an older analyser are
+// processed again. Like resolveKnownUpload this runs before the tier check, so known audio does
+// not count towards the limit.
+const resolveSourceUrl = (getUrl) => async (req, res, next) => {
+  const url = getUrl(req);
+
+  try {
+    logger.info('URL processing request received', {
+      userId: req.user?.id,
+      url,
+      userPreferences: req.body.user_preferences
+    });
+
+    const provider = audioSources.resolve(url);
+    if (!provider) {
+      return res.status(400).json({
+        error: 'No audio source supports this URL',
+        code: 'UNSUPPORTED_SOURCE',
+        message: 'No audio source supports this URL'
+      });
+    }
+
+    const sourceId = provider.getSourceId(url);
+    if (!sourceId) {
+      return res.status(400).json({
+        error: `Invalid ${provider.displayName} URL format`,
+        code: 'INVALID_URL',
+        message: `Invalid ${provider.displayName} URL format`
+      });
+    }
+    const youtubeId = provider.name === 'youtube' ? sourceId : null;
+    const source = { url, provider: provider.name, source_id: sourceId };
+    req.audioSource = { url, provider, source, youtubeId };
+
+    let song = null;
+    try {
+      song = await songService.getSongBySource(provider.name, sourceId);
+    } catch (dbError) {
+      logger.warn('Database lookup failed, continuing with processing', { error: dbError.message });
+    }
+
+    if (song && song.processing_status === 'completed' &&
+        (song.analysis_version || 0) >= audioProcessingService.analysisVersion) {
+      const job = await jobQueue.recordCompleted({
+        userId: req.user.id,
+        sourceType: 'url',
+        source,
+        youtubeId,
+        songId: song.song_id,
+        results: {
+          message: 'Song already processed',
+          results: songService.toProcessingSummary(song, youtubeId ? { video_url: url } : { source_url: url })
+        }
+      });
+
+      return res.json(job.results);
+    }
+
+    next();
+  } catch (error) {
+    sendUrlError(res, error, url);
+  }
+};
+
+// Queue the audio of a URL resolved by resolveSourceUrl
+const queueSourceUrl = async (req, res) => {
+  const { url, provider, source, youtubeId } = req.audioSource;
+
+  try {
+    const job = await jobQueue.enqueue({
+      userId: req.user.id,
+      sourceType: 'url',
+      source,
+      userPreferences: req.body.user_preferences || {},
+      youtubeId,
+      tier: req.subscriptionTier
+    });
+
+    res.status(202).json({
+      job_id: job.job_id,
+      status: job.status,
+      provider: provider.name,
+      message: `${provider.displayName} audio queued for processing`,
+      status_url: `/api/process-status/${job.job_id}`
+    });
+  } catch (error) {
+    sendUrlError(res, error, url);
+  }
+};
+
+// Process audio from a URL: YouTube videos and direct links to audio files
+router.post('/process-url',
+  authMiddleware.authenticate(),
+  validationMiddleware.validateUrlProcessing,
+  resolveSourceUrl(req => req.body.url),
+  checkTierLimit('dailyProcesses'),
+  queueSourceUrl
+);
+
+// Process YouTube URL; kept for existing clients, same as /process-url with a YouTube link
+router.post('/process-youtube',
+  authMiddleware.authenticate(),
+  validationMiddleware.validateYouTubeProcessing,
+  resolveSourceUrl(req => req.body.youtube_url),
+  checkTierLimit('dailyProcesses'),
+  queueSourceUrl
+);
+
 // Get processing status
 router.get('/process-status/:jobId',
   authMiddleware.authenticate(),
@@ -370,6 +562,43 @@ router.get('/process-status/:jobId',
   }
 );
 
+// Cancel a processing job. Queued jobs are cancelled at once; a running job is reported as
+// cancelling until its worker has stopped ffmpeg/analysis and cleaned up.
+router.delete('/process-status/:jobId',
+  authMiddleware.authenticate(),
+  validationMiddleware.validateJobStatus,
+  async (req, res) => {
+    try {
+      const { jobId } = req.params;
+      const job = await jobQueue.getJob(jobId);
+
+      if (!job || job.user_id !== req.user.id) {
+        return res.status(404).json({
+          error: 'Job not found',
+          code: 'JOB_NOT_FOUND'
+        });
+      }
+
+      const cancelled = await jobQueue.cancel(jobId);
+      if (!cancelled) {
+        return res.status(409).json({
+          error: `Job already ${job.status}`,
+          code: 'JOB_FINISHED',
+          status: job.status
+        });
+      }
+
+      res.json(jobQueue.toStatus(cancelled));
+    } catch (error) {
+      logger.error('Failed to cancel processing job', { jobId: req.params.jobId, error: error.message });
+      res.status(500).json({
+        error: 'Failed to cancel processing job',
+        code: 'CANCEL_ERROR'
+      });
+    }
+  }
+);
+
 // Get processed song results
 router.get('/song-results/:jobId',
   authMiddleware.authenticate(),
@@ -397,6 +626,66 @@ router.get('/song-results/:jobId',
   }
 );
 
+// Identify the song a short recording (played, hummed or recorded off the speakers) comes
+// from. Matches are ranked best first, with where in the song the recording starts so the
+// player can jump there. transpose=true also finds recordings in another key.
+router.post('/identify',
+  authMiddleware.authenticate(),
+  upload.single('audio_file'),
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No audio file uploaded',
+        code: 'NO_AUDIO_FILE'
+      });
+    }
+
+    try {
+      const transpose = req.body.transpose === true || req.body.transpose === 'true';
+      const limit = parseInt(req.body.limit) || songIdentificationService.defaultLimit;
+      const blockSeconds = audioProcessingService.chromaBlockSize / audioProcessingService.analysisSampleRate;
+
+      const { queries, duration } = await audioProcessingService.getRecordingSignatures(req.file.path);
+      if (queries.length === 0 || duration < songIdentificationService.minQueryBlocks * blockSeconds) {
+        return res.status(422).json({
+          error: `Record at least ${songIdentificationService.minQueryBlocks * blockSeconds} seconds of audible music`,
+          code: 'RECORDING_TOO_SHORT'
+        });
+      }
+
+      // Only the songs sharing the most chord changes with the recording are slid along
+      const songs = await songService.getIdentificationCandidates(
+        songIdentificationService.createQueryKeys(queries, transpose),
+        songIdentificationService.maxCandidates
+      );
+      const matches = songIdentificationService.rankMatches(queries, songs, { blockSeconds, transpose, limit });
+
+      logger.info('Recording identified', { userId: req.user.id, candidates: songs.length, matches: matches.length });
+      res.json({
+        recording_seconds: Math.round(duration * 100) / 100,
+        matches: matches.map(({ song, score, offset_seconds, transposition }) => ({
+          song_id: song.song_id,
+          title: song.title,
+          artist: song.artist,
+          duration_seconds: song.duration_seconds,
+          thumbnail_url: song.thumbnail_url,
+          score,
+          offset_seconds,
+          transposition
+        }))
+      });
+    } catch (error) {
+      logger.error('Song identification failed', { userId: req.user.id, error: error.message });
+      res.status(500).json({
+        error: 'Failed to identify song',
+        code: 'IDENTIFICATION_ERROR'
+      });
+    } finally {
+      fs.rm(req.file.path, { force: true }).catch(() => {});
+    }
+  }
+);
+
 // Transpose song
 router.post('/transpose',
   authMiddleware.authenticate(),
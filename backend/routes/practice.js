@@ -1,198 +1,123 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
 const { body, param, query } = require('express-validator');
 const router = express.Router();
 const practiceService = require('../services/practiceService');
 const songService = require('../services/songService');
 const audioProcessingService = require('../services/audioProcessing');
+const practiceScoringService = require('../services/practiceScoring');
+const practiceFeedbackService = require('../services/practiceFeedback');
+const stringDiagnosisService = require('../services/stringDiagnosis');
+const chordDrillService = require('../services/chordDrill');
+const spacedRepetitionService = require('../services/spacedRepetition');
 const authMiddleware = require('../middleware/auth');
 const validationMiddleware = require('../middleware/validation');
 const logger = require('../config/logger');
 const { query: dbQuery } = require('../config/database');
 
-async function analyzePracticeAudio(audioPath, songData) {
-
-  try {
-
-    const metadata = {};
-
-    const analysis = await audioProcessingService.analyzeAudio(audioPath, metadata);
-
-    const detectedChords = await audioProcessingService.detectChords(audioPath, analysis);
-
-    const expectedChords = songData.chord_progression || [];
-
-    let chordMatches = 0;
-
-    const mistakes = [];
-
-    const chordAccuracy = {};
-
-    expectedChords.forEach(ec => {
-
-      if (!chordAccuracy[ec.chord]) chordAccuracy[ec.chord] = { accuracy: 0, mistakes: 0 };
-
-    });
-
-    const minLength = Math.min(detectedChords.length, expectedChords.length);
-
-    for (let i = 0; i < minLength; i++) {
-
-      const expectedChord = expectedChords[i].chord;
-
-      const detectedChord = detectedChords[i];
-
-      if (detectedChord === expectedChord) {
-
-        chordMatches++;
-
-        chordAccuracy[expectedChord].accuracy += 100;
-
-      } else {
-
-        chordAccuracy[expectedChord].mistakes++;
-
-        mistakes.push({
-
-          timestamp: expectedChords[i].start_time || i * 4,
-
-          type: 'chord',
-
-          severity: 'major',
-
-          description: `Played ${detectedChord} instead of ${expectedChord}`
-
-        });
-
-      }
-
-    }
-
-    for (let i = minLength; i < expectedChords.length; i++) {
-
-      chordAccuracy[expectedChords[i].chord].mistakes++;
-
-      mistakes.push({
-
-        timestamp: expectedChords[i].start_time || i * 4,
-
-        type: 'missing',
-
-        severity: 'major',
-
-        description: `Missed ${expectedChords[i].chord}`
-
-      });
-
-    }
-
-    const totalChords = expectedChords.length;
-
-    const overallAccuracy = totalChords > 0 ? (chordMatches / totalChords) * 100 : 0;
-
-    const timingAccuracy = 85;
-
-    const pitchAccuracy = Math.max(0, overallAccuracy - 5);
-
-    const rhythmAccuracy = timingAccuracy;
-
-    Object.keys(chordAccuracy).forEach(chord => {
-
-      const count = expectedChords.filter(ec => ec.chord === chord).length;
-
-      if (count > 0) {
-
-        chordAccuracy[chord].accuracy = Math.round(chordAccuracy[chord].accuracy / count);
-
-      }
-
-    });
-
-    const improvementAreas = [];
-
-    if (overallAccuracy < 70) improvementAreas.push('Chord recognition and accuracy');
-
-    if (timingAccuracy < 70) improvementAreas.push('Timing and rhythm consistency');
-
-    const nextPracticeSuggestions = {
-
-      focus_techniques: [],
-
-      recommended_tempo: songData.tempo_bpm || 120,
-
-      practice_exercises: []
-
-    };
-
-    if (overallAccuracy < 80) {
-
-      nextPracticeSuggestions.focus_techniques.push('chord_transitions');
-
-      nextPracticeSuggestions.practice_exercises.push('chord-progression-drill');
-
-    }
+// Practice takes and drill recordings, in any format ffmpeg reads
+const practiceUpload = multer({
+  dest: path.join(process.cwd(), 'uploads'),
+  limits: {
+    fileSize: (process.env.MAX_FILE_SIZE_MB || 50) * 1024 * 1024
+  }
+});
+
+// Remove the uploaded recording once the response is done, including requests that validation
+// rejects before the handler runs
+const removeUploadWhenDone = (req, res, next) => {
+  res.on('close', () => {
+    if (req.file) fs.rm(req.file.path, { force: true }).catch(() => {});
+  });
+  next();
+};
+
+// Score a practice recording against the song's chord timeline. The recording is aligned to
+// the chords with DTW (see services/practiceScoring.js), so accuracy, per-chord results and
+// early/late offsets all come from that alignment.
+async function analyzePracticeAudio(audioPath, songData, options = {}) {
+  const audioData = await audioProcessingService.decodeRecording(audioPath, practiceScoringService.maxRecordingSeconds);
+  if (!audioData) {
+    const error = new Error('Practice recording could not be decoded');
+    error.code = 'INVALID_AUDIO';
+    throw error;
+  }
 
-    if (timingAccuracy < 80) {
+  const frames = practiceScoringService.computeFeatures(audioData, audioProcessingService.analysisSampleRate);
+  const expectedChords = songData.chord_progression || [];
+  const score = practiceScoringService.scorePerformance(frames, expectedChords, options);
 
-      nextPracticeSuggestions.focus_techniques.push('rhythm_patterns');
+  // Strings that sound wrong in each chord that was played, from its audio in the recording
+  const sampleRate = audioProcessingService.analysisSampleRate;
+  const stringMistakes = [];
+  score.chords.forEach(result => {
+    if (result.recording_start === null) return;
 
-      nextPracticeSuggestions.practice_exercises.push('metronome-practice');
+    const segment = audioData.subarray(Math.round(result.recording_start * sampleRate), Math.round(result.recording_end * sampleRate));
+    const diagnosis = stringDiagnosisService.checkSpectrum(segment, sampleRate, result.chord);
+    result.strings = diagnosis.strings;
+    result.extra_notes = diagnosis.extra_notes;
 
+    if (diagnosis.strings.length > 0 || diagnosis.extra_notes.length > 0) {
+      stringMistakes.push({ chord: result.chord, start_time: result.start_time, ...diagnosis });
     }
+  });
+
+  const chordAccuracy = {};
+  score.chords.forEach(result => {
+    const entry = chordAccuracy[result.chord] || { accuracy: 0, mistakes: 0, attempts: 0 };
+    entry.attempts++;
+    if (result.correct) entry.accuracy += 100;
+    else entry.mistakes++;
+    chordAccuracy[result.chord] = entry;
+  });
+  Object.values(chordAccuracy).forEach(entry => {
+    entry.accuracy = Math.round(entry.accuracy / entry.attempts);
+    delete entry.attempts;
+  });
+
+  const improvementAreas = [];
+  if (score.chord_accuracy < 70) improvementAreas.push('Chord recognition and accuracy');
+  if (score.timing_accuracy < 70) improvementAreas.push('Timing and rhythm consistency');
+  else if (score.rhythm_accuracy < 70) improvementAreas.push('Keeping a steady rhythm');
+  if (stringMistakes.length > 0) improvementAreas.push('Clean fretting: dead, buzzing or stray strings');
+
+  const nextPracticeSuggestions = {
+    focus_techniques: [],
+    recommended_tempo: songData.tempo_bpm || 120,
+    practice_exercises: []
+  };
+
+  if (score.chord_accuracy < 80) {
+    nextPracticeSuggestions.focus_techniques.push('chord_transitions');
+    nextPracticeSuggestions.practice_exercises.push('chord-progression-drill');
+  }
 
-    return {
-
-      overall_accuracy: Math.round(overallAccuracy),
-
-      timing_accuracy: Math.round(timingAccuracy),
-
-      pitch_accuracy: Math.round(pitchAccuracy),
-
-      rhythm_accuracy: Math.round(rhythmAccuracy),
-
-      chord_accuracy: chordAccuracy,
-
-      mistakes: mistakes.slice(0, 5),
-
-      improvement_areas: improvementAreas,
-
-      next_practice_suggestions: nextPracticeSuggestions
-
-    };
-
-  } catch (error) {
-
-    logger.error('Failed to analyze practice audio', { error: error.message });
-
-    return {
-
-      overall_accuracy: 75,
-
-      timing_accuracy: 70,
-
-      pitch_accuracy: 80,
-
-      rhythm_accuracy: 75,
-
-      chord_accuracy: {},
-
-      mistakes: [],
-
-      improvement_areas: ['General practice'],
-
-      next_practice_suggestions: {
-
-        focus_techniques: ['basic_chords'],
-
-        recommended_tempo: 100,
-
-        practice_exercises: ['chord-drill']
-
-      }
-
-    };
-
+  if (score.timing_accuracy < 80 || score.rhythm_accuracy < 80) {
+    nextPracticeSuggestions.focus_techniques.push('rhythm_patterns');
+    nextPracticeSuggestions.practice_exercises.push('metronome-practice');
   }
 
+  return {
+    overall_accuracy: Math.round(score.chord_accuracy),
+    timing_accuracy: Math.round(score.timing_accuracy),
+    pitch_accuracy: Math.round(score.pitch_accuracy),
+    rhythm_accuracy: Math.round(score.rhythm_accuracy),
+    chord_accuracy: chordAccuracy,
+    chord_results: score.chords,
+    mistakes: score.mistakes.concat(stringMistakes.flatMap(entry => entry.strings.map(issue => ({
+      timestamp: entry.start_time,
+      type: 'string',
+      severity: issue.status === 'buzzing' ? 'minor' : 'major',
+      description: stringDiagnosisService.describeIssue(issue, entry.chord),
+      string: issue.string
+    })))).sort((a, b) => a.timestamp - b.timestamp).slice(0, 5),
+    string_mistakes: stringMistakes,
+    improvement_areas: improvementAreas,
+    next_practice_suggestions: nextPracticeSuggestions
+  };
 }
 
 // Start practice session
@@ -271,6 +196,16 @@ router.post('/end/:sessionId',
       .isFloat({ min: 0, max: 100 })
       .withMessage('Rhythm accuracy must be between 0 and 100'),
     
+    body('chord_accuracy')
+      .optional()
+      .isObject()
+      .withMessage('Chord accuracy must map chord names to scores'),
+    
+    body('section_accuracy')
+      .optional()
+      .isObject()
+      .withMessage('Section accuracy must map section ids or names to scores'),
+    
     body('notes_played')
       .optional()
       .isInt({ min: 0 })
@@ -313,7 +248,8 @@ router.post('/end/:sessionId',
         });
       }
 
-      // End the session
+      // Store the live feedback of the last chord first, so ending the session grades it too
+      await practiceFeedbackService.endSession(sessionId);
       const session = await practiceService.endPracticeSession(sessionId, endData);
 
       // Update song popularity if this was a song practice
@@ -348,13 +284,22 @@ router.post('/end/:sessionId',
   }
 );
 
-// Submit practice analysis (real-time feedback)
+// Submit practice analysis (real-time feedback) for a recorded take (field audio_file)
 router.post('/analyze',
   authMiddleware.authenticate(),
+  practiceUpload.single('audio_file'),
+  removeUploadWhenDone,
   validationMiddleware.validatePracticeAnalysis,
   async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No audio file uploaded',
+        code: 'NO_AUDIO_FILE'
+      });
+    }
+
     try {
-      const { session_id, audio_file, practice_notes } = req.body;
+      const { session_id, practice_notes, start_time } = req.body;
 
       // Verify session belongs to user and is active
       const session = await practiceService.getPracticeSession(session_id, req.user.id);
@@ -381,16 +326,28 @@ router.post('/analyze',
           code: 'SONG_NOT_FOUND'
         });
       }
-      // Analyze practice audio
-      const analysisResults = await analyzePracticeAudio(req.body.audio_file, song);
+      // Analyze practice audio at the session's tempo, from where in the song the take started
+      const analysisResults = await analyzePracticeAudio(req.file.path, song, {
+        startTime: parseFloat(start_time) || 0,
+        tempoPercentage: session.tempo_percentage || 100
+      });
+      const lastChord = analysisResults.chord_results[analysisResults.chord_results.length - 1];
 
       // Store analysis data
       await practiceService.addPracticeAnalysis(session_id, {
         timestamp: new Date().toISOString(),
-        current_chord: 'G', // Would be determined from actual analysis
+        current_chord: lastChord ? lastChord.chord : null,
         accuracy: analysisResults.overall_accuracy,
         mistake_detected: analysisResults.mistakes[0],
         encouragement: 'Great timing! Keep your wrist relaxed.',
+        timing_data: {
+          timing_accuracy: analysisResults.timing_accuracy,
+          rhythm_accuracy: analysisResults.rhythm_accuracy,
+          chords: analysisResults.chord_results.map(({ chord, start_time: chordStart, offset_ms, status }) => ({
+            chord, start_time: chordStart, offset_ms, status
+          }))
+        },
+        string_mistakes: analysisResults.string_mistakes,
         practice_notes: practice_notes
       });
 
@@ -398,6 +355,13 @@ router.post('/analyze',
         analysis_results: analysisResults
       });
     } catch (error) {
+      if (error.code === 'INVALID_AUDIO') {
+        return res.status(422).json({
+          error: error.message,
+          code: 'INVALID_AUDIO'
+        });
+      }
+
       logger.error('Failed to analyze practice', { 
         sessionId: req.body.session_id,
         userId: req.user.id, 
@@ -412,6 +376,216 @@ router.post('/analyze',
   }
 );
 
+// Start a chord change drill: switch between two chords for a set time
+router.post('/drills/start',
+  authMiddleware.authenticate(),
+  validationMiddleware.validateChordDrillStart,
+  async (req, res) => {
+    try {
+      const chords = chordDrillService.normalizePair(req.body.chords);
+      if (!chords) {
+        return res.status(400).json({
+          error: 'Choose two different chords to drill',
+          code: 'INVALID_DRILL_CHORDS'
+        });
+      }
+
+      const durationSeconds = parseInt(req.body.duration_seconds) || chordDrillService.defaultDurationSeconds;
+      const [session, [previous]] = await Promise.all([
+        practiceService.startChordDrill({
+          user_id: req.user.id,
+          chords,
+          duration_seconds: durationSeconds,
+          device_type: req.get('User-Agent') || 'Unknown',
+          app_version: req.get('App-Version') || '1.0.0'
+        }),
+        practiceService.getChordDrillHistory(req.user.id, chords, 1)
+      ]);
+
+      res.status(201).json({
+        message: 'Chord drill started',
+        session_id: session.session_id,
+        start_time: session.start_time,
+        chords,
+        duration_seconds: durationSeconds,
+        last_changes_per_minute: previous ? parseFloat(previous.changes_per_minute) : null
+      });
+    } catch (error) {
+      logger.error('Failed to start chord drill', { 
+        userId: req.user.id, 
+        error: error.message 
+      });
+      res.status(500).json({
+        error: 'Failed to start chord drill',
+        code: 'DRILL_START_ERROR'
+      });
+    }
+  }
+);
+
+// Finish a chord drill with its recording (field audio_file); counts the clean changes
+router.post('/drills/:sessionId/finish',
+  authMiddleware.authenticate(),
+  practiceUpload.single('audio_file'),
+  removeUploadWhenDone,
+  [
+    param('sessionId')
+      .isUUID()
+      .withMessage('Valid session ID is required')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No audio file uploaded',
+        code: 'NO_AUDIO_FILE'
+      });
+    }
+
+    try {
+      const session = await practiceService.getPracticeSession(req.params.sessionId, req.user.id);
+      if (!session || !session.drill_chords) {
+        return res.status(404).json({
+          error: 'Chord drill not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      if (session.end_time) {
+        return res.status(400).json({
+          error: 'Chord drill has already ended',
+          code: 'SESSION_ENDED'
+        });
+      }
+
+      const audioData = await audioProcessingService.decodeRecording(req.file.path, practiceScoringService.maxRecordingSeconds);
+      if (!audioData) {
+        return res.status(422).json({
+          error: 'Drill recording could not be decoded',
+          code: 'INVALID_AUDIO'
+        });
+      }
+
+      const frames = practiceScoringService.computeFeatures(audioData, audioProcessingService.analysisSampleRate);
+      if (frames.length * practiceScoringService.frameSeconds < chordDrillService.minRecordingSeconds) {
+        return res.status(422).json({
+          error: `Record at least ${chordDrillService.minRecordingSeconds} seconds of the drill`,
+          code: 'RECORDING_TOO_SHORT'
+        });
+      }
+
+      const results = chordDrillService.countChanges(frames, session.drill_chords, session.drill_seconds);
+      const [history] = await Promise.all([
+        practiceService.getChordDrillHistory(req.user.id, session.drill_chords),
+        practiceService.finishChordDrill(session.session_id, results)
+      ]);
+      const previousBest = history
+        .filter(attempt => attempt.session_id !== session.session_id)
+        .reduce((best, attempt) => Math.max(best, parseFloat(attempt.changes_per_minute)), 0);
+
+      res.json({
+        message: 'Chord drill finished',
+        session_id: session.session_id,
+        chords: session.drill_chords,
+        drill_results: results,
+        previous_best: previousBest > 0 ? previousBest : null,
+        personal_best: results.changes_per_minute > previousBest
+      });
+    } catch (error) {
+      logger.error('Failed to finish chord drill', { 
+        sessionId: req.params.sessionId,
+        userId: req.user.id, 
+        error: error.message 
+      });
+      res.status(500).json({
+        error: 'Failed to finish chord drill',
+        code: 'DRILL_ANALYSIS_ERROR'
+      });
+    }
+  }
+);
+
+// Chord drill progress: every pair drilled, or the attempts of one pair (chords=C,G)
+router.get('/drills',
+  authMiddleware.authenticate(),
+  [
+    query('chords')
+      .optional()
+      .isString()
+      .withMessage('Chords must be two comma-separated chord names'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      if (!req.query.chords) {
+        const pairs = await practiceService.getChordDrillPairs(req.user.id);
+        return res.json({ pairs });
+      }
+
+      const chords = chordDrillService.normalizePair(req.query.chords.split(','));
+      if (!chords) {
+        return res.status(400).json({
+          error: 'Chords must be two different chord names',
+          code: 'INVALID_DRILL_CHORDS'
+        });
+      }
+
+      const attempts = await practiceService.getChordDrillHistory(req.user.id, chords, parseInt(req.query.limit) || 20);
+      res.json({
+        chords,
+        attempts: attempts.map(attempt => ({
+          ...attempt,
+          changes_per_minute: parseFloat(attempt.changes_per_minute)
+        }))
+      });
+    } catch (error) {
+      logger.error('Failed to get chord drills', { 
+        userId: req.user.id, 
+        error: error.message 
+      });
+      res.status(500).json({
+        error: 'Failed to get chord drills',
+        code: 'DRILL_HISTORY_ERROR'
+      });
+    }
+  }
+);
+
+// Today's review plan: the due chords, techniques and song sections that fit in the given minutes
+router.get('/due',
+  authMiddleware.authenticate(),
+  [
+    query('minutes')
+      .optional()
+      .isInt({ min: 5, max: 120 })
+      .withMessage('Minutes must be between 5 and 120')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const today = spacedRepetitionService.today();
+      const items = await practiceService.getDueReviewItems(req.user.id, today);
+      const minutes = parseInt(req.query.minutes) || spacedRepetitionService.defaultPlanMinutes;
+
+      res.json(spacedRepetitionService.buildPlan(items, today, minutes));
+    } catch (error) {
+      logger.error('Failed to get due reviews', { 
+        userId: req.user.id, 
+        error: error.message 
+      });
+      res.status(500).json({
+        error: 'Failed to get due reviews',
+        code: 'DUE_REVIEWS_ERROR'
+      });
+    }
+  }
+);
+
 // Get user's practice sessions
 router.get('/sessions',
   authMiddleware.authenticate(),
@@ -2,6 +2,8 @@ const express = require('express');
 const { param, query } = require('express-validator');
 const router = express.Router();
 const songService = require('../services/songService');
+const songStemService = require('../services/songStems');
+const audioRenderService = require('../services/audioRendering');
 const authMiddleware = require('../middleware/auth');
 const validationMiddleware = require('../middleware/validation');
 const logger = require('../config/logger');
@@ -158,6 +160,7 @@ router.get('/:songId',
         note_sequence: song.note_sequence,
         beat_grid: song.beat_grid,
         sections: song.sections,
+        strumming_patterns: song.strumming_patterns,
         techniques_identified: song.techniques_identified
       });
     } catch (error) {
@@ -174,6 +177,217 @@ router.get('/:songId',
   }
 );
 
+// List the stems a song can be played with
+router.get('/:songId/stems',
+  authMiddleware.authenticate(),
+  [
+    param('songId')
+      .isUUID()
+      .withMessage('Valid song ID is required')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { songId } = req.params;
+
+      const song = await songService.getSongById(songId);
+      if (!song) {
+        return res.status(404).json({
+          error: 'Song not found',
+          code: 'SONG_NOT_FOUND'
+        });
+      }
+
+      const stems = await songStemService.listStems(song);
+
+      res.json({
+        song_id: songId,
+        method: song.stems?.method || null,
+        stems: stems.map(stem => ({
+          ...stem,
+          url: `/api/songs/${songId}/stems/${stem.name}`
+        }))
+      });
+    } catch (error) {
+      logger.error('Failed to list song stems', {
+        songId: req.params.songId,
+        userId: req.user.id,
+        error: error.message
+      });
+      res.status(500).json({
+        error: 'Failed to list song stems',
+        code: 'STEMS_ERROR'
+      });
+    }
+  }
+);
+
+// Stream one stem. Range requests get partial content, so players can seek without
+// downloading the whole file.
+router.get('/:songId/stems/:stem',
+  authMiddleware.authenticate(),
+  [
+    param('songId')
+      .isUUID()
+      .withMessage('Valid song ID is required'),
+
+    param('stem')
+      .matches(/^[a-z]+$/)
+      .withMessage('Valid stem name is required')
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { songId, stem } = req.params;
+
+      const song = await songService.getSongById(songId);
+      const file = song && await songStemService.getStemFile(song, stem);
+      if (!file) {
+        return res.status(404).json({
+          error: 'Stem not found',
+          code: 'STEM_NOT_FOUND'
+        });
+      }
+
+      res.sendFile(file.path, { headers: { 'Content-Type': file.contentType } }, (error) => {
+        if (error && !res.headersSent) {
+          logger.error('Failed to send stem', { songId, stem, error: error.message });
+          res.status(500).json({
+            error: 'Failed to stream stem',
+            code: 'STEMS_ERROR'
+          });
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to stream stem', {
+        songId: req.params.songId,
+        stem: req.params.stem,
+        userId: req.user.id,
+        error: error.message
+      });
+      res.status(500).json({
+        error: 'Failed to stream stem',
+        code: 'STEMS_ERROR'
+      });
+    }
+  }
+);
+
+const validateRenderOptions = [
+  query('speed')
+    .optional()
+    .isFloat({ min: audioRenderService.minSpeed, max: audioRenderService.maxSpeed })
+    .withMessage(`Speed must be between ${audioRenderService.minSpeed} and ${audioRenderService.maxSpeed}`),
+
+  query('semitones')
+    .optional()
+    .isInt({ min: -audioRenderService.maxSemitones, max: audioRenderService.maxSemitones })
+    .withMessage(`Semitones must be between -${audioRenderService.maxSemitones} and ${audioRenderService.maxSemitones}`)
+];
+
+const getRenderOptions = (req) => ({
+  speed: req.query.speed === undefined ? 1 : req.query.speed,
+  semitones: req.query.semitones === undefined ? 0 : req.query.semitones
+});
+
+// Stream a rendered file; the first request for a speed and pitch renders it, later ones are
+// served from the cache
+const sendRender = (req, res, file) => {
+  res.sendFile(file.path, { headers: { 'Content-Type': file.contentType } }, (error) => {
+    if (error && !res.headersSent) {
+      logger.error('Failed to send rendered audio', { songId: req.params.songId, stem: req.params.stem, error: error.message });
+      res.status(500).json({
+        error: 'Failed to stream rendered audio',
+        code: 'RENDER_ERROR'
+      });
+    }
+  });
+};
+
+// Stream one stem at another speed (pitch kept) and/or pitch (tempo kept)
+router.get('/:songId/stems/:stem/render',
+  authMiddleware.authenticate(),
+  [
+    param('songId')
+      .isUUID()
+      .withMessage('Valid song ID is required'),
+
+    param('stem')
+      .matches(/^[a-z]+$/)
+      .withMessage('Valid stem name is required'),
+
+    ...validateRenderOptions
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { songId, stem } = req.params;
+
+      const song = await songService.getSongById(songId);
+      const file = song && await audioRenderService.getStemRender(song, stem, getRenderOptions(req));
+      if (!file) {
+        return res.status(404).json({
+          error: 'Stem not found',
+          code: 'STEM_NOT_FOUND'
+        });
+      }
+
+      sendRender(req, res, file);
+    } catch (error) {
+      logger.error('Failed to render stem', {
+        songId: req.params.songId,
+        stem: req.params.stem,
+        query: req.query,
+        userId: req.user.id,
+        error: error.message
+      });
+      res.status(500).json({
+        error: 'Failed to render stem',
+        code: 'RENDER_ERROR'
+      });
+    }
+  }
+);
+
+// Stream the song's own audio (its full mix) at another speed and/or pitch; works for songs
+// without stems too
+router.get('/:songId/audio/render',
+  authMiddleware.authenticate(),
+  [
+    param('songId')
+      .isUUID()
+      .withMessage('Valid song ID is required'),
+
+    ...validateRenderOptions
+  ],
+  validationMiddleware.handleValidationErrors,
+  async (req, res) => {
+    try {
+      const song = await songService.getSongById(req.params.songId);
+      const file = song && await audioRenderService.getSongRender(song, getRenderOptions(req));
+      if (!file) {
+        return res.status(404).json({
+          error: 'Song audio not available',
+          code: 'AUDIO_NOT_FOUND'
+        });
+      }
+
+      sendRender(req, res, file);
+    } catch (error) {
+      logger.error('Failed to render song audio', {
+        songId: req.params.songId,
+        query: req.query,
+        userId: req.user.id,
+        error: error.message
+      });
+      res.status(500).json({
+        error: 'Failed to render song audio',
+        code: 'RENDER_ERROR'
+      });
+    }
+  }
+);
+
 // Get popular songs
 router.get('/popular/list',
   authMiddleware.optionalAuthenticate(),
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Chromagram Benchmark Script for ZEZE Backend
+ * Compares the radix-2 FFT chromagram against the direct DFT it replaced on a
+ * three-minute WAV. Pass a WAV path to benchmark real audio; otherwise a synthetic
+ * chord progression is generated.
+ *
+ * Usage: node scripts/benchmark-chromagram.js [file.wav]
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const audioProcessingService = require('../services/audioProcessing');
+const advancedChordDetection = require('../services/advancedChordDetection');
+
+const SAMPLE_RATE = 44100;
+const DURATION_SECONDS = 180;
+const HOP_LENGTH = 2048;
+// The DFT takes minutes on a full track, so it is timed on a sample of frames and extrapolated
+const DFT_SAMPLE_FRAMES = 20;
+
+// C - G - Am - F, two seconds per chord
+const PROGRESSION = [
+  [261.63, 329.63, 392.0],
+  [196.0, 246.94, 293.66],
+  [220.0, 261.63, 329.63],
+  [174.61, 220.0, 261.63]
+];
+
+// Write a 16-bit mono PCM WAV with a synthetic chord progression
+async function writeSyntheticWav(filePath) {
+  const numSamples = SAMPLE_RATE * DURATION_SECONDS;
+  const buffer = Buffer.alloc(44 + numSamples * 2);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + numSamples * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(numSamples * 2, 40);
+
+  for (let i = 0; i < numSamples; i++) {
+    const chord = PROGRESSION[Math.floor(i / (SAMPLE_RATE * 2)) % PROGRESSION.length];
+    const value = chord.reduce((sum, freq) => sum + Math.sin(2 * Math.PI * freq * i / SAMPLE_RATE), 0) / chord.length;
+    buffer.writeInt16LE(Math.round(value * 0.8 * 32767), 44 + i * 2);
+  }
+
+  await fs.writeFile(filePath, buffer);
+}
+
+function timeIt(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+async function main() {
+  const inputPath = process.argv[2];
+  const wavPath = inputPath || path.join(os.tmpdir(), `zeze-benchmark-${process.pid}.wav`);
+
+  try {
+    if (!inputPath) {
+      console.log(`Generating ${DURATION_SECONDS}s synthetic WAV: ${wavPath}`);
+      await writeSyntheticWav(wavPath);
+    }
+
+    const audioData = await audioProcessingService.getAudioData(wavPath);
+    if (!audioData) {
+      throw new Error(`Could not read audio data from ${wavPath}`);
+    }
+
+    const durationSeconds = audioData.length / SAMPLE_RATE;
+    const frameSize = advancedChordDetection.frameSize;
+
+    const fft = timeIt(() => advancedChordDetection.calculateChromagram(audioData, SAMPLE_RATE, HOP_LENGTH));
+    const numFrames = fft.result.length;
+
+    // Time the DFT path on evenly spaced frames and check both produce the same chroma
+    let dftMs = 0;
+    let maxDifference = 0;
+    const step = Math.max(1, Math.floor(numFrames / DFT_SAMPLE_FRAMES));
+    let sampled = 0;
+
+    for (let i = 0; i < numFrames && sampled < DFT_SAMPLE_FRAMES; i += step, sampled++) {
+      const frame = audioData.subarray(i * HOP_LENGTH, i * HOP_LENGTH + frameSize);
+      const dft = timeIt(() => {
+        const spectrum = advancedChordDetection.computeDFT(advancedChordDetection.applyHammingWindow(frame));
+        return advancedChordDetection.mapToChroma(spectrum, SAMPLE_RATE, frameSize);
+      });
+      dftMs += dft.ms;
+      dft.result.forEach((value, pc) => {
+        maxDifference = Math.max(maxDifference, Math.abs(value - fft.result[i][pc]));
+      });
+    }
+
+    const dftEstimateMs = dftMs / sampled * numFrames;
+
+    console.log(`Audio: ${durationSeconds.toFixed(1)}s, ${numFrames} frames (frame ${frameSize}, hop ${HOP_LENGTH})`);
+    console.log(`FFT chromagram:        ${(fft.ms / 1000).toFixed(2)}s`);
+    console.log(`DFT chromagram (est.): ${(dftEstimateMs / 1000).toFixed(2)}s from ${sampled} sampled frames`);
+    console.log(`Speed-up:              ${(dftEstimateMs / fft.ms).toFixed(0)}x`);
+    console.log(`Max chroma difference: ${maxDifference.toExponential(2)}`);
+  } finally {
+    if (!inputPath) {
+      await fs.rm(wavPath, { force: true });
+    }
+  }
+}
+
+// Run script if called directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Benchmark failed:', error);
+      process.exit(1);
+    });
+}
@@ -37,6 +37,7 @@ const exerciseRoutes = require('./routes/exercises');
 const versionRoutes = require('./routes/version');
 const paymentRoutes = require('./routes/payments');
 const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
 
 // Import WebSocket manager
 const websocketManager = require('./websocket/websocketManager');
@@ -66,7 +67,8 @@ app.use(compression());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Upload-Offset', 'Upload-Checksum', 'Range'],
+  exposedHeaders: ['Upload-Offset', 'Accept-Ranges', 'Content-Range'],
   credentials: true
 }));
 
@@ -203,6 +205,7 @@ app.use('/api/exercises', exerciseRoutes);
 app.use('/api/version', versionRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -222,9 +225,18 @@ app.get('/api', (req, res) => {
         'GET /api/users/recommendations': 'Get practice recommendations'
       },
       audio_processing: {
-        'POST /api/process-youtube': 'Process YouTube URL',
-        'GET /api/process-status/:jobId': 'Get processing status',
+        'POST /api/process-audio': 'Queue uploaded audio file for processing',
+        'POST /api/uploads': 'Start a resumable chunked upload',
+        'GET /api/uploads/:uploadId': 'Get resumable upload offset',
+        'PUT /api/uploads/:uploadId': 'Upload a checksummed chunk at an offset',
+        'POST /api/uploads/:uploadId/finalize': 'Queue a completed resumable upload for processing',
+        'DELETE /api/uploads/:uploadId': 'Abort a resumable upload',
+        'POST /api/process-url': 'Queue audio from a URL (YouTube or direct audio link) for processing',
+        'POST /api/process-youtube': 'Queue YouTube URL for processing',
+        'GET /api/process-status/:jobId': 'Get processing status, queue position and ETA',
+        'DELETE /api/process-status/:jobId': 'Cancel a processing job',
         'GET /api/song-results/:jobId': 'Get processed results',
+        'POST /api/identify': 'Identify the song a short recording comes from, with the matching offset',
         'POST /api/transpose': 'Transpose song',
         'GET /api/techniques/:songId/:timestamp': 'Get technique guidance'
       },
@@ -232,6 +244,10 @@ app.get('/api', (req, res) => {
         'POST /api/practice/start': 'Start practice session',
         'POST /api/practice/end/:sessionId': 'End practice session',
         'POST /api/practice/analyze': 'Analyze practice performance',
+        'POST /api/practice/drills/start': 'Start a timed chord change drill for a chord pair',
+        'POST /api/practice/drills/:sessionId/finish': 'Count clean chord changes per minute in a drill recording',
+        'GET /api/practice/drills': 'Get chord drill progress per chord pair',
+        'GET /api/practice/due': 'Get today\'s review plan of due chords, techniques and sections',
         'GET /api/practice/sessions': 'Get user practice sessions',
         'GET /api/practice/sessions/:sessionId': 'Get specific practice session',
         'GET /api/practice/stats': 'Get practice statistics'
@@ -239,6 +255,10 @@ app.get('/api', (req, res) => {
       songs: {
         'GET /api/songs/search': 'Search songs',
         'GET /api/songs/:songId': 'Get song details',
+        'GET /api/songs/:songId/stems': 'List playback stems of a song (guitar, backing, click)',
+        'GET /api/songs/:songId/stems/:stem': 'Stream one stem, with range requests',
+        'GET /api/songs/:songId/stems/:stem/render': 'Stream a stem at another speed (?speed=0.5-1.5) or pitch (?semitones=-12..12)',
+        'GET /api/songs/:songId/audio/render': 'Stream the song\'s own audio at another speed or pitch, with or without stems',
         'GET /api/songs/popular/list': 'Get popular songs',
         'GET /api/songs/recommended/list': 'Get recommended songs',
         'POST /api/songs/:songId/save': 'Save song to library',
@@ -270,6 +290,13 @@ app.get('/api', (req, res) => {
         'GET /api/notifications/preferences': 'Get notification preferences',
         'PUT /api/notifications/preferences': 'Update notification preferences',
         'POST /api/notifications/test': 'Send test notification'
+      },
+      admin: {
+        'POST /api/admin/reanalysis': 'Queue re-analysis of songs with the current analyser',
+        'GET /api/admin/reanalysis/:batchId': 'Get re-analysis batch progress',
+        'GET /api/admin/songs/:songId/revisions': 'List analysis revisions of a song',
+        'GET /api/admin/songs/:songId/revisions/diff': 'Compare chords, key and tempo of two revisions',
+        'POST /api/admin/songs/:songId/revisions/:revisionId/promote': 'Make a revision the current analysis'
       }
     },
     websocket: {
@@ -277,7 +304,7 @@ app.get('/api', (req, res) => {
       events: {
         'subscribe_job': 'Subscribe to job processing updates',
         'join_session': 'Join practice session for real-time feedback',
-        'practice_data': 'Send real-time practice data'
+        'practice_data': 'Stream audio frames or chroma of a session; answered with practice_feedback'
       }
     }
   });
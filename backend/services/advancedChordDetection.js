@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const logger = require('../config/logger');
+const fft = require('./fft');
 
 /**
  * Advanced Chord Detection Service
@@ -7,9 +8,83 @@ const logger = require('../config/logger');
  */
 class AdvancedChordDetectionService {
   constructor() {
-    // Chord templates based on chromagrams
-    this.chordTemplates = this.initializeChordTemplates();
     this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    this.flatToSharp = { 'Db': 'C#', 'Eb': 'D#', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#' };
+    // Chord templates based on chromagrams (built from noteNames, so must come after it)
+    this.chordTemplates = this.initializeChordTemplates();
+
+    // Quality name and template weight per chord suffix. Richer chords share most of their
+    // notes with simpler ones, so they are weighted down to win only on clear evidence.
+    this.chordQualities = {
+      '': { quality: 'major', weight: 1 },
+      'm': { quality: 'minor', weight: 1 },
+      '7': { quality: 'dominant7', weight: 0.98 },
+      'maj7': { quality: 'major7', weight: 0.98 },
+      'm7': { quality: 'minor7', weight: 0.98 },
+      'dim': { quality: 'diminished', weight: 0.97 },
+      'aug': { quality: 'augmented', weight: 0.97 },
+      'sus4': { quality: 'sus4', weight: 0.97 },
+      'sus2': { quality: 'sus2', weight: 0.97 },
+      'add9': { quality: 'add9', weight: 0.96 },
+      '6': { quality: 'major6', weight: 0.96 },
+      'm6': { quality: 'minor6', weight: 0.96 },
+      'm7b5': { quality: 'half_diminished7', weight: 0.96 },
+      'dim7': { quality: 'diminished7', weight: 0.96 },
+      '9': { quality: 'dominant9', weight: 0.95 },
+      'maj9': { quality: 'major9', weight: 0.95 },
+      'm9': { quality: 'minor9', weight: 0.95 },
+      '11': { quality: 'dominant11', weight: 0.95 },
+      '13': { quality: 'dominant13', weight: 0.95 }
+    };
+
+    // Bass notes come from the low-frequency chroma. A bass line must sound in at least
+    // minBassPresence of a chord's frames, and the strongest bass pitch class must carry
+    // minBassShare of its energy (minNonChordToneBassShare when it is not a chord tone)
+    this.bassRange = { min: 40, max: 200 };
+    this.minBassPeakRatio = 0.1;
+    this.minBassPresence = 0.5;
+    this.minBassShare = 0.3;
+    this.minNonChordToneBassShare = 0.5;
+
+    // Open-string pitch classes from low E to high E
+    this.openStrings = [4, 9, 2, 7, 11, 4];
+
+    // Movable voicings as fret offsets from the root on the 6th (E) or 5th (A) string
+    this.movableShapes = {
+      '': { E: [0, 2, 2, 1, 0, 0], A: [null, 0, 2, 2, 2, 0] },
+      'm': { E: [0, 2, 2, 0, 0, 0], A: [null, 0, 2, 2, 1, 0] },
+      '7': { E: [0, 2, 0, 1, 0, 0], A: [null, 0, 2, 0, 2, 0] },
+      'maj7': { E: [0, null, 1, 1, 0, null], A: [null, 0, 2, 1, 2, 0] },
+      'm7': { E: [0, 2, 0, 0, 0, 0], A: [null, 0, 2, 0, 1, 0] },
+      'dim': { A: [null, 0, 1, 2, 1, null] },
+      'aug': { E: [0, null, 2, 1, 1, 0], A: [null, 0, 3, 2, 2, 1] },
+      'sus4': { E: [0, 2, 2, 2, 0, 0], A: [null, 0, 2, 2, 3, 0] },
+      'sus2': { A: [null, 0, 2, 2, 0, 0] },
+      'add9': { E: [0, 2, 4, 1, 0, 0], A: [null, 0, 2, 4, 2, 0] },
+      '6': { E: [0, null, -1, 1, 0, null], A: [null, 0, 2, 2, 2, 2] },
+      'm6': { E: [0, null, -1, 0, 0, null], A: [null, 0, 2, 2, 1, 2] },
+      'm7b5': { E: [0, null, 0, 0, -1, null], A: [null, 0, 1, 0, 1, null] },
+      'dim7': { E: [0, null, -1, 0, -1, null], A: [null, 0, 1, 2, 1, 2] },
+      '9': { E: [0, null, 0, 1, 0, 2], A: [null, 0, -1, 0, 0, 0] },
+      'maj9': { A: [null, 0, -1, 1, 0, null] },
+      'm9': { A: [null, 0, -2, 0, 0, null] },
+      '11': { A: [null, 0, 0, 0, 0, 0] },
+      '13': { E: [0, null, 0, 1, 2, 0], A: [null, 0, -1, 0, 2, 2] }
+    };
+
+    this.frameSize = 4096;
+    // Lookup tables reused across frames
+    this.hammingWindows = new Map();
+    this.pitchClassMaps = new Map();
+
+    // Chord HMM settings
+    this.noChord = 'N';
+    this.noChordTemplate = new Array(12).fill(1);
+    this.emissionSharpness = 20;
+    this.selfTransition = 0.97;
+    this.outOfKeyWeight = 0.2;
+    this.noChordWeight = 0.5;
+    this.transitionMatrices = new Map();
   }
 
   /**
@@ -46,6 +121,36 @@ class AdvancedChordDetectionService {
     // Sus2 chords (Root, Major 2nd, Perfect 5th)
     const sus2Pattern = [1, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0];
 
+    // Add9 chords (Root, Major 2nd/9th, Major 3rd, Perfect 5th)
+    const add9Pattern = [1, 0, 1, 0, 1, 0, 0, 1, 0, 0, 0, 0];
+
+    // Major 6th chords (Root, Major 3rd, Perfect 5th, Major 6th)
+    const maj6Pattern = [1, 0, 0, 0, 1, 0, 0, 1, 0, 1, 0, 0];
+
+    // Minor 6th chords (Root, Minor 3rd, Perfect 5th, Major 6th)
+    const min6Pattern = [1, 0, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0];
+
+    // Half-diminished chords (Root, Minor 3rd, Diminished 5th, Minor 7th)
+    const min7b5Pattern = [1, 0, 0, 1, 0, 0, 1, 0, 0, 0, 1, 0];
+
+    // Diminished 7th chords (Root, Minor 3rd, Diminished 5th, Diminished 7th)
+    const dim7Pattern = [1, 0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0];
+
+    // Dominant 9th chords (Root, 9th, Major 3rd, Perfect 5th, Minor 7th)
+    const dom9Pattern = [1, 0, 1, 0, 1, 0, 0, 1, 0, 0, 1, 0];
+
+    // Major 9th chords (Root, 9th, Major 3rd, Perfect 5th, Major 7th)
+    const maj9Pattern = [1, 0, 1, 0, 1, 0, 0, 1, 0, 0, 0, 1];
+
+    // Minor 9th chords (Root, 9th, Minor 3rd, Perfect 5th, Minor 7th)
+    const min9Pattern = [1, 0, 1, 1, 0, 0, 0, 1, 0, 0, 1, 0];
+
+    // Dominant 11th chords, voiced without the 3rd (Root, 9th, 11th, Perfect 5th, Minor 7th)
+    const dom11Pattern = [1, 0, 1, 0, 0, 1, 0, 1, 0, 0, 1, 0];
+
+    // Dominant 13th chords, voiced without the 11th (Root, 9th, Major 3rd, Perfect 5th, 13th, Minor 7th)
+    const dom13Pattern = [1, 0, 1, 0, 1, 0, 0, 1, 0, 1, 1, 0];
+
     // Generate all transpositions
     this.noteNames.forEach((note, rootIndex) => {
       templates[note] = this.rotatePattern(majorPattern, rootIndex);
@@ -57,6 +162,16 @@ class AdvancedChordDetectionService {
       templates[note + 'aug'] = this.rotatePattern(augPattern, rootIndex);
       templates[note + 'sus4'] = this.rotatePattern(sus4Pattern, rootIndex);
       templates[note + 'sus2'] = this.rotatePattern(sus2Pattern, rootIndex);
+      templates[note + 'add9'] = this.rotatePattern(add9Pattern, rootIndex);
+      templates[note + '6'] = this.rotatePattern(maj6Pattern, rootIndex);
+      templates[note + 'm6'] = this.rotatePattern(min6Pattern, rootIndex);
+      templates[note + 'm7b5'] = this.rotatePattern(min7b5Pattern, rootIndex);
+      templates[note + 'dim7'] = this.rotatePattern(dim7Pattern, rootIndex);
+      templates[note + '9'] = this.rotatePattern(dom9Pattern, rootIndex);
+      templates[note + 'maj9'] = this.rotatePattern(maj9Pattern, rootIndex);
+      templates[note + 'm9'] = this.rotatePattern(min9Pattern, rootIndex);
+      templates[note + '11'] = this.rotatePattern(dom11Pattern, rootIndex);
+      templates[note + '13'] = this.rotatePattern(dom13Pattern, rootIndex);
     });
 
     return templates;
@@ -78,35 +193,31 @@ class AdvancedChordDetectionService {
    * @param {Float32Array} audioData - Normalized audio samples
    * @param {number} sampleRate - Audio sample rate
    * @param {number} hopLength - Number of samples between frames
+   * @param {Object} options - Optional settings
+   * @param {Object} options.key - Song key ({ key, scale }) used to weight chord transitions
    * @returns {Array} Detected chords with timestamps
    */
-  async detectChords(audioData, sampleRate = 44100, hopLength = 2048) {
+  async detectChords(audioData, sampleRate = 44100, hopLength = 2048, options = {}) {
     try {
       logger.info('Starting advanced chord detection');
 
       // Calculate chromagram
-      const chromagram = this.calculateChromagram(audioData, sampleRate, hopLength);
-
-      // Segment chromagram into chord regions
-      const segments = this.segmentChromagram(chromagram, hopLength, sampleRate);
-
-      // Identify chords for each segment
-      const chords = segments.map(segment => {
-        const chord = this.identifyChord(segment.chromaVector);
-        return {
-          chord: chord.name,
-          start_time: segment.startTime,
-          end_time: segment.endTime,
-          duration: segment.endTime - segment.startTime,
-          confidence: chord.confidence
-        };
-      });
+      const { chromagram, bassChromagram } = this.calculateChromaFeatures(audioData, sampleRate, hopLength);
+
+      // Most likely chord for every frame, smoothed by the HMM
+      const path = this.decodeChordSequence(chromagram, options.key);
 
-      // Filter out low-confidence detections
-      const filteredChords = chords.filter(c => c.confidence > 0.4);
+      // Collapse runs of the same chord into segments, leaving out no-chord regions,
+      // and split each chord into root, quality and bass note
+      const chords = this.segmentChordPath(path, hopLength, sampleRate)
+        .filter(segment => segment.chord !== this.noChord)
+        .map(({ start_frame, end_frame, ...segment }) => ({
+          ...segment,
+          ...this.describeChord(segment.chord, this.averageChroma(bassChromagram.slice(start_frame, end_frame)))
+        }));
 
       // Merge consecutive identical chords
-      const mergedChords = this.mergeConsecutiveChords(filteredChords);
+      const mergedChords = this.mergeConsecutiveChords(chords);
 
       logger.info(`Detected ${mergedChords.length} chords`);
       return mergedChords;
@@ -120,48 +231,142 @@ class AdvancedChordDetectionService {
    * Calculate chromagram (pitch class distribution over time)
    */
   calculateChromagram(audioData, sampleRate, hopLength) {
+    return this.calculateChromaFeatures(audioData, sampleRate, hopLength).chromagram;
+  }
+
+  /**
+   * Calculate the chromagram together with a low-frequency (bass) chromagram from the same FFTs
+   */
+  calculateChromaFeatures(audioData, sampleRate, hopLength) {
     const chromagram = [];
-    const frameSize = 4096;
+    const bassChromagram = [];
+    const frameSize = this.frameSize;
     const numFrames = Math.floor((audioData.length - frameSize) / hopLength);
 
     for (let i = 0; i < numFrames; i++) {
       const frameStart = i * hopLength;
-      const frame = audioData.slice(frameStart, frameStart + frameSize);
+      const frame = audioData.subarray
+        ? audioData.subarray(frameStart, frameStart + frameSize)
+        : audioData.slice(frameStart, frameStart + frameSize);
 
-      // Apply Hamming window
-      const windowedFrame = this.applyHammingWindow(frame);
+      const features = this.computeChromaFeatures(frame, sampleRate);
+      chromagram.push(features.chroma);
+      bassChromagram.push(features.bass);
+    }
 
-      // Compute FFT
-      const spectrum = this.computeFFT(windowedFrame);
+    return { chromagram, bassChromagram };
+  }
 
-      // Map frequencies to pitch classes (C, C#, D, ..., B)
-      const chromaVector = this.mapToChroma(spectrum, sampleRate, frameSize);
+  /**
+   * Create an incremental chromagram calculator.
+   * Audio can be pushed in blocks of any size; a chroma vector is emitted for every
+   * complete frame, so only one frame of look-behind is kept in memory.
+   * @param {number} sampleRate - Audio sample rate
+   * @param {number} hopLength - Number of samples between frames
+   * @returns {{push: Function, frameCount: Function}} push(samples) returns the new chroma frames
+   */
+  createChromagramStream(sampleRate, hopLength) {
+    const frameSize = this.frameSize;
+    // Samples carried over between pushes never exceed one frame plus one block
+    let pending = new Float32Array(0);
+    let frameCount = 0;
+
+    const push = (samples) => {
+      const buffer = new Float32Array(pending.length + samples.length);
+      buffer.set(pending, 0);
+      buffer.set(samples, pending.length);
+
+      const frames = [];
+      let offset = 0;
+      while (offset + frameSize <= buffer.length) {
+        frames.push(this.computeChromaFrame(buffer.subarray(offset, offset + frameSize), sampleRate));
+        offset += hopLength;
+      }
 
-      chromagram.push(chromaVector);
-    }
+      frameCount += frames.length;
+      pending = buffer.slice(Math.min(offset, buffer.length));
+      return frames;
+    };
+
+    return {
+      push,
+      frameCount: () => frameCount
+    };
+  }
+
+  /**
+   * Chroma vector for a single analysis frame
+   */
+  computeChromaFrame(frame, sampleRate) {
+    return this.computeChromaFeatures(frame, sampleRate).chroma;
+  }
 
-    return chromagram;
+  /**
+   * Chroma and bass chroma vectors for a single analysis frame
+   */
+  computeChromaFeatures(frame, sampleRate) {
+    // Apply Hamming window
+    const windowedFrame = this.applyHammingWindow(frame);
+
+    // Compute FFT
+    const spectrum = this.computeFFT(windowedFrame);
+
+    // Map frequencies to pitch classes (C, C#, D, ..., B)
+    return {
+      chroma: this.mapToChroma(spectrum, sampleRate, frame.length),
+      bass: this.mapBassToChroma(spectrum, sampleRate, frame.length)
+    };
   }
 
   /**
    * Apply Hamming window to reduce spectral leakage
    */
   applyHammingWindow(frame) {
+    const window = this.getHammingWindow(frame.length);
     const windowed = new Float32Array(frame.length);
     for (let i = 0; i < frame.length; i++) {
-      const window = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (frame.length - 1));
-      windowed[i] = frame[i] * window;
+      windowed[i] = frame[i] * window[i];
     }
     return windowed;
   }
 
+  getHammingWindow(size) {
+    if (!this.hammingWindows.has(size)) {
+      const window = new Float64Array(size);
+      for (let i = 0; i < size; i++) {
+        window[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (size - 1));
+      }
+      this.hammingWindows.set(size, window);
+    }
+    return this.hammingWindows.get(size);
+  }
+
   /**
-   * Compute Fast Fourier Transform (simplified implementation)
-   * For production, use a library like fft.js or kiss-fft
+   * Compute magnitude spectrum (bins 0 .. N/2 - 1) with an iterative radix-2 FFT.
+   * Frames whose length is not a power of two fall back to the direct DFT.
    */
   computeFFT(frame) {
-    // Simplified DFT for demonstration
-    // In production, use an optimized FFT library
+    const N = frame.length;
+    if (!fft.isPowerOfTwo(N)) {
+      return this.computeDFT(frame);
+    }
+
+    const real = Float64Array.from(frame);
+    const imag = new Float64Array(N);
+    fft.transform(real, imag);
+
+    const spectrum = new Float64Array(N / 2);
+    for (let k = 0; k < N / 2; k++) {
+      spectrum[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+    }
+
+    return spectrum;
+  }
+
+  /**
+   * Direct O(N²) DFT magnitude spectrum; reference implementation for computeFFT
+   */
+  computeDFT(frame) {
     const N = frame.length;
     const spectrum = [];
 
@@ -187,26 +392,59 @@ class AdvancedChordDetectionService {
    */
   mapToChroma(spectrum, sampleRate, frameSize) {
     const chromaVector = new Array(12).fill(0);
-    const freqPerBin = sampleRate / frameSize;
+    const pitchClasses = this.getPitchClassMap(spectrum.length, sampleRate, frameSize);
 
     for (let bin = 1; bin < spectrum.length; bin++) {
-      const freq = bin * freqPerBin;
+      const pitchClass = pitchClasses[bin];
+      if (pitchClass >= 0) {
+        chromaVector[pitchClass] += spectrum[bin];
+      }
+    }
+
+    // Normalize
+    const sum = chromaVector.reduce((a, b) => a + b, 0);
+    if (sum > 0) {
+      for (let i = 0; i < 12; i++) {
+        chromaVector[i] /= sum;
+      }
+    }
 
-      // Skip very low and very high frequencies
-      if (freq < 80 || freq > 1000) continue;
+    return chromaVector;
+  }
 
-      // Convert frequency to MIDI note
-      const midiNote = 12 * Math.log2(freq / 440) + 69;
+  /**
+   * Map low-frequency spectral peaks to pitch classes.
+   * Bass notes are closer together than the FFT bin spacing, so each peak's frequency is
+   * refined by parabolic interpolation before it is assigned a pitch class. Peaks well below
+   * the loudest partial (window leakage, noise) are ignored, so frames without a bass line
+   * come back all zero.
+   */
+  mapBassToChroma(spectrum, sampleRate, frameSize) {
+    const chromaVector = new Array(12).fill(0);
+    const freqPerBin = sampleRate / frameSize;
+    let peakMagnitude = 0;
+    for (let bin = 1; bin < spectrum.length; bin++) {
+      if (spectrum[bin] > peakMagnitude) peakMagnitude = spectrum[bin];
+    }
+    const minMagnitude = peakMagnitude * this.minBassPeakRatio;
+    const firstBin = Math.max(1, Math.floor(this.bassRange.min / freqPerBin));
+    const lastBin = Math.min(spectrum.length - 2, Math.ceil(this.bassRange.max / freqPerBin));
 
-      // Map to pitch class (0-11)
-      const pitchClass = Math.round(midiNote) % 12;
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      const magnitude = spectrum[bin];
+      if (magnitude < minMagnitude || magnitude <= spectrum[bin - 1] || magnitude < spectrum[bin + 1]) continue;
 
-      if (pitchClass >= 0 && pitchClass < 12) {
-        chromaVector[pitchClass] += spectrum[bin];
-      }
+      const left = spectrum[bin - 1];
+      const right = spectrum[bin + 1];
+      const curvature = left - 2 * magnitude + right;
+      const offset = curvature !== 0 ? 0.5 * (left - right) / curvature : 0;
+      const freq = (bin + offset) * freqPerBin;
+      if (freq < this.bassRange.min || freq > this.bassRange.max) continue;
+
+      const midiNote = 12 * Math.log2(freq / 440) + 69;
+      chromaVector[((Math.round(midiNote) % 12) + 12) % 12] += magnitude;
     }
 
-    // Normalize
     const sum = chromaVector.reduce((a, b) => a + b, 0);
     if (sum > 0) {
       for (let i = 0; i < 12; i++) {
@@ -218,60 +456,198 @@ class AdvancedChordDetectionService {
   }
 
   /**
-   * Segment chromagram into regions of similar harmonic content
+   * Pitch class of every spectrum bin (-1 for bins outside the analysed range), cached per layout
    */
-  segmentChromagram(chromagram, hopLength, sampleRate) {
-    const segments = [];
-    const minSegmentLength = 4; // Minimum 4 frames per segment
+  getPitchClassMap(numBins, sampleRate, frameSize) {
+    const cacheKey = `${numBins}:${sampleRate}:${frameSize}`;
+    if (!this.pitchClassMaps.has(cacheKey)) {
+      const freqPerBin = sampleRate / frameSize;
+      const pitchClasses = new Int8Array(numBins).fill(-1);
 
-    let currentSegment = {
-      chromaVector: new Array(12).fill(0),
-      startFrame: 0,
-      frameCount: 0
-    };
+      for (let bin = 1; bin < numBins; bin++) {
+        const freq = bin * freqPerBin;
+
+        // Skip very low and very high frequencies
+        if (freq < 80 || freq > 1000) continue;
+
+        // Convert frequency to MIDI note and map to pitch class (0-11)
+        const midiNote = 12 * Math.log2(freq / 440) + 69;
+        pitchClasses[bin] = Math.round(midiNote) % 12;
+      }
 
-    for (let i = 0; i < chromagram.length; i++) {
-      const chroma = chromagram[i];
-
-      // Check if chroma is significantly different from current segment
-      if (currentSegment.frameCount > 0) {
-        const avgChroma = currentSegment.chromaVector.map(v => v / currentSegment.frameCount);
-        const similarity = this.cosineSimilarity(avgChroma, chroma);
-
-        // If similarity is low and we have enough frames, start a new segment
-        if (similarity < 0.7 && currentSegment.frameCount >= minSegmentLength) {
-          // Save current segment
-          const avgChroma = currentSegment.chromaVector.map(v => v / currentSegment.frameCount);
-          segments.push({
-            chromaVector: avgChroma,
-            startTime: currentSegment.startFrame * hopLength / sampleRate,
-            endTime: i * hopLength / sampleRate
-          });
-
-          // Start new segment
-          currentSegment = {
-            chromaVector: new Array(12).fill(0),
-            startFrame: i,
-            frameCount: 0
-          };
+      this.pitchClassMaps.set(cacheKey, pitchClasses);
+    }
+    return this.pitchClassMaps.get(cacheKey);
+  }
+
+  /**
+   * Viterbi decoding of the chord sequence.
+   * Emissions come from template similarity; transitions favour staying on the current
+   * chord and, when the key is known, moving to chords whose tones sit in the key.
+   * @returns {Array} One { chord, similarity } entry per chromagram frame
+   */
+  decodeChordSequence(chromagram, key = null) {
+    const numFrames = chromagram.length;
+    if (numFrames === 0) return [];
+
+    const states = this.getChordStates();
+    const numStates = states.length;
+    const logTransitions = this.getTransitionMatrix(key);
+    const backpointers = new Array(numFrames);
+    const similarities = new Array(numFrames);
+
+    similarities[0] = this.getStateSimilarities(chromagram[0]);
+    let scores = new Float64Array(numStates);
+    for (let s = 0; s < numStates; s++) {
+      scores[s] = -Math.log(numStates) + this.emissionSharpness * similarities[0][s];
+    }
+
+    for (let t = 1; t < numFrames; t++) {
+      similarities[t] = this.getStateSimilarities(chromagram[t]);
+      const nextScores = new Float64Array(numStates);
+      const pointers = new Int16Array(numStates);
+
+      for (let s = 0; s < numStates; s++) {
+        let best = -Infinity;
+        let bestPrevious = 0;
+        for (let p = 0; p < numStates; p++) {
+          const score = scores[p] + logTransitions[p * numStates + s];
+          if (score > best) {
+            best = score;
+            bestPrevious = p;
+          }
         }
+        nextScores[s] = best + this.emissionSharpness * similarities[t][s];
+        pointers[s] = bestPrevious;
       }
 
-      // Add current frame to segment
-      for (let j = 0; j < 12; j++) {
-        currentSegment.chromaVector[j] += chroma[j];
+      scores = nextScores;
+      backpointers[t] = pointers;
+    }
+
+    // Backtrack from the best final state
+    let state = 0;
+    for (let s = 1; s < numStates; s++) {
+      if (scores[s] > scores[state]) state = s;
+    }
+
+    const path = new Array(numFrames);
+    for (let t = numFrames - 1; t >= 0; t--) {
+      path[t] = { chord: states[state], similarity: similarities[t][state] };
+      if (t > 0) state = backpointers[t][state];
+    }
+
+    return path;
+  }
+
+  /**
+   * Chord names in HMM state order, with the no-chord state last
+   */
+  getChordStates() {
+    if (!this.chordStates) {
+      this.chordStates = Object.keys(this.chordTemplates).concat(this.noChord);
+    }
+    return this.chordStates;
+  }
+
+  /**
+   * Cosine similarity of a chroma frame to every state's template.
+   * The no-chord state matches flat (noisy) chroma and silence.
+   */
+  getStateSimilarities(chromaVector) {
+    const states = this.getChordStates();
+    const similarities = new Float64Array(states.length);
+    const energy = chromaVector.reduce((a, b) => a + b, 0);
+
+    for (let s = 0; s < states.length - 1; s++) {
+      similarities[s] = this.templateSimilarity(chromaVector, states[s]);
+    }
+    similarities[states.length - 1] = energy > 0
+      ? this.cosineSimilarity(chromaVector, this.noChordTemplate)
+      : 1;
+
+    return similarities;
+  }
+
+  /**
+   * Log transition probabilities (row = from, column = to), cached per key
+   */
+  getTransitionMatrix(key) {
+    const cacheKey = key && key.key ? `${key.key} ${key.scale}` : 'none';
+    if (this.transitionMatrices.has(cacheKey)) {
+      return this.transitionMatrices.get(cacheKey);
+    }
+
+    const states = this.getChordStates();
+    const numStates = states.length;
+    const scale = this.getScalePitchClasses(key);
+    const weights = states.map(chord => this.getKeyWeight(chord, scale));
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+
+    const matrix = new Float64Array(numStates * numStates);
+    for (let p = 0; p < numStates; p++) {
+      const otherWeight = totalWeight - weights[p];
+      for (let s = 0; s < numStates; s++) {
+        matrix[p * numStates + s] = p === s
+          ? Math.log(this.selfTransition)
+          : Math.log((1 - this.selfTransition) * weights[s] / otherWeight);
       }
-      currentSegment.frameCount++;
     }
 
-    // Add final segment
-    if (currentSegment.frameCount > 0) {
-      const avgChroma = currentSegment.chromaVector.map(v => v / currentSegment.frameCount);
+    this.transitionMatrices.set(cacheKey, matrix);
+    return matrix;
+  }
+
+  /**
+   * Pitch classes of the key's scale (natural plus harmonic minor for minor keys), or null
+   */
+  getScalePitchClasses(key) {
+    if (!key || !key.key) return null;
+
+    const tonic = this.noteNames.indexOf(key.key);
+    if (tonic === -1) return null;
+
+    const intervals = key.scale === 'Minor'
+      ? [0, 2, 3, 5, 7, 8, 10, 11]
+      : [0, 2, 4, 5, 7, 9, 11];
+    return new Set(intervals.map(interval => (tonic + interval) % 12));
+  }
+
+  /**
+   * Relative likelihood of moving to a chord: full weight when all its tones are in the key
+   */
+  getKeyWeight(chordName, scale) {
+    if (chordName === this.noChord) return this.noChordWeight;
+    if (!scale) return 1;
+
+    const template = this.chordTemplates[chordName];
+    const inKey = template.every((value, pc) => value === 0 || scale.has(pc));
+    return inKey ? 1 : this.outOfKeyWeight;
+  }
+
+  /**
+   * Turn a decoded frame path into chord segments
+   */
+  segmentChordPath(path, hopLength, sampleRate) {
+    const segments = [];
+    let start = 0;
+
+    for (let t = 1; t <= path.length; t++) {
+      if (t < path.length && path[t].chord === path[start].chord) continue;
+
+      const frames = path.slice(start, t);
+      const startTime = start * hopLength / sampleRate;
+      const endTime = t * hopLength / sampleRate;
       segments.push({
-        chromaVector: avgChroma,
-        startTime: currentSegment.startFrame * hopLength / sampleRate,
-        endTime: chromagram.length * hopLength / sampleRate
+        chord: path[start].chord,
+        start_frame: start,
+        end_frame: t,
+        start_time: startTime,
+        end_time: endTime,
+        duration: endTime - startTime,
+        confidence: frames.reduce((sum, frame) => sum + frame.similarity, 0) / frames.length
       });
+      start = t;
     }
 
     return segments;
@@ -295,6 +671,14 @@ class AdvancedChordDetectionService {
     return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
   }
 
+  /**
+   * Cosine similarity to a chord template, scaled by the weight of the chord's quality
+   */
+  templateSimilarity(chromaVector, chordName) {
+    const { suffix } = this.parseChordName(chordName);
+    return this.cosineSimilarity(chromaVector, this.chordTemplates[chordName]) * this.chordQualities[suffix].weight;
+  }
+
   /**
    * Identify chord from chroma vector
    */
@@ -302,8 +686,8 @@ class AdvancedChordDetectionService {
     let bestMatch = { name: 'N', confidence: 0 };
 
     // Compare with all chord templates
-    for (const [chordName, template] of Object.entries(this.chordTemplates)) {
-      const similarity = this.cosineSimilarity(chromaVector, template);
+    for (const chordName of Object.keys(this.chordTemplates)) {
+      const similarity = this.templateSimilarity(chromaVector, chordName);
 
       if (similarity > bestMatch.confidence) {
         bestMatch = {
@@ -316,6 +700,95 @@ class AdvancedChordDetectionService {
     return bestMatch;
   }
 
+  /**
+   * Element-wise mean of chroma vectors
+   */
+  averageChroma(frames) {
+    const average = new Array(12).fill(0);
+    if (frames.length === 0) return average;
+
+    for (const frame of frames) {
+      for (let i = 0; i < 12; i++) {
+        average[i] += frame[i] / frames.length;
+      }
+    }
+    return average;
+  }
+
+  /**
+   * Split a chord name into root, suffix and optional slash bass, normalising flats to sharps
+   * @returns {Object|null} { root, suffix, bass } or null if the name cannot be parsed
+   */
+  parseChordName(chordName) {
+    const match = typeof chordName === 'string'
+      ? chordName.match(/^([A-G][#b]?)([^/]*)(?:\/([A-G][#b]?))?$/)
+      : null;
+    if (!match) return null;
+
+    const normalise = (note) => this.flatToSharp[note] || note;
+    return {
+      root: normalise(match[1]),
+      suffix: match[2],
+      bass: match[3] ? normalise(match[3]) : null
+    };
+  }
+
+  /**
+   * Describe a detected chord: root, quality, bass note and inversion, adding a slash
+   * bass to the name when the bass chroma shows a note other than the root
+   */
+  describeChord(chordName, bassProfile) {
+    const { root, suffix } = this.parseChordName(chordName);
+    const rootIndex = this.noteNames.indexOf(root);
+    const chordTones = this.chordTemplates[chordName]
+      .map((value, pc) => (value > 0 ? (pc - rootIndex + 12) % 12 : null))
+      .filter(interval => interval !== null)
+      .sort((a, b) => a - b);
+
+    const description = {
+      chord: chordName,
+      root,
+      quality: this.chordQualities[suffix].quality,
+      bass: root,
+      inversion: 0
+    };
+
+    const bassIndex = this.detectBassNote(bassProfile, chordTones.map(interval => (rootIndex + interval) % 12));
+    if (bassIndex === null || bassIndex === rootIndex) {
+      return description;
+    }
+
+    const bassInterval = (bassIndex - rootIndex + 12) % 12;
+    const toneIndex = chordTones.indexOf(bassInterval);
+
+    return {
+      ...description,
+      chord: `${chordName}/${this.noteNames[bassIndex]}`,
+      bass: this.noteNames[bassIndex],
+      // Position of the bass among the chord tones; null when the bass is not a chord tone
+      inversion: toneIndex === -1 ? null : toneIndex
+    };
+  }
+
+  /**
+   * Strongest pitch class in the bass chroma, or null when no bass note stands out.
+   * Frames are normalised to sum to one (or zero without a bass line), so the profile's
+   * total is the share of frames with a bass line.
+   */
+  detectBassNote(bassProfile, chordPitchClasses) {
+    const total = bassProfile.reduce((a, b) => a + b, 0);
+    if (total < this.minBassPresence) return null;
+
+    let bassIndex = 0;
+    for (let pc = 1; pc < 12; pc++) {
+      if (bassProfile[pc] > bassProfile[bassIndex]) bassIndex = pc;
+    }
+
+    const share = bassProfile[bassIndex] / total;
+    const threshold = chordPitchClasses.includes(bassIndex) ? this.minBassShare : this.minNonChordToneBassShare;
+    return share >= threshold ? bassIndex : null;
+  }
+
   /**
    * Merge consecutive identical chords
    */
@@ -346,7 +819,10 @@ class AdvancedChordDetectionService {
   }
 
   /**
-   * Get chord fingering positions for guitar
+   * Get chord fingering positions for guitar.
+   * Frets run from the low E string to the high E string; null is a muted string.
+   * Chords without an open voicing get a movable barre shape, and slash chords
+   * move the bass note onto the lowest sounding string.
    */
   getChordFingering(chordName) {
     const fingerings = {
@@ -370,9 +846,145 @@ class AdvancedChordDetectionService {
       'Gm': { frets: [3, 5, 5, 3, 3, 3], fingers: [1, 3, 4, 1, 1, 1], difficulty: 3 },
       'Am': { frets: [null, 0, 2, 2, 1, 0], fingers: [0, 0, 2, 3, 1, 0], difficulty: 1 },
       'Bm': { frets: [null, 2, 4, 4, 3, 2], fingers: [0, 1, 3, 4, 2, 1], difficulty: 3 },
+
+      'C7': { frets: [null, 3, 2, 3, 1, 0], fingers: [0, 3, 2, 4, 1, 0], difficulty: 2 },
+      'D7': { frets: [null, null, 0, 2, 1, 2], fingers: [0, 0, 0, 2, 1, 3], difficulty: 1 },
+      'E7': { frets: [0, 2, 0, 1, 0, 0], fingers: [0, 2, 0, 1, 0, 0], difficulty: 1 },
+      'G7': { frets: [3, 2, 0, 0, 0, 1], fingers: [3, 2, 0, 0, 0, 1], difficulty: 1 },
+      'A7': { frets: [null, 0, 2, 0, 2, 0], fingers: [0, 0, 2, 0, 3, 0], difficulty: 1 },
+      'B7': { frets: [null, 2, 1, 2, 0, 2], fingers: [0, 2, 1, 3, 0, 4], difficulty: 2 },
+      'Cmaj7': { frets: [null, 3, 2, 0, 0, 0], fingers: [0, 3, 2, 0, 0, 0], difficulty: 1 },
+      'Fmaj7': { frets: [null, null, 3, 2, 1, 0], fingers: [0, 0, 3, 2, 1, 0], difficulty: 1 },
+      'Amaj7': { frets: [null, 0, 2, 1, 2, 0], fingers: [0, 0, 2, 1, 3, 0], difficulty: 1 },
+      'Dm7': { frets: [null, null, 0, 2, 1, 1], fingers: [0, 0, 0, 2, 1, 1], difficulty: 1 },
+      'Em7': { frets: [0, 2, 0, 0, 0, 0], fingers: [0, 2, 0, 0, 0, 0], difficulty: 1 },
+      'Am7': { frets: [null, 0, 2, 0, 1, 0], fingers: [0, 0, 2, 0, 1, 0], difficulty: 1 },
+      'Bm7b5': { frets: [null, 2, 3, 2, 3, null], fingers: [0, 1, 3, 2, 4, 0], difficulty: 3 },
+      'Dsus2': { frets: [null, null, 0, 2, 3, 0], fingers: [0, 0, 0, 1, 3, 0], difficulty: 1 },
+      'Dsus4': { frets: [null, null, 0, 2, 3, 3], fingers: [0, 0, 0, 1, 3, 4], difficulty: 1 },
+      'Asus2': { frets: [null, 0, 2, 2, 0, 0], fingers: [0, 0, 1, 2, 0, 0], difficulty: 1 },
+      'Asus4': { frets: [null, 0, 2, 2, 3, 0], fingers: [0, 0, 1, 2, 3, 0], difficulty: 1 },
+      'Esus4': { frets: [0, 2, 2, 2, 0, 0], fingers: [0, 2, 3, 4, 0, 0], difficulty: 1 },
+      'Cadd9': { frets: [null, 3, 2, 0, 3, 0], fingers: [0, 2, 1, 0, 3, 0], difficulty: 1 },
+      'C6': { frets: [null, 3, 2, 2, 1, 0], fingers: [0, 4, 2, 3, 1, 0], difficulty: 2 },
+      'G6': { frets: [3, 2, 0, 0, 0, 0], fingers: [2, 1, 0, 0, 0, 0], difficulty: 1 },
+      'E9': { frets: [0, 2, 0, 1, 0, 2], fingers: [0, 2, 0, 1, 0, 3], difficulty: 2 },
+      'A13': { frets: [null, 0, 2, 0, 2, 2], fingers: [0, 0, 1, 0, 2, 3], difficulty: 2 },
+    };
+
+    if (fingerings[chordName]) {
+      return fingerings[chordName];
+    }
+
+    const parsed = this.parseChordName(chordName);
+    if (!parsed || !this.chordQualities[parsed.suffix]) {
+      return { frets: [], fingers: [], difficulty: 5 };
+    }
+
+    const rootIndex = this.noteNames.indexOf(parsed.root);
+    const voicing = fingerings[parsed.root + parsed.suffix] || this.buildMovableVoicing(rootIndex, parsed.suffix);
+    if (!voicing) {
+      return { frets: [], fingers: [], difficulty: 5 };
+    }
+
+    if (parsed.bass && parsed.bass !== parsed.root) {
+      return this.addBassNote(voicing, this.noteNames.indexOf(parsed.bass)) || voicing;
+    }
+
+    return voicing;
+  }
+
+  /**
+   * Lowest-position movable voicing for a chord quality
+   */
+  buildMovableVoicing(rootIndex, suffix) {
+    const shapes = this.movableShapes[suffix];
+    if (!shapes) return null;
+
+    const candidates = Object.entries(shapes).map(([rootString, offsets]) => {
+      const openString = rootString === 'E' ? this.openStrings[0] : this.openStrings[1];
+      const lowestOffset = Math.min(...offsets.filter(offset => offset !== null));
+      let rootFret = (rootIndex - openString + 12) % 12;
+      if (rootFret + lowestOffset < 0) rootFret += 12;
+
+      return {
+        rootFret,
+        frets: offsets.map(offset => (offset === null ? null : rootFret + offset))
+      };
+    });
+
+    const highestFret = (frets) => Math.max(...frets.filter(fret => fret !== null));
+    const best = candidates.sort((a, b) => highestFret(a.frets) - highestFret(b.frets))[0];
+    const soundingStrings = best.frets.filter(fret => fret !== null).length;
+
+    let difficulty = best.rootFret === 0 ? 2 : 3;
+    if (soundingStrings >= 5 && best.rootFret > 0 && suffix.length > 1) difficulty++;
+    if (best.rootFret >= 8) difficulty++;
+
+    return {
+      frets: best.frets,
+      fingers: this.assignFingers(best.frets),
+      difficulty: Math.min(5, difficulty)
     };
+  }
+
+  /**
+   * Move a bass note onto the lowest string that can reach it, muting strings below it
+   */
+  addBassNote(voicing, bassIndex) {
+    const frets = voicing.frets;
+    const fretted = frets.filter(fret => fret !== null && fret > 0);
+    const lowestFret = fretted.length ? Math.min(...fretted) : 0;
+    const highestFret = fretted.length ? Math.max(...fretted) : 0;
+
+    // Only the three bass strings carry a slash note
+    for (let string = 0; string < 3; string++) {
+      const bassFret = (bassIndex - this.openStrings[string] + 12) % 12;
+      const span = Math.max(highestFret, bassFret) - Math.min(lowestFret || bassFret, bassFret);
+      if (bassFret !== 0 && span > 3) continue;
+
+      const slashFrets = frets.map((fret, i) => {
+        if (i < string) return null;
+        return i === string ? bassFret : fret;
+      });
+
+      return {
+        frets: slashFrets,
+        fingers: this.assignFingers(slashFrets),
+        difficulty: Math.min(5, voicing.difficulty + 1)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Approximate fingering: a barre with the index finger when more than four strings are
+   * fretted, otherwise fingers in order of fret (then string)
+   */
+  assignFingers(frets) {
+    const fingers = frets.map(() => 0);
+    const fretted = frets
+      .map((fret, string) => ({ fret, string }))
+      .filter(note => note.fret !== null && note.fret > 0)
+      .sort((a, b) => a.fret - b.fret || a.string - b.string);
+    if (fretted.length === 0) return fingers;
+
+    let nextFinger = 1;
+    let remaining = fretted;
+
+    if (fretted.length > 4) {
+      const barreFret = fretted[0].fret;
+      fretted.filter(note => note.fret === barreFret).forEach(note => { fingers[note.string] = 1; });
+      remaining = fretted.filter(note => note.fret !== barreFret);
+      nextFinger = 2;
+    }
+
+    remaining.forEach(note => {
+      fingers[note.string] = Math.min(4, nextFinger++);
+    });
 
-    return fingerings[chordName] || { frets: [], fingers: [], difficulty: 5 };
+    return fingers;
   }
 }
 
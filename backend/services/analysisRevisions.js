@@ -0,0 +1,294 @@
+const fs = require('fs');
+const { query, transaction } = require('../config/database');
+const logger = require('../config/logger');
+const jobQueue = require('./jobQueue');
+const songStemService = require('./songStems');
+
+// Immutable, versioned analysis results per song. A song's analysis columns mirror its current
+// revision; new revisions from a batch re-analysis wait for an admin to compare and promote them.
+class AnalysisRevisionService {
+  constructor() {
+    this.revisionColumns = [
+      'analysis_version', 'duration_seconds', 'original_key', 'tempo_bpm', 'time_signature',
+      'chord_progression', 'beat_grid', 'strumming_patterns', 'sections', 'overall_difficulty',
+      'stems', 'chroma_signature', 'chroma_keys'
+    ];
+    // node-postgres sends JS arrays as Postgres array literals, so JSONB values go as JSON text
+    this.jsonColumns = ['chord_progression', 'beat_grid', 'strumming_patterns', 'sections', 'stems'];
+    this.defaultBatchLimit = 100;
+    // Tempo changes smaller than this are rounding, not a different result
+    this.tempoToleranceBpm = 0.5;
+  }
+
+  // Store a new revision of a song from song data (see songService.songDataFromResults). The
+  // song row is locked so concurrent analyses still get consecutive revision numbers.
+  async createRevision(songId, songData, { jobId = null, batchId = null } = {}) {
+    return transaction(async (client) => {
+      await client.query('SELECT song_id FROM songs WHERE song_id = $1 FOR UPDATE', [songId]);
+
+      const values = this.revisionColumns.map(column => {
+        const value = songData[column] === undefined ? null : songData[column];
+        return value !== null && this.jsonColumns.includes(column) ? JSON.stringify(value) : value;
+      });
+      const placeholders = this.revisionColumns.map((_, i) => `$${i + 4}`).join(', ');
+
+      const result = await client.query(
+        `INSERT INTO song_analysis_revisions (
+          song_id, job_id, batch_id, revision_number, ${this.revisionColumns.join(', ')}
+        )
+        SELECT $1, $2, $3, COALESCE(MAX(revision_number), 0) + 1, ${placeholders}
+        FROM song_analysis_revisions WHERE song_id = $1
+        RETURNING *`,
+        [songId, jobId, batchId, ...values]
+      );
+
+      const revision = result.rows[0];
+      logger.info(`Analysis revision ${revision.revision_number} stored for song ${songId}`, {
+        analysisVersion: revision.analysis_version,
+        batchId
+      });
+      return revision;
+    });
+  }
+
+  // Make a revision the song's current analysis; returns the updated song, or null when the
+  // revision does not belong to the song
+  async promote(songId, revisionId) {
+    const assignments = this.revisionColumns.map(column => `${column} = r.${column}`).join(', ');
+    const result = await query(
+      `UPDATE songs s
+       SET ${assignments}, current_revision_id = r.revision_id, processing_status = 'completed', processed_at = NOW()
+       FROM song_analysis_revisions r
+       WHERE r.revision_id = $2 AND r.song_id = $1 AND s.song_id = r.song_id
+       RETURNING s.*`,
+      [songId, revisionId]
+    );
+
+    const song = result.rows[0] || null;
+    if (song) logger.info(`Analysis revision ${revisionId} promoted for song ${songId}`);
+    return song;
+  }
+
+  // Revisions of a song, newest first, without the bulky timelines
+  async listRevisions(songId) {
+    const result = await query(
+      `SELECT r.revision_id, r.revision_number, r.analysis_version, r.original_key, r.tempo_bpm,
+              r.time_signature, r.job_id, r.batch_id, r.created_at,
+              jsonb_array_length(COALESCE(r.chord_progression, '[]'::jsonb)) AS chord_count,
+              (s.current_revision_id = r.revision_id) AS is_current
+       FROM song_analysis_revisions r
+       JOIN songs s ON s.song_id = r.song_id
+       WHERE r.song_id = $1
+       ORDER BY r.revision_number DESC`,
+      [songId]
+    );
+    return result.rows;
+  }
+
+  // A revision by id, or the song's 'current' or 'latest' revision
+  async getRevision(songId, revision) {
+    let sql = 'SELECT r.* FROM song_analysis_revisions r WHERE r.song_id = $1 AND r.revision_id = $2';
+    let params = [songId, revision];
+
+    if (revision === 'current') {
+      sql = `SELECT r.* FROM song_analysis_revisions r
+             JOIN songs s ON s.current_revision_id = r.revision_id
+             WHERE s.song_id = $1`;
+      params = [songId];
+    } else if (revision === 'latest') {
+      sql = `SELECT r.* FROM song_analysis_revisions r WHERE r.song_id = $1
+             ORDER BY r.revision_number DESC LIMIT 1`;
+      params = [songId];
+    }
+
+    const result = await query(sql, params);
+    return result.rows[0] || null;
+  }
+
+  // Key, tempo and chord differences between two revisions
+  diffRevisions(from, to) {
+    const fromTempo = parseFloat(from.tempo_bpm) || 0;
+    const toTempo = parseFloat(to.tempo_bpm) || 0;
+
+    return {
+      from: this.describeRevision(from),
+      to: this.describeRevision(to),
+      key: {
+        from: from.original_key,
+        to: to.original_key,
+        changed: from.original_key !== to.original_key
+      },
+      tempo: {
+        from: fromTempo,
+        to: toTempo,
+        delta_bpm: Math.round((toTempo - fromTempo) * 100) / 100,
+        changed: Math.abs(toTempo - fromTempo) > this.tempoToleranceBpm
+      },
+      time_signature: {
+        from: from.time_signature,
+        to: to.time_signature,
+        changed: from.time_signature !== to.time_signature
+      },
+      chords: this.diffChordTimelines(from.chord_progression || [], to.chord_progression || [])
+    };
+  }
+
+  describeRevision(revision) {
+    return {
+      revision_id: revision.revision_id,
+      revision_number: revision.revision_number,
+      analysis_version: revision.analysis_version,
+      created_at: revision.created_at
+    };
+  }
+
+  // Cut both timelines at every chord boundary of either one and compare the chord in each
+  // piece; adjacent pieces with the same change are joined
+  diffChordTimelines(fromChords, toChords) {
+    const boundaries = [...new Set(
+      [...fromChords, ...toChords].flatMap(chord => [chord.start_time, chord.start_time + chord.duration])
+    )].sort((a, b) => a - b);
+
+    const changes = [];
+    let total = 0;
+    let matching = 0;
+
+    for (let i = 1; i < boundaries.length; i++) {
+      const start = boundaries[i - 1];
+      const end = boundaries[i];
+      const middle = (start + end) / 2;
+      const fromChord = this.chordAt(fromChords, middle);
+      const toChord = this.chordAt(toChords, middle);
+      if (fromChord === null && toChord === null) continue;
+
+      total += end - start;
+      if (fromChord === toChord) {
+        matching += end - start;
+        continue;
+      }
+
+      const previous = changes[changes.length - 1];
+      if (previous && previous.end_time === start && previous.from === fromChord && previous.to === toChord) {
+        previous.end_time = end;
+      } else {
+        changes.push({ start_time: start, end_time: end, from: fromChord, to: toChord });
+      }
+    }
+
+    return {
+      from_count: fromChords.length,
+      to_count: toChords.length,
+      agreement: total > 0 ? Math.round(matching / total * 1000) / 1000 : 1,
+      changed: changes.length > 0,
+      changes: changes.map(change => ({
+        ...change,
+        start_time: Math.round(change.start_time * 1000) / 1000,
+        end_time: Math.round(change.end_time * 1000) / 1000
+      }))
+    };
+  }
+
+  chordAt(chords, time) {
+    const chord = chords.find(c => time >= c.start_time && time < c.start_time + c.duration);
+    return chord ? chord.chord : null;
+  }
+
+  // Where a stored song's audio can be fetched again: its YouTube video, a kept audio file, the
+  // full mix kept with its stems (uploads themselves are removed once analysed), or the URL
+  // another source provider fetched it from
+  getReanalysisSource(song) {
+    if (song.youtube_id) {
+      return { youtube_url: `https://www.youtube.com/watch?v=${song.youtube_id}` };
+    }
+    if (song.original_audio_url && fs.existsSync(song.original_audio_url)) {
+      return { file_path: song.original_audio_url };
+    }
+    const mixPath = songStemService.resolveTrackPath(song.stems && song.stems.mix);
+    if (mixPath && fs.existsSync(mixPath)) {
+      return { file_path: mixPath };
+    }
+    if (song.source_url) {
+      return { url: song.source_url };
+    }
+    return null;
+  }
+
+  // Queue re-analysis of the given songs, or of songs last analysed by an older analyser
+  async startBatch({ requestedBy, analysisVersion, songIds = null, limit = this.defaultBatchLimit, autoPromote = false }) {
+    const songsResult = songIds && songIds.length > 0
+      ? await query(
+        `SELECT song_id, title, youtube_id, original_audio_url, source_url, stems FROM songs WHERE song_id = ANY($1::uuid[])`,
+        [songIds]
+      )
+      : await query(
+        `SELECT song_id, title, youtube_id, original_audio_url, source_url, stems FROM songs
+         WHERE processing_status = 'completed' AND COALESCE(analysis_version, 0) < $1
+         ORDER BY popularity_score DESC NULLS LAST, created_at
+         LIMIT $2`,
+        [analysisVersion, limit]
+      );
+
+    const queued = [];
+    const skipped = [];
+    songsResult.rows.forEach(song => {
+      const source = this.getReanalysisSource(song);
+      if (source) {
+        queued.push({ song, source });
+      } else {
+        skipped.push({ song_id: song.song_id, reason: 'no_audio_source' });
+      }
+    });
+
+    const batchResult = await query(
+      `INSERT INTO analysis_batches (requested_by, analysis_version, auto_promote, total_songs, skipped_songs)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [requestedBy, analysisVersion, autoPromote, queued.length, JSON.stringify(skipped)]
+    );
+    const batch = batchResult.rows[0];
+
+    for (const { song, source } of queued) {
+      await jobQueue.enqueue({
+        userId: requestedBy,
+        sourceType: 'reanalysis',
+        source: { ...source, song_id: song.song_id, original_name: song.title, auto_promote: autoPromote },
+        youtubeId: song.youtube_id,
+        tier: 'batch',
+        batchId: batch.batch_id
+      });
+    }
+
+    logger.info(`Re-analysis batch ${batch.batch_id} queued`, { songs: queued.length, skipped: skipped.length });
+    return batch;
+  }
+
+  // Batch with its jobs counted by status and the revisions it produced so far
+  async getBatch(batchId) {
+    const batchResult = await query('SELECT * FROM analysis_batches WHERE batch_id = $1', [batchId]);
+    const batch = batchResult.rows[0];
+    if (!batch) return null;
+
+    const jobsResult = await query(
+      'SELECT status, COUNT(*) AS count FROM processing_jobs WHERE batch_id = $1 GROUP BY status',
+      [batchId]
+    );
+    const revisionsResult = await query(
+      `SELECT r.song_id, r.revision_id, r.revision_number, r.analysis_version, r.created_at,
+              (s.current_revision_id = r.revision_id) AS is_current
+       FROM song_analysis_revisions r
+       JOIN songs s ON s.song_id = r.song_id
+       WHERE r.batch_id = $1
+       ORDER BY r.created_at`,
+      [batchId]
+    );
+
+    const jobs = { queued: 0, processing: 0, completed: 0, failed: 0, cancelled: 0 };
+    jobsResult.rows.forEach(row => {
+      jobs[row.status] = parseInt(row.count);
+    });
+
+    return { ...batch, jobs, revisions: revisionsResult.rows };
+  }
+}
+
+module.exports = new AnalysisRevisionService();
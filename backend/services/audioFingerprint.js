@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Audio Fingerprint Service
+ * Recognises audio that was already analysed: a SHA-256 of the file catches identical
+ * uploads, and a chroma fingerprint catches the same recording re-encoded or re-tagged
+ */
+class AudioFingerprintService {
+  constructor() {
+    // The fingerprint covers this much audio, starting past the intro when the track is long enough
+    this.sampleSeconds = 30;
+    this.sampleOffsetSeconds = 30;
+    this.bitsPerFrame = 12;
+    // Blocks quieter than this carry no usable chroma
+    this.silenceRms = 0.01;
+    this.minFrames = 8;
+    // Re-encodes of the same audio flip well under this share of bits; unrelated audio about half
+    this.maxBitErrorRate = 0.2;
+    this.durationToleranceSeconds = 2;
+  }
+
+  /**
+   * SHA-256 of a file, streamed so large uploads are never held in memory
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>} Hex digest
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Part of the track the fingerprint is taken from
+   * @param {number} duration - Track duration in seconds
+   * @returns {Object} { start, duration } in seconds
+   */
+  getSampleWindow(duration) {
+    const start = duration >= this.sampleOffsetSeconds + this.sampleSeconds ? this.sampleOffsetSeconds : 0;
+    return { start, duration: this.sampleSeconds };
+  }
+
+  /**
+   * One 12-bit sub-fingerprint per pair of chroma blocks. Each bit is the sign of how the
+   * difference between neighbouring pitch classes changed from the previous block, which
+   * depends on the music rather than on level or EQ.
+   * @param {Array} timeline - Chroma timeline: { chroma[12], rms } per block
+   * @returns {Array|null} Sub-fingerprints, or null when there is too little non-silent audio
+   */
+  fromChromaTimeline(timeline) {
+    const frames = [];
+
+    for (let t = 1; t < (timeline || []).length; t++) {
+      const previous = timeline[t - 1];
+      const current = timeline[t];
+      if (previous.rms < this.silenceRms || current.rms < this.silenceRms) continue;
+
+      let bits = 0;
+      for (let i = 0; i < this.bitsPerFrame; i++) {
+        const next = (i + 1) % this.bitsPerFrame;
+        const change = (current.chroma[i] - current.chroma[next]) - (previous.chroma[i] - previous.chroma[next]);
+        if (change > 0) bits |= 1 << i;
+      }
+      frames.push(bits);
+    }
+
+    return frames.length >= this.minFrames ? frames : null;
+  }
+
+  /**
+   * Share of differing bits over the frames both fingerprints have
+   * @param {Array} a - Fingerprint
+   * @param {Array} b - Fingerprint
+   * @returns {number} Bit error rate, 1 when there is nothing to compare
+   */
+  bitErrorRate(a, b) {
+    const length = Math.min(a.length, b.length);
+    if (length === 0) return 1;
+
+    let errors = 0;
+    for (let i = 0; i < length; i++) {
+      let diff = (a[i] ^ b[i]) & 0xfff;
+      while (diff) {
+        errors += diff & 1;
+        diff >>= 1;
+      }
+    }
+
+    return errors / (length * this.bitsPerFrame);
+  }
+
+  /**
+   * Whether two fingerprints come from the same recording
+   * @param {Array} a - Fingerprint
+   * @param {Array} b - Fingerprint
+   * @returns {boolean}
+   */
+  matches(a, b) {
+    if (!a || !b || Math.min(a.length, b.length) < this.minFrames) return false;
+    return this.bitErrorRate(a, b) <= this.maxBitErrorRate;
+  }
+}
+
+module.exports = new AudioFingerprintService();
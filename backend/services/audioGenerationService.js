@@ -2,6 +2,7 @@ const logger = require('../config/logger');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const audioRenderService = require('./audioRendering');
 
 class AudioGenerationService {
   constructor() {
@@ -351,13 +352,20 @@ class AudioGenerationService {
     };
   }
 
+  // Time-stretch without changing pitch; renders are cached next to the exercise
   async processWithSpeedControl(audioPath, targetSpeed = 1.0) {
-    // This would implement time-stretching without pitch changing
-    // For now, return the original path
-    // In production, you'd use libraries like librosa or rubberband
+    let processedPath = audioPath;
+    const exists = await fs.access(audioPath).then(() => true, () => false);
+
+    if (targetSpeed !== 1.0 && exists) {
+      const { dir, name } = path.parse(audioPath);
+      processedPath = path.join(dir, `${name}_${Math.round(targetSpeed * 100)}.mp3`);
+      await audioRenderService.renderCached(audioPath, processedPath, { speed: targetSpeed, semitones: 0 });
+    }
+
     return {
       originalPath: audioPath,
-      processedPath: audioPath,
+      processedPath,
       speedRatio: targetSpeed,
       duration: targetSpeed === 1.0 ? null : `Duration adjusted to ${100/targetSpeed}%`
     };
@@ -1,167 +1,79 @@
-const ytdl = require('@distube/ytdl-core');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
 const logger = require('../config/logger');
 const { cache } = require('../config/redis');
+const advancedChordDetection = require('./advancedChordDetection');
+const keyDetectionService = require('./keyDetection');
+const beatTrackingService = require('./beatTracking');
+const wavDecoder = require('./wavDecoder');
+const melodyTranscriptionService = require('./melodyTranscription');
+const strummingPatternService = require('./strummingPattern');
+const songStructureService = require('./songStructure');
+const audioFingerprintService = require('./audioFingerprint');
+const songIdentificationService = require('./songIdentification');
+const jobQueue = require('./jobQueue');
+const audioSources = require('./audioSources');
+const stemSeparationService = require('./stemSeparation');
 
 class AudioProcessingService {
   constructor() {
     this.supportedFormats = ['mp3', 'wav', 'ogg', 'm4a', 'flac'];
     this.maxFileSize = (process.env.MAX_FILE_SIZE_MB || 50) * 1024 * 1024; // Convert to bytes
-    this.youtubeApiKey = process.env.YOUTUBE_API_KEY;
+    // Bump whenever the analysis output changes; songs from an older version are analysed
+    // again, songs from this version are reused for the same audio.
+    // 2: chords, key and melody are detected on the separated guitar stem
+    // 3: a chroma signature of the whole track is kept for song identification
+    this.analysisVersion = 3;
+    // Full-track analysis runs over fixed windows so only one window of PCM is in memory at a time
+    this.analysisWindowSeconds = parseInt(process.env.ANALYSIS_WINDOW_SECONDS) || 30;
+    this.minAnalysisWindowSeconds = 5;
+    // Decoded audio is downmixed and resampled to this rate before analysis
+    this.analysisSampleRate = 44100;
+    this.keyHopLength = 4096;
+    this.chromaBlockSize = 44100;
+    this.chordHopLength = 2048;
+    this.minBeatSpacingSeconds = 0.25;
+    this.maxMelodySeamGap = 0.1;
+    this.minOnsetSpacingSeconds = 0.05;
+    // Optional stage: isolate the guitar before detection and keep guitar/backing stems for playback
+    this.stemSeparationEnabled = process.env.STEM_SEPARATION !== 'false';
+    this.stemStorageDir = process.env.STEM_STORAGE_DIR || path.join(process.cwd(), 'storage', 'stems');
+    this.stemBitrate = 192;
   }
 
-  // Extract YouTube video ID from URL
-  extractVideoId(url) {
-    const regex = /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
-    const match = url.match(regex);
-    return match ? match[1] : null;
+  // Error thrown when a job's abort signal fires; cancelled jobs are never retried
+  createCancelError() {
+    const error = new Error('Job cancelled');
+    error.code = 'JOB_CANCELLED';
+    error.retryable = false;
+    return error;
   }
 
-  // Get YouTube video metadata using oEmbed API (no API key required)
-  async getYouTubeMetadata(videoId) {
-    try {
-      // First try oEmbed API (most reliable, no API key needed)
-      try {
-        const oembedUrl = `https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`;
-        const oembedResponse = await axios.get(oembedUrl, { timeout: 10000 });
-        
-        if (oembedResponse.data) {
-          return {
-            videoId,
-            title: oembedResponse.data.title || 'Unknown Title',
-            artist: oembedResponse.data.author_name || 'Unknown Artist',
-            duration: 0, // oEmbed doesn't provide duration, will be extracted from audio
-            thumbnail: oembedResponse.data.thumbnail_url,
-            uploadDate: null,
-            viewCount: 0,
-            description: ''
-          };
-        }
-      } catch (oembedError) {
-        logger.warn('oEmbed API failed, trying YouTube Data API', { videoId, error: oembedError.message });
-      }
-
-      // Try YouTube Data API if available
-      if (this.youtubeApiKey) {
-        try {
-          const response = await axios.get('https://www.googleapis.com/youtube/v3/videos', {
-            params: {
-              part: 'snippet,contentDetails,statistics',
-              id: videoId,
-              key: this.youtubeApiKey
-            },
-            timeout: 10000
-          });
-
-          if (response.data.items && response.data.items.length > 0) {
-            const item = response.data.items[0];
-            return {
-              videoId,
-              title: item.snippet.title,
-              artist: item.snippet.channelTitle,
-              duration: this.parseISO8601Duration(item.contentDetails.duration),
-              thumbnail: item.snippet.thumbnails?.high?.url || item.snippet.thumbnails?.default?.url,
-              uploadDate: item.snippet.publishedAt,
-              viewCount: parseInt(item.statistics.viewCount),
-              description: item.snippet.description
-            };
-          }
-        } catch (apiError) {
-          logger.warn('YouTube API metadata fetch failed', { videoId, error: apiError.message });
-        }
-      }
-
-      // Fallback to @distube/ytdl-core
-      try {
-        const info = await ytdl.getInfo(videoId);
-        return {
-          videoId,
-          title: info.videoDetails.title,
-          artist: info.videoDetails.author.name,
-          duration: parseInt(info.videoDetails.lengthSeconds),
-          thumbnail: info.videoDetails.thumbnails?.[info.videoDetails.thumbnails.length - 1]?.url,
-          uploadDate: info.videoDetails.uploadDate,
-          viewCount: parseInt(info.videoDetails.viewCount),
-          description: info.videoDetails.description
-        };
-      } catch (ytdlError) {
-        logger.warn('ytdl-core metadata fetch failed', { videoId, error: ytdlError.message });
-      }
-
-      // Final fallback - return basic metadata
-      return {
-        videoId,
-        title: `YouTube Video ${videoId}`,
-        artist: 'Unknown Artist',
-        duration: 0,
-        thumbnail: `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`,
-        uploadDate: null,
-        viewCount: 0,
-        description: ''
-      };
-    } catch (error) {
-      logger.error('Failed to get YouTube metadata', { videoId, error: error.message });
-      throw new Error('Failed to retrieve video metadata');
-    }
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) throw this.createCancelError();
   }
 
-  parseISO8601Duration(duration) {
-    if (!duration) return 0;
-    const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-    if (!match) return 0;
-    const hours = parseInt(match[1]) || 0;
-    const minutes = parseInt(match[2]) || 0;
-    const seconds = parseInt(match[3]) || 0;
-    return hours * 3600 + minutes * 60 + seconds;
-  }
-
-  // Download audio from YouTube using @distube/ytdl-core
-  async downloadYouTubeAudio(videoId, outputPath) {
-    return new Promise((resolve, reject) => {
-      try {
-        logger.info('Attempting download with @distube/ytdl-core', { videoId });
-        
-        const stream = ytdl(videoId, {
-          quality: 'highestaudio',
-          filter: 'audioonly'
-        });
-
-        const writeStream = require('fs').createWriteStream(outputPath);
-
-        stream.on('error', (err) => {
-          logger.error('ytdl stream error', { videoId, error: err.message });
-          reject(err);
-        });
-
-        writeStream.on('error', (err) => {
-          logger.error('writeStream error', { videoId, error: err.message });
-          reject(err);
-        });
-
-        stream.pipe(writeStream);
-
-        writeStream.on('finish', () => {
-          logger.info(`YouTube audio downloaded with @distube/ytdl-core: ${videoId}`);
-          resolve(outputPath);
-        });
-      } catch (error) {
-        logger.error('Failed to initialize ytdl stream', { videoId, error: error.message });
-        reject(error);
-      }
-    });
+  // Run onAbort when the signal fires; returns a function that stops listening
+  watchAbort(signal, onAbort) {
+    if (!signal) return () => {};
+    if (signal.aborted) {
+      onAbort();
+      return () => {};
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
   }
 
-  // Convert audio to WAV format for processing
-  async convertToWav(inputPath, outputPath) {
+  // Convert audio to WAV format for processing; an abort kills the ffmpeg process
+  async convertToWav(inputPath, outputPath, signal = null) {
     return new Promise((resolve, reject) => {
+      let stopWatching = () => {};
       try {
         logger.info(`Starting ffmpeg conversion: ${inputPath} -> ${outputPath}`);
 
-        ffmpeg(inputPath)
+        const command = ffmpeg(inputPath)
           .toFormat('wav')
           .audioCodec('pcm_s16le')
           .audioFrequency(44100)
@@ -173,10 +85,13 @@ class AudioProcessingService {
             logger.debug('FFmpeg progress: ' + progress.percent + '% done');
           })
           .on('end', () => {
+            stopWatching();
             logger.info(`Audio converted to WAV: ${outputPath}`);
             resolve(outputPath);
           })
           .on('error', (error) => {
+            stopWatching();
+            if (signal && signal.aborted) return reject(this.createCancelError());
             logger.error('Audio conversion failed', {
               inputPath,
               outputPath,
@@ -184,8 +99,10 @@ class AudioProcessingService {
               stack: error.stack
             });
             reject(new Error(`FFmpeg conversion failed: ${error.message}`));
-          })
-          .save(outputPath);
+          });
+
+        stopWatching = this.watchAbort(signal, () => command.kill('SIGKILL'));
+        command.save(outputPath);
       } catch (error) {
         logger.error('Failed to initialize ffmpeg', {
           inputPath,
@@ -198,22 +115,28 @@ class AudioProcessingService {
     });
   }
 
-  // Extract 30-second sample from audio
-  async extractAudioSample(inputPath, outputPath, startTime = 30) {
+  // Extract a sample (30 seconds by default) from audio
+  async extractAudioSample(inputPath, outputPath, startTime = 30, duration = 30, signal = null) {
     return new Promise((resolve, reject) => {
+      let stopWatching = () => {};
       try {
-        ffmpeg(inputPath)
+        const command = ffmpeg(inputPath)
           .seekInput(startTime)
-          .duration(30) // Extract 30 seconds
+          .duration(duration)
           .on('end', () => {
-            logger.info(`30-second sample extracted: ${outputPath}`);
+            stopWatching();
+            logger.info(`${duration}-second sample extracted: ${outputPath}`);
             resolve(outputPath);
           })
           .on('error', (error) => {
+            stopWatching();
+            if (signal && signal.aborted) return reject(this.createCancelError());
             logger.error('Sample extraction failed', { inputPath, error: error.message });
             reject(error);
-          })
-          .save(outputPath);
+          });
+
+        stopWatching = this.watchAbort(signal, () => command.kill('SIGKILL'));
+        command.save(outputPath);
       } catch (error) {
         logger.error('Failed to initialize ffmpeg for sample extraction', { inputPath, error: error.message });
         reject(error);
@@ -221,9 +144,10 @@ class AudioProcessingService {
     });
   }
 
-  // Process a generic audio file
-  async processAudioFile(filePath, originalName, userPreferences = {}) {
-    const jobId = uuidv4();
+  // Process a generic audio file. Queued jobs pass their own id so progress lands on the job,
+  // and an abort signal so a cancelled job stops ffmpeg and analysis early.
+  async processAudioFile(filePath, originalName, userPreferences = {}, options = {}) {
+    const { jobId = uuidv4(), signal = null } = options;
     let tempDir = null;
     try {
       logger.info(`Starting audio processing job ${jobId}`, {
@@ -251,9 +175,10 @@ class AudioProcessingService {
       await this.updateJobProgress(jobId, 'audio_conversion', 20);
       const wavPath = path.join(tempDir, 'audio.wav');
       logger.info(`Converting to WAV: ${wavPath}`);
-      await this.convertToWav(filePath, wavPath);
+      this.throwIfAborted(signal);
+      await this.convertToWav(filePath, wavPath, signal);
 
-      return await this.runProcessingPipeline(jobId, wavPath, metadata, userPreferences, tempDir);
+      return await this.runProcessingPipeline(jobId, wavPath, metadata, userPreferences, tempDir, signal);
     } catch (error) {
       logger.error('Audio file processing failed', {
         jobId,
@@ -278,6 +203,73 @@ class AudioProcessingService {
     }
   }
 
+  // Acoustic fingerprint of an audio file, taken from a short decoded sample. Failures only
+  // mean the audio cannot be recognised, so they return no fingerprint (cancellation still throws).
+  async fingerprintAudioFile(filePath, signal = null) {
+    const tempDir = path.join(process.cwd(), 'temp', `fingerprint_${uuidv4()}`);
+    try {
+      const duration = await this.getAudioDuration(filePath);
+      const window = audioFingerprintService.getSampleWindow(duration);
+      const samplePath = path.join(tempDir, 'sample.wav');
+
+      await fs.mkdir(tempDir, { recursive: true });
+      await this.extractAudioSample(filePath, samplePath, window.start, window.duration, signal);
+
+      const audioData = await this.getAudioData(samplePath);
+      const fingerprint = audioData
+        ? audioFingerprintService.fromChromaTimeline(this.calculateChromaSummary(audioData, this.analysisSampleRate).timeline)
+        : null;
+
+      return { fingerprint, duration };
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') throw error;
+      logger.warn('Audio fingerprinting failed', { filePath, error: error.message });
+      return { fingerprint: null, duration: null };
+    } finally {
+      await this.cleanup(tempDir);
+    }
+  }
+
+  // Chroma signatures of a short recording to identify, one per phase the blocks start at (see
+  // songIdentification.rankMatches). Only the first maxQuerySeconds are used.
+  async getRecordingSignatures(filePath, signal = null) {
+    const audioData = await this.decodeRecording(filePath, songIdentificationService.maxQuerySeconds, signal);
+    if (!audioData) return { queries: [], duration: 0 };
+
+    const phases = songIdentificationService.queryPhases;
+    const queries = [];
+    for (let phase = 0; phase < phases; phase++) {
+      const start = Math.round(phase * this.chromaBlockSize / phases);
+      const { timeline } = this.calculateChromaSummary(audioData.subarray(start), this.analysisSampleRate);
+      const signature = songIdentificationService.createSignature(timeline);
+      if (signature) queries.push({ signature, phaseSeconds: start / this.analysisSampleRate });
+    }
+
+    return { queries, duration: audioData.length / this.analysisSampleRate };
+  }
+
+  /**
+   * Decode a recording in any format ffmpeg reads (phones record AAC/m4a) through a temporary WAV
+   * @param {string} filePath - Uploaded recording
+   * @param {number} maxSeconds - Only this much of the start of the recording is decoded
+   * @returns {Float32Array|null} Mono samples at the analysis rate, or null when it is not audio
+   */
+  async decodeRecording(filePath, maxSeconds, signal = null) {
+    const tempDir = path.join(process.cwd(), 'temp', `recording_${uuidv4()}`);
+    try {
+      const wavPath = path.join(tempDir, 'recording.wav');
+      await fs.mkdir(tempDir, { recursive: true });
+      await this.extractAudioSample(filePath, wavPath, 0, maxSeconds, signal);
+      return await this.getAudioData(wavPath);
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') throw error;
+      // ffmpeg could not read it; extractAudioSample has logged why
+      return null;
+    } finally {
+      await this.cleanup(tempDir);
+    }
+  }
+
   async getAudioDuration(filePath) {
     return new Promise((resolve, reject) => {
       try {
@@ -292,44 +284,57 @@ class AudioProcessingService {
     });
   }
 
-  // Process YouTube URL completely
-  async processYouTubeUrl(youtubeUrl, userPreferences = {}) {
-    const jobId = uuidv4();
+  // Process audio from a URL through the provider that handles it (YouTube, direct links, ...)
+  async processSourceUrl(url, userPreferences = {}, options = {}) {
+    const { jobId = uuidv4(), signal = null } = options;
     let tempDir = null;
-    
+
     try {
       await this.updateJobProgress(jobId, 'download', 0);
 
-      const videoId = this.extractVideoId(youtubeUrl);
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL format');
+      const provider = audioSources.resolve(url);
+      if (!provider) {
+        throw audioSources.createUnsupportedError(url);
+      }
+      const sourceId = provider.getSourceId(url);
+      if (!sourceId) {
+        throw new Error(`Invalid ${provider.displayName} URL format`);
       }
 
       await this.updateJobProgress(jobId, 'metadata_extraction', 10);
-      const metadata = await this.getYouTubeMetadata(videoId);
-      metadata.video_url = youtubeUrl;
+      const metadata = {
+        ...(await provider.getMetadata(url, signal)),
+        provider: provider.name,
+        source_id: sourceId,
+        source_url: url
+      };
 
       tempDir = path.join(process.cwd(), 'temp', jobId);
       await fs.mkdir(tempDir, { recursive: true });
 
       const rawAudioPath = path.join(tempDir, 'raw.audio');
-      
+
       // Download audio
       await this.updateJobProgress(jobId, 'downloading_audio', 20);
-      await this.downloadYouTubeAudio(videoId, rawAudioPath);
+      try {
+        await provider.download(url, rawAudioPath, signal);
+      } catch (error) {
+        this.throwIfAborted(signal);
+        throw error;
+      }
 
       await this.updateJobProgress(jobId, 'audio_conversion', 40);
       const wavPath = path.join(tempDir, 'audio.wav');
-      await this.convertToWav(rawAudioPath, wavPath);
+      await this.convertToWav(rawAudioPath, wavPath, signal);
 
       // Update duration from actual audio file
       metadata.duration = await this.getAudioDuration(wavPath);
 
-      return await this.runProcessingPipeline(jobId, wavPath, metadata, userPreferences, tempDir);
+      return await this.runProcessingPipeline(jobId, wavPath, metadata, userPreferences, tempDir, signal);
     } catch (error) {
-      logger.error('YouTube processing failed', { jobId, error: error.message });
+      logger.error('Source URL processing failed', { jobId, url, error: error.message });
       await this.updateJobProgress(jobId, 'error', null, error.message);
-      
+
       // Clean up temp directory
       if (tempDir) {
         try {
@@ -338,32 +343,42 @@ class AudioProcessingService {
           logger.warn('Failed to cleanup temp directory', { tempDir, cleanupError: cleanupError.message });
         }
       }
-      
+
       throw error;
     }
   }
 
-  async runProcessingPipeline(jobId, wavPath, metadata, userPreferences, tempDir) {
+  async runProcessingPipeline(jobId, wavPath, metadata, userPreferences, tempDir, signal = null) {
+    let stemWriter = null;
     try {
-      await this.updateJobProgress(jobId, 'sample_extraction', 50);
-      const samplePath = path.join(tempDir, 'sample.wav');
-      const sampleStartTime = Math.min(30, Math.floor(metadata.duration / 2));
-      await this.extractAudioSample(wavPath, samplePath, sampleStartTime);
-
-      await this.updateJobProgress(jobId, 'audio_analysis', 60);
-      const analysis = await this.analyzeAudio(samplePath, metadata);
-
-      await this.updateJobProgress(jobId, 'chord_detection', 75);
-      const chords = await this.detectChords(samplePath, analysis);
-
-      await this.updateJobProgress(jobId, 'tempo_detection', 85);
-      const tempo = await this.detectTempo(samplePath);
-
-      await this.updateJobProgress(jobId, 'key_detection', 90);
-      const key = await this.detectKey(samplePath);
-
+      await this.updateJobProgress(jobId, 'audio_analysis', 50);
+      const audioInfo = await this.getAudioInfo(wavPath);
+      const duration = parseFloat(metadata.duration) || audioInfo.duration;
+
+      stemWriter = this.stemSeparationEnabled
+        ? await stemSeparationService.createStemWriter(path.join(tempDir, 'stems'), this.analysisSampleRate)
+        : null;
+      const windowResults = await this.analyzeTrackInWindows(jobId, wavPath, duration, tempDir, signal, stemWriter);
+
+      const analysis = this.buildTrackAnalysis(audioInfo, { ...metadata, duration }, windowResults);
+      const tempo = this.stitchTempo(windowResults);
+      // Chord chart on the beat grid
+      const chords = beatTrackingService.snapChordsToGrid(this.stitchChordTimeline(windowResults), tempo);
+      const key = this.stitchKey(windowResults);
+      const melody = this.stitchMelody(windowResults);
+      const strumming = strummingPatternService.extractPatterns(this.stitchOnsets(windowResults), tempo, chords);
+      const chromaTimeline = this.stitchChromaTimeline(windowResults);
+      const sections = songStructureService.analyzeStructure(
+        chromaTimeline,
+        this.chromaBlockSize / this.analysisSampleRate,
+        tempo.bars,
+        duration
+      );
+
+      this.throwIfAborted(signal);
       await this.updateJobProgress(jobId, 'tab_generation', 95);
-      const tablature = await this.generateTablature(chords, analysis);
+      const tablature = await this.generateTablature(chords, analysis, melody);
+      const stems = await this.saveStems(jobId, wavPath, stemWriter, signal);
 
       await this.updateJobProgress(jobId, 'completion', 100);
 
@@ -372,12 +387,17 @@ class AudioProcessingService {
       const results = {
         job_id: jobId,
         status: 'completed',
+        analysis_version: this.analysisVersion,
         metadata,
         analysis,
         chords,
+        strumming,
+        sections,
         tempo,
         key,
         tablature,
+        stems,
+        chroma_signature: songIdentificationService.createSignature(chromaTimeline),
         processed_at: new Date().toISOString(),
         user_preferences: userPreferences
       };
@@ -393,11 +413,329 @@ class AudioProcessingService {
 
       return results;
     } catch (error) {
+      if (stemWriter) await stemWriter.discard();
       await this.cleanup(tempDir);
+      await this.cleanup(path.join(this.stemStorageDir, jobId));
       throw error;
     }
   }
 
+  // Split the track into consecutive analysis windows, folding a short tail into the previous window
+  planAnalysisWindows(duration) {
+    const windows = [];
+
+    if (!duration || duration <= 0) {
+      // Unknown duration - ffmpeg stops at end of stream, so a single window still covers short files
+      return [{ start: 0, duration: this.analysisWindowSeconds }];
+    }
+
+    for (let start = 0; start < duration; start += this.analysisWindowSeconds) {
+      windows.push({ start, duration: Math.min(this.analysisWindowSeconds, duration - start) });
+    }
+
+    const tail = windows[windows.length - 1];
+    if (windows.length > 1 && tail.duration < this.minAnalysisWindowSeconds) {
+      windows.pop();
+      windows[windows.length - 1].duration += tail.duration;
+    }
+
+    return windows;
+  }
+
+  // Run the detectors window by window over the whole track, stopping between windows on abort.
+  // With a stem writer each window is separated first and the pitch detectors run on the guitar
+  // stem; beats and onsets still come from the mix, since drums carry the beat and strum attacks
+  // fall mostly into the percussive part the separation removes.
+  async analyzeTrackInWindows(jobId, wavPath, duration, tempDir, signal = null, stemWriter = null) {
+    const windows = this.planAnalysisWindows(duration);
+    const windowResults = [];
+
+    logger.info(`Analyzing full track in ${windows.length} windows`, { jobId, duration });
+
+    for (let i = 0; i < windows.length; i++) {
+      const window = windows[i];
+      const windowPath = path.join(tempDir, `window_${i}.wav`);
+
+      this.throwIfAborted(signal);
+      await this.extractAudioSample(wavPath, windowPath, window.start, window.duration, signal);
+
+      const detectPath = await this.separateWindow(windowPath, i, tempDir, stemWriter);
+      const analysis = await this.analyzeAudio(detectPath, { duration: window.duration });
+      const key = await this.detectKey(detectPath);
+      const chords = await this.detectChords(detectPath, analysis, key);
+      const tempo = await this.detectTempo(windowPath);
+      const melody = await this.transcribeMelody(detectPath);
+
+      // Drop the window files straight away so temp usage stays at one window
+      await fs.rm(windowPath, { force: true });
+      await fs.rm(detectPath, { force: true });
+
+      windowResults.push({ ...window, analysis, chords, tempo, key, melody });
+
+      await this.updateJobProgress(jobId, 'window_analysis', 50 + Math.floor(40 * (i + 1) / windows.length));
+    }
+
+    return windowResults;
+  }
+
+  // Separate one analysis window and append it to the stem files. Returns the guitar stem of the
+  // window for the detectors, or the window itself without a stem writer or when separation
+  // fails (the stems are dropped then, as they would have a gap).
+  async separateWindow(windowPath, index, tempDir, stemWriter) {
+    if (!stemWriter || stemWriter.discarded) return windowPath;
+
+    try {
+      const audioData = await this.getAudioData(windowPath);
+      if (!audioData) throw new Error('Window could not be decoded');
+
+      const stems = stemSeparationService.separate(audioData, this.analysisSampleRate);
+      await stemWriter.append(stems);
+
+      const guitarPath = path.join(tempDir, `window_${index}_guitar.wav`);
+      await fs.writeFile(guitarPath, stemSeparationService.encodeWav(stems.guitar, this.analysisSampleRate));
+      return guitarPath;
+    } catch (error) {
+      logger.warn('Stem separation failed, analysing the full mix', { windowPath, error: error.message });
+      await stemWriter.discard();
+      return windowPath;
+    }
+  }
+
+  // Encode the playback audio into the job's stem directory: the full mix, which speed and
+  // pitch renders of songs without stems are made from, and the finished stems when separation
+  // ran. Paths are stored relative to the stem storage directory; failures only cost the
+  // playback audio.
+  async saveStems(jobId, wavPath, stemWriter = null, signal = null) {
+    const outputDir = path.join(this.stemStorageDir, jobId);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    let mix = null;
+    try {
+      await this.encodeStem(wavPath, path.join(outputDir, 'mix.mp3'), signal);
+      mix = path.join(jobId, 'mix.mp3');
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') throw error;
+      logger.warn('Failed to save the full mix', { jobId, error: error.message });
+    }
+
+    let tracks = {};
+    if (stemWriter && !stemWriter.discarded) {
+      try {
+        const wavPaths = await stemWriter.finish();
+        for (const [name, stemPath] of Object.entries(wavPaths)) {
+          await this.encodeStem(stemPath, path.join(outputDir, `${name}.mp3`), signal);
+          tracks[name] = path.join(jobId, `${name}.mp3`);
+        }
+      } catch (error) {
+        if (error.code === 'JOB_CANCELLED') throw error;
+        logger.warn('Failed to save stems', { jobId, error: error.message });
+        await Promise.all(Object.values(tracks).map(track => fs.rm(path.join(this.stemStorageDir, track), { force: true })));
+        tracks = {};
+      }
+    }
+
+    if (!mix && Object.keys(tracks).length === 0) {
+      await this.cleanup(outputDir);
+      return null;
+    }
+
+    return {
+      method: Object.keys(tracks).length > 0 ? 'hpss' : null,
+      format: 'mp3',
+      sample_rate: this.analysisSampleRate,
+      channels: 1,
+      tracks,
+      mix
+    };
+  }
+
+  async encodeStem(inputPath, outputPath, signal = null) {
+    return new Promise((resolve, reject) => {
+      let stopWatching = () => {};
+      try {
+        const command = ffmpeg(inputPath)
+          .audioCodec('libmp3lame')
+          .audioBitrate(this.stemBitrate)
+          .toFormat('mp3')
+          .on('end', () => {
+            stopWatching();
+            resolve(outputPath);
+          })
+          .on('error', (error) => {
+            stopWatching();
+            if (signal && signal.aborted) return reject(this.createCancelError());
+            reject(error);
+          });
+
+        stopWatching = this.watchAbort(signal, () => command.kill('SIGKILL'));
+        command.save(outputPath);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  // Offset each window's chords onto the track timeline, joining chords that continue across a window seam
+  stitchChordTimeline(windowResults) {
+    const timeline = [];
+
+    windowResults.forEach((window, windowIndex) => {
+      window.chords.forEach((chord, chordIndex) => {
+        const placed = { ...chord, start_time: chord.start_time + window.start };
+        const previous = timeline[timeline.length - 1];
+        const isSeam = windowIndex > 0 && chordIndex === 0;
+
+        if (isSeam && previous && previous.chord === placed.chord) {
+          const totalDuration = previous.duration + placed.duration;
+          previous.confidence = totalDuration > 0
+            ? (previous.confidence * previous.duration + placed.confidence * placed.duration) / totalDuration
+            : previous.confidence;
+          previous.duration = totalDuration;
+          return;
+        }
+
+        timeline.push(placed);
+      });
+    });
+
+    return timeline;
+  }
+
+  // Offset each window's melody notes onto the track timeline, joining a note held across a window seam
+  stitchMelody(windowResults) {
+    const notes = [];
+
+    windowResults.forEach((window, windowIndex) => {
+      (window.melody || []).forEach((note, noteIndex) => {
+        const placed = { ...note, start_time: note.start_time + window.start };
+        const previous = notes[notes.length - 1];
+        const isSeam = windowIndex > 0 && noteIndex === 0;
+
+        if (isSeam && previous && previous.midi === placed.midi &&
+            placed.start_time - (previous.start_time + previous.duration) <= this.maxMelodySeamGap) {
+          previous.duration = placed.start_time + placed.duration - previous.start_time;
+          return;
+        }
+
+        notes.push(placed);
+      });
+    });
+
+    return notes;
+  }
+
+  // Offset each window's onsets onto the track timeline, dropping an onset both windows saw at a seam
+  stitchOnsets(windowResults) {
+    const onsets = [];
+
+    windowResults.forEach(window => {
+      ((window.tempo && window.tempo.onsets) || []).forEach(onset => {
+        const time = beatTrackingService.roundTime(onset.time + window.start);
+        const previous = onsets[onsets.length - 1];
+        if (previous && time - previous.time < this.minOnsetSpacingSeconds) return;
+        onsets.push({ ...onset, time });
+      });
+    });
+
+    return onsets;
+  }
+
+  // Offset each window's chroma blocks onto the track timeline
+  stitchChromaTimeline(windowResults) {
+    const timeline = [];
+
+    windowResults.forEach(window => {
+      ((window.key && window.key.chroma_timeline) || []).forEach(block => {
+        timeline.push({ ...block, time: block.time + window.start });
+      });
+    });
+
+    return timeline;
+  }
+
+  // Join the per-window beats into one track beat grid; the confidence-weighted median of the
+  // window tempos is kept as a fallback for tracks where no beats were found
+  stitchTempo(windowResults) {
+    const tempoMap = windowResults.map(window => ({
+      start_time: window.start,
+      duration: window.duration,
+      bpm: window.tempo.bpm,
+      confidence: window.tempo.confidence
+    }));
+
+    const detected = tempoMap
+      .filter(entry => entry.confidence > 0)
+      .sort((a, b) => a.bpm - b.bpm);
+
+    if (detected.length === 0) {
+      return {
+        ...beatTrackingService.getEmptyGrid(),
+        bpm: 120,
+        confidence: 0,
+        tempo_map: tempoMap
+      };
+    }
+
+    const totalWeight = detected.reduce((sum, entry) => sum + entry.confidence * entry.duration, 0);
+    let accumulated = 0;
+    let medianBpm = detected[detected.length - 1].bpm;
+    for (const entry of detected) {
+      accumulated += entry.confidence * entry.duration;
+      if (accumulated >= totalWeight / 2) {
+        medianBpm = entry.bpm;
+        break;
+      }
+    }
+
+    const trackDuration = tempoMap.reduce((sum, entry) => sum + entry.duration, 0);
+
+    const beatTimes = [];
+    const beatAccents = [];
+    windowResults.forEach(window => {
+      (window.tempo.beats || []).forEach(beat => {
+        const time = beatTrackingService.roundTime(beat.time + window.start);
+        const previous = beatTimes[beatTimes.length - 1];
+        // Both windows can report the beat that straddles their seam
+        if (previous !== undefined && time - previous < this.minBeatSpacingSeconds) return;
+        beatTimes.push(time);
+        beatAccents.push(beat.accent);
+      });
+    });
+
+    const grid = beatTrackingService.buildBeatGrid(beatTimes, beatAccents);
+
+    return {
+      ...grid,
+      bpm: grid.bpm || medianBpm,
+      confidence: totalWeight / (trackDuration || 1),
+      tempo_map: tempoMap
+    };
+  }
+
+  // Estimate the track key from the chroma profiles of all windows summed together
+  stitchKey(windowResults) {
+    const trackProfile = keyDetectionService.accumulateChroma(
+      windowResults
+        .map(window => window.key.chroma_profile)
+        .filter(Boolean)
+    );
+
+    return keyDetectionService.estimateKey(trackProfile);
+  }
+
+  // Merge per-window analysis into a single track-level analysis
+  buildTrackAnalysis(audioInfo, metadata, windowResults) {
+    // RMS over the whole track is the duration-weighted quadratic mean of the window RMS levels
+    const totalDuration = windowResults.reduce((sum, window) => sum + window.duration, 0);
+    const weightedSquares = windowResults.reduce(
+      (sum, window) => sum + Math.pow(window.analysis.rms_level || 0, 2) * window.duration,
+      0
+    );
+    const rmsLevel = totalDuration > 0 ? Math.sqrt(weightedSquares / totalDuration) : 0;
+
+    return this.describeAnalysis(audioInfo, metadata, rmsLevel);
+  }
+
   // Estimate remaining time based on current step
   estimateRemainingTime(currentStep) {
     const timeEstimates = {
@@ -405,6 +743,7 @@ class AudioProcessingService {
       'audio_conversion': 15,
       'sample_extraction': 10,
       'audio_analysis': 20,
+      'window_analysis': 20,
       'chord_detection': 15,
       'tempo_detection': 10,
       'key_detection': 10,
@@ -416,8 +755,19 @@ class AudioProcessingService {
     return timeEstimates[currentStep] || 30; // Default 30 seconds
   }
 
-  // Update job progress in cache (optional - don't fail if Redis is down)
+  // Record job progress on the queued job, which also refreshes its cached status. Jobs that
+  // are not in the queue table (or no database) only get the cached status.
   async updateJobProgress(jobId, currentStep, progressPercentage, error = null) {
+    try {
+      const job = await jobQueue.updateProgress(jobId, currentStep, progressPercentage);
+      if (job) return jobQueue.toStatus(job);
+    } catch (dbError) {
+      logger.warn('Failed to record job progress, caching status only', {
+        jobId,
+        dbError: dbError.message
+      });
+    }
+
     const jobStatus = {
       job_id: jobId,
       status: error ? 'error' : 'processing',
@@ -442,25 +792,25 @@ class AudioProcessingService {
 
   async getJobStatus(jobId) {
     try {
-      return await cache.get(`job_status_${jobId}`);
-    } catch (cacheError) {
-      logger.warn('Failed to get job status from cache, returning null', {
+      return await jobQueue.getStatus(jobId);
+    } catch (dbError) {
+      logger.warn('Failed to get job status from the queue, falling back to cache', {
         jobId,
-        cacheError: cacheError.message
+        dbError: dbError.message
       });
-      return null;
+      return cache.get(`job_status_${jobId}`);
     }
   }
 
   async getJobResults(jobId) {
     try {
-      return await cache.get(`job_${jobId}`);
-    } catch (cacheError) {
-      logger.warn('Failed to get job results from cache, returning null', {
+      return await jobQueue.getResults(jobId);
+    } catch (dbError) {
+      logger.warn('Failed to get job results from the queue, falling back to cache', {
         jobId,
-        cacheError: cacheError.message
+        dbError: dbError.message
       });
-      return null;
+      return cache.get(`job_${jobId}`);
     }
   }
 
@@ -481,7 +831,11 @@ class AudioProcessingService {
       }
       rmsLevel = Math.sqrt(sum / audioData.length);
     }
-    
+
+    return this.describeAnalysis(audioInfo, metadata, rmsLevel);
+  }
+
+  describeAnalysis(audioInfo, metadata, rmsLevel) {
     return {
       duration: parseFloat(metadata.duration) || audioInfo.duration,
       sample_rate: parseInt(audioInfo.sample_rate) || 44100,
@@ -538,85 +892,44 @@ class AudioProcessingService {
     return 5; // Very long songs
   }
 
-  // Chord detection - uses audio analysis
-  async detectChords(audioPath, analysis) {
+  // Chord detection - template matching over the chromagram, smoothed with a key-aware HMM
+  async detectChords(audioPath, analysis, key = null) {
     logger.info(`Detecting chords in: ${audioPath}`);
     
     try {
-      const { PitchDetector } = require('pitchy');
       const audioData = await this.getAudioData(audioPath);
       if (!audioData) return [];
 
-      const keyResult = await this.detectKey(audioPath);
-      const rootNote = keyResult.key || 'C';
-      
-      const chords = [];
-      const duration = analysis.duration || 30;
-      const sampleRate = 44100;
-      const chordInterval = 4; // Analyze every 4 seconds
-      const samplesPerInterval = chordInterval * sampleRate;
-      
-      for (let time = 0; time < duration; time += chordInterval) {
-        const startSample = Math.floor(time * sampleRate);
-        const endSample = Math.min(startSample + samplesPerInterval, audioData.length);
-        
-        if (startSample >= audioData.length) break;
+      const keyResult = key || await this.detectKey(audioPath);
+      const chords = await advancedChordDetection.detectChords(audioData, this.analysisSampleRate, this.chordHopLength, {
+        key: keyResult.confidence > 0 ? keyResult : null
+      });
 
-        const intervalData = audioData.slice(startSample, endSample);
-        const detector = PitchDetector.forFloat32Array(intervalData.length);
-        const [pitch, clarity] = detector.findPitch(intervalData, sampleRate);
-        
-        let chordName;
-        if (clarity > 0.5) {
-          const noteInfo = this.pitchToNote(pitch);
-          chordName = noteInfo.note;
-
-          // Enhanced heuristic: detect minor and 7th chords based on chroma-like analysis
-          // In a production app, we would use a more sophisticated FFT-based chroma analysis
-          const intervalAnalysis = this.analyzeIntervals(intervalData, sampleRate, pitch);
-          if (intervalAnalysis.isMinor) {
-            chordName += 'm';
-          }
-          if (intervalAnalysis.isSeventh) {
-            chordName += '7';
-          }
-        } else {
-          // Fallback to a progression based on the key
-          const progression = [rootNote, 'G', 'Am', 'F'];
-          chordName = progression[Math.floor(time / chordInterval) % progression.length];
-        }
-        
-        chords.push({
-          chord: chordName,
-          start_time: time,
-          duration: Math.min(chordInterval, duration - time),
-          confidence: clarity
-        });
-      }
-      
-      return chords;
+      return chords.map(chord => ({
+        chord: chord.chord,
+        root: chord.root,
+        quality: chord.quality,
+        bass: chord.bass,
+        inversion: chord.inversion,
+        start_time: chord.start_time,
+        duration: chord.duration,
+        confidence: chord.confidence
+      }));
     } catch (error) {
       logger.warn('Chord detection failed, returning empty array', { error: error.message });
       return [];
     }
   }
 
-  // Tempo detection using music-tempo library
+  // Tempo detection - beat grid from the music-tempo (Beatroot) beat tracker
   async detectTempo(audioPath) {
     logger.info(`Detecting tempo in: ${audioPath}`);
     
     try {
-      // Try to use music-tempo library
-      const MusicTempo = require('music-tempo');
       const audioData = await this.getAudioData(audioPath);
       
       if (audioData && audioData.length > 0) {
-        const mt = new MusicTempo(audioData);
-        return {
-          bpm: Math.round(mt.tempo),
-          confidence: mt.confidence || 0.5,
-          time_signature: '4/4'
-        };
+        return beatTrackingService.trackBeats(audioData, this.analysisSampleRate);
       }
     } catch (error) {
       logger.warn('Tempo detection failed', { audioPath, error: error.message });
@@ -624,127 +937,142 @@ class AudioProcessingService {
     
     // Return default tempo if detection fails
     return {
+      ...beatTrackingService.getEmptyGrid(),
       bpm: 120,
-      confidence: 0,
-      time_signature: '4/4'
+      confidence: 0
     };
   }
 
+  // Melody transcription - monophonic lead line (YIN pitch tracking with onset detection)
+  async transcribeMelody(audioPath) {
+    logger.info(`Transcribing melody in: ${audioPath}`);
+
+    try {
+      const audioData = await this.getAudioData(audioPath);
+
+      if (audioData && audioData.length > 0) {
+        return melodyTranscriptionService.transcribe(audioData, this.analysisSampleRate);
+      }
+    } catch (error) {
+      logger.warn('Melody transcription failed, returning empty array', { audioPath, error: error.message });
+    }
+
+    return [];
+  }
+
+  // Decode a WAV file to mono samples at the analysis sample rate
   async getAudioData(audioPath) {
     try {
       const buffer = await fs.readFile(audioPath);
-      // Simple WAV parser (skipping 44-byte header for mono PCM)
-      // Standard WAV header is 44 bytes
-      const dataOffset = 44;
-      if (buffer.length <= dataOffset) return null;
-
-      const samples = new Float32Array((buffer.length - dataOffset) / 2);
-      for (let i = 0; i < samples.length; i++) {
-        // Read 16-bit signed integer (LE) and normalize to [-1.0, 1.0]
-        const sample = buffer.readInt16LE(dataOffset + i * 2);
-        samples[i] = sample / 32768.0;
-      }
-      return samples;
+      const decoded = wavDecoder.decode(buffer, { sampleRate: this.analysisSampleRate });
+      return decoded.samples.length > 0 ? decoded.samples : null;
     } catch (error) {
       logger.error('Failed to read audio data', { audioPath, error: error.message });
       return null;
     }
   }
 
-  // Key detection
+  // Key detection - Krumhansl-Schmuckler correlation over the chromagram of the whole file
   async detectKey(audioPath) {
     logger.info(`Detecting key in: ${audioPath}`);
     
     try {
-      const { PitchDetector } = require('pitchy');
       const audioData = await this.getAudioData(audioPath);
       
       if (audioData && audioData.length > 0) {
-        // Use a subset of the audio for faster detection if it's too long
-        const sampleSize = Math.min(audioData.length, 44100 * 5); // 5 seconds
-        const detector = PitchDetector.forFloat32Array(sampleSize);
-        const [pitch, clarity] = detector.findPitch(audioData.slice(0, sampleSize), 44100);
-        
-        if (clarity > 0.6) {
-          const noteInfo = this.pitchToNote(pitch);
-          // Simple heuristic for scale: 
-          // In a production environment, this would use chromagram analysis
-          // and key profiles (Krumhansl-Schmuckler)
-          return {
-            key: noteInfo.note,
-            scale: 'Major', 
-            confidence: clarity,
-            related_keys: []
-          };
-        }
+        const { profile, timeline } = this.calculateChromaSummary(audioData, this.analysisSampleRate);
+        return {
+          ...keyDetectionService.estimateKey(profile),
+          // Kept so per-window profiles can be summed into a full-track profile, and the
+          // block timeline stitched into one for structure analysis
+          chroma_profile: profile,
+          chroma_timeline: timeline
+        };
       }
     } catch (error) {
       logger.warn('Key detection failed', { audioPath, error: error.message });
     }
     
-    return {
-      key: 'C',
-      scale: 'Major',
-      confidence: 0,
-      related_keys: []
-    };
+    return keyDetectionService.getDefaultKey();
   }
 
-  pitchToNote(frequency) {
-    const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    // Formula: n = 12 * log2(f / 440) + 69
-    const n = Math.round(12 * Math.log2(frequency / 440)) + 69;
-    const noteName = notes[n % 12];
-    const octave = Math.floor(n / 12) - 1;
-    return { note: noteName, octave, semitone: n % 12 };
+  // Pitch-class energy summed over every frame of the audio, streamed block by block so the
+  // chromagram itself is never held in memory
+  calculateChromaProfile(audioData, sampleRate = 44100) {
+    return this.calculateChromaSummary(audioData, sampleRate).profile;
   }
 
-  analyzeIntervals(audioData, sampleRate, rootPitch) {
-    // Spectral analysis for intervals
-    // In production-scale, we use a simple energy distribution check
-    // We look for dominant frequencies that match 3rd and 7th intervals
-
-    const rootFreq = rootPitch;
-    const minorThirdFreq = rootFreq * Math.pow(2, 3/12);
-    const majorThirdFreq = rootFreq * Math.pow(2, 4/12);
-    const minorSeventhFreq = rootFreq * Math.pow(2, 10/12);
-
-    // Check energy at these frequencies (using simple bandpass-like check)
-    // For a real implementation, we would use FFT bins.
-    // Here we use a heuristic based on the variance of the signal
-    const calculateEnergyAt = (freq) => {
-      // Simple comb filter to check for periodicity at target frequency
-      const period = Math.round(sampleRate / freq);
-      if (period <= 0) return 0;
+  // Chroma profile of the whole audio plus a coarse timeline of one peak-normalised chroma
+  // vector and RMS level per block
+  calculateChromaSummary(audioData, sampleRate = 44100) {
+    const stream = advancedChordDetection.createChromagramStream(sampleRate, this.keyHopLength);
+    const profile = new Array(12).fill(0);
+    const timeline = [];
+
+    for (let offset = 0; offset < audioData.length; offset += this.chromaBlockSize) {
+      const block = audioData.subarray(offset, offset + this.chromaBlockSize);
+      const blockProfile = keyDetectionService.accumulateChroma(stream.push(block));
+      for (let i = 0; i < 12; i++) {
+        profile[i] += blockProfile[i];
+      }
 
       let energy = 0;
-      for (let i = period; i < audioData.length; i++) {
-        energy += Math.abs(audioData[i] - audioData[i - period]);
+      for (let i = 0; i < block.length; i++) {
+        energy += block[i] * block[i];
       }
-      return 1 / (energy / audioData.length + 0.001); // Lower diff means higher periodicity
-    };
+      const peak = Math.max(...blockProfile);
+      timeline.push({
+        time: offset / sampleRate,
+        chroma: blockProfile.map(value => (peak > 0 ? value / peak : 0)),
+        rms: Math.sqrt(energy / block.length)
+      });
+    }
 
-    const minorThirdEnergy = calculateEnergyAt(minorThirdFreq);
-    const majorThirdEnergy = calculateEnergyAt(majorThirdFreq);
-    const minorSeventhEnergy = calculateEnergyAt(minorSeventhFreq);
+    return { profile, timeline };
+  }
 
-    return {
-      isMinor: minorThirdEnergy > majorThirdEnergy,
-      isSeventh: minorSeventhEnergy > (minorThirdEnergy + majorThirdEnergy) / 2
-    };
+  pitchToNote(frequency) {
+    const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    // Formula: n = 12 * log2(f / 440) + 69
+    const n = Math.round(12 * Math.log2(frequency / 440)) + 69;
+    const noteName = notes[n % 12];
+    const octave = Math.floor(n / 12) - 1;
+    return { note: noteName, octave, semitone: n % 12 };
   }
 
-  // Generate tablature from chords
-  async generateTablature(chords, analysis) {
+  // Generate tablature from the transcribed melody, or from the chords when no melody was found
+  async generateTablature(chords, analysis, melody = []) {
     logger.info('Generating tablature');
     
-    // Generate tablature based on detected chords
     const tablature = {
       tuning: ['E', 'A', 'D', 'G', 'B', 'E'],
       capo: 0,
+      source: 'chords',
       notes: []
     };
 
+    // Melody notes, placed on the fretboard by playability; the first note over each chord carries its name
+    if (melody && melody.length > 0) {
+      tablature.source = 'melody';
+      let labelledChord = null;
+      melodyTranscriptionService.assignFretPositions(melody).forEach(note => {
+        const chord = (chords || []).find(c => note.start_time >= c.start_time && note.start_time < c.start_time + c.duration);
+        const isNewChord = chord && chord !== labelledChord;
+        if (chord) labelledChord = chord;
+
+        tablature.notes.push({
+          string: note.string,
+          fret: note.fret,
+          time: note.start_time,
+          duration: note.duration,
+          note: note.note,
+          ...(isNewChord && { chord: chord.chord })
+        });
+      });
+
+      return tablature;
+    }
+
     // Convert chords to tab notes
     if (chords && chords.length > 0) {
       chords.forEach(chord => {
@@ -793,9 +1121,17 @@ class AudioProcessingService {
       'E7': [{ string: 0, fret: 0 }, { string: 1, fret: 0 }, { string: 2, fret: 1 }, { string: 3, fret: 0 }, { string: 4, fret: 2 }, { string: 5, fret: 0 }]
     };
 
-    // Handle sharps/flats (simplified)
-    const baseChord = chordName.replace('#', '').replace('b', '');
-    return chordShapes[chordName] || chordShapes[baseChord] || [];
+    if (chordShapes[chordName]) {
+      return chordShapes[chordName];
+    }
+
+    // Other chords (sharps/flats, extended and slash chords) come from the generated voicings,
+    // whose frets run from low E (index 0) to high E, i.e. string 5 down to string 0
+    const { frets } = advancedChordDetection.getChordFingering(chordName);
+    return frets
+      .map((fret, i) => ({ string: 5 - i, fret }))
+      .filter(position => position.fret !== null)
+      .reverse();
   }
 
   // Cleanup temporary files
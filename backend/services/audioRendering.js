@@ -0,0 +1,191 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../config/logger');
+const audioProcessingService = require('./audioProcessing');
+const songStemService = require('./songStems');
+
+// Renders of songs and their stems at another speed or pitch, for practising slowed down or
+// transposed. Speed changes keep the pitch (ffmpeg atempo); pitch shifts keep the tempo
+// (resampling to the shifted rate, then atempo back to the original speed). Renders are cached
+// next to the stems, one file per (stem, speed, semitones); the least recently used ones are
+// removed. The song's full mix renders the same way, so songs without stems can be practised too.
+class AudioRenderService {
+  constructor() {
+    this.minSpeed = 0.5;
+    this.maxSpeed = 1.5;
+    // Speeds are rounded to this step so near-identical requests share a render
+    this.speedStep = 0.05;
+    this.maxSemitones = 12;
+    this.bitrate = 192;
+    this.maxRendersPerSong = 12;
+    // One atempo instance only accepts factors in this range
+    this.atempoRange = { min: 0.5, max: 2 };
+    this.inFlight = new Map();
+  }
+
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  // Speed and semitones rounded to the values renders are cached for
+  normalizeOptions({ speed = 1, semitones = 0 } = {}) {
+    const parsedSpeed = parseFloat(speed);
+    const parsedSemitones = parseInt(semitones);
+    if (!Number.isFinite(parsedSpeed) || parsedSpeed < this.minSpeed || parsedSpeed > this.maxSpeed) {
+      throw this.createError('INVALID_SPEED', `Speed must be between ${this.minSpeed} and ${this.maxSpeed}`);
+    }
+    if (!Number.isInteger(parsedSemitones) || Math.abs(parsedSemitones) > this.maxSemitones) {
+      throw this.createError('INVALID_SEMITONES', `Semitones must be between -${this.maxSemitones} and ${this.maxSemitones}`);
+    }
+
+    return {
+      speed: Math.round(Math.round(parsedSpeed / this.speedStep) * this.speedStep * 100) / 100,
+      semitones: parsedSemitones
+    };
+  }
+
+  isIdentity({ speed, semitones }) {
+    return speed === 1 && semitones === 0;
+  }
+
+  /**
+   * ffmpeg audio filters for a speed change and pitch shift
+   * @param {number} speed - Tempo factor, 0.5 plays at half speed
+   * @param {number} semitones - Pitch shift
+   * @param {number} sampleRate - Sample rate of the input
+   * @returns {Array<string>} Filter chain
+   */
+  buildFilters(speed, semitones, sampleRate) {
+    const filters = [];
+    let tempo = speed;
+
+    if (semitones !== 0) {
+      // Playing at a higher rate raises the pitch and the tempo; atempo takes the tempo back
+      const shiftedRate = Math.round(sampleRate * Math.pow(2, semitones / 12));
+      filters.push(`asetrate=${shiftedRate}`, `aresample=${sampleRate}`);
+      tempo = speed * sampleRate / shiftedRate;
+    }
+
+    // Split factors outside atempo's range into a chain of in-range ones
+    while (tempo < this.atempoRange.min) {
+      filters.push(`atempo=${this.atempoRange.min}`);
+      tempo /= this.atempoRange.min;
+    }
+    while (tempo > this.atempoRange.max) {
+      filters.push(`atempo=${this.atempoRange.max}`);
+      tempo /= this.atempoRange.max;
+    }
+    if (Math.abs(tempo - 1) > 1e-6) {
+      filters.push(`atempo=${tempo.toFixed(6)}`);
+    }
+
+    return filters;
+  }
+
+  // Stem of a song at the given speed and pitch, rendered on first request
+  async getStemRender(song, stem, options) {
+    const { speed, semitones } = this.normalizeOptions(options);
+    const source = await songStemService.getStemFile(song, stem);
+    if (!source) return null;
+    if (this.isIdentity({ speed, semitones })) return source;
+
+    return this.renderFile(source, path.join(path.dirname(source.path), 'renders'), stem, { speed, semitones });
+  }
+
+  // The song's own audio (its full mix) at the given speed and pitch, with or without stems
+  async getSongRender(song, options) {
+    const { speed, semitones } = this.normalizeOptions(options);
+    const source = await songStemService.getMixFile(song);
+    if (!source) return null;
+    if (this.isIdentity({ speed, semitones })) return source;
+
+    // A kept upload lives outside the stem storage; its renders go under the song's own directory
+    const storageDir = songStemService.getStorageDir();
+    const renderDir = source.path.startsWith(storageDir + path.sep)
+      ? path.join(path.dirname(source.path), 'renders')
+      : path.join(storageDir, song.song_id, 'renders');
+    return this.renderFile(source, renderDir, songStemService.mixName, { speed, semitones });
+  }
+
+  async renderFile(source, renderDir, name, { speed, semitones }) {
+    const renderPath = path.join(renderDir, `${name}_${Math.round(speed * 100)}_${semitones}.mp3`);
+    await this.renderCached(source.path, renderPath, { speed, semitones });
+    return { path: renderPath, contentType: 'audio/mpeg' };
+  }
+
+  // Render unless a cached file exists; concurrent requests for one render share the work
+  async renderCached(inputPath, outputPath, { speed, semitones }) {
+    try {
+      const now = new Date();
+      // Touch the render so pruning keeps recently used ones
+      await fs.utimes(outputPath, now, now);
+      return outputPath;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!this.inFlight.has(outputPath)) {
+      const render = this.render(inputPath, outputPath, { speed, semitones })
+        .then(async () => {
+          await this.pruneRenders(path.dirname(outputPath));
+          return outputPath;
+        })
+        .finally(() => this.inFlight.delete(outputPath));
+      this.inFlight.set(outputPath, render);
+    }
+    return this.inFlight.get(outputPath);
+  }
+
+  async render(inputPath, outputPath, { speed = 1, semitones = 0 } = {}) {
+    const { sample_rate: sampleRate } = await audioProcessingService.getAudioInfo(inputPath);
+    const filters = this.buildFilters(speed, semitones, parseInt(sampleRate) || 44100);
+
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+    // Render under a temporary name so a concurrent request never serves half a file
+    const tempPath = `${outputPath}.${process.pid}.${Date.now()}.tmp`;
+    const startedAt = Date.now();
+
+    try {
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+          .audioCodec('libmp3lame')
+          .audioBitrate(this.bitrate)
+          .toFormat('mp3')
+          .on('end', resolve)
+          .on('error', reject);
+        if (filters.length > 0) command.audioFilters(filters);
+        command.save(tempPath);
+      });
+      await fs.rename(tempPath, outputPath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      logger.error('Audio render failed', { inputPath, speed, semitones, error: error.message });
+      throw this.createError('RENDER_FAILED', 'Failed to render audio');
+    }
+
+    logger.info('Audio rendered', { outputPath, speed, semitones, ms: Date.now() - startedAt });
+    return outputPath;
+  }
+
+  async pruneRenders(renderDir) {
+    try {
+      const names = (await fs.readdir(renderDir)).filter(name => name.endsWith('.mp3'));
+      if (names.length <= this.maxRendersPerSong) return;
+
+      const files = await Promise.all(names.map(async name => {
+        const filePath = path.join(renderDir, name);
+        const { mtimeMs } = await fs.stat(filePath);
+        return { filePath, mtimeMs };
+      }));
+      files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+      await Promise.all(files.slice(this.maxRendersPerSong).map(file => fs.rm(file.filePath, { force: true })));
+    } catch (error) {
+      logger.warn('Failed to prune audio renders', { renderDir, error: error.message });
+    }
+  }
+}
+
+module.exports = new AudioRenderService();
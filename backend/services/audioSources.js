@@ -0,0 +1,40 @@
+const youtubeSource = require('./sources/youtube');
+const httpAudioSource = require('./sources/httpAudio');
+
+// Where audio for analysis can come from besides uploads. A provider is an object with:
+//   name                              stable id, stored with songs and jobs
+//   displayName                       shown in messages
+//   matches(url)                      whether the provider handles the URL
+//   getSourceId(url)                  stable id of the audio behind the URL, null when malformed
+//   getMetadata(url, signal)          title, artist, duration, thumbnail, license, attribution
+//   download(url, outputPath, signal) fetch the audio into a local file
+// Providers are tried in order; the direct link provider accepts any http(s) URL, so it stays last.
+class AudioSourceRegistry {
+  constructor() {
+    this.providers = [youtubeSource, httpAudioSource];
+  }
+
+  // Add a provider ahead of the built-in ones
+  register(provider) {
+    this.providers = [provider, ...this.providers.filter(p => p.name !== provider.name)];
+  }
+
+  // Provider handling the URL, or null when none does
+  resolve(url) {
+    if (typeof url !== 'string') return null;
+    return this.providers.find(provider => provider.matches(url)) || null;
+  }
+
+  get(name) {
+    return this.providers.find(provider => provider.name === name) || null;
+  }
+
+  createUnsupportedError(url) {
+    const error = new Error(`No audio source supports this URL: ${url}`);
+    error.code = 'UNSUPPORTED_SOURCE';
+    error.retryable = false;
+    return error;
+  }
+}
+
+module.exports = new AudioSourceRegistry();
@@ -0,0 +1,346 @@
+const MusicTempo = require('music-tempo');
+const logger = require('../config/logger');
+
+/**
+ * Beat Tracking Service
+ * Builds a beat grid (beats, downbeats, bars, meter and tempo changes) on top of
+ * the Beatroot beat tracker in music-tempo
+ */
+class BeatTrackingService {
+  constructor() {
+    // Relative accent expected on each beat of a bar, starting from the downbeat
+    this.meterPatterns = {
+      '4/4': [1, 0, 0.5, 0],
+      '3/4': [1, 0, 0],
+      '6/8': [1, 0, 0, 0.5, 0, 0]
+    };
+
+    // Common time wins near-ties, since weak accent contrast is most often a 4/4 song
+    this.meterPriors = {
+      '4/4': 1.0,
+      '3/4': 0.9,
+      '6/8': 0.85
+    };
+
+    this.hopSize = 441;
+    this.accentWindowSeconds = 0.03;
+    this.tempoWindowBeats = 8;
+    this.tempoChangeThreshold = 0.05;
+    this.minTempoChangeBeats = 4;
+
+    // Onset decay is sustain RMS (sustainOffsetSeconds after the onset) over attack RMS
+    this.attackSeconds = 0.03;
+    this.sustainOffsetSeconds = 0.1;
+  }
+
+  /**
+   * Track beats in audio data
+   * @param {Float32Array} audioData - Normalized audio samples
+   * @param {number} sampleRate - Audio sample rate
+   * @returns {Object} Beat grid with bpm and confidence
+   */
+  trackBeats(audioData, sampleRate = 44100) {
+    const mt = new MusicTempo(audioData, { hopSize: this.hopSize });
+    const timeStep = this.hopSize / sampleRate;
+
+    const beatTimes = mt.beats.map(time => this.roundTime(time));
+    const beatAccents = this.measureAccents(beatTimes, mt.spectralFlux, timeStep);
+    const grid = this.buildBeatGrid(beatTimes, beatAccents);
+
+    logger.debug('Beat grid built', { beats: beatTimes.length, meter: grid.time_signature });
+
+    return {
+      ...grid,
+      bpm: grid.bpm || Math.round(mt.tempo),
+      confidence: this.measureConfidence(beatTimes, mt.peaks, timeStep),
+      onsets: this.describeOnsets(audioData, sampleRate, mt.peaks, mt.spectralFlux, timeStep)
+    };
+  }
+
+  /**
+   * Onset peaks found by the beat tracker, with their strength (normalised spectral flux)
+   * and how much of the attack energy is left shortly afterwards. Muted strums die away
+   * almost at once, so a low decay ratio marks a percussive hit.
+   */
+  describeOnsets(audioData, sampleRate, peaks, spectralFlux, timeStep) {
+    if (!peaks || peaks.length === 0) return [];
+
+    const maxFlux = Math.max(...peaks.map(peak => spectralFlux[peak] || 0));
+    const rmsOver = (startSeconds, endSeconds) => {
+      const start = Math.max(0, Math.floor(startSeconds * sampleRate));
+      const end = Math.min(audioData.length, Math.floor(endSeconds * sampleRate));
+      if (end <= start) return 0;
+      let sum = 0;
+      for (let i = start; i < end; i++) {
+        sum += audioData[i] * audioData[i];
+      }
+      return Math.sqrt(sum / (end - start));
+    };
+
+    return peaks.map(peak => {
+      const time = peak * timeStep;
+      const attack = rmsOver(time, time + this.attackSeconds);
+      const sustain = rmsOver(time + this.sustainOffsetSeconds, time + this.sustainOffsetSeconds + this.attackSeconds);
+
+      return {
+        time: this.roundTime(time),
+        strength: maxFlux > 0 ? (spectralFlux[peak] || 0) / maxFlux : 0,
+        decay: attack > 0 ? sustain / attack : 0
+      };
+    });
+  }
+
+  /**
+   * Onset strength at each beat, normalised to the strongest beat
+   */
+  measureAccents(beatTimes, spectralFlux, timeStep) {
+    const radius = Math.max(1, Math.round(this.accentWindowSeconds / timeStep));
+
+    const accents = beatTimes.map(time => {
+      const centre = Math.round(time / timeStep);
+      let peak = 0;
+      for (let i = Math.max(0, centre - radius); i <= Math.min(spectralFlux.length - 1, centre + radius); i++) {
+        peak = Math.max(peak, spectralFlux[i]);
+      }
+      return peak;
+    });
+
+    const max = Math.max(0, ...accents);
+    return max > 0 ? accents.map(accent => accent / max) : accents;
+  }
+
+  /**
+   * Share of beats that land on a detected onset peak
+   */
+  measureConfidence(beatTimes, peaks, timeStep) {
+    if (beatTimes.length === 0 || !peaks || peaks.length === 0) return 0;
+
+    const peakTimes = peaks.map(peak => peak * timeStep);
+    let aligned = 0;
+    let p = 0;
+
+    for (const time of beatTimes) {
+      while (p < peakTimes.length - 1 && peakTimes[p + 1] <= time) p++;
+      const nearest = Math.min(
+        Math.abs(peakTimes[p] - time),
+        p + 1 < peakTimes.length ? Math.abs(peakTimes[p + 1] - time) : Infinity
+      );
+      if (nearest <= this.accentWindowSeconds * 2) aligned++;
+    }
+
+    return aligned / beatTimes.length;
+  }
+
+  /**
+   * Turn beat times and accents into a beat grid
+   * @param {number[]} beatTimes - Beat times in seconds, ascending
+   * @param {number[]} beatAccents - Onset strength at each beat (0-1)
+   * @returns {Object} Meter, beats with bar positions, downbeats, bars and tempo changes
+   */
+  buildBeatGrid(beatTimes, beatAccents) {
+    if (beatTimes.length < 2) {
+      return this.getEmptyGrid();
+    }
+
+    const { meter, phase } = this.inferMeter(beatAccents);
+    const beatsPerBar = this.meterPatterns[meter].length;
+    const beatInterval = this.median(this.intervals(beatTimes));
+
+    const beats = beatTimes.map((time, i) => {
+      const position = i - phase;
+      return {
+        time,
+        // Beats before the first downbeat form a pickup bar 0
+        bar: position < 0 ? 0 : Math.floor(position / beatsPerBar) + 1,
+        beat: ((position % beatsPerBar) + beatsPerBar) % beatsPerBar + 1,
+        accent: beatAccents[i] || 0
+      };
+    });
+
+    const bars = [];
+    for (let i = phase; i < beatTimes.length; i += beatsPerBar) {
+      const endIndex = i + beatsPerBar;
+      bars.push({
+        bar: bars.length + 1,
+        start_time: beatTimes[i],
+        end_time: endIndex < beatTimes.length
+          ? beatTimes[endIndex]
+          : this.roundTime(beatTimes[i] + beatsPerBar * beatInterval)
+      });
+    }
+
+    return {
+      bpm: Math.round(60 / beatInterval),
+      time_signature: meter,
+      beats_per_bar: beatsPerBar,
+      beats,
+      downbeats: bars.map(bar => bar.start_time),
+      bars,
+      tempo_changes: this.detectTempoChanges(beatTimes)
+    };
+  }
+
+  /**
+   * Pick the meter and downbeat phase whose accent pattern best fits the beat accents
+   */
+  inferMeter(beatAccents) {
+    let best = { meter: '4/4', phase: 0, score: -Infinity };
+
+    for (const [meter, pattern] of Object.entries(this.meterPatterns)) {
+      // Need at least two full bars to judge a meter
+      if (beatAccents.length < pattern.length * 2) continue;
+
+      for (let phase = 0; phase < pattern.length; phase++) {
+        const template = beatAccents.map((_, i) => pattern[((i - phase) % pattern.length + pattern.length) % pattern.length]);
+        const score = this.correlate(beatAccents, template) * this.meterPriors[meter];
+
+        if (score > best.score) {
+          best = { meter, phase, score };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Find points where the local tempo settles at a new value
+   */
+  detectTempoChanges(beatTimes) {
+    const intervals = this.intervals(beatTimes);
+    if (intervals.length === 0) return [];
+
+    const localBpm = intervals.map((_, i) => {
+      const window = intervals.slice(Math.max(0, i - this.tempoWindowBeats + 1), i + 1);
+      return 60 / this.median(window);
+    });
+
+    const changes = [{ start_time: beatTimes[0], bpm: Math.round(localBpm[0]) }];
+    let currentBpm = localBpm[0];
+    let deviationStart = -1;
+
+    for (let i = 1; i < localBpm.length; i++) {
+      const deviates = Math.abs(localBpm[i] - currentBpm) / currentBpm > this.tempoChangeThreshold;
+
+      if (!deviates) {
+        deviationStart = -1;
+        continue;
+      }
+
+      if (deviationStart === -1) deviationStart = i;
+
+      if (i - deviationStart + 1 >= this.minTempoChangeBeats) {
+        currentBpm = localBpm[i];
+        changes.push({ start_time: beatTimes[deviationStart], bpm: Math.round(currentBpm) });
+        deviationStart = -1;
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Snap chord segments to the beat grid for a chord chart. Changes inside a bar land on the
+   * nearest beat, so two chords per bar stay two chords; only chords shorter than half a beat
+   * are absorbed by their neighbours. Each chord gets its bar and beat position.
+   * @param {Array} chords - Chord timeline ({ chord, start_time, duration, ... })
+   * @param {Object} grid - Beat grid from buildBeatGrid
+   * @returns {Array} Chords with start_time, duration, bar, beat and beat_count on the grid
+   */
+  snapChordsToGrid(chords, grid) {
+    const { beats = [], bars = [] } = grid || {};
+    if (!chords || chords.length === 0 || bars.length === 0) return chords || [];
+
+    // Grid points: every beat, or every downbeat when the grid has no beats, then the end of the last bar
+    const lastBar = bars[bars.length - 1];
+    const points = (beats.length > 0
+      ? beats.filter(beat => beat.time < lastBar.end_time).map(({ time, bar, beat }) => ({ time, bar, beat }))
+      : bars.map(bar => ({ time: bar.start_time, bar: bar.bar, beat: 1 })))
+      .concat({ time: lastBar.end_time, bar: lastBar.bar + 1, beat: 1 });
+
+    // A time exactly between two points goes to the later one
+    const nearestPoint = (time) => {
+      let nearest = 0;
+      for (let i = 1; i < points.length; i++) {
+        if (Math.abs(points[i].time - time) <= Math.abs(points[nearest].time - time)) nearest = i;
+      }
+      return nearest;
+    };
+
+    const snapped = [];
+
+    chords.forEach(chord => {
+      const startIndex = nearestPoint(chord.start_time);
+      const endIndex = nearestPoint(chord.start_time + chord.duration);
+      if (endIndex <= startIndex) return;
+
+      const previous = snapped[snapped.length - 1];
+      if (previous && previous.chord === chord.chord && previous.endIndex === startIndex) {
+        previous.endIndex = endIndex;
+        return;
+      }
+
+      snapped.push({ ...chord, startIndex, endIndex });
+    });
+
+    return snapped.map(({ startIndex, endIndex, ...chord }) => ({
+      ...chord,
+      start_time: points[startIndex].time,
+      duration: this.roundTime(points[endIndex].time - points[startIndex].time),
+      bar: points[startIndex].bar,
+      beat: points[startIndex].beat,
+      beat_count: endIndex - startIndex
+    }));
+  }
+
+  getEmptyGrid() {
+    return {
+      bpm: 0,
+      time_signature: '4/4',
+      beats_per_bar: 4,
+      beats: [],
+      downbeats: [],
+      bars: [],
+      tempo_changes: []
+    };
+  }
+
+  intervals(times) {
+    const intervals = [];
+    for (let i = 1; i < times.length; i++) {
+      intervals.push(times[i] - times[i - 1]);
+    }
+    return intervals;
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  correlate(vec1, vec2) {
+    const n = vec1.length;
+    const mean1 = vec1.reduce((a, b) => a + b, 0) / n;
+    const mean2 = vec2.reduce((a, b) => a + b, 0) / n;
+
+    let covariance = 0;
+    let variance1 = 0;
+    let variance2 = 0;
+
+    for (let i = 0; i < n; i++) {
+      covariance += (vec1[i] - mean1) * (vec2[i] - mean2);
+      variance1 += (vec1[i] - mean1) ** 2;
+      variance2 += (vec2[i] - mean2) ** 2;
+    }
+
+    if (variance1 === 0 || variance2 === 0) return 0;
+    return covariance / Math.sqrt(variance1 * variance2);
+  }
+
+  roundTime(time) {
+    return Math.round(time * 1000) / 1000;
+  }
+}
+
+module.exports = new BeatTrackingService();
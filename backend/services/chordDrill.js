@@ -0,0 +1,126 @@
+const advancedChordDetection = require('./advancedChordDetection');
+const practiceScoringService = require('./practiceScoring');
+
+/**
+ * Chord Drill Service
+ * Counts chord changes in a recording of a timed drill between two chords. Each frame is
+ * labelled with the drill chord it sounds like; stretches where a chord rings for at least
+ * minHoldSeconds count as holding it, and a change is the step from holding one chord to holding
+ * the other. A change is clean when the other chord rings within maxChangeSeconds.
+ */
+class ChordDrillService {
+  constructor() {
+    // Drill length when none is chosen
+    this.defaultDurationSeconds = 60;
+    // Recordings shorter than this say nothing about change speed
+    this.minRecordingSeconds = 5;
+    // A chord must ring this long to count as held
+    this.minHoldSeconds = 0.3;
+    // Changes taking longer than this are counted, but not as clean
+    this.maxChangeSeconds = 1.5;
+    // Clean changes per minute a drill aims for; pairs below slowChangesPerMinute are slow
+    this.targetChangesPerMinute = 60;
+    this.slowChangesPerMinute = 30;
+  }
+
+  /**
+   * Normalise a chord pair so both orders are the same drill
+   * @param {Array} chords - Two chord names
+   * @returns {Array|null} The pair in a fixed order, or null when it is not a drillable pair
+   */
+  normalizePair(chords) {
+    if (!Array.isArray(chords) || chords.length !== 2) return null;
+
+    const names = chords.map(chord => String(chord).trim());
+    const templates = names.map(name => practiceScoringService.getTemplate(name));
+    if (templates.some(template => !template)) return null;
+    // Chords that sound the same (e.g. an unknown extension falling back to the same triad)
+    if (advancedChordDetection.cosineSimilarity(templates[0], templates[1]) > 0.99) return null;
+
+    return names.sort();
+  }
+
+  // Drill chord a frame sounds like: 0 or 1, null when silent or neither
+  labelFrame(frame, pair) {
+    if (frame.rms < practiceScoringService.silenceRms) return null;
+
+    const matches = pair
+      .map((chord, index) => ({
+        index,
+        correct: practiceScoringService.judgeChord([frame], chord).correct,
+        similarity: advancedChordDetection.cosineSimilarity(frame.chroma, practiceScoringService.getTemplate(chord))
+      }))
+      .filter(match => match.correct)
+      .sort((a, b) => b.similarity - a.similarity);
+
+    return matches.length > 0 ? matches[0].index : null;
+  }
+
+  /**
+   * Stretches where one drill chord is held, merged across short dropouts of the same chord
+   * @param {Array} labels - Drill chord per frame (0, 1 or null)
+   * @returns {Array} { chord, start, end } in frames, end exclusive
+   */
+  findHolds(labels) {
+    const minHoldFrames = Math.round(this.minHoldSeconds / practiceScoringService.frameSeconds);
+    const holds = [];
+    let start = 0;
+
+    for (let i = 1; i <= labels.length; i++) {
+      if (i < labels.length && labels[i] === labels[start]) continue;
+
+      if (labels[start] !== null && i - start >= minHoldFrames) {
+        const previous = holds[holds.length - 1];
+        if (previous && previous.chord === labels[start]) {
+          previous.end = i;
+        } else {
+          holds.push({ chord: labels[start], start, end: i });
+        }
+      }
+      start = i;
+    }
+
+    return holds;
+  }
+
+  /**
+   * Count the changes of a drill recording
+   * @param {Array} frames - Recording features from practiceScoring.computeFeatures
+   * @param {Array} pair - The two drill chords
+   * @param {number} durationSeconds - Length of the drill; later audio is ignored
+   * @returns {Object} Changes, clean changes per minute and change times
+   */
+  countChanges(frames, pair, durationSeconds) {
+    const frameSeconds = practiceScoringService.frameSeconds;
+    const drillFrames = frames.slice(0, Math.round(durationSeconds / frameSeconds));
+    const seconds = drillFrames.length * frameSeconds;
+    const labels = drillFrames.map(frame => this.labelFrame(frame, pair));
+    const holds = this.findHolds(labels);
+
+    const changeTimes = [];
+    for (let i = 1; i < holds.length; i++) {
+      changeTimes.push((holds[i].start - holds[i - 1].end) * frameSeconds);
+    }
+    const cleanTimes = changeTimes.filter(time => time <= this.maxChangeSeconds);
+
+    const heldSeconds = {};
+    pair.forEach((chord, index) => {
+      const heldFrames = holds.filter(hold => hold.chord === index).reduce((sum, hold) => sum + hold.end - hold.start, 0);
+      heldSeconds[chord] = Math.round(heldFrames * frameSeconds * 10) / 10;
+    });
+
+    return {
+      seconds: Math.round(seconds * 10) / 10,
+      changes: changeTimes.length,
+      clean_changes: cleanTimes.length,
+      changes_per_minute: seconds > 0 ? Math.round(cleanTimes.length / seconds * 60 * 10) / 10 : 0,
+      average_change_ms: cleanTimes.length > 0
+        ? Math.round(cleanTimes.reduce((sum, time) => sum + time, 0) / cleanTimes.length * 1000)
+        : null,
+      fastest_change_ms: cleanTimes.length > 0 ? Math.round(Math.min(...cleanTimes) * 1000) : null,
+      held_seconds: heldSeconds
+    };
+  }
+}
+
+module.exports = new ChordDrillService();
@@ -0,0 +1,94 @@
+/**
+ * FFT Service
+ * In-place iterative radix-2 complex FFT with its inverse, shared by the spectral analysers.
+ * Twiddle factors and bit-reversal indices are cached per transform size.
+ */
+class FFTService {
+  constructor() {
+    this.tables = new Map();
+  }
+
+  isPowerOfTwo(N) {
+    return N >= 2 && (N & (N - 1)) === 0;
+  }
+
+  /**
+   * Transform in place; the inverse is scaled by 1/N
+   * @param {Float64Array} real - Real parts, length a power of two
+   * @param {Float64Array} imag - Imaginary parts, same length
+   * @param {boolean} inverse - Inverse transform
+   */
+  transform(real, imag, inverse = false) {
+    const N = real.length;
+    const { cos, sin, reversed } = this.getTables(N);
+
+    // Bit-reversal permutation
+    for (let i = 0; i < N; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        [real[i], real[j]] = [real[j], real[i]];
+        [imag[i], imag[j]] = [imag[j], imag[i]];
+      }
+    }
+
+    // Butterflies, doubling the transform size each pass
+    const direction = inverse ? -1 : 1;
+    for (let size = 2; size <= N; size <<= 1) {
+      const half = size >> 1;
+      const tableStep = N / size;
+
+      for (let start = 0; start < N; start += size) {
+        for (let j = 0; j < half; j++) {
+          const twiddleCos = cos[j * tableStep];
+          const twiddleSin = direction * sin[j * tableStep];
+          const even = start + j;
+          const odd = even + half;
+
+          const oddReal = real[odd] * twiddleCos - imag[odd] * twiddleSin;
+          const oddImag = real[odd] * twiddleSin + imag[odd] * twiddleCos;
+
+          real[odd] = real[even] - oddReal;
+          imag[odd] = imag[even] - oddImag;
+          real[even] += oddReal;
+          imag[even] += oddImag;
+        }
+      }
+    }
+
+    if (inverse) {
+      for (let i = 0; i < N; i++) {
+        real[i] /= N;
+        imag[i] /= N;
+      }
+    }
+  }
+
+  /**
+   * Twiddle factors and bit-reversal indices, cached per FFT size
+   */
+  getTables(N) {
+    if (!this.tables.has(N)) {
+      const cos = new Float64Array(N / 2);
+      const sin = new Float64Array(N / 2);
+      for (let k = 0; k < N / 2; k++) {
+        cos[k] = Math.cos(-2 * Math.PI * k / N);
+        sin[k] = Math.sin(-2 * Math.PI * k / N);
+      }
+
+      const bits = Math.log2(N);
+      const reversed = new Uint32Array(N);
+      for (let i = 0; i < N; i++) {
+        let r = 0;
+        for (let b = 0; b < bits; b++) {
+          r = (r << 1) | ((i >> b) & 1);
+        }
+        reversed[i] = r;
+      }
+
+      this.tables.set(N, { cos, sin, reversed });
+    }
+    return this.tables.get(N);
+  }
+}
+
+module.exports = new FFTService();
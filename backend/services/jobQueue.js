@@ -0,0 +1,374 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { query, transaction } = require('../config/database');
+const { cache } = require('../config/redis');
+const logger = require('../config/logger');
+
+// Durable audio processing queue on the processing_jobs table. Postgres is the source of
+// truth; Redis only holds a short-lived copy of each job's status for fast polling.
+class JobQueueService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+    // Retry delay doubles with each failed attempt, up to the cap
+    this.retryBaseSeconds = parseInt(process.env.JOB_RETRY_BASE_SECONDS) || 30;
+    this.retryMaxSeconds = 30 * 60;
+    // Jobs whose worker has not sent a heartbeat for this long are treated as crashed
+    this.stalledJobSeconds = parseInt(process.env.JOB_STALLED_SECONDS) || 120;
+    this.statusCacheSeconds = 3600;
+
+    // Priority lanes: higher priority is claimed first, and each tier may only have this many
+    // jobs processing at once across all workers. Admin re-analysis batches run behind users.
+    this.tierLanes = {
+      batch: { priority: -1, concurrency: 1 },
+      free: { priority: 0, concurrency: 1 },
+      basic: { priority: 1, concurrency: 2 },
+      premium: { priority: 2, concurrency: 4 }
+    };
+    // Waiting jobs gain one priority level per this many seconds, so no lane starves
+    this.priorityAgingSeconds = 300;
+    // ETA is based on the last few completed jobs, or this before any job has completed
+    this.recentJobsForEta = 20;
+    this.defaultJobSeconds = 120;
+
+    // Errors that will fail the same way on every attempt
+    this.permanentErrorPatterns = [
+      'Invalid YouTube URL',
+      'Video not found',
+      'Age-restricted',
+      'Only audio files',
+      'Not a RIFF/WAVE file',
+      'Unsupported WAV',
+      'ENOENT'
+    ];
+  }
+
+  // Identify this worker in locked_by, so a stuck job can be traced to its process
+  getWorkerId() {
+    return `${os.hostname()}:${process.pid}`;
+  }
+
+  // Add a job to the queue in its tier's lane and return it
+  async enqueue({ userId, sourceType, source, userPreferences = {}, youtubeId = null, tier = 'free', batchId = null }) {
+    const lane = this.tierLanes[tier] ? tier : 'free';
+
+    const result = await query(
+      `INSERT INTO processing_jobs (
+        user_id, youtube_id, source_type, source, user_preferences, status, max_attempts, run_after,
+        tier, priority, batch_id
+      ) VALUES ($1, $2, $3, $4, $5, 'queued', $6, NOW(), $7, $8, $9)
+      RETURNING *`,
+      [userId, youtubeId, sourceType, source, userPreferences, this.maxAttempts, lane, this.tierLanes[lane].priority, batchId]
+    );
+
+    const job = result.rows[0];
+    await this.cacheStatus(job);
+    logger.info(`Job ${job.job_id} queued`, { userId, sourceType, tier: lane });
+    return job;
+  }
+
+  // Record a job that needs no processing (e.g. the song was analysed before), so callers
+  // still get a job id whose status and results can be fetched like any other
+  async recordCompleted({ userId, sourceType, source, youtubeId = null, songId = null, results }) {
+    const jobId = uuidv4();
+    const jobResults = { job_id: jobId, status: 'completed', ...results };
+
+    const result = await query(
+      `INSERT INTO processing_jobs (
+        job_id, user_id, youtube_id, source_type, source, status, progress_percentage, current_step,
+        results, song_id, deduplicated, completed_at
+      ) VALUES ($1, $2, $3, $4, $5, 'completed', 100, 'completion', $6, $7, true, NOW())
+      RETURNING *`,
+      [jobId, userId, youtubeId, sourceType, source, jobResults, songId]
+    );
+
+    const job = result.rows[0];
+    await this.cacheStatus(job);
+    return job;
+  }
+
+  // Take the runnable job with the highest (aged) priority whose lane has a free slot. Claims
+  // are serialised with an advisory lock so two workers cannot both fill a lane's last slot.
+  async claimNext(workerId = this.getWorkerId()) {
+    const lanes = Object.entries(this.tierLanes).map(([tier, lane]) => ({ tier, concurrency: lane.concurrency }));
+
+    const job = await transaction(async (client) => {
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('processing_jobs_claim'))");
+
+      const result = await client.query(
+        `UPDATE processing_jobs
+         SET status = 'processing', locked_by = $1, attempts = attempts + 1,
+             heartbeat_at = NOW(), started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+         WHERE job_id = (
+           SELECT q.job_id FROM processing_jobs q
+           JOIN jsonb_to_recordset($2::jsonb) AS lanes(tier text, concurrency int) ON lanes.tier = q.tier
+           WHERE q.status = 'queued' AND q.run_after <= NOW()
+             AND (
+               SELECT COUNT(*) FROM processing_jobs p WHERE p.status = 'processing' AND p.tier = q.tier
+             ) < lanes.concurrency
+           ORDER BY q.priority + EXTRACT(EPOCH FROM NOW() - q.created_at) / $3 DESC, q.created_at
+           FOR UPDATE OF q SKIP LOCKED
+           LIMIT 1
+         )
+         RETURNING *`,
+        [workerId, JSON.stringify(lanes), this.priorityAgingSeconds]
+      );
+      return result.rows[0] || null;
+    });
+
+    if (job) {
+      await this.cacheStatus(job);
+      logger.info(`Job ${job.job_id} claimed`, { workerId, attempt: job.attempts });
+    }
+    return job;
+  }
+
+  // Progress also counts as a heartbeat
+  async updateProgress(jobId, currentStep, progressPercentage) {
+    const result = await query(
+      `UPDATE processing_jobs
+       SET current_step = $2, progress_percentage = COALESCE($3, progress_percentage),
+           heartbeat_at = NOW(), updated_at = NOW()
+       WHERE job_id = $1 AND status = 'processing'
+       RETURNING *`,
+      [jobId, currentStep, progressPercentage]
+    );
+
+    if (result.rows[0]) await this.cacheStatus(result.rows[0]);
+    return result.rows[0] || null;
+  }
+
+  // Returns whether the job has been asked to cancel, so the worker can abort it
+  async heartbeat(jobId) {
+    const result = await query(
+      `UPDATE processing_jobs SET heartbeat_at = NOW()
+       WHERE job_id = $1 AND status = 'processing'
+       RETURNING cancel_requested`,
+      [jobId]
+    );
+    return Boolean(result.rows[0] && result.rows[0].cancel_requested);
+  }
+
+  // Cancel a job: a queued job is cancelled straight away, a running one is flagged so its
+  // worker aborts it on the next heartbeat. Finished jobs are left alone (null is returned).
+  async cancel(jobId) {
+    const result = await query(
+      `UPDATE processing_jobs
+       SET cancel_requested = true,
+           status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+           cancelled_at = CASE WHEN status = 'queued' THEN NOW() ELSE cancelled_at END,
+           completed_at = CASE WHEN status = 'queued' THEN NOW() ELSE completed_at END,
+           updated_at = NOW()
+       WHERE job_id = $1 AND status IN ('queued', 'processing')
+       RETURNING *`,
+      [jobId]
+    );
+
+    const job = result.rows[0] || null;
+    if (job) {
+      await this.cacheStatus(job);
+      logger.info(`Job ${jobId} ${job.status === 'cancelled' ? 'cancelled' : 'cancellation requested'}`);
+    }
+    return job;
+  }
+
+  // Called by the worker once it has stopped a cancelled job and cleaned up after it
+  async markCancelled(jobId) {
+    const result = await query(
+      `UPDATE processing_jobs
+       SET status = 'cancelled', locked_by = NULL, cancelled_at = NOW(), completed_at = NOW(), updated_at = NOW()
+       WHERE job_id = $1
+       RETURNING *`,
+      [jobId]
+    );
+
+    if (result.rows[0]) await this.cacheStatus(result.rows[0]);
+    return result.rows[0] || null;
+  }
+
+  // deduplicated marks jobs answered with an existing song, which skip the daily limit
+  async complete(jobId, results, songId = null, { deduplicated = false } = {}) {
+    const result = await query(
+      `UPDATE processing_jobs
+       SET status = 'completed', progress_percentage = 100, current_step = 'completion',
+           results = $2, song_id = $3, deduplicated = $4, error_message = NULL, locked_by = NULL,
+           completed_at = NOW(), updated_at = NOW()
+       WHERE job_id = $1
+       RETURNING *`,
+      [jobId, results, songId, deduplicated]
+    );
+
+    const job = result.rows[0];
+    if (job) {
+      await this.cacheStatus(job);
+      await cache.set(`job_${jobId}`, results, this.statusCacheSeconds);
+    }
+    logger.info(`Job ${jobId} completed`, { songId });
+    return job;
+  }
+
+  // Put a failed job back in the queue after a backoff, or fail it for good once it is out
+  // of attempts or the error cannot go away by retrying
+  async fail(job, error) {
+    const retry = this.isRetryable(error) && job.attempts < (job.max_attempts || this.maxAttempts);
+    const delaySeconds = retry ? this.getRetryDelay(job.attempts) : 0;
+
+    const result = await query(
+      `UPDATE processing_jobs
+       SET status = $2, error_message = $3, locked_by = NULL,
+           run_after = NOW() + ($4::int * INTERVAL '1 second'),
+           completed_at = CASE WHEN $2::varchar = 'failed' THEN NOW() ELSE NULL END, updated_at = NOW()
+       WHERE job_id = $1
+       RETURNING *`,
+      [job.job_id, retry ? 'queued' : 'failed', error.message, delaySeconds]
+    );
+
+    if (result.rows[0]) await this.cacheStatus(result.rows[0]);
+
+    if (retry) {
+      logger.warn(`Job ${job.job_id} failed, retrying in ${delaySeconds}s`, { attempt: job.attempts, error: error.message });
+    } else {
+      logger.error(`Job ${job.job_id} failed`, { attempts: job.attempts, error: error.message });
+    }
+    return result.rows[0] || null;
+  }
+
+  // Requeue jobs whose worker died mid-job; jobs that already used every attempt are failed
+  // and jobs that were being cancelled are cancelled
+  async recoverStalled() {
+    const result = await query(
+      `UPDATE processing_jobs
+       SET status = CASE
+             WHEN cancel_requested THEN 'cancelled'
+             WHEN attempts >= max_attempts THEN 'failed'
+             ELSE 'queued'
+           END,
+           error_message = 'Worker stopped responding', locked_by = NULL,
+           run_after = NOW(), updated_at = NOW()
+       WHERE status = 'processing' AND heartbeat_at < NOW() - ($1::int * INTERVAL '1 second')
+       RETURNING *`,
+      [this.stalledJobSeconds]
+    );
+
+    for (const job of result.rows) {
+      await this.cacheStatus(job);
+    }
+    if (result.rows.length > 0) {
+      logger.warn(`Recovered ${result.rows.length} stalled jobs`, { jobIds: result.rows.map(job => job.job_id) });
+    }
+    return result.rows;
+  }
+
+  async getJob(jobId) {
+    const result = await query('SELECT * FROM processing_jobs WHERE job_id = $1', [jobId]);
+    return result.rows[0] || null;
+  }
+
+  // Status from the cache when it is there, otherwise from the table. Queue position and ETA
+  // change all the time, so they are worked out fresh on every call.
+  async getStatus(jobId) {
+    let status = await cache.get(`job_status_${jobId}`);
+
+    if (!status) {
+      const job = await this.getJob(jobId);
+      if (!job) return null;
+
+      status = this.toStatus(job);
+      await cache.set(`job_status_${jobId}`, status, this.statusCacheSeconds);
+    }
+
+    if (status.status !== 'queued' && status.status !== 'processing') return status;
+
+    try {
+      return { ...status, ...this.estimateWait(status, await this.getQueueStats(jobId)) };
+    } catch (error) {
+      logger.warn('Failed to estimate queue position', { jobId, error: error.message });
+      return status;
+    }
+  }
+
+  // Jobs that will be claimed before this one, jobs running now, and recent job duration
+  async getQueueStats(jobId) {
+    const result = await query(
+      `SELECT
+         (SELECT COUNT(*) FROM processing_jobs q
+          WHERE q.status = 'queued' AND q.job_id <> me.job_id
+            AND q.priority + EXTRACT(EPOCH FROM NOW() - q.created_at) / $2 >
+                me.priority + EXTRACT(EPOCH FROM NOW() - me.created_at) / $2) AS ahead,
+         (SELECT COUNT(*) FROM processing_jobs WHERE status = 'processing') AS running,
+         (SELECT AVG(EXTRACT(EPOCH FROM recent.completed_at - recent.started_at)) FROM (
+            SELECT completed_at, started_at FROM processing_jobs
+            WHERE status = 'completed' AND started_at IS NOT NULL
+            ORDER BY completed_at DESC
+            LIMIT $3
+          ) recent) AS average_seconds
+       FROM processing_jobs me
+       WHERE me.job_id = $1`,
+      [jobId, this.priorityAgingSeconds, this.recentJobsForEta]
+    );
+
+    const row = result.rows[0] || {};
+    return {
+      ahead: parseInt(row.ahead) || 0,
+      running: parseInt(row.running) || 0,
+      averageSeconds: parseFloat(row.average_seconds) || this.defaultJobSeconds
+    };
+  }
+
+  // Queued jobs wait for the jobs ahead of them, spread over the jobs that run side by side
+  // now; running jobs have the rest of an average job left
+  estimateWait(status, { ahead, running, averageSeconds }) {
+    if (status.status === 'processing') {
+      const done = (status.progress_percentage || 0) / 100;
+      return { estimated_remaining_seconds: Math.round(averageSeconds * (1 - done)) };
+    }
+
+    const startSeconds = Math.round(ahead / Math.max(1, running) * averageSeconds);
+    return {
+      queue_position: ahead + 1,
+      estimated_start_seconds: startSeconds,
+      estimated_remaining_seconds: startSeconds + Math.round(averageSeconds)
+    };
+  }
+
+  async getResults(jobId) {
+    const cached = await cache.get(`job_${jobId}`);
+    if (cached) return cached;
+
+    const job = await this.getJob(jobId);
+    return job && job.status === 'completed' ? job.results : null;
+  }
+
+  // Shape returned by GET /process-status and pushed over the websocket
+  toStatus(job) {
+    return {
+      job_id: job.job_id,
+      status: job.status === 'processing' && job.cancel_requested ? 'cancelling' : job.status,
+      tier: job.tier || 'free',
+      progress_percentage: job.progress_percentage || 0,
+      current_step: job.current_step || job.status,
+      attempts: job.attempts || 0,
+      max_attempts: job.max_attempts,
+      next_attempt_at: job.status === 'queued' && job.attempts > 0 ? job.run_after : undefined,
+      song_id: job.song_id || undefined,
+      error: job.error_message || undefined,
+      created_at: job.created_at,
+      updated_at: job.updated_at
+    };
+  }
+
+  async cacheStatus(job) {
+    await cache.set(`job_status_${job.job_id}`, this.toStatus(job), this.statusCacheSeconds);
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(this.retryMaxSeconds, this.retryBaseSeconds * 2 ** Math.max(0, attempts - 1));
+  }
+
+  isRetryable(error) {
+    if (error && error.retryable === false) return false;
+    const message = (error && error.message) || '';
+    return !this.permanentErrorPatterns.some(pattern => message.includes(pattern));
+  }
+}
+
+module.exports = new JobQueueService();
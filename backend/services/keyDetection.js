@@ -0,0 +1,150 @@
+const logger = require('../config/logger');
+
+/**
+ * Key Detection Service
+ * Implements Krumhansl-Schmuckler key estimation over a chroma profile
+ */
+class KeyDetectionService {
+  constructor() {
+    this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+    // Krumhansl-Kessler probe-tone profiles, indexed from the tonic
+    this.keyProfiles = {
+      Major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+      Minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+    };
+
+    this.maxAlternatives = 4;
+  }
+
+  /**
+   * Sum a chromagram (array of 12-element frames) into a single pitch-class profile
+   */
+  accumulateChroma(chromagram) {
+    const profile = new Array(12).fill(0);
+
+    for (const frame of chromagram) {
+      for (let i = 0; i < 12; i++) {
+        profile[i] += frame[i];
+      }
+    }
+
+    return profile;
+  }
+
+  /**
+   * Pearson correlation between two equal-length vectors
+   */
+  correlate(vec1, vec2) {
+    const n = vec1.length;
+    const mean1 = vec1.reduce((a, b) => a + b, 0) / n;
+    const mean2 = vec2.reduce((a, b) => a + b, 0) / n;
+
+    let covariance = 0;
+    let variance1 = 0;
+    let variance2 = 0;
+
+    for (let i = 0; i < n; i++) {
+      const d1 = vec1[i] - mean1;
+      const d2 = vec2[i] - mean2;
+      covariance += d1 * d2;
+      variance1 += d1 * d1;
+      variance2 += d2 * d2;
+    }
+
+    if (variance1 === 0 || variance2 === 0) return 0;
+    return covariance / Math.sqrt(variance1 * variance2);
+  }
+
+  /**
+   * Correlate a chroma profile against all 24 major and minor keys
+   * @param {number[]} chromaProfile - 12-element pitch-class energy profile
+   * @returns {Array} Keys ranked by correlation, best first
+   */
+  rankKeys(chromaProfile) {
+    const ranked = [];
+
+    this.noteNames.forEach((tonic, tonicIndex) => {
+      for (const [scale, profile] of Object.entries(this.keyProfiles)) {
+        // Rotate the chroma so the candidate tonic sits at index 0
+        const rotated = chromaProfile.map((_, i) => chromaProfile[(i + tonicIndex) % 12]);
+        ranked.push({
+          key: tonic,
+          scale,
+          correlation: this.correlate(rotated, profile)
+        });
+      }
+    });
+
+    return ranked.sort((a, b) => b.correlation - a.correlation);
+  }
+
+  /**
+   * Relative and parallel keys for a given key
+   */
+  getRelatedKeys(key, scale) {
+    const tonicIndex = this.noteNames.indexOf(key);
+    if (tonicIndex === -1) return [];
+
+    const isMajor = scale === 'Major';
+    // Relative minor sits a minor third below the major tonic; relative major a minor third above
+    const relativeIndex = (tonicIndex + (isMajor ? 9 : 3)) % 12;
+    const otherScale = isMajor ? 'Minor' : 'Major';
+
+    return [
+      { key: this.noteNames[relativeIndex], scale: otherScale, relation: 'relative' },
+      { key, scale: otherScale, relation: 'parallel' }
+    ];
+  }
+
+  /**
+   * Short key notation as stored on songs ("A" for A major, "Am" for A minor)
+   */
+  formatKey(key, scale) {
+    return scale === 'Minor' ? `${key}m` : key;
+  }
+
+  /**
+   * Estimate the key of a chroma profile
+   * @param {number[]} chromaProfile - 12-element pitch-class energy profile
+   * @returns {Object} Key, mode, confidence, ranked alternatives and related keys
+   */
+  estimateKey(chromaProfile) {
+    const total = chromaProfile ? chromaProfile.reduce((a, b) => a + b, 0) : 0;
+    if (!total) {
+      return this.getDefaultKey();
+    }
+
+    const ranked = this.rankKeys(chromaProfile);
+    const best = ranked[0];
+
+    logger.debug('Key estimated', { key: best.key, scale: best.scale, correlation: best.correlation });
+
+    return {
+      key: best.key,
+      scale: best.scale,
+      notation: this.formatKey(best.key, best.scale),
+      confidence: Math.max(0, best.correlation),
+      alternatives: ranked.slice(1, this.maxAlternatives + 1).map(candidate => ({
+        key: candidate.key,
+        scale: candidate.scale,
+        notation: this.formatKey(candidate.key, candidate.scale),
+        correlation: candidate.correlation
+      })),
+      related_keys: this.getRelatedKeys(best.key, best.scale)
+    };
+  }
+
+  getDefaultKey() {
+    return {
+      key: 'C',
+      scale: 'Major',
+      notation: 'C',
+      confidence: 0,
+      alternatives: [],
+      related_keys: []
+    };
+  }
+}
+
+module.exports = new KeyDetectionService();
@@ -0,0 +1,325 @@
+const logger = require('../config/logger');
+const wavDecoder = require('./wavDecoder');
+
+/**
+ * Melody Transcription Service
+ * Monophonic note transcription (YIN pitch tracking plus energy onsets) and
+ * string/fret assignment for guitar tablature
+ */
+class MelodyTranscriptionService {
+  constructor() {
+    this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+    // Guitar range is E2 (82 Hz) to about E6 (1319 Hz), so pitch tracking runs at a
+    // quarter of the analysis rate to keep the YIN difference function cheap
+    this.trackingSampleRate = 11025;
+    this.minFrequency = 80;
+    this.maxFrequency = 1400;
+    this.windowSize = 512;
+    this.hopSize = 128;
+    this.yinThreshold = 0.15;
+
+    // Note segmentation
+    this.minClarity = 0.8;
+    this.minRelativeRms = 0.05;
+    this.onsetRatio = 1.4;
+    this.onsetLagFrames = 2;
+    this.minStableFrames = 3;
+    this.minNoteDuration = 0.05;
+
+    // Standard tuning as MIDI notes, low E to high E
+    this.tuning = [40, 45, 50, 55, 59, 64];
+    this.maxFret = 19;
+
+    // Playability costs for string/fret assignment
+    this.fretHeightCost = 0.05;
+    this.highFretCost = 0.1;
+    this.comfortableStretch = 3;
+    this.stretchCost = 0.3;
+    this.positionShiftCost = 1;
+    this.stringChangeCost = 0.2;
+    this.shiftRecoverySeconds = 0.5;
+  }
+
+  /**
+   * Transcribe the lead line of an audio signal
+   * @param {Float32Array} audioData - Mono samples
+   * @param {number} sampleRate - Audio sample rate
+   * @returns {Array} Notes with midi, note name, start_time, duration, confidence and velocity
+   */
+  transcribe(audioData, sampleRate = 44100) {
+    const samples = sampleRate === this.trackingSampleRate
+      ? audioData
+      : wavDecoder.resample(audioData, sampleRate, this.trackingSampleRate);
+
+    const frames = this.trackPitch(samples, this.trackingSampleRate);
+    const notes = this.segmentNotes(frames, this.hopSize / this.trackingSampleRate);
+
+    logger.debug('Melody transcribed', { frames: frames.length, notes: notes.length });
+    return notes;
+  }
+
+  /**
+   * Frame-by-frame pitch (YIN) and loudness
+   * @returns {Array} Frames of { frequency, clarity, rms }, frequency null when unvoiced
+   */
+  trackPitch(samples, sampleRate) {
+    const minLag = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+    const maxLag = Math.ceil(sampleRate / this.minFrequency);
+    const frameLength = this.windowSize + maxLag;
+    const difference = new Float64Array(maxLag + 2);
+    const frames = [];
+
+    for (let start = 0; start + frameLength <= samples.length; start += this.hopSize) {
+      let energy = 0;
+      for (let i = start; i < start + this.windowSize; i++) {
+        energy += samples[i] * samples[i];
+      }
+      const rms = Math.sqrt(energy / this.windowSize);
+
+      frames.push({ rms, ...this.estimatePitch(samples, start, minLag, maxLag + 1, difference, sampleRate) });
+    }
+
+    return frames;
+  }
+
+  /**
+   * YIN estimate for one frame: cumulative mean normalised difference, absolute
+   * threshold, then parabolic interpolation around the chosen lag
+   */
+  estimatePitch(samples, start, minLag, maxLag, difference, sampleRate) {
+    difference[0] = 1;
+    let runningSum = 0;
+
+    for (let lag = 1; lag <= maxLag; lag++) {
+      let sum = 0;
+      for (let i = start; i < start + this.windowSize; i++) {
+        const delta = samples[i] - samples[i + lag];
+        sum += delta * delta;
+      }
+      runningSum += sum;
+      difference[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+    }
+
+    let lag = -1;
+    for (let tau = minLag; tau < maxLag; tau++) {
+      if (difference[tau] < this.yinThreshold) {
+        // Walk down to the bottom of this dip
+        while (tau + 1 < maxLag && difference[tau + 1] < difference[tau]) tau++;
+        lag = tau;
+        break;
+      }
+    }
+
+    if (lag === -1) {
+      return { frequency: null, clarity: 0 };
+    }
+
+    const left = difference[lag - 1];
+    const right = difference[lag + 1];
+    const curvature = left - 2 * difference[lag] + right;
+    const offset = curvature !== 0 ? 0.5 * (left - right) / curvature : 0;
+
+    return {
+      frequency: sampleRate / (lag + offset),
+      clarity: 1 - difference[lag]
+    };
+  }
+
+  /**
+   * Group voiced frames into notes. A note ends at silence, at an energy onset, or when
+   * the pitch settles on a different semitone for minStableFrames frames.
+   */
+  segmentNotes(frames, frameSeconds) {
+    const peakRms = frames.reduce((max, frame) => Math.max(max, frame.rms), 0);
+    if (peakRms === 0) return [];
+
+    const onsets = this.detectOnsets(frames);
+    const notes = [];
+    let current = null;
+    let pending = null;
+
+    const closeNote = (endFrame) => {
+      if (current) {
+        const note = this.buildNote(current, endFrame, frameSeconds, peakRms);
+        if (note.duration >= this.minNoteDuration) notes.push(note);
+      }
+      current = null;
+      pending = null;
+    };
+
+    frames.forEach((frame, t) => {
+      const voiced = frame.frequency !== null &&
+        frame.clarity >= this.minClarity &&
+        frame.rms >= peakRms * this.minRelativeRms;
+
+      if (!voiced) {
+        closeNote(t);
+        return;
+      }
+
+      const pitch = Math.round(this.frequencyToMidi(frame.frequency));
+
+      if (!current || (onsets[t] && t - current.startFrame >= this.minStableFrames)) {
+        closeNote(t);
+        current = { startFrame: t, pitch, frames: [frame] };
+        return;
+      }
+
+      if (pitch === current.pitch) {
+        pending = null;
+        current.frames.push(frame);
+        return;
+      }
+
+      // Pitch moved: only start a new note once the new pitch holds, so glitches are absorbed
+      if (!pending || pending.pitch !== pitch) {
+        pending = { pitch, startFrame: t, frames: [] };
+      }
+      pending.frames.push(frame);
+
+      if (pending.frames.length >= this.minStableFrames) {
+        const next = pending;
+        current.frames = current.frames.slice(0, current.frames.length - (t - next.startFrame));
+        closeNote(next.startFrame);
+        current = { startFrame: next.startFrame, pitch: next.pitch, frames: next.frames };
+      } else {
+        current.frames.push(frame);
+      }
+    });
+
+    closeNote(frames.length);
+    return notes;
+  }
+
+  /**
+   * Flag frames where loudness first jumps by onsetRatio over a few frames earlier,
+   * which separates repeated notes of the same pitch
+   */
+  detectOnsets(frames) {
+    let wasRising = false;
+
+    return frames.map((frame, t) => {
+      const earlier = t >= this.onsetLagFrames ? frames[t - this.onsetLagFrames].rms : 0;
+      const rising = earlier > 0 && frame.rms / earlier >= this.onsetRatio;
+      const isOnset = rising && !wasRising;
+      wasRising = rising;
+      return isOnset;
+    });
+  }
+
+  buildNote(current, endFrame, frameSeconds, peakRms) {
+    const midi = current.pitch;
+    const clarity = current.frames.reduce((sum, frame) => sum + frame.clarity, 0) / current.frames.length;
+    const loudest = current.frames.reduce((max, frame) => Math.max(max, frame.rms), 0);
+
+    return {
+      midi,
+      note: this.midiToNoteName(midi),
+      start_time: this.roundTime(current.startFrame * frameSeconds),
+      duration: this.roundTime((endFrame - current.startFrame) * frameSeconds),
+      confidence: clarity,
+      velocity: loudest / peakRms
+    };
+  }
+
+  /**
+   * Choose a string and fret for every note, minimising a playability cost with a
+   * Viterbi pass so the line stays in one hand position where it can
+   * @param {Array} notes - Notes with midi, start_time and duration, in time order
+   * @returns {Array} Notes with string (0 = high E, 5 = low E) and fret added
+   */
+  assignFretPositions(notes) {
+    if (!notes || notes.length === 0) return [];
+
+    const candidates = notes.map(note => this.getFretCandidates(note.midi));
+    let costs = candidates[0].map(candidate => this.positionCost(candidate));
+    const backPointers = [];
+
+    for (let n = 1; n < notes.length; n++) {
+      const gap = Math.max(0, notes[n].start_time - (notes[n - 1].start_time + notes[n - 1].duration));
+      const pointers = [];
+
+      costs = candidates[n].map(candidate => {
+        let best = Infinity;
+        let bestIndex = 0;
+        candidates[n - 1].forEach((previous, p) => {
+          const cost = costs[p] + this.transitionCost(previous, candidate, gap);
+          if (cost < best) {
+            best = cost;
+            bestIndex = p;
+          }
+        });
+        pointers.push(bestIndex);
+        return best + this.positionCost(candidate);
+      });
+
+      backPointers.push(pointers);
+    }
+
+    let index = costs.indexOf(Math.min(...costs));
+    const path = new Array(notes.length);
+    for (let n = notes.length - 1; n >= 0; n--) {
+      path[n] = candidates[n][index];
+      if (n > 0) index = backPointers[n - 1][index];
+    }
+
+    return notes.map((note, n) => ({ ...note, string: path[n].string, fret: path[n].fret }));
+  }
+
+  /**
+   * Every string/fret that plays a MIDI note, shifting notes outside the guitar's
+   * range by octaves (octave errors are the most common pitch tracking mistake)
+   */
+  getFretCandidates(midi) {
+    const lowest = this.tuning[0];
+    const highest = this.tuning[this.tuning.length - 1] + this.maxFret;
+    let pitch = midi;
+    while (pitch < lowest) pitch += 12;
+    while (pitch > highest) pitch -= 12;
+
+    const candidates = [];
+    this.tuning.forEach((open, i) => {
+      const fret = pitch - open;
+      if (fret >= 0 && fret <= this.maxFret) {
+        candidates.push({ string: this.tuning.length - 1 - i, fret });
+      }
+    });
+    return candidates;
+  }
+
+  positionCost(candidate) {
+    return candidate.fret * this.fretHeightCost + Math.max(0, candidate.fret - 12) * this.highFretCost;
+  }
+
+  /**
+   * Cost of moving the hand between two positions. Open strings leave the hand free;
+   * stretches within a few frets are cheap, position shifts are not, and a longer gap
+   * between the notes leaves more time to shift.
+   */
+  transitionCost(previous, next, gap) {
+    const stringCost = Math.abs(previous.string - next.string) * this.stringChangeCost;
+    if (previous.fret === 0 || next.fret === 0) return stringCost;
+
+    const distance = Math.abs(previous.fret - next.fret);
+    const handCost = distance <= this.comfortableStretch
+      ? distance * this.stretchCost
+      : this.positionShiftCost + (distance - this.comfortableStretch);
+
+    return stringCost + handCost / (1 + gap / this.shiftRecoverySeconds);
+  }
+
+  frequencyToMidi(frequency) {
+    return 12 * Math.log2(frequency / 440) + 69;
+  }
+
+  midiToNoteName(midi) {
+    return `${this.noteNames[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+  }
+
+  roundTime(time) {
+    return Math.round(time * 1000) / 1000;
+  }
+}
+
+module.exports = new MelodyTranscriptionService();
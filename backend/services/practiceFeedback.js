@@ -0,0 +1,379 @@
+const logger = require('../config/logger');
+const advancedChordDetection = require('./advancedChordDetection');
+const practiceScoringService = require('./practiceScoring');
+const stringDiagnosisService = require('./stringDiagnosis');
+const practiceService = require('./practiceService');
+const songService = require('./songService');
+
+/**
+ * Practice Feedback Service
+ * Judges live practice audio on the server. The client streams short frames of an active
+ * session over the websocket (compressed audio, or chroma it computed itself) stamped with the
+ * song position. Each frame is scored against the chord the song expects at that position and
+ * answered with feedback: right or wrong chord, strings that sound wrong and how far the last
+ * chord change drifted from the song. Frames that arrive while one is being scored replace
+ * each other, so a slow moment never builds a backlog of stale feedback.
+ */
+class PracticeFeedbackService {
+  constructor() {
+    // Feedback for a frame should be sent within this long of receiving it
+    this.latencyBudgetMs = parseInt(process.env.PRACTICE_FEEDBACK_BUDGET_MS) || 150;
+    this.encodings = ['pcm_s16le', 'mulaw'];
+    this.sampleRateRange = { min: 8000, max: 48000 };
+    this.maxFrameSeconds = 1;
+    // Chord changes this close to the song's count as on time; later than maxDriftMs is a missed change
+    this.onTimeMs = 80;
+    this.maxDriftMs = 1000;
+    // Switching to the next chord this long before its change counts as early rather than wrong
+    this.earlyWindowSeconds = 0.5;
+    // Drifts the running average is taken over
+    this.driftHistory = 8;
+    this.sessions = new Map();
+  }
+
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  // μ-law (G.711) byte to a sample in -1..1
+  decodeMulaw(byte) {
+    const value = ~byte & 0xff;
+    const exponent = (value >> 4) & 0x07;
+    const magnitude = ((((value & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+    return ((value & 0x80) ? -magnitude : magnitude) / 32768;
+  }
+
+  /**
+   * Samples of an audio frame
+   * @param {Buffer|ArrayBuffer|string} audio - Frame bytes, or base64 of them
+   * @param {string} encoding - pcm_s16le (16-bit little-endian PCM) or mulaw (8-bit G.711)
+   * @returns {Float32Array} Mono samples in -1..1
+   */
+  decodeAudio(audio, encoding) {
+    const bytes = typeof audio === 'string' ? Buffer.from(audio, 'base64') : Buffer.from(audio);
+
+    if (encoding === 'mulaw') {
+      const samples = new Float32Array(bytes.length);
+      for (let i = 0; i < bytes.length; i++) {
+        samples[i] = this.decodeMulaw(bytes[i]);
+      }
+      return samples;
+    }
+
+    const samples = new Float32Array(Math.floor(bytes.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = bytes.readInt16LE(i * 2) / 32768;
+    }
+    return samples;
+  }
+
+  // Average chroma over the frame, in half-overlapping windows; short frames are zero-padded
+  computeChroma(samples, sampleRate) {
+    const frameSize = advancedChordDetection.frameSize;
+    const hop = frameSize / 2;
+    const windows = [];
+
+    for (let start = 0; windows.length === 0 || start + frameSize <= samples.length; start += hop) {
+      const window = new Float32Array(frameSize);
+      window.set(samples.subarray(start, start + frameSize));
+      windows.push(advancedChordDetection.computeChromaFrame(window, sampleRate));
+    }
+
+    return advancedChordDetection.averageChroma(windows);
+  }
+
+  /**
+   * Features of one streamed frame
+   * @param {Object} data - practice_data payload: song_time plus either chroma[12] (and rms),
+   *   or audio with encoding and sample_rate
+   * @returns {Object} { songTime, chroma, rms }
+   */
+  decodeFrame(data) {
+    const songTime = Number(data.song_time);
+    if (!Number.isFinite(songTime) || songTime < 0) {
+      throw this.createError('INVALID_FRAME', 'song_time must be the song position of the frame in seconds');
+    }
+
+    if (Array.isArray(data.chroma)) {
+      const chroma = data.chroma.map(Number);
+      if (chroma.length !== 12 || chroma.some(value => !Number.isFinite(value) || value < 0)) {
+        throw this.createError('INVALID_FRAME', 'chroma must be 12 non-negative numbers');
+      }
+      const rms = data.rms === undefined ? 1 : Number(data.rms);
+      return { songTime, chroma, rms: Number.isFinite(rms) ? rms : 0 };
+    }
+
+    if (!data.audio) {
+      throw this.createError('INVALID_FRAME', 'A frame needs audio or chroma');
+    }
+
+    const encoding = data.encoding || 'pcm_s16le';
+    const sampleRate = parseInt(data.sample_rate);
+    if (!this.encodings.includes(encoding)) {
+      throw this.createError('INVALID_FRAME', `encoding must be one of ${this.encodings.join(', ')}`);
+    }
+    if (!(sampleRate >= this.sampleRateRange.min && sampleRate <= this.sampleRateRange.max)) {
+      throw this.createError('INVALID_FRAME', `sample_rate must be between ${this.sampleRateRange.min} and ${this.sampleRateRange.max}`);
+    }
+
+    const samples = this.decodeAudio(data.audio, encoding);
+    if (samples.length === 0 || samples.length > sampleRate * this.maxFrameSeconds) {
+      throw this.createError('INVALID_FRAME', `Frames must hold up to ${this.maxFrameSeconds} s of audio`);
+    }
+
+    let energy = 0;
+    for (let i = 0; i < samples.length; i++) {
+      energy += samples[i] * samples[i];
+    }
+
+    return {
+      songTime,
+      chroma: this.computeChroma(samples, sampleRate),
+      rms: Math.sqrt(energy / samples.length)
+    };
+  }
+
+  // Live state of a session: its chords and the timing of the player's chord changes
+  createState(session, song) {
+    return {
+      sessionId: session.session_id,
+      userId: session.user_id,
+      chords: (song.chord_progression || [])
+        .filter(chord => Number.isFinite(chord.start_time) && chord.duration > 0)
+        .sort((a, b) => a.start_time - b.start_time),
+      chordIndex: -1,
+      changeMatched: true,
+      earlyChange: null,
+      drifts: [],
+      chordStats: null,
+      busy: false,
+      pending: null,
+      dropped: 0,
+      // Chord summaries still being written
+      writes: new Set()
+    };
+  }
+
+  // Load a session for streaming; shared by concurrent frames so the database is asked once
+  getSession(sessionId, userId) {
+    if (!this.sessions.has(sessionId)) {
+      const loading = (async () => {
+        const session = await practiceService.getPracticeSession(sessionId, userId);
+        if (!session) throw this.createError('SESSION_NOT_FOUND', 'Practice session not found');
+        if (session.end_time) throw this.createError('SESSION_ENDED', 'Practice session has already ended');
+
+        const song = session.song_id ? await songService.getSongById(session.song_id) : null;
+        if (!song) throw this.createError('SONG_NOT_FOUND', 'Song data not found for feedback');
+        return this.createState(session, song);
+      })();
+
+      this.sessions.set(sessionId, loading);
+      loading.catch(() => this.sessions.delete(sessionId));
+    }
+
+    return this.sessions.get(sessionId).then(state => {
+      if (state.userId !== userId) throw this.createError('SESSION_NOT_FOUND', 'Practice session not found');
+      return state;
+    });
+  }
+
+  // Forget a session's live state, storing what was gathered for its current chord. Resolves
+  // once every chord summary of the session is written, so ending the session grades them all.
+  async endSession(sessionId) {
+    const loading = this.sessions.get(sessionId);
+    if (!loading) return;
+    this.sessions.delete(sessionId);
+
+    let state;
+    try {
+      state = await loading;
+    } catch (error) {
+      // The session never loaded, so there is nothing to store
+      return;
+    }
+
+    this.storeChordSummary(state);
+    await Promise.all(state.writes);
+  }
+
+  /**
+   * Queue a streamed frame for scoring. Only the newest waiting frame is kept.
+   * @param {string} sessionId - Practice session
+   * @param {string} userId - User streaming the frame
+   * @param {Object} data - practice_data payload
+   * @param {Function} emit - Called with the feedback
+   */
+  async submitFrame(sessionId, userId, data, emit) {
+    const receivedAt = Date.now();
+    const frame = this.decodeFrame(data);
+    const state = await this.getSession(sessionId, userId);
+
+    if (state.busy) {
+      if (state.pending) state.dropped++;
+      state.pending = { frame, receivedAt, emit };
+      return;
+    }
+
+    state.busy = true;
+    try {
+      let next = { frame, receivedAt, emit };
+      while (next) {
+        state.pending = null;
+        const feedback = this.evaluate(state, next.frame);
+        const processingMs = Date.now() - next.receivedAt;
+        next.emit({
+          ...feedback,
+          session_id: sessionId,
+          processing_ms: processingMs,
+          within_budget: processingMs <= this.latencyBudgetMs
+        });
+        if (processingMs > this.latencyBudgetMs) {
+          logger.debug('Practice feedback over latency budget', { sessionId, processingMs, dropped: state.dropped });
+        }
+
+        // Let frames that arrived meanwhile in before scoring the newest of them
+        await new Promise(resolve => setImmediate(resolve));
+        next = state.pending;
+      }
+    } finally {
+      state.busy = false;
+    }
+  }
+
+  // Index of the chord the song plays at a position, -1 between chords
+  chordIndexAt(chords, songTime) {
+    return chords.findIndex(chord => songTime >= chord.start_time && songTime < chord.start_time + chord.duration);
+  }
+
+  /**
+   * Score one frame against the chord the song expects at its position
+   * @param {Object} state - Session state from createState
+   * @param {Object} frame - Decoded frame ({ songTime, chroma, rms })
+   * @returns {Object} Feedback
+   */
+  evaluate(state, { songTime, chroma, rms }) {
+    const index = this.chordIndexAt(state.chords, songTime);
+    const expected = index >= 0 ? state.chords[index] : null;
+    const silent = rms < practiceScoringService.silenceRms;
+
+    if (index !== state.chordIndex) {
+      this.startChord(state, index, expected);
+    }
+
+    const feedback = {
+      type: 'chord_feedback',
+      song_time: songTime,
+      expected_chord: expected ? expected.chord : null,
+      played_chord: null,
+      correct: null,
+      silent,
+      strings: [],
+      extra_notes: [],
+      timing: null
+    };
+
+    if (expected && !silent) {
+      const judgement = practiceScoringService.judgeChord([{ chroma }], expected.chord);
+      const diagnosis = judgement.correct
+        ? { strings: [], extra_notes: [] }
+        : stringDiagnosisService.checkChroma(chroma, expected.chord);
+
+      feedback.played_chord = judgement.played;
+      feedback.correct = judgement.correct;
+      feedback.strings = diagnosis.strings;
+      feedback.extra_notes = diagnosis.extra_notes;
+
+      if (judgement.correct && !state.changeMatched) {
+        this.recordDrift(state, songTime - expected.start_time);
+      } else if (!judgement.correct) {
+        this.checkEarlyChange(state, index, songTime, chroma);
+      }
+
+      state.chordStats.frames++;
+      if (judgement.correct) state.chordStats.correct++;
+      diagnosis.strings.forEach(string => {
+        const key = `${string.string}:${string.status}`;
+        state.chordStats.strings[key] = { ...string, count: ((state.chordStats.strings[key] || {}).count || 0) + 1 };
+      });
+    }
+
+    feedback.timing = this.describeTiming(state);
+    return feedback;
+  }
+
+  // The song moved on to another chord: store the last one and start timing the change
+  startChord(state, index, expected) {
+    this.storeChordSummary(state);
+    state.chordIndex = index;
+    state.chordStats = expected ? { chord: expected.chord, start_time: expected.start_time, frames: 0, correct: 0, strings: {}, drift_ms: null } : null;
+
+    if (!expected) {
+      state.changeMatched = true;
+    } else if (state.earlyChange && state.earlyChange.index === index) {
+      // The player was already on this chord before the song changed to it
+      state.changeMatched = false;
+      this.recordDrift(state, state.earlyChange.songTime - expected.start_time);
+    } else {
+      state.changeMatched = false;
+    }
+    state.earlyChange = null;
+  }
+
+  // A frame that is wrong for the current chord but right for the next one, just before the change
+  checkEarlyChange(state, index, songTime, chroma) {
+    const next = state.chords[index + 1];
+    if (!next || state.earlyChange || next.start_time - songTime > this.earlyWindowSeconds) return;
+
+    if (practiceScoringService.judgeChord([{ chroma }], next.chord).correct) {
+      state.earlyChange = { index: index + 1, songTime };
+    }
+  }
+
+  recordDrift(state, driftSeconds) {
+    state.changeMatched = true;
+    const driftMs = Math.round(driftSeconds * 1000);
+    if (Math.abs(driftMs) > this.maxDriftMs) return;
+
+    state.drifts = state.drifts.concat(driftMs).slice(-this.driftHistory);
+    if (state.chordStats) state.chordStats.drift_ms = driftMs;
+  }
+
+  describeTiming(state) {
+    if (state.drifts.length === 0) return null;
+
+    const driftMs = state.drifts[state.drifts.length - 1];
+    return {
+      drift_ms: driftMs,
+      average_drift_ms: Math.round(state.drifts.reduce((sum, drift) => sum + drift, 0) / state.drifts.length),
+      status: Math.abs(driftMs) <= this.onTimeMs ? 'on_time' : (driftMs > 0 ? 'late' : 'early')
+    };
+  }
+
+  // One practice_analysis row per chord played, written in the background; endSession waits
+  // for the writes still running
+  storeChordSummary(state) {
+    const stats = state.chordStats;
+    if (!stats || stats.frames === 0) return;
+
+    const strings = Object.values(stats.strings).sort((a, b) => b.count - a.count);
+    const write = practiceService.addPracticeAnalysis(state.sessionId, {
+      timestamp: new Date().toISOString(),
+      current_chord: stats.chord,
+      accuracy: Math.round(stats.correct / stats.frames * 100),
+      mistake_detected: strings.length > 0 ? {
+        type: 'string',
+        description: stringDiagnosisService.describeIssue(strings[0], stats.chord),
+        string: strings[0].string
+      } : null,
+      timing_data: { song_time: stats.start_time, drift_ms: stats.drift_ms, frames: stats.frames },
+      string_mistakes: strings.length > 0 ? [{ chord: stats.chord, start_time: stats.start_time, strings, extra_notes: [] }] : null
+    }).catch(error => {
+      logger.warn('Failed to store live practice analysis', { sessionId: state.sessionId, error: error.message });
+    }).finally(() => state.writes.delete(write));
+    state.writes.add(write);
+  }
+}
+
+module.exports = new PracticeFeedbackService();
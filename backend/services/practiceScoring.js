@@ -0,0 +1,281 @@
+const advancedChordDetection = require('./advancedChordDetection');
+
+/**
+ * Practice Scoring Service
+ * Scores a practice recording against the song's chord timeline. The recording's chroma is
+ * aligned to the templates of the expected chords with dynamic time warping (DTW), so a missed
+ * or extra chord only costs itself instead of shifting every later comparison, and each
+ * chord's onset in the recording says how early or late it was played.
+ */
+class PracticeScoringService {
+  constructor() {
+    this.frameSeconds = 0.1;
+    // Frames quieter than this are not playing
+    this.silenceRms = 0.01;
+    // The recording may run this much longer than the part of the song it covers at the
+    // session's tempo, for playing slower than the song
+    this.windowSlack = 1.25;
+    // Longer recordings are scored on their first maxRecordingSeconds (DTW memory grows with the square)
+    this.maxRecordingSeconds = 300;
+    // A chord counts as played right when its template scores this share of the best template
+    this.minRelativeSimilarity = 0.9;
+    // Onsets within onTimeMs get full timing credit, none from maxOffsetMs on
+    this.onTimeMs = 50;
+    this.maxOffsetMs = 500;
+    // Onsets further off than this are reported as timing mistakes
+    this.timingMistakeMs = 150;
+    // Spread of the onset offsets at which rhythm credit reaches zero
+    this.maxOffsetSpreadMs = 300;
+  }
+
+  /**
+   * Chroma and level of a recording, one frame per frameSeconds
+   * @param {Float32Array} audioData - Mono samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Array} { chroma[12], rms } per frame
+   */
+  computeFeatures(audioData, sampleRate) {
+    const hopLength = Math.round(this.frameSeconds * sampleRate);
+    const samples = audioData.subarray(0, Math.round(this.maxRecordingSeconds * sampleRate));
+    const chromagram = advancedChordDetection.calculateChromagram(samples, sampleRate, hopLength);
+
+    return chromagram.map((chroma, i) => {
+      const frame = samples.subarray(i * hopLength, i * hopLength + advancedChordDetection.frameSize);
+      let energy = 0;
+      for (let k = 0; k < frame.length; k++) {
+        energy += frame[k] * frame[k];
+      }
+      return { chroma, rms: frame.length > 0 ? Math.sqrt(energy / frame.length) : 0 };
+    });
+  }
+
+  // Template of a chord name; richer chords fall back to their triad, unknown names to none
+  getTemplate(chordName) {
+    const parsed = advancedChordDetection.parseChordName(chordName);
+    if (!parsed) return null;
+
+    const templates = advancedChordDetection.chordTemplates;
+    const minor = parsed.suffix.startsWith('m') && !parsed.suffix.startsWith('maj');
+    return templates[parsed.root + parsed.suffix] || templates[parsed.root + (minor ? 'm' : '')] || null;
+  }
+
+  /**
+   * Expected chord per frame of the recording's timeline. The session tempo stretches the song:
+   * at 50% a recording frame covers half a frame of the song.
+   * @param {Array} chords - Song chord timeline ({ chord, start_time, duration })
+   * @param {number} frameCount - Frames to cover
+   * @param {number} startTime - Song time the recording starts at
+   * @param {number} tempoFactor - Session tempo, 1 for the song's own tempo
+   * @returns {Array} Chord index per frame, -1 where no chord plays
+   */
+  getExpectedFrames(chords, frameCount, startTime, tempoFactor) {
+    const frames = new Array(frameCount).fill(-1);
+    let index = 0;
+
+    for (let j = 0; j < frameCount; j++) {
+      const songTime = startTime + j * this.frameSeconds * tempoFactor;
+      while (index < chords.length && chords[index].start_time + chords[index].duration <= songTime) index++;
+      if (index < chords.length && chords[index].start_time <= songTime) frames[j] = index;
+    }
+
+    return frames;
+  }
+
+  // Distance between a recording frame and what should be sounding
+  frameCost(frame, template) {
+    const silent = frame.rms < this.silenceRms;
+    if (!template) return silent ? 0 : 0.5;
+    if (silent) return 1;
+    return 1 - advancedChordDetection.cosineSimilarity(frame.chroma, template);
+  }
+
+  /**
+   * DTW alignment of the recording to the expected frames. The start is fixed; the end is
+   * open on the song side, since the player may stop before the end of the window.
+   * @param {Function} cost - Cost of recording frame i against expected frame j
+   * @param {number} n - Recording frames
+   * @param {number} m - Expected frames
+   * @returns {Array} Expected frame per recording frame
+   */
+  align(cost, n, m) {
+    // Accumulated cost only; the path is traced back by recomputing the best predecessor
+    const total = new Float32Array(n * m);
+    const at = (i, j) => (i < 0 || j < 0 ? Infinity : total[i * m + j]);
+
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < m; j++) {
+        const previous = i === 0 && j === 0 ? 0 : Math.min(at(i - 1, j - 1), at(i - 1, j), at(i, j - 1));
+        total[i * m + j] = previous + cost(i, j);
+      }
+    }
+
+    // Normalised by the path length so stopping early is not favoured over finishing
+    let end = 0;
+    for (let j = 1; j < m; j++) {
+      if (at(n - 1, j) / (n + j) < at(n - 1, end) / (n + end)) end = j;
+    }
+
+    const mapping = new Array(n);
+    let i = n - 1;
+    let j = end;
+    mapping[i] = j;
+    while (i > 0 || j > 0) {
+      const diagonal = at(i - 1, j - 1);
+      const up = at(i - 1, j);
+      const left = at(i, j - 1);
+      if (diagonal <= up && diagonal <= left) {
+        i--;
+        j--;
+      } else if (up <= left) {
+        i--;
+      } else {
+        j--;
+      }
+      // A recording frame aligned to several expected frames keeps the first of them
+      mapping[i] = j;
+    }
+
+    return mapping;
+  }
+
+  // Chord the frames sound like, and whether that is close enough to the expected chord
+  judgeChord(frames, expectedName) {
+    const chroma = advancedChordDetection.averageChroma(frames.map(frame => frame.chroma));
+    const best = advancedChordDetection.identifyChord(chroma);
+    const template = this.getTemplate(expectedName);
+    const similarity = template ? advancedChordDetection.cosineSimilarity(chroma, template) : 0;
+
+    return {
+      played: best.name,
+      correct: best.confidence > 0 && similarity >= best.confidence * this.minRelativeSimilarity
+    };
+  }
+
+  /**
+   * Score a recording against the song's chords
+   * @param {Array} frames - Recording features from computeFeatures
+   * @param {Array} chords - Song chord timeline ({ chord, start_time, duration })
+   * @param {Object} options - startTime (song time the recording starts at), tempoPercentage
+   * @returns {Object} Accuracy scores (0-100), per-chord results and mistakes
+   */
+  scorePerformance(frames, chords, { startTime = 0, tempoPercentage = 100 } = {}) {
+    const tempoFactor = (parseFloat(tempoPercentage) || 100) / 100;
+    const sortedChords = (chords || [])
+      .filter(chord => Number.isFinite(chord.start_time) && chord.duration > 0)
+      .sort((a, b) => a.start_time - b.start_time);
+
+    const n = frames.length;
+    const m = Math.max(1, Math.ceil(n * this.windowSlack));
+    const expected = this.getExpectedFrames(sortedChords, m, startTime, tempoFactor);
+    const templates = sortedChords.map(chord => this.getTemplate(chord.chord));
+
+    const mapping = n > 0
+      ? this.align((i, j) => this.frameCost(frames[i], expected[j] >= 0 ? templates[expected[j]] : null), n, m)
+      : [];
+
+    // Recording frames aligned to each chord the recording reached. A chord the alignment
+    // skipped over gets none, and counts as missed.
+    const alignedFrames = new Map();
+    expected.slice(0, n > 0 ? mapping[n - 1] + 1 : 0).forEach(index => {
+      if (index >= 0 && !alignedFrames.has(index)) alignedFrames.set(index, []);
+    });
+    mapping.forEach((j, i) => {
+      if (expected[j] >= 0) alignedFrames.get(expected[j]).push(i);
+    });
+
+    const results = [];
+    const mistakes = [];
+    let playedFrames = 0;
+    let rightFrames = 0;
+
+    [...alignedFrames.keys()].sort((a, b) => a - b).forEach(index => {
+      const chord = sortedChords[index];
+      const audible = alignedFrames.get(index).filter(i => frames[i].rms >= this.silenceRms);
+      const result = {
+        chord: chord.chord,
+        start_time: chord.start_time,
+        played: null,
+        correct: false,
+        offset_ms: null,
+        recording_start: null,
+        recording_end: null
+      };
+
+      if (audible.length === 0) {
+        mistakes.push({ timestamp: chord.start_time, type: 'missing', severity: 'major', description: `Missed ${chord.chord}` });
+        results.push({ ...result, status: 'missed' });
+        return;
+      }
+
+      const judgement = this.judgeChord(audible.map(i => frames[i]), chord.chord);
+      // Where the chord should start in the recording, at the session's tempo
+      const expectedOnset = Math.max(0, chord.start_time - startTime) / tempoFactor;
+      const offsetMs = Math.round((audible[0] * this.frameSeconds - expectedOnset) * 1000);
+
+      audible.forEach(i => {
+        playedFrames++;
+        if (this.judgeChord([frames[i]], chord.chord).correct) rightFrames++;
+      });
+
+      if (!judgement.correct) {
+        mistakes.push({
+          timestamp: chord.start_time,
+          type: 'chord',
+          severity: 'major',
+          description: `Played ${judgement.played} instead of ${chord.chord}`
+        });
+      } else if (Math.abs(offsetMs) > this.timingMistakeMs) {
+        mistakes.push({
+          timestamp: chord.start_time,
+          type: 'timing',
+          severity: Math.abs(offsetMs) > this.maxOffsetMs ? 'major' : 'minor',
+          description: `Changed to ${chord.chord} ${Math.abs(offsetMs)} ms ${offsetMs > 0 ? 'late' : 'early'}`
+        });
+      }
+
+      results.push({
+        ...result,
+        played: judgement.played,
+        correct: judgement.correct,
+        offset_ms: offsetMs,
+        // Where the chord was played in the recording, in seconds
+        recording_start: audible[0] * this.frameSeconds,
+        recording_end: (audible[audible.length - 1] + 1) * this.frameSeconds,
+        status: judgement.correct ? 'correct' : 'wrong_chord'
+      });
+    });
+
+    const offsets = results.filter(result => result.offset_ms !== null).map(result => result.offset_ms);
+
+    return {
+      chord_accuracy: results.length > 0 ? results.filter(result => result.correct).length / results.length * 100 : 0,
+      timing_accuracy: this.scoreTiming(offsets),
+      rhythm_accuracy: this.scoreRhythm(offsets),
+      pitch_accuracy: playedFrames > 0 ? rightFrames / playedFrames * 100 : 0,
+      chords: results,
+      mistakes
+    };
+  }
+
+  // Mean credit per chord onset: full when on time, falling linearly to none at maxOffsetMs
+  scoreTiming(offsets) {
+    if (offsets.length === 0) return 0;
+
+    const credit = offsets.reduce((sum, offset) => {
+      const late = Math.max(0, Math.abs(offset) - this.onTimeMs);
+      return sum + Math.max(0, 1 - late / (this.maxOffsetMs - this.onTimeMs));
+    }, 0);
+    return credit / offsets.length * 100;
+  }
+
+  // Steadiness: a constant lead or lag is in rhythm, onsets that wander around are not
+  scoreRhythm(offsets) {
+    if (offsets.length < 2) return this.scoreTiming(offsets);
+
+    const mean = offsets.reduce((sum, offset) => sum + offset, 0) / offsets.length;
+    const variance = offsets.reduce((sum, offset) => sum + (offset - mean) * (offset - mean), 0) / offsets.length;
+    return Math.max(0, 1 - Math.sqrt(variance) / this.maxOffsetSpreadMs) * 100;
+  }
+}
+
+module.exports = new PracticeScoringService();
@@ -1,4 +1,8 @@
+const { query, transaction } = require('../config/database');
+const logger = require('../config/logger');
 const supabase = require('../config/supabase');
+const chordDrillService = require('./chordDrill');
+const spacedRepetitionService = require('./spacedRepetition');
 
 class PracticeService {
   // Log time-series data to Supabase
@@ -109,6 +113,7 @@ class PracticeService {
 
       // Update user statistics
       await this.updateUserStats(result.rows[0].user_id, endData);
+      await this.updateReviewItems(result.rows[0]);
 
       logger.info(`Practice session ended: ${sessionId}`);
 
@@ -310,6 +315,190 @@ class PracticeService {
     }
   }
 
+  // Start a chord change drill between two chords
+  async startChordDrill(drillData) {
+    const { user_id, chords, duration_seconds, device_type, app_version } = drillData;
+
+    try {
+      const result = await query(
+        `INSERT INTO practice_sessions (
+          user_id, session_type, focus_techniques, drill_chords, drill_seconds,
+          start_time, device_type, app_version
+        ) VALUES ($1, 'technique_drill', $2, $3, $4, NOW(), $5, $6)
+        RETURNING *`,
+        [user_id, ['chord_transitions'], chords, duration_seconds, device_type, app_version]
+      );
+
+      logger.info(`Chord drill started: ${result.rows[0].session_id}`, { chords });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to start chord drill', { user_id, error: error.message });
+      throw error;
+    }
+  }
+
+  // End a chord drill with the changes counted in its recording
+  async finishChordDrill(sessionId, results) {
+    try {
+      const result = await query(
+        `UPDATE practice_sessions SET
+          end_time = NOW(),
+          duration_seconds = $2,
+          changes_per_minute = $3,
+          chords_played = $4,
+          overall_accuracy = $5,
+          drill_results = $6
+        WHERE session_id = $1 RETURNING *`,
+        [sessionId, Math.round(results.seconds), results.changes_per_minute, results.changes,
+          // Share of the changes that were clean
+          results.changes > 0 ? Math.round(results.clean_changes / results.changes * 100) : null,
+          results]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Practice session not found');
+      }
+
+      await this.updateUserStats(result.rows[0].user_id, { duration_seconds: results.seconds });
+      await this.updateReviewItems(result.rows[0]);
+
+      logger.info(`Chord drill finished: ${sessionId}`, { changes_per_minute: results.changes_per_minute });
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Failed to finish chord drill', { sessionId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Finished attempts of a chord pair, newest first
+  async getChordDrillHistory(userId, chords, limit = 20) {
+    try {
+      const result = await query(
+        `SELECT session_id, start_time, drill_seconds, changes_per_minute, drill_results
+        FROM practice_sessions
+        WHERE user_id = $1 AND drill_chords = $2 AND end_time IS NOT NULL
+        ORDER BY start_time DESC
+        LIMIT $3`,
+        [userId, chords, limit]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get chord drill history', { userId, chords, error: error.message });
+      throw error;
+    }
+  }
+
+  // Best and latest changes per minute of every chord pair drilled, slowest first
+  async getChordDrillPairs(userId, timeFrame = null) {
+    try {
+      const timeFilter = timeFrame ? ` AND start_time >= ${this.getTimeFilter(timeFrame)}` : '';
+      const result = await query(
+        `SELECT 
+          drill_chords as chords,
+          COUNT(*) as attempts,
+          MAX(changes_per_minute) as best_changes_per_minute,
+          (ARRAY_AGG(changes_per_minute ORDER BY start_time DESC))[1] as latest_changes_per_minute,
+          MAX(start_time) as last_practiced
+        FROM practice_sessions
+        WHERE user_id = $1 AND drill_chords IS NOT NULL AND end_time IS NOT NULL${timeFilter}
+        GROUP BY drill_chords
+        ORDER BY best_changes_per_minute ASC`,
+        [userId]
+      );
+
+      return result.rows.map(row => ({
+        ...row,
+        attempts: parseInt(row.attempts),
+        best_changes_per_minute: parseFloat(row.best_changes_per_minute),
+        latest_changes_per_minute: parseFloat(row.latest_changes_per_minute)
+      }));
+    } catch (error) {
+      logger.error('Failed to get chord drill pairs', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Grade the review items a finished session covered and reschedule them. A failure here
+  // does not fail ending the session; the items are simply not rescheduled.
+  async updateReviewItems(session) {
+    try {
+      const [analyses, songResult] = await Promise.all([
+        this.getPracticeAnalysis(session.session_id),
+        session.song_id
+          ? query('SELECT song_id, title, sections FROM songs WHERE song_id = $1', [session.song_id])
+          : { rows: [] }
+      ]);
+
+      const reviews = spacedRepetitionService.collectReviews(session, analyses, songResult.rows[0]);
+      if (reviews.length === 0) return [];
+
+      const today = spacedRepetitionService.today();
+      return await transaction(async (client) => {
+        const existing = await client.query(
+          `SELECT * FROM practice_review_items
+          WHERE user_id = $1 AND item_key = ANY($2)
+          FOR UPDATE`,
+          [session.user_id, reviews.map(review => review.item_key)]
+        );
+
+        const items = [];
+        for (const review of reviews) {
+          const item = existing.rows.find(row => row.item_type === review.item_type && row.item_key === review.item_key) || {};
+          const schedule = spacedRepetitionService.review(item, review.score, today);
+
+          const result = await client.query(
+            `INSERT INTO practice_review_items (
+              user_id, item_type, item_key, song_id, label, details, ease_factor, interval_days,
+              repetitions, lapses, due_date, last_score, last_reviewed_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+            ON CONFLICT (user_id, item_type, item_key) DO UPDATE SET
+              label = EXCLUDED.label,
+              details = EXCLUDED.details,
+              ease_factor = EXCLUDED.ease_factor,
+              interval_days = EXCLUDED.interval_days,
+              repetitions = EXCLUDED.repetitions,
+              lapses = EXCLUDED.lapses,
+              due_date = EXCLUDED.due_date,
+              last_score = EXCLUDED.last_score,
+              last_reviewed_at = NOW(),
+              updated_at = NOW()
+            RETURNING *`,
+            [session.user_id, review.item_type, review.item_key, review.song_id, review.label, review.details,
+              schedule.ease_factor, schedule.interval_days, schedule.repetitions, schedule.lapses,
+              schedule.due_date, schedule.last_score]
+          );
+          items.push(result.rows[0]);
+        }
+
+        logger.info(`Review items updated: ${session.session_id}`, { items: items.length });
+        return items;
+      });
+    } catch (error) {
+      logger.error('Failed to update review items', { sessionId: session.session_id, error: error.message });
+      return [];
+    }
+  }
+
+  // Review items due on a day or before
+  async getDueReviewItems(userId, day = spacedRepetitionService.today()) {
+    try {
+      const result = await query(
+        `SELECT item_id, item_type, item_key, song_id, label, details, ease_factor, interval_days,
+          repetitions, lapses, due_date, last_score, last_reviewed_at
+        FROM practice_review_items
+        WHERE user_id = $1 AND due_date <= $2
+        ORDER BY due_date ASC`,
+        [userId, day]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get due review items', { userId, error: error.message });
+      throw error;
+    }
+  }
+
   // Add practice analysis data (real-time feedback)
   async addPracticeAnalysis(sessionId, analysisData) {
     const {
@@ -319,18 +508,21 @@ class PracticeService {
       mistake_detected,
       encouragement,
       pitch_data,
-      timing_data
+      timing_data,
+      string_mistakes
     } = analysisData;
 
     try {
       const result = await query(
         `INSERT INTO practice_analysis (
           session_id, timestamp, current_chord, accuracy, 
-          mistake_detected, encouragement, pitch_data, timing_data
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          mistake_detected, encouragement, pitch_data, timing_data, string_mistakes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING *`,
         [sessionId, timestamp, current_chord, accuracy,
-          mistake_detected, encouragement, pitch_data, timing_data]
+          mistake_detected, encouragement, pitch_data, timing_data,
+          // Stringified, as pg would send a JS array as a Postgres array
+          string_mistakes ? JSON.stringify(string_mistakes) : null]
       );
 
       return result.rows[0];
@@ -420,9 +612,28 @@ class PracticeService {
         [userId]
       );
 
+      // Chord pairs whose changes are still slow
+      const drillPairs = (await this.getChordDrillPairs(userId, '30d'))
+        .filter(pair => pair.best_changes_per_minute < chordDrillService.targetChangesPerMinute)
+        .slice(0, 3);
+
+      const dueItems = await this.getDueReviewItems(userId);
+
       // Generate recommendations based on the data
       const recommendations = [];
 
+      // Reviews that are due come first
+      if (dueItems.length > 0) {
+        const plan = spacedRepetitionService.buildPlan(dueItems, spacedRepetitionService.today());
+        recommendations.push({
+          type: 'review',
+          title: `Review ${dueItems.length} practice item${dueItems.length === 1 ? '' : 's'} due today`,
+          description: `Start with ${plan.items.slice(0, 3).map(item => item.label).join(', ')}.`,
+          priority: 'high',
+          estimated_time: plan.total_minutes
+        });
+      }
+
       // Add technique recommendations
       techniqueResult.rows.forEach(row => {
         recommendations.push({
@@ -434,6 +645,18 @@ class PracticeService {
         });
       });
 
+      // Add chord drill recommendations for the slowest pairs
+      drillPairs.forEach(pair => {
+        recommendations.push({
+          type: 'chord_drill',
+          title: `Drill ${pair.chords.join(' ↔ ')} changes`,
+          description: `Your best is ${pair.best_changes_per_minute} clean changes per minute. Aim for ${chordDrillService.targetChangesPerMinute}.`,
+          priority: pair.best_changes_per_minute < chordDrillService.slowChangesPerMinute ? 'high' : 'medium',
+          estimated_time: 5,
+          chords: pair.chords
+        });
+      });
+
       // Add improvement area recommendations
       mistakesResult.rows.forEach(row => {
         recommendations.push({
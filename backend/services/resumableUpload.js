@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { query } = require('../config/database');
+const logger = require('../config/logger');
+const audioProcessingService = require('./audioProcessing');
+
+// Resumable chunked uploads. A client creates an upload with the file's total size, PUTs
+// checksummed chunks at the offset the server expects next, can ask for that offset after a
+// dropped connection, and finalises the upload into a regular file under uploads/.
+class ResumableUploadService {
+  constructor() {
+    this.uploadDir = path.join(process.cwd(), 'uploads');
+    this.partialDir = path.join(this.uploadDir, 'partial');
+    this.defaultChunkSize = 2 * 1024 * 1024;
+    this.maxChunkSize = 8 * 1024 * 1024;
+    // Unfinished uploads expire this long after their last chunk
+    this.expirySeconds = (parseInt(process.env.UPLOAD_EXPIRY_HOURS) || 24) * 3600;
+  }
+
+  createError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+  }
+
+  async createUpload({ userId, fileName, mimeType, totalSize, userPreferences = {} }) {
+    const extension = path.extname(fileName || '').slice(1).toLowerCase();
+    const { supportedFormats, maxFileSize } = audioProcessingService;
+    if (!supportedFormats.includes(extension)) {
+      throw this.createError('INVALID_FILE_TYPE', `Only audio files (${supportedFormats.join(', ')}) are allowed!`);
+    }
+    if (totalSize > maxFileSize) {
+      throw this.createError('FILE_TOO_LARGE', 'Audio file exceeds maximum size limit');
+    }
+
+    await fs.mkdir(this.partialDir, { recursive: true });
+    const tempPath = path.join(this.partialDir, `${crypto.randomUUID()}.${extension}`);
+    await fs.writeFile(tempPath, Buffer.alloc(0));
+
+    try {
+      const result = await query(
+        `INSERT INTO uploads (user_id, file_name, mime_type, total_size, temp_path, user_preferences, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7::int * INTERVAL '1 second'))
+         RETURNING *`,
+        [userId, fileName, mimeType, totalSize, tempPath, userPreferences, this.expirySeconds]
+      );
+
+      logger.info(`Upload ${result.rows[0].upload_id} created`, { userId, fileName, totalSize });
+      return result.rows[0];
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  // The user's upload, reported as expired once its deadline passed even before cleanup ran
+  async getUpload(uploadId, userId) {
+    const result = await query('SELECT * FROM uploads WHERE upload_id = $1 AND user_id = $2', [uploadId, userId]);
+    const upload = result.rows[0];
+    if (!upload) return null;
+
+    if (upload.status === 'uploading' && new Date(upload.expires_at) <= new Date()) {
+      return { ...upload, status: 'expired' };
+    }
+    return upload;
+  }
+
+  // Write a chunk at the offset the upload expects next. A chunk at any other offset is
+  // rejected with the expected one, so the client can resume from there.
+  async writeChunk(upload, offset, chunk, checksum) {
+    this.assertUploading(upload);
+
+    const receivedSize = parseInt(upload.received_size);
+    const totalSize = parseInt(upload.total_size);
+
+    if (offset !== receivedSize) {
+      throw this.createError('OFFSET_MISMATCH', `Expected a chunk at offset ${receivedSize}`, { offset: receivedSize });
+    }
+    if (chunk.length === 0 || chunk.length > this.maxChunkSize) {
+      throw this.createError('INVALID_CHUNK', `Chunks must be between 1 byte and ${this.maxChunkSize} bytes`);
+    }
+    if (offset + chunk.length > totalSize) {
+      throw this.createError('INVALID_CHUNK', 'Chunk runs past the end of the upload');
+    }
+    if (!this.verifyChecksum(chunk, checksum)) {
+      throw this.createError('CHECKSUM_MISMATCH', 'Chunk checksum does not match its contents');
+    }
+
+    const handle = await fs.open(upload.temp_path, 'r+');
+    try {
+      await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    // Only advances when nobody else wrote this offset in the meantime
+    const result = await query(
+      `UPDATE uploads
+       SET received_size = $3, expires_at = NOW() + ($4::int * INTERVAL '1 second'), updated_at = NOW()
+       WHERE upload_id = $1 AND received_size = $2 AND status = 'uploading'
+       RETURNING *`,
+      [upload.upload_id, offset, offset + chunk.length, this.expirySeconds]
+    );
+
+    if (!result.rows[0]) {
+      const current = await this.getUpload(upload.upload_id, upload.user_id);
+      throw this.createError('OFFSET_MISMATCH', 'Upload was changed by another request', {
+        offset: current ? parseInt(current.received_size) : receivedSize
+      });
+    }
+    return result.rows[0];
+  }
+
+  // Checksum header value: "sha256 <hex digest>"
+  verifyChecksum(chunk, checksum) {
+    const [algorithm, digest] = (checksum || '').trim().split(/\s+/);
+    if (algorithm !== 'sha256' || !digest) return false;
+    return crypto.createHash('sha256').update(chunk).digest('hex') === digest.toLowerCase();
+  }
+
+  // An upload that has received all its chunks and can be finalised
+  assertComplete(upload) {
+    this.assertUploading(upload);
+
+    if (parseInt(upload.received_size) !== parseInt(upload.total_size)) {
+      throw this.createError('UPLOAD_INCOMPLETE', 'Upload is missing chunks', { offset: parseInt(upload.received_size) });
+    }
+  }
+
+  // Move a complete upload into uploads/ and return it as a multer-style file
+  async finalize(upload) {
+    this.assertComplete(upload);
+
+    const result = await query(
+      `UPDATE uploads SET status = 'finalized', updated_at = NOW()
+       WHERE upload_id = $1 AND status = 'uploading'
+       RETURNING *`,
+      [upload.upload_id]
+    );
+    if (!result.rows[0]) {
+      throw this.createError('UPLOAD_NOT_ACTIVE', 'Upload was already finalised');
+    }
+
+    const filePath = path.join(
+      this.uploadDir,
+      `audio_file-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(upload.file_name)}`
+    );
+    await fs.rename(upload.temp_path, filePath);
+
+    logger.info(`Upload ${upload.upload_id} finalised`, { size: upload.total_size });
+    return {
+      path: filePath,
+      originalname: upload.file_name,
+      mimetype: upload.mime_type,
+      size: parseInt(upload.total_size)
+    };
+  }
+
+  // Close a complete upload that matched an already analysed song; its file is not needed
+  async finalizeKnown(upload, jobId) {
+    await query(
+      `UPDATE uploads SET status = 'finalized', job_id = $2, updated_at = NOW()
+       WHERE upload_id = $1 AND status = 'uploading'`,
+      [upload.upload_id, jobId]
+    );
+    await fs.rm(upload.temp_path, { force: true });
+  }
+
+  async attachJob(uploadId, jobId) {
+    await query('UPDATE uploads SET job_id = $2, updated_at = NOW() WHERE upload_id = $1', [uploadId, jobId]);
+  }
+
+  async abort(upload) {
+    this.assertUploading(upload);
+    await query(
+      "UPDATE uploads SET status = 'aborted', updated_at = NOW() WHERE upload_id = $1 AND status = 'uploading'",
+      [upload.upload_id]
+    );
+    await fs.rm(upload.temp_path, { force: true });
+  }
+
+  // Expire unfinished uploads past their deadline and remove their partial files
+  async expireStale() {
+    const result = await query(
+      `UPDATE uploads SET status = 'expired', updated_at = NOW()
+       WHERE status = 'uploading' AND expires_at <= NOW()
+       RETURNING upload_id, temp_path`
+    );
+
+    await Promise.all(result.rows.map(upload => fs.rm(upload.temp_path, { force: true }).catch(error => {
+      logger.warn('Failed to remove expired upload', { uploadId: upload.upload_id, error: error.message });
+    })));
+
+    if (result.rows.length > 0) {
+      logger.info(`Expired ${result.rows.length} unfinished uploads`);
+    }
+    return result.rows.length;
+  }
+
+  assertUploading(upload) {
+    if (upload.status === 'expired') {
+      throw this.createError('UPLOAD_EXPIRED', 'Upload has expired');
+    }
+    if (upload.status !== 'uploading') {
+      throw this.createError('UPLOAD_NOT_ACTIVE', `Upload is ${upload.status}`);
+    }
+  }
+
+  toStatus(upload) {
+    return {
+      upload_id: upload.upload_id,
+      status: upload.status,
+      file_name: upload.file_name,
+      offset: parseInt(upload.received_size),
+      total_size: parseInt(upload.total_size),
+      chunk_size: this.defaultChunkSize,
+      max_chunk_size: this.maxChunkSize,
+      expires_at: upload.expires_at,
+      job_id: upload.job_id || null
+    };
+  }
+}
+
+module.exports = new ResumableUploadService();
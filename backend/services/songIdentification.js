@@ -0,0 +1,264 @@
+/**
+ * Song Identification Service
+ * Finds the analysed song a short recording comes from. Every song keeps a chroma signature,
+ * one quantised pitch-class vector per chroma block of the whole track. The recording's own
+ * signature is slid along each song's, so the best offset also says where in the song the
+ * recording starts. Pitch content rather than exact audio is compared, which lets a snippet
+ * that was played or hummed match as well as one recorded off the speakers.
+ * Sliding along every song would not scale with the library, so songs also keep index keys:
+ * the changes between the sets of pitch classes sounding in consecutive blocks. Only the songs
+ * sharing the most keys with the recording are slid along.
+ */
+class SongIdentificationService {
+  constructor() {
+    // Each pitch class is stored as a 2-bit level, so a block fits in one INTEGER
+    this.bitsPerBin = 2;
+    this.levels = 4;
+    this.silentBlock = -1;
+    // Blocks quieter than this carry no usable chroma
+    this.silenceRms = 0.01;
+    this.minQueryBlocks = 4;
+    // Longer recordings are cut to this; more audio barely improves the match but costs time
+    this.maxQuerySeconds = 20;
+    // Mean similarity of the aligned blocks; unrelated music scores around zero
+    this.minScore = 0.45;
+    this.defaultLimit = 5;
+    this.maxLimit = 20;
+    // The recording is also matched starting half a block in, so offsets are never more than
+    // a quarter block off
+    this.queryPhases = 2;
+    // A pitch class at this level or above sounds in a block; blocks with more sounding pitch
+    // classes are noise rather than a chord or a note
+    this.keyLevel = 2;
+    this.maxKeyPitchClasses = 5;
+    // Songs sharing the most index keys with the recording that are slid along
+    this.maxCandidates = 50;
+  }
+
+  /**
+   * Signature of a chroma timeline
+   * @param {Array} timeline - Chroma timeline: { chroma[12], rms } per block, peak-normalised
+   * @returns {Array|null} One integer per block (silentBlock for silence), or null without any audible block
+   */
+  createSignature(timeline) {
+    const signature = (timeline || []).map(block => {
+      if (!block || block.rms < this.silenceRms) return this.silentBlock;
+
+      let packed = 0;
+      for (let i = 0; i < 12; i++) {
+        const level = Math.min(this.levels - 1, Math.max(0, Math.floor((block.chroma[i] || 0) * this.levels)));
+        packed |= level << (i * this.bitsPerBin);
+      }
+      return packed;
+    });
+
+    return signature.some(block => block !== this.silentBlock) ? signature : null;
+  }
+
+  /**
+   * Unpack a signature into mean-removed unit vectors, so the dot product of two blocks is
+   * their correlation
+   * @param {Array} signature - Signature from createSignature
+   * @returns {Array} Float64Array(12) per block, null for silent blocks
+   */
+  decodeSignature(signature) {
+    const mask = (1 << this.bitsPerBin) - 1;
+
+    return (signature || []).map(packed => {
+      if (packed === this.silentBlock || packed === null) return null;
+
+      const vector = new Float64Array(12);
+      let mean = 0;
+      for (let i = 0; i < 12; i++) {
+        vector[i] = (((packed >> (i * this.bitsPerBin)) & mask) + 0.5) / this.levels;
+        mean += vector[i] / 12;
+      }
+
+      let norm = 0;
+      for (let i = 0; i < 12; i++) {
+        vector[i] -= mean;
+        norm += vector[i] * vector[i];
+      }
+      // A block with the same level on every pitch class says nothing about the music
+      if (norm === 0) return null;
+
+      norm = Math.sqrt(norm);
+      for (let i = 0; i < 12; i++) {
+        vector[i] /= norm;
+      }
+      return vector;
+    });
+  }
+
+  // Pitch classes sounding in a signature block, as a 12-bit mask; null for silence or noise
+  blockMask(packed) {
+    if (packed === this.silentBlock || packed === null) return null;
+
+    const binMask = (1 << this.bitsPerBin) - 1;
+    let mask = 0;
+    let count = 0;
+    for (let i = 0; i < 12; i++) {
+      if (((packed >> (i * this.bitsPerBin)) & binMask) >= this.keyLevel) {
+        mask |= 1 << i;
+        count++;
+      }
+    }
+    return count > 0 && count <= this.maxKeyPitchClasses ? mask : null;
+  }
+
+  // Mask with every pitch class moved up by the given number of semitones
+  transposeMask(mask, semitones) {
+    const shift = ((semitones % 12) + 12) % 12;
+    return ((mask << shift) | (mask >> (12 - shift))) & 0xfff;
+  }
+
+  /**
+   * Index keys of a signature: one per change from one set of sounding pitch classes to another,
+   * so they do not depend on how long each chord is held. Silence breaks the chain.
+   * @param {Array} signature - Signature from createSignature
+   * @param {number} semitones - Transpose the signature by this much first
+   * @returns {Set} Keys, the previous mask in the high 12 bits and the next in the low 12
+   */
+  changeKeys(signature, semitones = 0) {
+    const keys = new Set();
+    let previous = null;
+
+    (signature || []).forEach(packed => {
+      const mask = this.blockMask(packed);
+      if (mask === null) {
+        if (packed === this.silentBlock) previous = null;
+        return;
+      }
+
+      const transposed = this.transposeMask(mask, semitones);
+      if (previous !== null && transposed !== previous) {
+        keys.add((previous << 12) | transposed);
+      }
+      previous = transposed;
+    });
+
+    return keys;
+  }
+
+  // Index keys stored with a song, sorted; null without any chord change
+  createIndexKeys(signature) {
+    const keys = Array.from(this.changeKeys(signature)).sort((a, b) => a - b);
+    return keys.length > 0 ? keys : null;
+  }
+
+  /**
+   * Index keys to look a recording up by, in the song's key for every key it may have been played in
+   * @param {Array} queries - Recording signatures: { signature, phaseSeconds }
+   * @param {boolean} transpose - Also look it up in the other keys
+   * @returns {Array} Keys
+   */
+  createQueryKeys(queries, transpose = false) {
+    const keys = new Set();
+    this.getTranspositions(transpose).forEach(semitones => {
+      queries.forEach(query => {
+        this.changeKeys(query.signature, -semitones).forEach(key => keys.add(key));
+      });
+    });
+    return Array.from(keys);
+  }
+
+  // Semitones the recording may be above the song
+  getTranspositions(transpose) {
+    return transpose ? Array.from({ length: 12 }, (_, i) => i - 5) : [0];
+  }
+
+  // Vector with every pitch class moved up by the given number of semitones
+  transposeVector(vector, semitones) {
+    if (!vector) return null;
+    const transposed = new Float64Array(12);
+    for (let i = 0; i < 12; i++) {
+      transposed[(i + semitones + 12) % 12] = vector[i];
+    }
+    return transposed;
+  }
+
+  /**
+   * Best alignment of a recording within one song
+   * @param {Array} query - Decoded recording blocks
+   * @param {Array} song - Decoded song blocks
+   * @param {Array} transpositions - Semitone shifts of the recording to try
+   * @returns {Object|null} { score, offsetBlocks, transposition }, null when the song is shorter than the recording
+   */
+  findBestAlignment(query, song, transpositions = [0]) {
+    const audible = query.filter(Boolean).length;
+    if (audible === 0 || song.length < query.length) return null;
+
+    // The recording transposed back to the song's key, for each key it may have been played in
+    const candidates = transpositions.map(semitones => ({
+      semitones,
+      blocks: query.map(vector => this.transposeVector(vector, -semitones))
+    }));
+
+    let best = null;
+    for (let offset = 0; offset <= song.length - query.length; offset++) {
+      for (const candidate of candidates) {
+        let total = 0;
+        for (let k = 0; k < candidate.blocks.length; k++) {
+          const a = candidate.blocks[k];
+          const b = song[offset + k];
+          if (!a || !b) continue;
+          for (let i = 0; i < 12; i++) {
+            total += a[i] * b[i];
+          }
+        }
+
+        // Silent song blocks under an audible recording count as a mismatch
+        const score = total / audible;
+        if (!best || score > best.score) {
+          best = { score, offsetBlocks: offset, transposition: candidate.semitones };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Songs a recording may come from, best first
+   * @param {Array} queries - Recording signatures: { signature, phaseSeconds } per phase it was taken at
+   * @param {Array} songs - Candidate songs with a chroma_signature
+   * @param {Object} options - blockSeconds, transpose (also try the recording in other keys), limit
+   * @returns {Array} { song, score, offset_seconds, transposition }
+   */
+  rankMatches(queries, songs, { blockSeconds = 1, transpose = false, limit = this.defaultLimit } = {}) {
+    const transpositions = this.getTranspositions(transpose);
+    const decodedQueries = queries
+      .map(query => ({ ...query, blocks: this.decodeSignature(query.signature) }))
+      .filter(query => query.blocks.filter(Boolean).length >= this.minQueryBlocks);
+    if (decodedQueries.length === 0) return [];
+
+    const matches = [];
+    songs.forEach(song => {
+      const songBlocks = this.decodeSignature(song.chroma_signature);
+      let best = null;
+
+      decodedQueries.forEach(query => {
+        const alignment = this.findBestAlignment(query.blocks, songBlocks, transpositions);
+        if (alignment && (!best || alignment.score > best.score)) {
+          best = { ...alignment, phaseSeconds: query.phaseSeconds };
+        }
+      });
+
+      if (best && best.score >= this.minScore) {
+        matches.push({
+          song,
+          score: Math.round(best.score * 1000) / 1000,
+          // The phase was cut from the start of the recording, so the recording began that much earlier
+          offset_seconds: Math.max(0, Math.round((best.offsetBlocks * blockSeconds - best.phaseSeconds) * 100) / 100),
+          transposition: best.transposition
+        });
+      }
+    });
+
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .slice(0, Math.min(limit, this.maxLimit));
+  }
+}
+
+module.exports = new SongIdentificationService();
@@ -2,6 +2,9 @@ const express = require('express');
 const { query } = require('../config/database');
 const logger = require('../config/logger');
 const { v4: uuidv4 } = require('uuid');
+const audioFingerprintService = require('./audioFingerprint');
+const analysisRevisionService = require('./analysisRevisions');
+const songIdentificationService = require('./songIdentification');
 
 class SongService {
   // Create a new song entry
@@ -23,6 +26,7 @@ class SongService {
       note_sequence,
       beat_grid,
       sections,
+      strumming_patterns,
       techniques_identified,
       overall_difficulty,
       chord_difficulty,
@@ -32,7 +36,15 @@ class SongService {
       original_audio_url,
       processed_audio_url,
       waveform_data,
-      thumbnail_url
+      thumbnail_url,
+      content_hash,
+      audio_fingerprint,
+      analysis_version,
+      source_provider,
+      source_id,
+      source_url,
+      license,
+      attribution
     } = songData;
 
     try {
@@ -40,19 +52,25 @@ class SongService {
         `INSERT INTO songs (
           youtube_id, spotify_id, title, artist, album, release_year, duration_seconds,
           original_key, tempo_bpm, time_signature, energy_level, valence,
-          chord_progression, note_sequence, beat_grid, sections, techniques_identified,
+          chord_progression, note_sequence, beat_grid, sections, strumming_patterns, techniques_identified,
           overall_difficulty, chord_difficulty, solo_difficulty, rhythm_difficulty,
           speed_difficulty, original_audio_url, processed_audio_url, waveform_data,
-          thumbnail_url, processing_status
+          thumbnail_url, content_hash, audio_fingerprint, analysis_version,
+          source_provider, source_id, source_url, license, attribution, processing_status, processed_at
         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
-                $18, $19, $20, $21, $22, $23, $24, $25, $26, 'completed')
+                $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30,
+                $31, $32, $33, $34, $35, 'completed', NOW())
         RETURNING *`,
         [youtube_id, spotify_id, title, artist, album, release_year, duration_seconds,
          original_key, tempo_bpm, time_signature, energy_level, valence,
-         chord_progression, note_sequence, beat_grid, sections, techniques_identified,
+         // Arrays would go as Postgres array literals, not JSON
+         chord_progression ? JSON.stringify(chord_progression) : null, note_sequence, beat_grid,
+         sections ? JSON.stringify(sections) : null,
+         strumming_patterns ? JSON.stringify(strumming_patterns) : null, techniques_identified,
          overall_difficulty, chord_difficulty, solo_difficulty, rhythm_difficulty,
          speed_difficulty, original_audio_url, processed_audio_url, waveform_data,
-         thumbnail_url]
+         thumbnail_url, content_hash, audio_fingerprint, analysis_version,
+         source_provider, source_id, source_url, license, attribution]
       );
 
       logger.info(`New song created: ${title} by ${artist}`);
@@ -70,6 +88,96 @@ class SongService {
     }
   }
 
+  // Store processing results as a new analysis revision and make it current. Audio that already
+  // has a song (same source, same YouTube video or same file) was analysed again by a newer
+  // analyser, so the revision is added to that song instead of creating another one.
+  async saveSongFromResults(results, extra = {}, { jobId = null } = {}) {
+    const songData = this.songDataFromResults(results, extra);
+    const existing = (songData.source_id && await this.getSongBySource(songData.source_provider, songData.source_id)) ||
+      (songData.youtube_id && await this.getSongByYouTubeId(songData.youtube_id)) ||
+      (songData.content_hash && await this.getSongByContentHash(songData.content_hash));
+
+    const song = existing || await this.createSong(songData);
+
+    if (existing) {
+      await query(
+        `UPDATE songs
+         SET content_hash = COALESCE($2, content_hash), audio_fingerprint = COALESCE($3, audio_fingerprint),
+             source_provider = COALESCE(source_provider, $4), source_id = COALESCE(source_id, $5),
+             source_url = COALESCE(source_url, $6), license = COALESCE($7, license),
+             attribution = COALESCE($8, attribution)
+         WHERE song_id = $1`,
+        [song.song_id, songData.content_hash || null, songData.audio_fingerprint || null,
+         songData.source_provider || null, songData.source_id || null, songData.source_url || null,
+         songData.license || null, songData.attribution || null]
+      );
+    }
+
+    const revision = await analysisRevisionService.createRevision(song.song_id, songData, { jobId });
+    return analysisRevisionService.promote(song.song_id, revision.revision_id);
+  }
+
+  // Store re-analysis results of a song as a new revision. Batch re-analysis leaves promotion
+  // to an admin unless the batch asked for it, so the song is only changed when promote is set.
+  async addRevisionFromResults(songId, results, { jobId = null, batchId = null, promote = false } = {}) {
+    const revision = await analysisRevisionService.createRevision(songId, this.songDataFromResults(results), { jobId, batchId });
+    if (promote) await analysisRevisionService.promote(songId, revision.revision_id);
+    return revision;
+  }
+
+  songDataFromResults(results, extra = {}) {
+    return {
+      title: results.metadata?.title || 'Unknown Title',
+      artist: results.metadata?.artist || 'Unknown Artist',
+      duration_seconds: Math.round(results.metadata?.duration || 0),
+      original_key: results.key?.notation || results.key?.key || '',
+      tempo_bpm: results.tempo?.bpm || 0,
+      time_signature: results.tempo?.time_signature,
+      beat_grid: results.tempo || null,
+      chord_progression: results.chords || [],
+      strumming_patterns: results.strumming || [],
+      sections: results.sections || [],
+      overall_difficulty: results.analysis?.difficulty || 3,
+      thumbnail_url: results.metadata?.thumbnail,
+      source_provider: results.metadata?.provider,
+      source_id: results.metadata?.source_id,
+      source_url: results.metadata?.source_url,
+      license: results.metadata?.license,
+      attribution: results.metadata?.attribution,
+      stems: results.stems || null,
+      chroma_signature: results.chroma_signature || null,
+      chroma_keys: songIdentificationService.createIndexKeys(results.chroma_signature),
+      analysis_version: results.analysis_version,
+      processing_status: 'completed',
+      ...extra
+    };
+  }
+
+  // Summary of a stored song in the shape of a processing job's results
+  toProcessingSummary(song, metadata = {}) {
+    return {
+      song_id: song.song_id,
+      metadata: {
+        title: song.title,
+        artist: song.artist,
+        duration: song.duration_seconds,
+        original_key: song.original_key,
+        tempo_bpm: song.tempo_bpm,
+        overall_difficulty: song.overall_difficulty,
+        provider: song.source_provider || null,
+        source_url: song.source_url || null,
+        license: song.license || null,
+        attribution: song.attribution || null,
+        ...metadata
+      },
+      chords: song.chord_progression,
+      strumming: song.strumming_patterns || [],
+      sections: song.sections || [],
+      analysis_version: song.analysis_version,
+      processing_completed: true
+    };
+  }
+
   // Get song by ID
   async getSongById(songId) {
     try {
@@ -98,6 +206,84 @@ class SongService {
     }
   }
 
+  // Get the song fetched by a source provider; YouTube songs from before providers only have a youtube_id
+  async getSongBySource(provider, sourceId) {
+    try {
+      const result = await query(
+        `SELECT * FROM songs
+         WHERE (source_provider = $1 AND source_id = $2) OR ($1 = 'youtube' AND youtube_id = $2)
+         LIMIT 1`,
+        [provider, sourceId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get song by source', { provider, sourceId, error: error.message });
+      throw error;
+    }
+  }
+
+  // Get the song analysed from a file with this content hash, by at least the given analyser version
+  async getSongByContentHash(contentHash, minAnalysisVersion = 0) {
+    try {
+      const result = await query(
+        `SELECT * FROM songs
+         WHERE content_hash = $1 AND processing_status = 'completed' AND COALESCE(analysis_version, 0) >= $2
+         ORDER BY processed_at DESC NULLS LAST
+         LIMIT 1`,
+        [contentHash, minAnalysisVersion]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Failed to get song by content hash', { contentHash, error: error.message });
+      throw error;
+    }
+  }
+
+  // Find a song whose acoustic fingerprint matches, among songs of about the same duration
+  async findSongByFingerprint(fingerprint, durationSeconds, minAnalysisVersion = 0) {
+    if (!fingerprint || !durationSeconds) return null;
+
+    try {
+      const result = await query(
+        `SELECT * FROM songs
+         WHERE audio_fingerprint IS NOT NULL AND ABS(duration_seconds - $1) <= $2
+           AND processing_status = 'completed' AND COALESCE(analysis_version, 0) >= $3
+         ORDER BY processed_at DESC NULLS LAST
+         LIMIT 50`,
+        [Math.round(durationSeconds), audioFingerprintService.durationToleranceSeconds, minAnalysisVersion]
+      );
+      return result.rows.find(song => audioFingerprintService.matches(fingerprint, song.audio_fingerprint)) || null;
+    } catch (error) {
+      logger.error('Failed to find song by fingerprint', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Analysed songs a recording may come from, with their chroma signatures: the songs sharing
+  // the most index keys (see songIdentification.createIndexKeys) with the recording
+  async getIdentificationCandidates(keys, limit) {
+    if (!keys || keys.length === 0) return [];
+
+    try {
+      const result = await query(
+        `SELECT s.song_id, s.title, s.artist, s.duration_seconds, s.thumbnail_url, s.chroma_signature
+         FROM songs s
+         CROSS JOIN LATERAL (
+           SELECT COUNT(*) AS shared FROM unnest(s.chroma_keys) AS song_key WHERE song_key = ANY($1::int[])
+         ) k
+         WHERE s.processing_status = 'completed' AND s.chroma_signature IS NOT NULL
+           AND s.chroma_keys && $1::int[]
+         ORDER BY k.shared DESC
+         LIMIT $2`,
+        [keys, limit]
+      );
+      return result.rows;
+    } catch (error) {
+      logger.error('Failed to get identification candidates', { error: error.message });
+      throw error;
+    }
+  }
+
   // Search songs
   async searchSongs(searchOptions) {
     const {
@@ -444,29 +630,29 @@ class SongService {
     return chords.map(chord => {
       if (!chord.chord) return chord;
       
-      const parts = chord.chord.match(/^([A-G][#b]?)(.*)$/);
+      // Root, quality suffix and optional slash bass (e.g. D/F#)
+      const parts = chord.chord.match(/^([A-G][#b]?)([^/]*)(?:\/([A-G][#b]?))?$/);
       if (!parts) return chord;
       
       const root = parts[1];
       const suffix = parts[2];
+      const bass = parts[3];
       
-      // Normalize root (e.g. Db -> C#)
-      let rootNorm = root;
-      if (root === 'Db') rootNorm = 'C#';
-      else if (root === 'Eb') rootNorm = 'D#';
-      else if (root === 'Gb') rootNorm = 'F#';
-      else if (root === 'Ab') rootNorm = 'G#';
-      else if (root === 'Bb') rootNorm = 'A#';
+      // Normalize note (e.g. Db -> C#) and move it by the interval
+      const transposeNote = (note) => {
+        const flats = { 'Db': 'C#', 'Eb': 'D#', 'Gb': 'F#', 'Ab': 'G#', 'Bb': 'A#' };
+        const noteIndex = keys.indexOf(flats[note] || note);
+        return noteIndex === -1 ? null : keys[(noteIndex + diff) % 12];
+      };
       
-      const rootIndex = keys.indexOf(rootNorm);
-      if (rootIndex === -1) return chord;
+      const newRoot = transposeNote(root);
+      if (!newRoot) return chord;
       
-      const newRootIndex = (rootIndex + diff) % 12;
-      const newRoot = keys[newRootIndex];
+      const newBass = bass ? transposeNote(bass) : null;
       
       return {
         ...chord,
-        transposed_chord: newRoot + suffix,
+        transposed_chord: newRoot + suffix + (newBass ? `/${newBass}` : ''),
         original_chord: chord.chord
       };
     });
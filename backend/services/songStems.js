@@ -0,0 +1,178 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../config/logger');
+const audioProcessingService = require('./audioProcessing');
+const audioSources = require('./audioSources');
+const stemSeparationService = require('./stemSeparation');
+
+// Playback stems of analysed songs: the guitar and backing stems kept by analysis, and a click
+// track rendered from the song's beat grid on first request and stored next to them. All stems
+// of a song start at the same sample, so players can run them side by side. The full mix is
+// kept too, for songs without stems.
+class SongStemService {
+  constructor() {
+    this.contentTypes = {
+      '.mp3': 'audio/mpeg',
+      '.wav': 'audio/wav'
+    };
+    this.clickName = 'click';
+    this.mixName = 'mix';
+    this.inFlight = new Map();
+    this.clickSampleRate = 22050;
+    this.clickLengthSeconds = 0.03;
+    // Downbeats are higher so the bar is easy to follow
+    this.clickFrequencies = { downbeat: 1500, beat: 1000 };
+    this.clickAmplitude = 0.8;
+  }
+
+  getStorageDir() {
+    return path.resolve(audioProcessingService.stemStorageDir);
+  }
+
+  // Stems a song can be played with, in mixer order
+  async listStems(song) {
+    const tracks = (song.stems && song.stems.tracks) || {};
+    const stems = [];
+
+    for (const name of Object.keys(tracks)) {
+      const filePath = this.resolveTrackPath(tracks[name]);
+      if (filePath && await this.exists(filePath)) {
+        stems.push({ name, content_type: this.getContentType(filePath) });
+      }
+    }
+
+    // A click is only useful alongside the stems it is timed to
+    if (stems.length > 0 && this.getBeats(song).length > 0) {
+      stems.push({ name: this.clickName, content_type: this.contentTypes['.wav'] });
+    }
+
+    return stems;
+  }
+
+  // File of one stem, or null when the song has no such stem
+  async getStemFile(song, name) {
+    const tracks = (song.stems && song.stems.tracks) || {};
+    if (name === this.clickName) return this.getClickFile(song);
+    if (!Object.prototype.hasOwnProperty.call(tracks, name)) return null;
+
+    const filePath = this.resolveTrackPath(tracks[name]);
+    if (!filePath || !await this.exists(filePath)) return null;
+    return { path: filePath, contentType: this.getContentType(filePath) };
+  }
+
+  // The song's full mix: kept by analysis next to the stems, else its kept upload. Songs
+  // analysed before the mix was kept fetch it once more from their source on first request.
+  async getMixFile(song) {
+    const keptPath = this.resolveTrackPath(song.stems && song.stems.mix);
+    if (keptPath && await this.exists(keptPath)) {
+      return { path: keptPath, contentType: this.getContentType(keptPath) };
+    }
+    if (song.original_audio_url && await this.exists(song.original_audio_url)) {
+      return { path: song.original_audio_url, contentType: this.getContentType(song.original_audio_url) };
+    }
+
+    const url = song.youtube_id ? `https://www.youtube.com/watch?v=${song.youtube_id}` : song.source_url;
+    const provider = audioSources.resolve(url);
+    if (!provider) return null;
+
+    const filePath = path.join(this.getStorageDir(), song.song_id, `${this.mixName}.mp3`);
+    if (!await this.exists(filePath)) {
+      // Concurrent requests for one song share the download
+      if (!this.inFlight.has(filePath)) {
+        this.inFlight.set(filePath, this.fetchMix(provider, url, filePath).finally(() => this.inFlight.delete(filePath)));
+      }
+      await this.inFlight.get(filePath);
+    }
+    return { path: filePath, contentType: this.contentTypes['.mp3'] };
+  }
+
+  async fetchMix(provider, url, filePath) {
+    const rawPath = `${filePath}.${process.pid}.${Date.now()}.download`;
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await provider.download(url, rawPath);
+      await audioProcessingService.encodeStem(rawPath, tempPath);
+      await fs.rename(tempPath, filePath);
+      logger.info('Full mix fetched from the song source', { url, filePath });
+    } finally {
+      await fs.rm(rawPath, { force: true });
+      await fs.rm(tempPath, { force: true });
+    }
+  }
+
+  async getClickFile(song) {
+    const stemPaths = Object.values((song.stems && song.stems.tracks) || {})
+      .map(track => this.resolveTrackPath(track))
+      .filter(Boolean);
+    const beats = this.getBeats(song);
+    if (stemPaths.length === 0 || beats.length === 0) return null;
+
+    const filePath = path.join(path.dirname(stemPaths[0]), `${this.clickName}.wav`);
+    if (!await this.exists(filePath)) {
+      const duration = parseFloat(song.duration_seconds) || beats[beats.length - 1].time + 1;
+      const samples = this.renderClickTrack(beats, duration);
+
+      // Write under a temporary name so a concurrent request never serves half a file
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tempPath, stemSeparationService.encodeWav(samples, this.clickSampleRate));
+      await fs.rename(tempPath, filePath);
+      logger.info('Click track rendered', { songId: song.song_id, beats: beats.length });
+    }
+
+    return { path: filePath, contentType: this.contentTypes['.wav'] };
+  }
+
+  /**
+   * Short decaying sine blips on every beat
+   * @param {Array} beats - Beat grid beats ({ time, beat }), beat 1 being the downbeat
+   * @param {number} duration - Track length in seconds
+   * @returns {Float32Array} Mono samples at clickSampleRate
+   */
+  renderClickTrack(beats, duration) {
+    const sampleRate = this.clickSampleRate;
+    const samples = new Float32Array(Math.ceil(duration * sampleRate));
+    const clickLength = Math.round(this.clickLengthSeconds * sampleRate);
+
+    beats.forEach(beat => {
+      const start = Math.round(beat.time * sampleRate);
+      const frequency = beat.beat === 1 ? this.clickFrequencies.downbeat : this.clickFrequencies.beat;
+      for (let i = 0; i < clickLength && start + i < samples.length; i++) {
+        if (start + i < 0) continue;
+        const envelope = Math.exp(-5 * i / clickLength);
+        samples[start + i] = this.clickAmplitude * envelope * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+      }
+    });
+
+    return samples;
+  }
+
+  getBeats(song) {
+    const beats = (song.beat_grid && song.beat_grid.beats) || [];
+    return beats.filter(beat => Number.isFinite(beat.time) && beat.time >= 0);
+  }
+
+  // Stored track paths are relative to the stem storage directory and must stay inside it
+  resolveTrackPath(track) {
+    if (typeof track !== 'string') return null;
+    const storageDir = this.getStorageDir();
+    const filePath = path.resolve(storageDir, track);
+    return filePath.startsWith(storageDir + path.sep) ? filePath : null;
+  }
+
+  getContentType(filePath) {
+    return this.contentTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new SongStemService();
@@ -0,0 +1,342 @@
+const logger = require('../config/logger');
+
+/**
+ * Song Structure Service
+ * Splits a track into sections from a self-similarity matrix over bar-level chroma,
+ * groups repeated sections and labels them intro/verse/pre-chorus/chorus/bridge/outro
+ */
+class SongStructureService {
+  constructor() {
+    // Bars are the analysis unit; without a usable beat grid fixed-length units are used
+    this.minBarsForStructure = 8;
+    this.fallbackUnitSeconds = 4;
+
+    // Songs are built from phrases of a few bars; sections are runs of phrases
+    this.phraseUnits = 4;
+    this.maxSectionUnits = 16;
+    // A phrase grid shifted off the first bar must repeat this much better to be used
+    this.phraseOffsetMargin = 0.1;
+
+    // Two phrases repeat each other when their aligned bars correlate at least this well
+    this.repeatThreshold = 0.6;
+    // Neighbouring phrase groups only join into one section at similar loudness
+    this.maxLoudnessRatio = 1.25;
+    this.groupNames = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+  }
+
+  /**
+   * Find and label the sections of a track
+   * @param {Array} timeline - Chroma timeline: { time, chroma: [12], rms }, one entry per block
+   * @param {number} blockSeconds - Length of each timeline block
+   * @param {Array} bars - Bars from the beat grid: { bar, start_time, end_time }
+   * @param {number} duration - Track duration in seconds
+   * @returns {Array} Sections: { id, label, name, group, start_time, end_time, start_bar, end_bar, same_as }
+   */
+  analyzeStructure(timeline, blockSeconds, bars, duration) {
+    if (!timeline || timeline.length === 0) return [];
+
+    const units = this.getUnits(bars, duration || timeline.length * blockSeconds);
+    const features = units.map(unit => this.summarizeUnit(timeline, blockSeconds, unit));
+    if (units.length < this.phraseUnits * 2) {
+      return this.labelSections([{ start: 0, end: units.length, group: 0 }], units, features);
+    }
+
+    const similarity = this.buildSimilarityMatrix(features.map(feature => feature.chroma));
+    const phrases = this.clusterPhrases(this.splitPhrases(units.length, similarity), similarity);
+    const segments = this.mergePhrases(phrases, features);
+    const sections = this.labelSections(segments, units, features);
+
+    logger.debug('Song structure analysed', { units: units.length, phrases: phrases.length, sections: sections.length });
+    return sections;
+  }
+
+  getUnits(bars, duration) {
+    if (bars && bars.length >= this.minBarsForStructure) {
+      return bars.map(bar => ({ start_time: bar.start_time, end_time: bar.end_time, bar: bar.bar }));
+    }
+
+    const units = [];
+    for (let start = 0; start < duration; start += this.fallbackUnitSeconds) {
+      units.push({ start_time: start, end_time: Math.min(duration, start + this.fallbackUnitSeconds), bar: null });
+    }
+    return units;
+  }
+
+  /**
+   * Overlap-weighted mean chroma and loudness of the timeline blocks inside a unit
+   */
+  summarizeUnit(timeline, blockSeconds, unit) {
+    const chroma = new Array(12).fill(0);
+    let rms = 0;
+    let weight = 0;
+
+    for (const block of timeline) {
+      const overlap = Math.min(unit.end_time, block.time + blockSeconds) - Math.max(unit.start_time, block.time);
+      if (overlap <= 0) continue;
+
+      for (let i = 0; i < 12; i++) {
+        chroma[i] += block.chroma[i] * overlap;
+      }
+      rms += block.rms * overlap;
+      weight += overlap;
+    }
+
+    return {
+      chroma: weight > 0 ? chroma.map(value => value / weight) : chroma,
+      rms: weight > 0 ? rms / weight : 0
+    };
+  }
+
+  /**
+   * Pearson correlation between every pair of unit chroma vectors
+   */
+  buildSimilarityMatrix(vectors) {
+    const standardized = vectors.map(vector => {
+      const mean = vector.reduce((a, b) => a + b, 0) / vector.length;
+      const deviation = Math.sqrt(vector.reduce((sum, value) => sum + (value - mean) ** 2, 0));
+      return vector.map(value => (deviation > 0 ? (value - mean) / deviation : 0));
+    });
+
+    return standardized.map(a => standardized.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+  }
+
+  /**
+   * Cut the track into phrases of phraseUnits. The first bar of the grid is not always
+   * the first bar of a phrase (pickups, short intros), so every offset is tried and the
+   * one whose phrases repeat each other clearly best wins. Leftover units at either end join
+   * the neighbouring phrase when shorter than half a phrase.
+   */
+  splitPhrases(unitCount, similarity) {
+    let best = null;
+
+    for (let offset = 0; offset < this.phraseUnits; offset++) {
+      const starts = [0];
+      for (let start = offset || this.phraseUnits; start < unitCount; start += this.phraseUnits) {
+        starts.push(start);
+      }
+      const phrases = starts.map((start, i) => ({ start, end: i + 1 < starts.length ? starts[i + 1] : unitCount }));
+
+      if (phrases.length > 1 && phrases[0].end - phrases[0].start < this.phraseUnits / 2) {
+        phrases[1].start = 0;
+        phrases.shift();
+      }
+      const last = phrases[phrases.length - 1];
+      if (phrases.length > 1 && last.end - last.start < this.phraseUnits / 2) {
+        phrases[phrases.length - 2].end = last.end;
+        phrases.pop();
+      }
+
+      const score = phrases.reduce((sum, phrase) => sum + Math.max(0, ...phrases
+        .filter(other => other !== phrase)
+        .map(other => this.segmentSimilarity(phrase, other, similarity))), 0) / phrases.length;
+
+      if (!best || score > best.score + this.phraseOffsetMargin) best = { score, phrases };
+    }
+
+    return best.phrases;
+  }
+
+  /**
+   * Put phrases that repeat each other in one group, comparing each phrase with the
+   * first phrase of every group so far
+   */
+  clusterPhrases(phrases, similarity) {
+    const representatives = [];
+
+    return phrases.map(phrase => {
+      let group = -1;
+      let bestScore = this.repeatThreshold;
+
+      representatives.forEach((representative, index) => {
+        const score = this.segmentSimilarity(representative, phrase, similarity);
+        if (score >= bestScore) {
+          bestScore = score;
+          group = index;
+        }
+      });
+
+      if (group === -1) {
+        group = representatives.length;
+        representatives.push(phrase);
+      }
+      return { ...phrase, group };
+    });
+  }
+
+  /**
+   * Build sections from phrases: runs of one group become one section, then a repeated
+   * group that is always followed by the same other group joins it (a verse made of two
+   * different phrases), as long as the result stays short and the loudness does not jump
+   * (a chorus usually comes in louder than the verse before it)
+   */
+  mergePhrases(phrases, features) {
+    let segments = this.joinRuns(phrases.map(phrase => ({ ...phrase, key: String(phrase.group) })));
+
+    const loudness = (segment) => this.segmentLoudness(segment, features);
+
+    let merged = true;
+    while (merged) {
+      merged = false;
+
+      for (let i = 0; i + 1 < segments.length && !merged; i++) {
+        const first = segments[i].key;
+        const second = segments[i + 1].key;
+        const firsts = segments.map((segment, index) => index).filter(index => segments[index].key === first);
+        const seconds = segments.map((segment, index) => index).filter(index => segments[index].key === second);
+
+        const alwaysTogether = firsts.length > 1 &&
+          firsts.length === seconds.length &&
+          firsts.every(index => segments[index + 1] && segments[index + 1].key === second);
+        if (!alwaysTogether) continue;
+
+        const fits = firsts.every(index => {
+          const a = segments[index];
+          const b = segments[index + 1];
+          const louder = Math.max(loudness(a), loudness(b));
+          const quieter = Math.min(loudness(a), loudness(b));
+          return b.end - a.start <= this.maxSectionUnits &&
+            (quieter > 0 ? louder / quieter : Infinity) <= this.maxLoudnessRatio;
+        });
+        if (!fits) continue;
+
+        const key = `${first}+${second}`;
+        segments = segments.reduce((result, segment, index) => {
+          if (segment.key === second && index > 0 && segments[index - 1].key === first) {
+            result[result.length - 1].end = segment.end;
+          } else {
+            result.push({ ...segment, key: segment.key === first ? key : segment.key });
+          }
+          return result;
+        }, []);
+        merged = true;
+      }
+    }
+
+    // Number the groups in order of first appearance
+    const groupIds = new Map();
+    return segments.map(segment => {
+      if (!groupIds.has(segment.key)) groupIds.set(segment.key, groupIds.size);
+      return { start: segment.start, end: segment.end, group: groupIds.get(segment.key) };
+    });
+  }
+
+  joinRuns(segments) {
+    return segments.reduce((result, segment) => {
+      const previous = result[result.length - 1];
+      if (previous && previous.key === segment.key) {
+        previous.end = segment.end;
+      } else {
+        result.push({ ...segment });
+      }
+      return result;
+    }, []);
+  }
+
+  /**
+   * Mean similarity of the two segments bar by bar, scaled down when their lengths differ
+   */
+  segmentSimilarity(a, b, similarity) {
+    const lengthA = a.end - a.start;
+    const lengthB = b.end - b.start;
+    const length = Math.min(lengthA, lengthB);
+    if (length === 0) return 0;
+
+    let sum = 0;
+    for (let k = 0; k < length; k++) {
+      sum += similarity[a.start + k][b.start + k];
+    }
+
+    return (sum / length) * Math.sqrt(length / Math.max(lengthA, lengthB));
+  }
+
+  segmentLoudness(segment, features) {
+    const slice = features.slice(segment.start, segment.end);
+    return slice.reduce((sum, feature) => sum + feature.rms, 0) / Math.max(1, slice.length);
+  }
+
+  /**
+   * Name each group: the loudest repeated group is the chorus, a group that always sits
+   * between another repeated group and the chorus is the pre-chorus, the first other
+   * repeated group is the verse, and one-off sections are the intro, outro or bridge
+   * depending on where they fall
+   */
+  labelSections(segments, units, features) {
+    const groups = new Map();
+    segments.forEach((segment, index) => {
+      if (!groups.has(segment.group)) groups.set(segment.group, []);
+      groups.get(segment.group).push(index);
+    });
+
+    const loudness = (segment) => this.segmentLoudness(segment, features);
+    const groupLoudness = (group) => {
+      const members = groups.get(group);
+      return members.reduce((sum, index) => sum + loudness(segments[index]), 0) / members.length;
+    };
+
+    const repeated = [...groups.keys()].filter(group => groups.get(group).length > 1);
+    const groupLabels = new Map();
+
+    if (repeated.length > 0) {
+      const chorus = repeated.reduce((best, group) => (groupLoudness(group) > groupLoudness(best) ? group : best));
+      groupLabels.set(chorus, 'chorus');
+
+      repeated
+        .filter(group => group !== chorus)
+        .sort((a, b) => groups.get(a)[0] - groups.get(b)[0])
+        .forEach(group => {
+          // A pre-chorus sits between the chorus and another repeated section
+          const isPreChorus = groups.get(group).every(index => segments[index + 1] &&
+            segments[index + 1].group === chorus &&
+            segments[index - 1] &&
+            repeated.includes(segments[index - 1].group) &&
+            segments[index - 1].group !== chorus);
+          // The same music opening and closing the song is an intro and outro
+          const isBookend = groups.get(group).length === 2 &&
+            groups.get(group)[0] === 0 &&
+            groups.get(group)[1] === segments.length - 1;
+          if (isBookend) {
+            groupLabels.set(group, 'bookend');
+          } else if (isPreChorus) {
+            groupLabels.set(group, 'pre_chorus');
+          } else if (![...groupLabels.values()].includes('verse')) {
+            groupLabels.set(group, 'verse');
+          } else {
+            groupLabels.set(group, 'interlude');
+          }
+        });
+    }
+
+    const firstChorus = segments.findIndex(segment => groupLabels.get(segment.group) === 'chorus');
+    const labels = segments.map((segment, index) => {
+      if (groupLabels.get(segment.group) === 'bookend') return index === 0 ? 'intro' : 'outro';
+      if (groupLabels.has(segment.group)) return groupLabels.get(segment.group);
+      if (segments.length === 1) return 'verse';
+      if (index === 0) return 'intro';
+      if (index === segments.length - 1) return 'outro';
+      return firstChorus !== -1 && index > firstChorus ? 'bridge' : 'verse';
+    });
+
+    const totals = labels.reduce((counts, label) => ({ ...counts, [label]: (counts[label] || 0) + 1 }), {});
+    const seen = {};
+
+    return segments.map((segment, index) => {
+      const label = labels[index];
+      seen[label] = (seen[label] || 0) + 1;
+      const title = label.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join('-');
+
+      return {
+        id: index,
+        label,
+        name: totals[label] > 1 ? `${title} ${seen[label]}` : title,
+        group: this.groupNames[segment.group % this.groupNames.length],
+        start_time: units[segment.start].start_time,
+        end_time: units[segment.end - 1].end_time,
+        start_bar: units[segment.start].bar,
+        end_bar: units[segment.end - 1].bar,
+        same_as: groups.get(segment.group).filter(other => other !== index)
+      };
+    });
+  }
+}
+
+module.exports = new SongStructureService();
@@ -0,0 +1,186 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('../../config/logger');
+
+// Direct links to audio files over HTTP(S). Accepts any http(s) URL, so it is tried after
+// providers for specific sites; whether the URL really is audio shows in the response.
+class HttpAudioSource {
+  constructor() {
+    this.name = 'http';
+    this.displayName = 'Direct link';
+    this.maxBytes = (process.env.MAX_FILE_SIZE_MB || 50) * 1024 * 1024;
+    this.timeoutMs = 30000;
+    this.maxRedirects = 5;
+    this.audioContentTypes = /^(audio\/|video\/(mp4|ogg|webm)|application\/(octet-stream|ogg))/i;
+    // Links to the server's own network are refused unless explicitly allowed (local development)
+    this.allowPrivateHosts = process.env.ALLOW_PRIVATE_SOURCE_HOSTS === 'true';
+    this.privateRanges = new net.BlockList();
+    [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+      ['172.16.0.0', 12], ['192.168.0.0', 16]].forEach(([address, prefix]) => {
+      this.privateRanges.addSubnet(address, prefix, 'ipv4');
+    });
+    [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]].forEach(([address, prefix]) => {
+      this.privateRanges.addSubnet(address, prefix, 'ipv6');
+    });
+  }
+
+  createError(code, message, retryable = false) {
+    const error = new Error(message);
+    error.code = code;
+    error.retryable = retryable;
+    return error;
+  }
+
+  matches(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // The URL without its fragment, which never reaches the server
+  getSourceId(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Title from the file name, license from a rel="license" Link header
+  async getMetadata(url, signal = null) {
+    let headers = {};
+    try {
+      const { response } = await this.request(url, 'HEAD', signal);
+      if (response.status < 400) headers = response.headers;
+    } catch (error) {
+      if (error.code === 'SOURCE_BLOCKED' || (signal && signal.aborted)) throw error;
+      logger.warn('HEAD request for audio link failed', { url, error: error.message });
+    }
+
+    const fileName = this.getFileName(url, headers['content-disposition']);
+    return {
+      title: path.parse(fileName).name || 'Unknown Title',
+      artist: 'Unknown Artist',
+      duration: 0, // Extracted from the audio
+      thumbnail: null,
+      license: this.getLicense(headers.link),
+      attribution: `${fileName} from ${new URL(url).host}`
+    };
+  }
+
+  getFileName(url, contentDisposition) {
+    const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(contentDisposition || '');
+    const name = match ? match[1] : path.basename(new URL(url).pathname);
+    try {
+      return decodeURIComponent(name) || 'audio';
+    } catch (error) {
+      return name || 'audio';
+    }
+  }
+
+  getLicense(linkHeader) {
+    const match = /<([^>]+)>\s*;[^,]*rel="?license"?/i.exec(linkHeader || '');
+    return match ? match[1] : null;
+  }
+
+  // Stream the file to disk, refusing non-audio responses and files over the size limit
+  async download(url, outputPath, signal = null) {
+    const { response, url: finalUrl } = await this.request(url, 'GET', signal);
+    const stream = response.data;
+
+    try {
+      if (response.status >= 400) {
+        // Client errors will not go away on retry; server errors might
+        throw this.createError('SOURCE_UNAVAILABLE', `Audio link returned HTTP ${response.status}`, response.status >= 500 || response.status === 429);
+      }
+
+      const contentType = response.headers['content-type'] || 'application/octet-stream';
+      if (!this.audioContentTypes.test(contentType)) {
+        throw this.createError('SOURCE_NOT_AUDIO', `Link does not point to an audio file (${contentType.split(';')[0]})`);
+      }
+      if (parseInt(response.headers['content-length']) > this.maxBytes) {
+        throw this.createError('SOURCE_TOO_LARGE', 'Audio file exceeds maximum size limit');
+      }
+    } catch (error) {
+      stream.destroy();
+      throw error;
+    }
+
+    let received = 0;
+    const limit = new Transform({
+      transform: (chunk, encoding, callback) => {
+        received += chunk.length;
+        if (received > this.maxBytes) {
+          return callback(this.createError('SOURCE_TOO_LARGE', 'Audio file exceeds maximum size limit'));
+        }
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(stream, limit, fs.createWriteStream(outputPath), signal ? { signal } : {});
+    logger.info('Audio link downloaded', { url: finalUrl, bytes: received });
+    return outputPath;
+  }
+
+  // Request following redirects by hand, so every hop is checked against private networks
+  async request(url, method, signal = null) {
+    let currentUrl = url;
+
+    for (let redirects = 0; redirects <= this.maxRedirects; redirects++) {
+      await this.assertPublicHost(currentUrl);
+
+      const response = await axios({
+        url: currentUrl,
+        method,
+        responseType: method === 'GET' ? 'stream' : 'text',
+        maxRedirects: 0,
+        timeout: this.timeoutMs,
+        validateStatus: () => true,
+        signal: signal || undefined
+      });
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return { response, url: currentUrl };
+      }
+
+      if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+      currentUrl = new URL(location, currentUrl).toString();
+      if (!this.matches(currentUrl)) {
+        throw this.createError('SOURCE_UNAVAILABLE', 'Audio link redirects to an unsupported URL');
+      }
+    }
+
+    throw this.createError('SOURCE_UNAVAILABLE', 'Audio link redirects too many times');
+  }
+
+  async assertPublicHost(url) {
+    if (this.allowPrivateHosts) return;
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.lookup(hostname, { all: true });
+
+    const blocked = addresses.some(({ address, family }) => {
+      const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+      if (mapped) return this.privateRanges.check(mapped[1], 'ipv4');
+      return this.privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    });
+
+    if (blocked) {
+      throw this.createError('SOURCE_BLOCKED', 'Audio links to private network addresses are not allowed');
+    }
+  }
+}
+
+module.exports = new HttpAudioSource();
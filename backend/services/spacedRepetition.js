@@ -0,0 +1,221 @@
+/**
+ * Spaced Repetition Service
+ * Schedules reviews of what a user practises (chords, techniques and song sections) with SM-2.
+ * Every finished practice session grades the items it covered from their scores; a good grade
+ * stretches the item's interval by its ease factor, a poor one brings it back tomorrow and makes
+ * it come back sooner from then on. Items are due on their due date, and the daily plan is built
+ * from the due items, most overdue first.
+ */
+class SpacedRepetitionService {
+  constructor() {
+    this.itemTypes = ['chord', 'technique', 'section'];
+    this.initialEase = 2.5;
+    this.minEase = 1.3;
+    // Ease lost when an item is failed
+    this.lapsePenalty = 0.2;
+    this.maxIntervalDays = 180;
+    // SM-2 grades 0-5 from a 0-100 score; from passGrade on an item counts as remembered
+    this.gradeThresholds = [30, 50, 70, 85, 95];
+    this.passGrade = 3;
+    // Minutes a review takes in the daily plan, and the plan's default and allowed length
+    this.reviewMinutes = { chord: 3, technique: 5, section: 5 };
+    this.defaultPlanMinutes = 20;
+    this.planMinutesRange = { min: 5, max: 120 };
+  }
+
+  // Calendar day of a date as YYYY-MM-DD. pg returns DATE columns as local midnight.
+  dayOf(value) {
+    if (value instanceof Date) {
+      const pad = (number) => String(number).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return String(value).slice(0, 10);
+  }
+
+  today() {
+    return this.dayOf(new Date());
+  }
+
+  addDays(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Days from one day to a later one
+  daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+  }
+
+  scoreToGrade(score) {
+    return this.gradeThresholds.filter(threshold => score >= threshold).length;
+  }
+
+  /**
+   * Schedule an item after a review
+   * @param {Object} item - Current schedule (ease_factor, interval_days, repetitions, lapses,
+   *   due_date); empty for a new item
+   * @param {number} score - Score of the review, 0-100
+   * @param {string} today - Day of the review (YYYY-MM-DD)
+   * @returns {Object} New schedule with grade and last_score
+   */
+  review(item, score, today) {
+    const grade = this.scoreToGrade(score);
+    const ease = parseFloat(item.ease_factor) || this.initialEase;
+    const interval = parseInt(item.interval_days) || 0;
+    const repetitions = parseInt(item.repetitions) || 0;
+    const lapses = parseInt(item.lapses) || 0;
+    const schedule = { ease_factor: ease, interval_days: interval, repetitions, lapses, grade, last_score: score };
+
+    if (grade < this.passGrade) {
+      return {
+        ...schedule,
+        ease_factor: Math.max(this.minEase, Math.round((ease - this.lapsePenalty) * 100) / 100),
+        interval_days: 1,
+        repetitions: 0,
+        lapses: lapses + 1,
+        due_date: this.addDays(today, 1)
+      };
+    }
+
+    // Practising an item before it is due does not stretch its interval
+    if (item.due_date && this.daysBetween(today, this.dayOf(item.due_date)) > 0) {
+      return { ...schedule, due_date: this.dayOf(item.due_date) };
+    }
+
+    const nextInterval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * ease);
+    const nextEase = ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02);
+    const intervalDays = Math.min(this.maxIntervalDays, Math.max(1, nextInterval));
+
+    return {
+      ...schedule,
+      ease_factor: Math.max(this.minEase, Math.round(nextEase * 100) / 100),
+      interval_days: intervalDays,
+      repetitions: repetitions + 1,
+      due_date: this.addDays(today, intervalDays)
+    };
+  }
+
+  // Score of an accuracy entry: a number, or an object with accuracy
+  readScore(value) {
+    const score = parseFloat(value !== null && typeof value === 'object' ? value.accuracy : value);
+    return Number.isFinite(score) ? Math.min(100, Math.max(0, score)) : null;
+  }
+
+  labelOf(key) {
+    const words = String(key).replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Review items a finished session covered, with their scores
+   * - chords: the session's chord_accuracy, or else the chords of its practice analysis (scored
+   *   takes count each chord right or wrong, live feedback gives each chord's accuracy)
+   * - techniques: the session's focus techniques, scored with its overall accuracy
+   * - sections: the song's sections (repeats together), from the analysed chords inside them and
+   *   the session's section_accuracy (keyed by section id or name)
+   * @param {Object} session - Finished practice_sessions row
+   * @param {Array} analyses - The session's practice_analysis rows
+   * @param {Object} song - The session's song (song_id, title, sections), if any
+   * @returns {Array} { item_type, item_key, label, song_id, details, score }
+   */
+  collectReviews(session, analyses = [], song = null) {
+    const reviews = [];
+    const addScores = (map, key, score) => {
+      if (score === null) return;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(score);
+    };
+    const mean = (scores) => Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 100) / 100;
+
+    const analysedChords = analyses.flatMap(analysis => {
+      const timing = analysis.timing_data || {};
+      if (Array.isArray(timing.chords)) {
+        return timing.chords.map(chord => ({ ...chord, score: chord.status === 'correct' ? 100 : 0 }));
+      }
+      if (analysis.current_chord && timing.song_time !== undefined) {
+        return [{ chord: analysis.current_chord, start_time: timing.song_time, score: this.readScore(analysis.accuracy) }];
+      }
+      return [];
+    });
+
+    const chordScores = new Map();
+    const chordAccuracy = session.chord_accuracy && typeof session.chord_accuracy === 'object' ? session.chord_accuracy : {};
+    if (Object.keys(chordAccuracy).length > 0) {
+      Object.entries(chordAccuracy).forEach(([chord, value]) => addScores(chordScores, chord, this.readScore(value)));
+    } else {
+      analysedChords.forEach(chord => addScores(chordScores, chord.chord, chord.score));
+    }
+    chordScores.forEach((scores, chord) => {
+      reviews.push({ item_type: 'chord', item_key: chord, label: chord, song_id: null, details: null, score: mean(scores) });
+    });
+
+    const overall = this.readScore(session.overall_accuracy);
+    if (overall !== null) {
+      [...new Set(session.focus_techniques || [])].forEach(technique => {
+        reviews.push({ item_type: 'technique', item_key: technique, label: this.labelOf(technique), song_id: null, details: null, score: overall });
+      });
+    }
+
+    const sections = song && Array.isArray(song.sections) ? song.sections : [];
+    if (sections.length > 0) {
+      const sectionScores = new Map();
+      analysedChords.forEach(chord => {
+        const section = sections.find(item => chord.start_time >= item.start_time && chord.start_time < item.end_time);
+        if (section) addScores(sectionScores, section.group, chord.score);
+      });
+      Object.entries(session.section_accuracy || {}).forEach(([key, value]) => {
+        const section = sections.find(item => String(item.id) === key || item.name === key);
+        if (section) addScores(sectionScores, section.group, this.readScore(value));
+      });
+
+      sectionScores.forEach((scores, group) => {
+        const section = sections.find(item => item.group === group);
+        reviews.push({
+          item_type: 'section',
+          item_key: `${song.song_id}:${group}`,
+          label: `${song.title} – ${this.labelOf(section.label || section.name)}`,
+          song_id: song.song_id,
+          details: { song_title: song.title, name: section.name, start_time: section.start_time, end_time: section.end_time },
+          score: mean(scores)
+        });
+      });
+    }
+
+    return reviews;
+  }
+
+  /**
+   * Today's plan from the due items: the most overdue (relative to their interval) first, then
+   * the hardest, until the plan's minutes are used. The first item always fits.
+   * @param {Array} items - Due review items
+   * @param {string} today - Day of the plan (YYYY-MM-DD)
+   * @param {number} minutes - Length of the plan
+   * @returns {Object} { date, items, total_minutes, due_count }
+   */
+  buildPlan(items, today, minutes = this.defaultPlanMinutes) {
+    const urgency = (item) => item.overdue_days / Math.max(1, item.interval_days);
+    const ranked = items
+      .map(item => ({
+        ...item,
+        ease_factor: parseFloat(item.ease_factor),
+        last_score: item.last_score === null ? null : parseFloat(item.last_score),
+        due_date: this.dayOf(item.due_date),
+        overdue_days: Math.max(0, this.daysBetween(this.dayOf(item.due_date), today)),
+        estimated_minutes: this.reviewMinutes[item.item_type] || this.reviewMinutes.technique
+      }))
+      .sort((a, b) => urgency(b) - urgency(a) || a.ease_factor - b.ease_factor);
+
+    const plan = [];
+    let total = 0;
+    ranked.forEach(item => {
+      if (plan.length > 0 && total + item.estimated_minutes > minutes) return;
+      total += item.estimated_minutes;
+      plan.push(item);
+    });
+
+    return { date: today, items: plan, total_minutes: total, due_count: items.length };
+  }
+}
+
+module.exports = new SpacedRepetitionService();
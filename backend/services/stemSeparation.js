@@ -0,0 +1,310 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../config/logger');
+const fft = require('./fft');
+
+/**
+ * Stem Separation Service
+ * Splits mono audio into a guitar stem and a backing stem on the CPU. Harmonic/percussive
+ * separation by median filtering the spectrogram (sustained partials are smooth along time,
+ * drum hits along frequency) keeps the pitched content, and a low cut removes the bass
+ * fundamentals below the guitar's range. The guitar stem therefore holds guitar and other
+ * pitched instruments above the bass; the backing stem is the rest of the mix (drums, bass),
+ * so the two stems always add up to the original audio.
+ */
+class StemSeparationService {
+  constructor() {
+    this.stemNames = ['guitar', 'backing'];
+    this.frameSize = 2048;
+    this.hopSize = 512;
+    // Median filter lengths: ~200 ms along time for harmonics, ~370 Hz along frequency for drums
+    this.harmonicKernel = 17;
+    this.percussiveKernel = 17;
+    // Soft (Wiener-like) masks leak less than binary ones
+    this.maskPower = 2;
+    // The guitar's low E is 82 Hz; bins fade in between these frequencies
+    this.lowCutHz = 60;
+    this.fullBandHz = 90;
+    this.windows = new Map();
+  }
+
+  /**
+   * Separate audio into stems
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Object} { guitar, backing } Float32Arrays of the input's length
+   */
+  separate(samples, sampleRate) {
+    const length = samples.length;
+    const guitar = new Float32Array(length);
+    const backing = new Float32Array(length);
+    if (length === 0) return { guitar, backing };
+
+    const N = this.frameSize;
+    const bins = N / 2 + 1;
+    // Pad by a frame on both sides so every sample is covered by fully overlapping frames
+    const frameCount = Math.ceil((length + N) / this.hopSize) + 1;
+    const spectrum = this.stft(samples, frameCount);
+
+    const magnitude = new Float32Array(frameCount * bins);
+    for (let i = 0; i < magnitude.length; i++) {
+      magnitude[i] = Math.hypot(spectrum.real[i], spectrum.imag[i]);
+    }
+
+    const harmonic = new Float32Array(magnitude.length);
+    const percussive = new Float32Array(magnitude.length);
+    // Along time for each bin, along frequency for each frame
+    for (let k = 0; k < bins; k++) {
+      this.medianFilter(magnitude, k, bins, frameCount, this.harmonicKernel, harmonic);
+    }
+    for (let f = 0; f < frameCount; f++) {
+      this.medianFilter(magnitude, f * bins, 1, bins, this.percussiveKernel, percussive);
+    }
+
+    const bandWeights = this.getBandWeights(bins, sampleRate);
+    for (let f = 0; f < frameCount; f++) {
+      for (let k = 0; k < bins; k++) {
+        const i = f * bins + k;
+        const h = Math.pow(harmonic[i], this.maskPower);
+        const p = Math.pow(percussive[i], this.maskPower);
+        const mask = h + p > 0 ? (h / (h + p)) * bandWeights[k] : 0;
+        spectrum.real[i] *= mask;
+        spectrum.imag[i] *= mask;
+      }
+    }
+
+    const separated = this.istft(spectrum, frameCount, length);
+    for (let i = 0; i < length; i++) {
+      guitar[i] = separated[i];
+      backing[i] = samples[i] - separated[i];
+    }
+
+    return { guitar, backing };
+  }
+
+  /**
+   * Weight per bin: 0 below the low cut, rising linearly to 1 at the full band frequency
+   */
+  getBandWeights(bins, sampleRate) {
+    const weights = new Float32Array(bins);
+    const binHz = sampleRate / this.frameSize;
+    for (let k = 0; k < bins; k++) {
+      const frequency = k * binHz;
+      weights[k] = Math.min(1, Math.max(0, (frequency - this.lowCutHz) / (this.fullBandHz - this.lowCutHz)));
+    }
+    return weights;
+  }
+
+  /**
+   * Short-time Fourier transform with a square-root Hann window
+   * @returns {Object} { real, imag } Float32Arrays of frameCount * (N/2 + 1) bins, frame-major
+   */
+  stft(samples, frameCount) {
+    const N = this.frameSize;
+    const bins = N / 2 + 1;
+    const window = this.getWindow(N);
+    const real = new Float32Array(frameCount * bins);
+    const imag = new Float32Array(frameCount * bins);
+    const frameReal = new Float64Array(N);
+    const frameImag = new Float64Array(N);
+
+    for (let f = 0; f < frameCount; f++) {
+      const start = f * this.hopSize - N;
+      for (let n = 0; n < N; n++) {
+        const index = start + n;
+        frameReal[n] = index >= 0 && index < samples.length ? samples[index] * window[n] : 0;
+        frameImag[n] = 0;
+      }
+
+      fft.transform(frameReal, frameImag);
+      for (let k = 0; k < bins; k++) {
+        real[f * bins + k] = frameReal[k];
+        imag[f * bins + k] = frameImag[k];
+      }
+    }
+
+    return { real, imag };
+  }
+
+  /**
+   * Inverse STFT by weighted overlap-add; the squared window sums to a constant at 75% overlap
+   */
+  istft(spectrum, frameCount, length) {
+    const N = this.frameSize;
+    const bins = N / 2 + 1;
+    const window = this.getWindow(N);
+    const output = new Float32Array(length);
+    const frameReal = new Float64Array(N);
+    const frameImag = new Float64Array(N);
+    const gain = this.hopSize / (N / 2);
+
+    for (let f = 0; f < frameCount; f++) {
+      // Rebuild the full spectrum from the non-negative bins (real input, conjugate symmetric)
+      for (let k = 0; k < bins; k++) {
+        frameReal[k] = spectrum.real[f * bins + k];
+        frameImag[k] = spectrum.imag[f * bins + k];
+      }
+      for (let k = bins; k < N; k++) {
+        frameReal[k] = frameReal[N - k];
+        frameImag[k] = -frameImag[N - k];
+      }
+
+      fft.transform(frameReal, frameImag, true);
+
+      const start = f * this.hopSize - N;
+      for (let n = 0; n < N; n++) {
+        const index = start + n;
+        if (index >= 0 && index < length) {
+          output[index] += frameReal[n] * window[n] * gain;
+        }
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Sliding median over count values spaced stride apart from offset, with the edges
+   * extended. The window is kept sorted, so each step is one removal and one insertion.
+   */
+  medianFilter(input, offset, stride, count, kernel, output) {
+    const half = Math.floor(kernel / 2);
+    const at = (i) => input[offset + Math.min(count - 1, Math.max(0, i)) * stride];
+    const window = [];
+
+    for (let j = -half; j <= half; j++) {
+      window.push(at(j));
+    }
+    window.sort((a, b) => a - b);
+
+    for (let i = 0; i < count; i++) {
+      output[offset + i * stride] = window[half];
+      if (i === count - 1) break;
+
+      window.splice(this.findIndex(window, at(i - half)), 1);
+      const incoming = at(i + half + 1);
+      window.splice(this.findIndex(window, incoming), 0, incoming);
+    }
+  }
+
+  /**
+   * First position in a sorted array whose value is not below the given one
+   */
+  findIndex(sorted, value) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sorted[middle] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Periodic square-root Hann window, cached per size
+   */
+  getWindow(N) {
+    if (!this.windows.has(N)) {
+      const window = new Float64Array(N);
+      for (let n = 0; n < N; n++) {
+        window[n] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * n / N));
+      }
+      this.windows.set(N, window);
+    }
+    return this.windows.get(N);
+  }
+
+  /**
+   * 16-bit PCM mono WAV file contents
+   * @param {Float32Array} samples - Samples in [-1, 1]
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Buffer}
+   */
+  encodeWav(samples, sampleRate) {
+    return Buffer.concat([this.createWavHeader(samples.length * 2, sampleRate), this.encodePcm(samples)]);
+  }
+
+  createWavHeader(dataLength, sampleRate) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+    return header;
+  }
+
+  encodePcm(samples) {
+    const pcm = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+      pcm.writeInt16LE(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767), i * 2);
+    }
+    return pcm;
+  }
+
+  /**
+   * Writer that appends separated windows to one WAV file per stem
+   * @param {string} directory - Where the stem files are written
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Object} { append(stems), finish() -> { name: path }, discard() }
+   */
+  async createStemWriter(directory, sampleRate) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const files = {};
+    for (const name of this.stemNames) {
+      const filePath = path.join(directory, `${name}.wav`);
+      const handle = await fs.open(filePath, 'w');
+      // Header sizes are filled in by finish()
+      await handle.write(this.createWavHeader(0, sampleRate), 0, 44, 0);
+      files[name] = { path: filePath, handle, dataLength: 0 };
+    }
+
+    const closeAll = () => Promise.all(Object.values(files).map(file => file.handle.close().catch(() => {})));
+
+    const writer = {
+      // Set once discarded, e.g. after a window failed to separate and the stems would have a gap
+      discarded: false,
+      append: async (stems) => {
+        for (const name of this.stemNames) {
+          const file = files[name];
+          const pcm = this.encodePcm(stems[name]);
+          await file.handle.write(pcm, 0, pcm.length, 44 + file.dataLength);
+          file.dataLength += pcm.length;
+        }
+      },
+      finish: async () => {
+        const paths = {};
+        for (const name of this.stemNames) {
+          const file = files[name];
+          await file.handle.write(this.createWavHeader(file.dataLength, sampleRate), 0, 44, 0);
+          paths[name] = file.path;
+        }
+        await closeAll();
+        return paths;
+      },
+      discard: async () => {
+        if (writer.discarded) return;
+        writer.discarded = true;
+        await closeAll();
+        await Promise.all(Object.values(files).map(file => fs.rm(file.path, { force: true })));
+        logger.debug('Stem files discarded', { directory });
+      }
+    };
+    return writer;
+  }
+}
+
+module.exports = new StemSeparationService();
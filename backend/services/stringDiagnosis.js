@@ -0,0 +1,317 @@
+const advancedChordDetection = require('./advancedChordDetection');
+
+/**
+ * String Diagnosis Service
+ * Works out which strings of a chord sound wrong, using the chord's expected voicing from
+ * getChordFingering. Live frames only carry chroma, which is enough for missing and stray notes;
+ * recordings are checked on their spectrum, where each string's own partials show whether it is
+ * dead, buzzing or fretted on the wrong string. Strings are numbered as in tablature positions:
+ * 0 is the high E and 5 the low E (index 0 in the voicing's frets).
+ */
+class StringDiagnosisService {
+  constructor() {
+    this.stringCount = 6;
+    // Pitch-class level, relative to the strongest one, at which a note counts as sounding
+    this.presentLevel = 0.25;
+    // Notes outside the chord must be this loud to count as a stray note
+    this.extraLevel = 0.5;
+    // A missing note with a stray one this close was most likely fretted wrong
+    this.maxFretSlip = 2;
+
+    // MIDI notes of the open strings, low E first as in the voicing
+    this.openMidi = [40, 45, 50, 55, 59, 64];
+    this.stringNames = ['high E', 'B', 'G', 'D', 'A', 'low E'];
+    // Spectrum of a chord: up to maxSpectrumSeconds of it, after the pick attack
+    this.spectrumSize = 16384;
+    this.attackSeconds = 0.05;
+    this.maxSpectrumSeconds = 2;
+    // Partials judged per string, and partials of the whole chord they must stand apart from
+    this.stringPartials = 4;
+    this.chordPartials = 8;
+    this.partialToleranceCents = 35;
+    // Peaks must stand this far above the spectrum's median to count at all
+    this.minPeakRatio = 8;
+    // A string is dead when its own partials are below deadLevel of the loudest string's
+    this.deadLevel = 0.1;
+    // Unexplained peaks this loud, relative to the loudest string, are stray notes
+    this.strayLevel = 0.3;
+    this.strayRange = { min: 70, max: 1400 };
+    // and stand this far above the spectrum around them, so noise is not taken for a note
+    this.strayProminence = 4;
+    // Noise beside a string's partials, relative to them, at which the string buzzes. Buzz
+    // spills onto the partials of the other strings too, so the buzzing one must stand out.
+    this.buzzLevel = 0.15;
+    this.buzzContrast = 1.5;
+  }
+
+  stringNumber(index) {
+    return this.stringCount - 1 - index;
+  }
+
+  /**
+   * Strings of the chord's voicing with the note each should sound
+   * @param {string} chordName - Chord to play
+   * @returns {Array} { index, string, fret, pitch_class } per string; fret null for muted strings
+   */
+  getVoicing(chordName) {
+    const { frets } = advancedChordDetection.getChordFingering(chordName);
+    if (!frets || frets.length !== this.stringCount) return [];
+
+    return frets.map((fret, index) => ({
+      index,
+      string: this.stringNumber(index),
+      fret,
+      pitch_class: fret === null ? null : (advancedChordDetection.openStrings[index] + fret + 12) % 12
+    }));
+  }
+
+  /**
+   * Strings that sound wrong, judged from a chroma vector. Chroma has no octave, so this finds
+   * notes missing from the chord, stray notes and strings that should be muted but ring.
+   * @param {Array} chroma - Pitch-class energies of what was played
+   * @param {string} chordName - Chord that should be played
+   * @returns {Object} { strings, extra_notes }; strings lists only the strings with a problem
+   */
+  checkChroma(chroma, chordName) {
+    const voicing = this.getVoicing(chordName);
+    const peak = Math.max(...chroma);
+    if (voicing.length === 0 || !(peak > 0)) return { strings: [], extra_notes: [] };
+
+    const level = (pitchClass) => chroma[pitchClass] / peak;
+    const noteName = (pitchClass) => advancedChordDetection.noteNames[pitchClass];
+    const chordTones = new Set(voicing.filter(string => string.fret !== null).map(string => string.pitch_class));
+    const extra = chroma
+      .map((_, pitchClass) => pitchClass)
+      .filter(pitchClass => !chordTones.has(pitchClass) && level(pitchClass) >= this.extraLevel);
+
+    const strings = [];
+    voicing.forEach(string => {
+      if (string.fret === null) {
+        const open = advancedChordDetection.openStrings[string.index];
+        if (!chordTones.has(open) && level(open) >= this.extraLevel) {
+          strings.push({ string: string.string, fret: null, status: 'not_muted', heard: noteName(open) });
+        }
+        return;
+      }
+      if (level(string.pitch_class) >= this.presentLevel) return;
+
+      const slip = extra.find(pitchClass => {
+        const distance = Math.abs(pitchClass - string.pitch_class);
+        return Math.min(distance, 12 - distance) <= this.maxFretSlip;
+      });
+      strings.push({
+        string: string.string,
+        fret: string.fret,
+        expected: noteName(string.pitch_class),
+        status: slip === undefined ? 'missing' : 'wrong_note',
+        heard: slip === undefined ? null : noteName(slip)
+      });
+    });
+
+    return { strings, extra_notes: extra.map(noteName) };
+  }
+
+  frequencyOf(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  noteOf(frequency) {
+    return Math.round(69 + 12 * Math.log2(frequency / 440));
+  }
+
+  // Note name with its octave, e.g. E2
+  midiName(midi) {
+    return `${advancedChordDetection.noteNames[midi % 12]}${Math.floor(midi / 12) - 1}`;
+  }
+
+  centsBetween(a, b) {
+    return Math.abs(1200 * Math.log2(a / b));
+  }
+
+  // Mean magnitude spectrum of a chord's audio, in Hamming-windowed half-overlapping frames
+  averageSpectrum(samples, sampleRate) {
+    const size = this.spectrumSize;
+    const start = Math.round(this.attackSeconds * sampleRate);
+    const end = Math.min(samples.length, start + Math.round(this.maxSpectrumSeconds * sampleRate));
+    const sum = new Float64Array(size / 2);
+    let count = 0;
+
+    for (let offset = start; count === 0 || offset + size <= end; offset += size / 2) {
+      const frame = new Float32Array(size);
+      if (offset < end) frame.set(samples.subarray(offset, Math.min(end, offset + size)));
+      const spectrum = advancedChordDetection.computeFFT(advancedChordDetection.applyHammingWindow(frame));
+      for (let k = 0; k < sum.length; k++) {
+        sum[k] += spectrum[k];
+      }
+      count++;
+    }
+
+    return sum.map(value => value / count);
+  }
+
+  /**
+   * Strings that sound wrong in a recording of a chord. Each sounding string is judged on the
+   * partials no other string of the voicing shares (a string doubled an octave up may have none
+   * and is then not judged).
+   * - muted: the string's partials are missing, it is dead or damped by another finger
+   * - buzzing: noise around the string's partials, from a string rattling against a fret
+   * - wrong_string: the string is dead and its fret sounds on a neighbouring string instead
+   * - not_muted: a string that should be muted rings open
+   * @param {Float32Array} samples - Mono audio of the chord
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {string} chordName - Chord that should be played
+   * @returns {Object} { strings, extra_notes }; extra_notes are stray notes no string explains
+   */
+  checkSpectrum(samples, sampleRate, chordName) {
+    const voicing = this.getVoicing(chordName);
+    if (voicing.length === 0) return { strings: [], extra_notes: [] };
+
+    const spectrum = this.averageSpectrum(samples, sampleRate);
+    const binHz = sampleRate / this.spectrumSize;
+    const binOf = (frequency) => Math.round(frequency / binHz);
+    const toleranceBins = (frequency) => Math.max(1.5, frequency * (Math.pow(2, this.partialToleranceCents / 1200) - 1) / binHz);
+    const magnitudeAt = (frequency) => {
+      const width = Math.floor(toleranceBins(frequency));
+      let peak = 0;
+      for (let k = Math.max(0, binOf(frequency) - width); k <= Math.min(spectrum.length - 1, binOf(frequency) + width); k++) {
+        peak = Math.max(peak, spectrum[k]);
+      }
+      return peak;
+    };
+
+    const floor = this.median(spectrum.slice(binOf(this.strayRange.min), binOf(5000)));
+    const minPeak = floor * this.minPeakRatio;
+
+    const sounding = voicing
+      .filter(string => string.fret !== null)
+      .map(string => ({ ...string, midi: this.openMidi[string.index] + string.fret }));
+    const chordPartials = sounding.flatMap(string => Array.from({ length: this.chordPartials }, (_, h) => ({
+      index: string.index,
+      frequency: (h + 1) * this.frequencyOf(string.midi)
+    })));
+    const nearPartial = (frequency, exceptIndex) => chordPartials.some(partial =>
+      partial.index !== exceptIndex && this.centsBetween(partial.frequency, frequency) <= this.partialToleranceCents);
+
+    sounding.forEach(string => {
+      string.partials = Array.from({ length: this.stringPartials }, (_, h) => (h + 1) * this.frequencyOf(string.midi))
+        .filter(frequency => !nearPartial(frequency, string.index));
+      string.level = string.partials.length > 0 ? Math.max(...string.partials.map(magnitudeAt)) : null;
+    });
+
+    const reference = Math.max(0, ...sounding.map(string => string.level || 0));
+    if (reference < minPeak) return { strings: [], extra_notes: [] };
+
+    const issues = new Map();
+    sounding.forEach(string => {
+      if (string.level !== null && string.level < Math.max(minPeak, reference * this.deadLevel)) {
+        issues.set(string.index, {
+          string: string.string,
+          fret: string.fret,
+          expected: this.midiName(string.midi),
+          status: 'muted',
+          heard: null
+        });
+      }
+    });
+
+    // Buzz: energy just beside a string's partials, clear of every other partial of the chord
+    const skirts = sounding
+      .filter(string => string.partials.length > 0 && !issues.has(string.index))
+      .map(string => {
+        const ratios = string.partials.filter(frequency => magnitudeAt(frequency) >= minPeak).map(frequency => {
+          const inner = Math.ceil(toleranceBins(frequency)) + 2;
+          const skirt = [];
+          [-1, 1].forEach(side => {
+            for (let d = inner; d < inner + 4; d++) {
+              const k = binOf(frequency) + side * d;
+              if (k > 0 && k < spectrum.length && !nearPartial(k * binHz, string.index)) skirt.push(spectrum[k]);
+            }
+          });
+          return skirt.length > 0 ? skirt.reduce((sum, value) => sum + value, 0) / skirt.length / magnitudeAt(frequency) : 0;
+        });
+        return { string, skirt: ratios.length > 0 ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length : 0 };
+      });
+    const typicalSkirt = this.median(skirts.map(({ skirt }) => skirt));
+    skirts.forEach(({ string, skirt }) => {
+      if (skirt >= this.buzzLevel && skirt >= typicalSkirt * this.buzzContrast) {
+        issues.set(string.index, { string: string.string, fret: string.fret, expected: this.midiName(string.midi), status: 'buzzing', heard: null });
+      }
+    });
+
+    // Stray notes: peaks no string of the voicing explains, lowest first so their own
+    // harmonics are not counted again
+    const strayNotes = [];
+    const minStray = Math.max(minPeak, reference * this.strayLevel);
+    for (let k = binOf(this.strayRange.min); k <= binOf(this.strayRange.max); k++) {
+      const frequency = k * binHz;
+      if (spectrum[k] < minStray || spectrum[k] < spectrum[k - 1] || spectrum[k] < spectrum[k + 1]) continue;
+      if (nearPartial(frequency, null)) continue;
+      const around = [];
+      for (let d = 3; d <= 8; d++) {
+        [k - d, k + d].filter(bin => !nearPartial(bin * binHz, null)).forEach(bin => around.push(spectrum[bin]));
+      }
+      if (around.length > 0 && spectrum[k] < this.strayProminence * around.reduce((sum, value) => sum + value, 0) / around.length) continue;
+      const midi = this.noteOf(frequency);
+      const harmonic = strayNotes.some(note => Array.from({ length: this.chordPartials - 1 }, (_, h) => (h + 2) * this.frequencyOf(note))
+        .some(partial => this.centsBetween(partial, frequency) <= this.partialToleranceCents));
+      if (!harmonic && !strayNotes.includes(midi)) strayNotes.push(midi);
+    }
+
+    const unexplained = strayNotes.filter(midi => {
+      const open = voicing.find(string => string.fret === null && this.openMidi[string.index] === midi);
+      if (open) {
+        issues.set(open.index, { string: open.string, fret: null, status: 'not_muted', heard: this.midiName(midi) });
+        return false;
+      }
+
+      // A dead string whose fret sounds on the string next to it
+      const slipped = sounding.find(string => issues.has(string.index) && issues.get(string.index).status === 'muted' &&
+        [string.index - 1, string.index + 1].some(index => this.openMidi[index] + string.fret === midi));
+      if (slipped) {
+        const neighbour = [slipped.index - 1, slipped.index + 1].find(index => this.openMidi[index] + slipped.fret === midi);
+        issues.set(slipped.index, {
+          ...issues.get(slipped.index),
+          status: 'wrong_string',
+          heard: this.midiName(midi),
+          played_string: this.stringNumber(neighbour)
+        });
+        return false;
+      }
+      return true;
+    });
+
+    return {
+      strings: [...issues.values()].sort((a, b) => a.string - b.string),
+      extra_notes: unexplained.map(midi => this.midiName(midi))
+    };
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = Array.from(values).sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+
+  // What a string issue means for the player
+  describeIssue(issue, chordName) {
+    const name = (string) => this.stringNames[string];
+    const label = name(issue.string).charAt(0).toUpperCase() + name(issue.string).slice(1);
+
+    switch (issue.status) {
+      case 'muted':
+        return `${label} string is not sounding on ${chordName}`;
+      case 'buzzing':
+        return `${label} string buzzes on ${chordName}; press closer to the fret`;
+      case 'wrong_string':
+        return `Fret ${issue.fret} went to the ${name(issue.played_string)} string instead of the ${name(issue.string)} string on ${chordName}`;
+      case 'not_muted':
+        return `${label} string rings on ${chordName}; it should be muted`;
+      case 'wrong_note':
+        return `${label} string plays ${issue.heard} instead of ${issue.expected} on ${chordName}`;
+      default:
+        return `${label} string's ${issue.expected} is missing on ${chordName}`;
+    }
+  }
+}
+
+module.exports = new StringDiagnosisService();
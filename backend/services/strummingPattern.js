@@ -0,0 +1,142 @@
+const logger = require('../config/logger');
+
+/**
+ * Strumming Pattern Service
+ * Quantises strum onsets to the beat grid and describes each bar as down/up strokes,
+ * accents and muted hits
+ */
+class StrummingPatternService {
+  constructor() {
+    // Sixteenth-note grid; eighth-note bars use every other slot
+    this.slotsPerBeat = 4;
+    // Onsets further than this share of a slot from the nearest slot are not strums
+    this.maxSlotOffset = 0.5;
+    this.accentRatio = 1.3;
+    this.mutedDecayRatio = 0.25;
+    this.symbols = { down: 'D', up: 'U', muted: 'X', rest: '-' };
+  }
+
+  /**
+   * Strumming pattern for every bar of the beat grid
+   * @param {Array} onsets - Onsets in track time: { time, strength, decay }
+   * @param {Object} grid - Beat grid with beats and bars
+   * @param {Array} chords - Chord timeline on the beat grid; each bar is labelled with its first chord
+   * @returns {Array} Per-bar { bar, start_time, end_time, chord, subdivision, pattern, strokes },
+   *   where pattern has one symbol per eighth or sixteenth: D down, U up, X muted, - rest
+   */
+  extractPatterns(onsets, grid, chords = []) {
+    if (!onsets || onsets.length === 0 || !grid || !grid.bars || grid.bars.length === 0) {
+      return [];
+    }
+
+    const patterns = grid.bars
+      .map(bar => this.describeBar(bar, this.getBarSlots(bar, grid), onsets, chords))
+      .filter(pattern => pattern.strokes.length > 0);
+
+    logger.debug('Strumming patterns extracted', { bars: grid.bars.length, patterns: patterns.length });
+    return patterns;
+  }
+
+  /**
+   * Sixteenth-note slot times across a bar, following the tracked beats so the grid
+   * bends with small tempo drifts
+   */
+  getBarSlots(bar, grid) {
+    const beatTimes = grid.beats
+      .filter(beat => beat.bar === bar.bar)
+      .map(beat => beat.time);
+    const beatsPerBar = grid.beats_per_bar || beatTimes.length;
+    const fallbackInterval = (bar.end_time - bar.start_time) / beatsPerBar;
+
+    const slots = [];
+    for (let beat = 0; beat < beatsPerBar; beat++) {
+      const start = beatTimes[beat] !== undefined ? beatTimes[beat] : bar.start_time + beat * fallbackInterval;
+      const end = beatTimes[beat + 1] !== undefined
+        ? beatTimes[beat + 1]
+        : (beat === beatsPerBar - 1 ? bar.end_time : start + fallbackInterval);
+
+      for (let slot = 0; slot < this.slotsPerBeat; slot++) {
+        slots.push({
+          beat: beat + 1,
+          slot,
+          time: start + (end - start) * slot / this.slotsPerBeat,
+          width: (end - start) / this.slotsPerBeat
+        });
+      }
+    }
+
+    return slots;
+  }
+
+  describeBar(bar, slots, onsets, chords) {
+    // Strongest onset in each slot
+    const hits = new Array(slots.length).fill(null);
+    onsets.forEach(onset => {
+      if (onset.time < bar.start_time - slots[0].width * this.maxSlotOffset || onset.time >= bar.end_time) return;
+
+      const index = this.nearestSlot(slots, onset.time);
+      if (Math.abs(slots[index].time - onset.time) > slots[index].width * this.maxSlotOffset) return;
+      if (!hits[index] || onset.strength > hits[index].strength) hits[index] = onset;
+    });
+
+    // Any hit between the eighth notes means the hand is moving in sixteenths
+    const isSixteenth = hits.some((hit, i) => hit && slots[i].slot % 2 === 1);
+    const step = isSixteenth ? 1 : 2;
+
+    const strengths = hits.filter(Boolean).map(hit => hit.strength).sort((a, b) => a - b);
+    const medianStrength = strengths.length ? strengths[Math.floor(strengths.length / 2)] : 0;
+
+    const strokes = [];
+    let pattern = '';
+
+    for (let i = 0; i < slots.length; i += step) {
+      const hit = hits[i];
+      if (!hit) {
+        pattern += this.symbols.rest;
+        continue;
+      }
+
+      // Pendulum strumming: the hand goes down on the beat grid and up in between
+      const direction = (i / step) % 2 === 0 ? 'down' : 'up';
+      const muted = hit.decay < this.mutedDecayRatio;
+      const accent = medianStrength > 0 && hit.strength >= medianStrength * this.accentRatio;
+
+      strokes.push({
+        time: hit.time,
+        beat: slots[i].beat,
+        position: this.roundPosition(slots[i].beat + slots[i].slot / this.slotsPerBeat),
+        direction,
+        accent,
+        muted
+      });
+
+      pattern += muted ? this.symbols.muted : this.symbols[direction];
+    }
+
+    const chord = chords.find(c => bar.start_time >= c.start_time - 1e-6 && bar.start_time < c.start_time + c.duration);
+
+    return {
+      bar: bar.bar,
+      start_time: bar.start_time,
+      end_time: bar.end_time,
+      chord: chord ? chord.chord : null,
+      subdivision: isSixteenth ? 'sixteenth' : 'eighth',
+      pattern,
+      strokes
+    };
+  }
+
+  nearestSlot(slots, time) {
+    let nearest = 0;
+    for (let i = 1; i < slots.length; i++) {
+      if (Math.abs(slots[i].time - time) < Math.abs(slots[nearest].time - time)) nearest = i;
+    }
+    return nearest;
+  }
+
+  roundPosition(position) {
+    return Math.round(position * 100) / 100;
+  }
+}
+
+module.exports = new StrummingPatternService();
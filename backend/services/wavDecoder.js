@@ -0,0 +1,195 @@
+const logger = require('../config/logger');
+
+/**
+ * WAV Decoder Service
+ * Parses RIFF/WAVE files chunk by chunk and decodes integer PCM (8/16/24/32-bit) and
+ * IEEE float (32/64-bit) samples, including WAVE_FORMAT_EXTENSIBLE files, into mono
+ * Float32 samples at the requested sample rate
+ */
+class WavDecoderService {
+  constructor() {
+    this.formats = {
+      PCM: 0x0001,
+      IEEE_FLOAT: 0x0003,
+      EXTENSIBLE: 0xfffe
+    };
+  }
+
+  /**
+   * Decode a WAV file buffer
+   * @param {Buffer} buffer - Complete WAV file contents
+   * @param {Object} options - { sampleRate } to resample to; defaults to the file's own rate
+   * @returns {Object} { samples, sampleRate, channels, bitDepth, format, duration }
+   */
+  decode(buffer, options = {}) {
+    const { format, dataOffset, dataLength } = this.parseChunks(buffer);
+    const frameCount = Math.floor(dataLength / format.blockAlign);
+
+    let samples = this.decodeSamples(buffer, dataOffset, frameCount, format);
+    let sampleRate = format.sampleRate;
+
+    if (options.sampleRate && options.sampleRate !== sampleRate) {
+      samples = this.resample(samples, sampleRate, options.sampleRate);
+      sampleRate = options.sampleRate;
+    }
+
+    return {
+      samples,
+      sampleRate,
+      channels: format.channels,
+      bitDepth: format.bitsPerSample,
+      format: format.isFloat ? 'float' : 'pcm',
+      duration: frameCount / format.sampleRate
+    };
+  }
+
+  /**
+   * Walk the RIFF chunks, reading the fmt chunk and locating the data chunk
+   */
+  parseChunks(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+      const bodyOffset = offset + 8;
+
+      if (chunkId === 'fmt ') {
+        format = this.parseFormat(buffer, bodyOffset, chunkSize);
+      } else if (chunkId === 'data') {
+        if (!format) {
+          throw new Error('WAV data chunk appears before the fmt chunk');
+        }
+        // Streamed WAVs (e.g. ffmpeg writing to a pipe) leave the size unset or too large
+        const available = buffer.length - bodyOffset;
+        const dataLength = chunkSize === 0 || chunkSize > available ? available : chunkSize;
+        return { format, dataOffset: bodyOffset, dataLength };
+      } else {
+        logger.debug('Skipping WAV chunk', { chunkId, chunkSize });
+      }
+
+      // Chunks are word aligned, with a pad byte after odd-sized bodies
+      offset = bodyOffset + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+  }
+
+  parseFormat(buffer, offset, size) {
+    if (size < 16) {
+      throw new Error('WAV fmt chunk is too short');
+    }
+
+    let formatTag = buffer.readUInt16LE(offset);
+    const channels = buffer.readUInt16LE(offset + 2);
+    const sampleRate = buffer.readUInt32LE(offset + 4);
+    const blockAlign = buffer.readUInt16LE(offset + 12);
+    const bitsPerSample = buffer.readUInt16LE(offset + 14);
+
+    // The real format of an extensible file is the first two bytes of its sub-format GUID
+    if (formatTag === this.formats.EXTENSIBLE && size >= 40) {
+      formatTag = buffer.readUInt16LE(offset + 24);
+    }
+
+    const isFloat = formatTag === this.formats.IEEE_FLOAT;
+    if (formatTag !== this.formats.PCM && !isFloat) {
+      throw new Error(`Unsupported WAV format tag 0x${formatTag.toString(16)}`);
+    }
+    if (isFloat ? ![32, 64].includes(bitsPerSample) : ![8, 16, 24, 32].includes(bitsPerSample)) {
+      throw new Error(`Unsupported WAV bit depth ${bitsPerSample}`);
+    }
+    if (!channels || !sampleRate) {
+      throw new Error('WAV fmt chunk has no channels or sample rate');
+    }
+
+    return {
+      channels,
+      sampleRate,
+      bitsPerSample,
+      isFloat,
+      // Some writers leave blockAlign at zero
+      blockAlign: blockAlign || channels * (bitsPerSample / 8)
+    };
+  }
+
+  /**
+   * Decode interleaved frames, downmixing all channels to mono
+   */
+  decodeSamples(buffer, dataOffset, frameCount, format) {
+    const readSample = this.getSampleReader(buffer, format);
+    const bytesPerSample = format.bitsPerSample / 8;
+    const samples = new Float32Array(frameCount);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const frameOffset = dataOffset + frame * format.blockAlign;
+      let sum = 0;
+      for (let channel = 0; channel < format.channels; channel++) {
+        sum += readSample(frameOffset + channel * bytesPerSample);
+      }
+      samples[frame] = sum / format.channels;
+    }
+
+    return samples;
+  }
+
+  /**
+   * Reader for one sample at a byte offset, normalised to [-1.0, 1.0]
+   */
+  getSampleReader(buffer, format) {
+    if (format.isFloat) {
+      return format.bitsPerSample === 64
+        ? (offset) => buffer.readDoubleLE(offset)
+        : (offset) => buffer.readFloatLE(offset);
+    }
+
+    switch (format.bitsPerSample) {
+      case 8:
+        // 8-bit WAV is unsigned
+        return (offset) => (buffer.readUInt8(offset) - 128) / 128;
+      case 16:
+        return (offset) => buffer.readInt16LE(offset) / 32768;
+      case 24:
+        return (offset) => buffer.readIntLE(offset, 3) / 8388608;
+      default:
+        return (offset) => buffer.readInt32LE(offset) / 2147483648;
+    }
+  }
+
+  /**
+   * Linear-interpolation resampler. Downsampling first averages each output sample's
+   * span of input samples, which keeps aliasing down without a full filter.
+   */
+  resample(samples, fromRate, toRate) {
+    const ratio = fromRate / toRate;
+    const length = Math.floor(samples.length / ratio);
+    const output = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+      const position = i * ratio;
+
+      if (ratio > 1) {
+        const start = Math.floor(position);
+        const end = Math.min(samples.length, Math.floor(position + ratio));
+        let sum = 0;
+        for (let j = start; j < end; j++) {
+          sum += samples[j];
+        }
+        output[i] = end > start ? sum / (end - start) : samples[start];
+      } else {
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const next = index + 1 < samples.length ? samples[index + 1] : samples[index];
+        output[i] = samples[index] + (next - samples[index]) * fraction;
+      }
+    }
+
+    return output;
+  }
+}
+
+module.exports = new WavDecoderService();
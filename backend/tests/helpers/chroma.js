@@ -0,0 +1,22 @@
+const practiceScoringService = require('../../services/practiceScoring');
+
+// Pitch classes of the chords the practice tests play
+const templates = {
+  C: [1, 0, 0, 0, 1, 0, 0, 1, 0, 0, 0, 0],
+  Cm: [1, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0],
+  G: [0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 1],
+  Am: [1, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0],
+  F: [1, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0]
+};
+
+// Chroma of a chord as a recording would give it, with a little of every pitch class
+const chromaOf = (chord) => templates[chord].map(value => value * 0.9 + 0.05);
+
+// Recording frames from (chord, seconds) pairs; null plays nothing
+const record = (parts) => parts.flatMap(([chord, seconds]) =>
+  Array.from({ length: Math.round(seconds / practiceScoringService.frameSeconds) }, () => (chord
+    ? { chroma: chromaOf(chord), rms: 0.1 }
+    : { chroma: new Array(12).fill(0), rms: 0 }))
+);
+
+module.exports = { chromaOf, record };
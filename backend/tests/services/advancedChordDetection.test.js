@@ -0,0 +1,168 @@
+const advancedChordDetection = require('../../services/advancedChordDetection');
+
+const sampleRate = 44100;
+
+// Sum of sine waves at the given frequencies
+const synthesize = (frequencies, length) => {
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    samples[i] = frequencies.reduce((sum, freq) => sum + Math.sin(2 * Math.PI * freq * i / sampleRate), 0) / frequencies.length;
+  }
+  return samples;
+};
+
+// C major triad (C4, E4, G4)
+const cMajor = [261.63, 329.63, 392.0];
+
+describe('AdvancedChordDetectionService', () => {
+  describe('computeFFT', () => {
+    it('should match the direct DFT', () => {
+      const frame = new Float32Array(512).map(() => Math.random() * 2 - 1);
+
+      const fft = advancedChordDetection.computeFFT(frame);
+      const dft = advancedChordDetection.computeDFT(frame);
+
+      expect(fft).toHaveLength(dft.length);
+      for (let k = 0; k < dft.length; k++) {
+        expect(fft[k]).toBeCloseTo(dft[k], 6);
+      }
+    });
+
+    it('should fall back to the DFT for non power-of-two frames', () => {
+      const frame = new Float32Array(100).map((_, i) => Math.sin(i));
+
+      expect(Array.from(advancedChordDetection.computeFFT(frame))).toEqual(advancedChordDetection.computeDFT(frame));
+    });
+  });
+
+  describe('calculateChromagram', () => {
+    it('should produce the same chroma as the DFT-based implementation', () => {
+      // Smaller frames keep the O(N²) reference quick
+      const frameSize = advancedChordDetection.frameSize;
+      advancedChordDetection.frameSize = 1024;
+
+      try {
+        const audio = synthesize(cMajor, 1024 + 512 * 3);
+
+        const chromagram = advancedChordDetection.calculateChromagram(audio, sampleRate, 512);
+
+        expect(chromagram).toHaveLength(3);
+        chromagram.forEach((chroma, i) => {
+          const frame = audio.slice(i * 512, i * 512 + 1024);
+          const spectrum = advancedChordDetection.computeDFT(advancedChordDetection.applyHammingWindow(frame));
+          const reference = advancedChordDetection.mapToChroma(spectrum, sampleRate, 1024);
+          chroma.forEach((value, pc) => expect(value).toBeCloseTo(reference[pc], 9));
+        });
+      } finally {
+        advancedChordDetection.frameSize = frameSize;
+      }
+    });
+
+    it('should identify a C major triad', () => {
+      const audio = synthesize(cMajor, sampleRate);
+      const chromagram = advancedChordDetection.calculateChromagram(audio, sampleRate, 2048);
+
+      expect(advancedChordDetection.identifyChord(chromagram[5]).name).toBe('C');
+    });
+  });
+
+  describe('createChromagramStream', () => {
+    it('should emit the same frames as the batch chromagram regardless of block size', () => {
+      const audio = synthesize(cMajor, sampleRate);
+      const batch = advancedChordDetection.calculateChromagram(audio, sampleRate, 2048);
+
+      const stream = advancedChordDetection.createChromagramStream(sampleRate, 2048);
+      const streamed = [];
+      for (let offset = 0; offset < audio.length; offset += 3000) {
+        streamed.push(...stream.push(audio.subarray(offset, offset + 3000)));
+      }
+
+      expect(stream.frameCount()).toBe(streamed.length);
+      // The batch chromagram stops one frame short of the end of the audio
+      expect(streamed.length).toBe(batch.length + 1);
+      batch.forEach((chroma, i) => expect(streamed[i]).toEqual(chroma));
+    });
+  });
+
+  describe('detectChords', () => {
+    it('should return a smoothed chord sequence for a progression', async () => {
+      // C - G - Am - F, one second each, with a short burst of an unrelated chord inside G
+      const progression = [cMajor, [196.0, 246.94, 293.66], [220.0, 261.63, 329.63], [174.61, 220.0, 261.63]];
+      const audio = new Float32Array(sampleRate * 4);
+      progression.forEach((chord, i) => audio.set(synthesize(chord, sampleRate), i * sampleRate));
+      audio.set(synthesize([277.18, 349.23, 415.3], 2048), sampleRate + 20000);
+
+      const chords = await advancedChordDetection.detectChords(audio, sampleRate, 2048, {
+        key: { key: 'C', scale: 'Major' }
+      });
+
+      expect(chords.map(c => c.chord)).toEqual(['C', 'G', 'Am', 'F']);
+      expect(chords[1].start_time).toBeCloseTo(1, 0);
+      chords.forEach(c => expect(c.confidence).toBeGreaterThan(0.8));
+    });
+
+    it('should report a slash chord and its inversion when the bass is not the root', async () => {
+      // C major triad over an E2 bass
+      const audio = synthesize([82.41, ...cMajor], sampleRate * 2);
+
+      const chords = await advancedChordDetection.detectChords(audio, sampleRate, 2048);
+
+      expect(chords).toHaveLength(1);
+      expect(chords[0]).toMatchObject({ chord: 'C/E', root: 'C', quality: 'major', bass: 'E', inversion: 1 });
+    });
+
+    it('should recognise extended chords', async () => {
+      // Cmaj7 (C4, E4, G4, B4)
+      const audio = synthesize([...cMajor, 493.88], sampleRate * 2);
+
+      const chords = await advancedChordDetection.detectChords(audio, sampleRate, 2048);
+
+      expect(chords).toHaveLength(1);
+      expect(chords[0]).toMatchObject({ chord: 'Cmaj7', root: 'C', quality: 'major7', bass: 'C', inversion: 0 });
+    });
+
+    it('should not report chords for silence', async () => {
+      const chords = await advancedChordDetection.detectChords(new Float32Array(sampleRate), sampleRate, 2048);
+
+      expect(chords).toEqual([]);
+    });
+  });
+
+  describe('getTransitionMatrix', () => {
+    it('should make in-key chord changes more likely than out-of-key ones', () => {
+      const states = advancedChordDetection.getChordStates();
+      const matrix = advancedChordDetection.getTransitionMatrix({ key: 'C', scale: 'Major' });
+      const from = states.indexOf('C') * states.length;
+
+      expect(matrix[from + states.indexOf('G')]).toBeGreaterThan(matrix[from + states.indexOf('F#')]);
+      expect(matrix[from + states.indexOf('C')]).toBeGreaterThan(matrix[from + states.indexOf('G')]);
+    });
+  });
+
+  describe('parseChordName', () => {
+    it('should split root, suffix and slash bass, normalising flats', () => {
+      expect(advancedChordDetection.parseChordName('Bbm7/Ab')).toEqual({ root: 'A#', suffix: 'm7', bass: 'G#' });
+      expect(advancedChordDetection.parseChordName('F#m7b5')).toEqual({ root: 'F#', suffix: 'm7b5', bass: null });
+      expect(advancedChordDetection.parseChordName('H7')).toBeNull();
+    });
+  });
+
+  describe('getChordFingering', () => {
+    it('should put the bass note of slash chords on the lowest string', () => {
+      expect(advancedChordDetection.getChordFingering('C/E').frets).toEqual([0, 3, 2, 0, 1, 0]);
+      expect(advancedChordDetection.getChordFingering('G/B').frets).toEqual([null, 2, 0, 0, 0, 3]);
+      expect(advancedChordDetection.getChordFingering('D/F#').frets).toEqual([2, null, 0, 2, 3, 2]);
+    });
+
+    it('should build movable voicings for chords without an open shape', () => {
+      const fingering = advancedChordDetection.getChordFingering('Ebmaj7');
+
+      expect(fingering.frets).toEqual([null, 6, 8, 7, 8, 6]);
+      expect(fingering.fingers).toEqual([0, 1, 3, 2, 4, 1]);
+    });
+
+    it('should return an empty fingering for unknown chords', () => {
+      expect(advancedChordDetection.getChordFingering('Cquux')).toEqual({ frets: [], fingers: [], difficulty: 5 });
+    });
+  });
+});
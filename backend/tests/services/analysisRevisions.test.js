@@ -0,0 +1,158 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  pool: { end: jest.fn() }
+}));
+jest.mock('../../services/jobQueue', () => ({
+  enqueue: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const { query, transaction } = require('../../config/database');
+const jobQueue = require('../../services/jobQueue');
+const audioProcessingService = require('../../services/audioProcessing');
+const analysisRevisionService = require('../../services/analysisRevisions');
+
+const revision = (overrides = {}) => ({
+  revision_id: 'rev-1',
+  revision_number: 1,
+  analysis_version: 1,
+  original_key: 'G',
+  tempo_bpm: '120.00',
+  time_signature: '4/4',
+  chord_progression: [
+    { chord: 'G', start_time: 0, duration: 2 },
+    { chord: 'C', start_time: 2, duration: 2 },
+    { chord: 'D', start_time: 4, duration: 2 }
+  ],
+  ...overrides
+});
+
+describe('AnalysisRevisionService', () => {
+  beforeEach(() => {
+    query.mockReset();
+    transaction.mockImplementation(callback => callback({ query }));
+  });
+
+  describe('diffRevisions', () => {
+    it('should report no changes between identical analyses', () => {
+      const diff = analysisRevisionService.diffRevisions(revision(), revision({ revision_id: 'rev-2', revision_number: 2 }));
+
+      expect(diff.key.changed).toBe(false);
+      expect(diff.tempo.changed).toBe(false);
+      expect(diff.chords).toMatchObject({ agreement: 1, changed: false, changes: [] });
+    });
+
+    it('should report key, tempo and chord changes', () => {
+      const improved = revision({
+        revision_id: 'rev-2',
+        analysis_version: 2,
+        original_key: 'Em',
+        tempo_bpm: 122.4,
+        chord_progression: [
+          { chord: 'G', start_time: 0, duration: 2 },
+          { chord: 'Am', start_time: 2, duration: 1 },
+          { chord: 'C', start_time: 3, duration: 1 },
+          { chord: 'D', start_time: 4, duration: 2 }
+        ]
+      });
+
+      const diff = analysisRevisionService.diffRevisions(revision(), improved);
+
+      expect(diff.key).toEqual({ from: 'G', to: 'Em', changed: true });
+      expect(diff.tempo).toEqual({ from: 120, to: 122.4, delta_bpm: 2.4, changed: true });
+      expect(diff.to).toMatchObject({ revision_id: 'rev-2', analysis_version: 2 });
+      expect(diff.chords.changes).toEqual([{ start_time: 2, end_time: 3, from: 'C', to: 'Am' }]);
+      expect(diff.chords.agreement).toBeCloseTo(5 / 6, 3);
+    });
+
+    it('should join neighbouring pieces with the same change', () => {
+      const from = [{ chord: 'G', start_time: 0, duration: 4 }];
+      const to = [{ chord: 'Em', start_time: 0, duration: 1 }, { chord: 'Em', start_time: 1, duration: 3 }];
+
+      expect(analysisRevisionService.diffChordTimelines(from, to).changes).toEqual([
+        { start_time: 0, end_time: 4, from: 'G', to: 'Em' }
+      ]);
+    });
+  });
+
+  describe('getReanalysisSource', () => {
+    it('should re-fetch YouTube songs and skip songs without audio', () => {
+      expect(analysisRevisionService.getReanalysisSource({ youtube_id: 'dQw4w9WgXcQ' }))
+        .toEqual({ youtube_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' });
+      expect(analysisRevisionService.getReanalysisSource({ original_audio_url: '/nonexistent/song.mp3' })).toBeNull();
+    });
+
+    it('should re-analyse uploaded songs from the full mix kept with their stems', () => {
+      const existsSync = jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+      try {
+        expect(analysisRevisionService.getReanalysisSource({ stems: { mix: 'job-1/mix.mp3' } }))
+          .toEqual({ file_path: path.join(path.resolve(audioProcessingService.stemStorageDir), 'job-1', 'mix.mp3') });
+        // Stored paths may not leave the stem storage
+        expect(analysisRevisionService.getReanalysisSource({ stems: { mix: '../../etc/passwd' } })).toBeNull();
+      } finally {
+        existsSync.mockRestore();
+      }
+    });
+  });
+
+  describe('createRevision', () => {
+    it('should number the revision after the latest one while the song is locked', async () => {
+      query.mockResolvedValueOnce({ rows: [] });
+      query.mockResolvedValueOnce({ rows: [revision({ revision_number: 3 })] });
+
+      const created = await analysisRevisionService.createRevision('song-1', { analysis_version: 2, original_key: 'G' }, { jobId: 'job-1' });
+
+      expect(created.revision_number).toBe(3);
+      expect(query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(query.mock.calls[1][0]).toContain('COALESCE(MAX(revision_number), 0) + 1');
+      expect(query.mock.calls[1][1].slice(0, 5)).toEqual(['song-1', 'job-1', null, 2, null]);
+    });
+
+    it('should send JSONB columns as JSON text and keep the signature an integer array', async () => {
+      const chords = revision().chord_progression;
+      query.mockResolvedValueOnce({ rows: [] });
+      query.mockResolvedValueOnce({ rows: [revision()] });
+
+      await analysisRevisionService.createRevision('song-1', {
+        chord_progression: chords,
+        sections: [],
+        strumming_patterns: null,
+        chroma_signature: [1, 2, 3]
+      });
+
+      const params = query.mock.calls[1][1];
+      const param = column => params[3 + analysisRevisionService.revisionColumns.indexOf(column)];
+      expect(param('chord_progression')).toBe(JSON.stringify(chords));
+      expect(param('sections')).toBe('[]');
+      expect(param('strumming_patterns')).toBeNull();
+      expect(param('chroma_signature')).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('startBatch', () => {
+    it('should queue songs with an audio source in the batch lane and record the rest as skipped', async () => {
+      query.mockResolvedValueOnce({
+        rows: [
+          { song_id: 'song-1', title: 'One', youtube_id: 'dQw4w9WgXcQ' },
+          { song_id: 'song-2', title: 'Two', youtube_id: null, original_audio_url: null }
+        ]
+      });
+      query.mockResolvedValueOnce({ rows: [{ batch_id: 'batch-1', total_songs: 1 }] });
+
+      const batch = await analysisRevisionService.startBatch({ requestedBy: 'admin-1', analysisVersion: 2 });
+
+      expect(batch.batch_id).toBe('batch-1');
+      expect(query.mock.calls[0][1]).toEqual([2, analysisRevisionService.defaultBatchLimit]);
+      expect(query.mock.calls[1][1]).toEqual(['admin-1', 2, false, 1, JSON.stringify([{ song_id: 'song-2', reason: 'no_audio_source' }])]);
+      expect(jobQueue.enqueue).toHaveBeenCalledTimes(1);
+      expect(jobQueue.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        sourceType: 'reanalysis',
+        tier: 'batch',
+        batchId: 'batch-1',
+        source: expect.objectContaining({ song_id: 'song-1', youtube_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' })
+      }));
+    });
+  });
+});
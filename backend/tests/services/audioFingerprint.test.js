@@ -0,0 +1,79 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const audioFingerprintService = require('../../services/audioFingerprint');
+
+// One-second chroma blocks cycling through a few chords, with optional noise on every bin
+const createTimeline = (chords, blocks, noise = 0, seed = 1) => {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 - 0.5;
+  };
+
+  return Array.from({ length: blocks }, (_, t) => {
+    const chord = chords[t % chords.length];
+    const chroma = Array.from({ length: 12 }, (_, i) => (chord.includes(i) ? 1 : 0.1) + noise * random());
+    return { time: t, chroma, rms: 0.2 };
+  });
+};
+
+describe('AudioFingerprintService', () => {
+  describe('hashFile', () => {
+    it('should return the SHA-256 of the file contents', async () => {
+      const filePath = path.join(os.tmpdir(), `fingerprint-${process.pid}-${Date.now()}.bin`);
+      await fs.writeFile(filePath, 'audio bytes');
+
+      const hash = await audioFingerprintService.hashFile(filePath);
+      await fs.rm(filePath, { force: true });
+
+      expect(hash).toBe(crypto.createHash('sha256').update('audio bytes').digest('hex'));
+    });
+  });
+
+  describe('getSampleWindow', () => {
+    it('should skip the intro of long tracks only', () => {
+      expect(audioFingerprintService.getSampleWindow(240)).toEqual({ start: 30, duration: 30 });
+      expect(audioFingerprintService.getSampleWindow(40)).toEqual({ start: 0, duration: 30 });
+    });
+  });
+
+  describe('fromChromaTimeline', () => {
+    it('should return one 12-bit frame per pair of blocks', () => {
+      const fingerprint = audioFingerprintService.fromChromaTimeline(createTimeline([[0, 4, 7], [7, 11, 2]], 30));
+
+      expect(fingerprint).toHaveLength(29);
+      fingerprint.forEach(frame => expect(frame).toBeLessThan(1 << 12));
+    });
+
+    it('should return null for (mostly) silent audio', () => {
+      const timeline = createTimeline([[0, 4, 7]], 30).map(block => ({ ...block, rms: 0 }));
+
+      expect(audioFingerprintService.fromChromaTimeline(timeline)).toBeNull();
+    });
+  });
+
+  describe('matches', () => {
+    const progression = [[0, 4, 7], [7, 11, 2], [9, 0, 4], [5, 9, 0], [0, 4, 7], [2, 5, 9], [7, 11, 2]];
+
+    it('should match the same music with small differences in level and noise', () => {
+      const original = audioFingerprintService.fromChromaTimeline(createTimeline(progression, 30));
+      const reencoded = audioFingerprintService.fromChromaTimeline(createTimeline(progression, 30, 0.05, 7));
+
+      expect(audioFingerprintService.matches(original, reencoded)).toBe(true);
+    });
+
+    it('should not match different music', () => {
+      const original = audioFingerprintService.fromChromaTimeline(createTimeline(progression, 30));
+      const other = audioFingerprintService.fromChromaTimeline(createTimeline([[2, 6, 9], [9, 1, 4], [11, 2, 6], [7, 11, 2]], 30));
+
+      expect(audioFingerprintService.matches(original, other)).toBe(false);
+    });
+
+    it('should not match fingerprints that are too short to compare', () => {
+      expect(audioFingerprintService.matches([1, 2, 3], [1, 2, 3])).toBe(false);
+      expect(audioFingerprintService.matches(null, [1, 2, 3])).toBe(false);
+    });
+  });
+});
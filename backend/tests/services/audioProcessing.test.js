@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const audioProcessingService = require('../../services/audioProcessing');
+
+describe('AudioProcessingService', () => {
+  describe('planAnalysisWindows', () => {
+    it('should cover the whole track with consecutive windows', () => {
+      const windows = audioProcessingService.planAnalysisWindows(93);
+
+      expect(windows).toEqual([
+        { start: 0, duration: 30 },
+        { start: 30, duration: 30 },
+        { start: 60, duration: 33 }
+      ]);
+    });
+
+    it('should keep a tail window that is long enough to analyse', () => {
+      const windows = audioProcessingService.planAnalysisWindows(70);
+
+      expect(windows[windows.length - 1]).toEqual({ start: 60, duration: 10 });
+    });
+
+    it('should fall back to a single window when the duration is unknown', () => {
+      expect(audioProcessingService.planAnalysisWindows(0)).toEqual([{ start: 0, duration: 30 }]);
+    });
+  });
+
+  describe('stitchChordTimeline', () => {
+    it('should offset chords by window start and join chords across a seam', () => {
+      const timeline = audioProcessingService.stitchChordTimeline([
+        {
+          start: 0,
+          duration: 8,
+          chords: [
+            { chord: 'C', start_time: 0, duration: 4, confidence: 0.8 },
+            { chord: 'G', start_time: 4, duration: 4, confidence: 0.6 }
+          ]
+        },
+        {
+          start: 8,
+          duration: 8,
+          chords: [
+            { chord: 'G', start_time: 0, duration: 4, confidence: 1.0 },
+            { chord: 'Am', start_time: 4, duration: 4, confidence: 0.9 }
+          ]
+        }
+      ]);
+
+      expect(timeline.map(c => [c.chord, c.start_time, c.duration])).toEqual([
+        ['C', 0, 4],
+        ['G', 4, 8],
+        ['Am', 12, 4]
+      ]);
+      expect(timeline[1].confidence).toBeCloseTo(0.8);
+    });
+  });
+
+  describe('stitchMelody', () => {
+    it('should offset notes by window start and join a note held across a seam', () => {
+      const windows = [
+        { start: 0, duration: 30, melody: [{ midi: 64, start_time: 29.5, duration: 0.5 }] },
+        { start: 30, duration: 30, melody: [{ midi: 64, start_time: 0, duration: 0.4 }, { midi: 67, start_time: 1, duration: 0.5 }] }
+      ];
+
+      const notes = audioProcessingService.stitchMelody(windows);
+
+      expect(notes).toHaveLength(2);
+      expect(notes[0]).toMatchObject({ midi: 64, start_time: 29.5 });
+      expect(notes[0].duration).toBeCloseTo(0.9, 5);
+      expect(notes[1]).toEqual({ midi: 67, start_time: 31, duration: 0.5 });
+    });
+  });
+
+  describe('stitchOnsets', () => {
+    it('should offset onsets by window start and drop a duplicate at the seam', () => {
+      const windows = [
+        { start: 0, tempo: { onsets: [{ time: 10, strength: 1, decay: 0.5 }, { time: 29.99, strength: 0.5, decay: 0.5 }] } },
+        { start: 30, tempo: { onsets: [{ time: 0.01, strength: 0.5, decay: 0.5 }, { time: 1, strength: 0.8, decay: 0.1 }] } },
+        { start: 60, tempo: {} }
+      ];
+
+      const onsets = audioProcessingService.stitchOnsets(windows);
+
+      expect(onsets.map(onset => onset.time)).toEqual([10, 29.99, 31]);
+    });
+  });
+
+  describe('stitchChromaTimeline', () => {
+    it('should offset chroma blocks by window start', () => {
+      const chroma = new Array(12).fill(0);
+      const windows = [
+        { start: 0, key: { chroma_timeline: [{ time: 0, chroma, rms: 0.1 }, { time: 1, chroma, rms: 0.2 }] } },
+        { start: 30, key: { chroma_timeline: [{ time: 0, chroma, rms: 0.3 }] } },
+        { start: 60, key: { key: 'C' } }
+      ];
+
+      const timeline = audioProcessingService.stitchChromaTimeline(windows);
+
+      expect(timeline.map(block => [block.time, block.rms])).toEqual([[0, 0.1], [1, 0.2], [30, 0.3]]);
+    });
+  });
+
+  describe('stitchTempo', () => {
+    it('should use the confidence-weighted median and keep a tempo map', () => {
+      const tempo = audioProcessingService.stitchTempo([
+        { start: 0, duration: 30, tempo: { bpm: 100, confidence: 0.9 } },
+        { start: 30, duration: 30, tempo: { bpm: 102, confidence: 0.5 } },
+        { start: 60, duration: 30, tempo: { bpm: 180, confidence: 0.2 } }
+      ]);
+
+      expect(tempo.bpm).toBe(100);
+      expect(tempo.tempo_map).toHaveLength(3);
+    });
+
+    it('should fall back to 120 BPM when no window detected a tempo', () => {
+      const tempo = audioProcessingService.stitchTempo([
+        { start: 0, duration: 30, tempo: { bpm: 120, confidence: 0 } }
+      ]);
+
+      expect(tempo.bpm).toBe(120);
+      expect(tempo.confidence).toBe(0);
+    });
+  });
+
+  describe('getAudioData', () => {
+    it('should decode a stereo 48 kHz WAV with extra chunks to mono at the analysis rate', async () => {
+      const frames = 4800;
+      const fmt = Buffer.alloc(24);
+      fmt.write('fmt ', 0);
+      fmt.writeUInt32LE(16, 4);
+      fmt.writeUInt16LE(1, 8);
+      fmt.writeUInt16LE(2, 10);
+      fmt.writeUInt32LE(48000, 12);
+      fmt.writeUInt32LE(48000 * 4, 16);
+      fmt.writeUInt16LE(4, 20);
+      fmt.writeUInt16LE(16, 22);
+      const list = Buffer.concat([Buffer.from('LIST'), Buffer.from([4, 0, 0, 0]), Buffer.from('INFO')]);
+      const data = Buffer.alloc(8 + frames * 4);
+      data.write('data', 0);
+      data.writeUInt32LE(frames * 4, 4);
+      for (let i = 0; i < frames; i++) {
+        // Left channel at half scale, right channel silent
+        data.writeInt16LE(16384, 8 + i * 4);
+      }
+      const header = Buffer.alloc(12);
+      header.write('RIFF', 0);
+      header.writeUInt32LE(4 + fmt.length + list.length + data.length, 4);
+      header.write('WAVE', 8);
+
+      const wavPath = path.join(os.tmpdir(), `zeze-test-${process.pid}.wav`);
+      await fs.writeFile(wavPath, Buffer.concat([header, fmt, list, data]));
+
+      try {
+        const samples = await audioProcessingService.getAudioData(wavPath);
+
+        expect(samples).toHaveLength(4410);
+        expect(samples[100]).toBeCloseTo(0.25, 4);
+      } finally {
+        await fs.rm(wavPath, { force: true });
+      }
+    });
+  });
+
+  describe('decodeRecording', () => {
+    it('should answer null for a file ffmpeg cannot read and pass cancellation on', async () => {
+      const extract = jest.spyOn(audioProcessingService, 'extractAudioSample');
+      try {
+        extract.mockRejectedValueOnce(new Error('Invalid data found when processing input'));
+        await expect(audioProcessingService.decodeRecording('/tmp/not-audio.m4a', 300)).resolves.toBeNull();
+
+        extract.mockRejectedValueOnce(audioProcessingService.createCancelError());
+        await expect(audioProcessingService.decodeRecording('/tmp/take.m4a', 300)).rejects.toMatchObject({ code: 'JOB_CANCELLED' });
+      } finally {
+        extract.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const audioProcessingService = require('../../services/audioProcessing');
+const audioSources = require('../../services/audioSources');
+const audioRendering = require('../../services/audioRendering');
+
+// ffmpeg stand-in that writes the filters it was given to the output file
+const fakeFfmpeg = () => {
+  const handlers = {};
+  let filters = [];
+  const command = {
+    audioCodec: jest.fn().mockReturnThis(),
+    audioBitrate: jest.fn().mockReturnThis(),
+    toFormat: jest.fn().mockReturnThis(),
+    audioFilters: jest.fn((value) => {
+      filters = value;
+      return command;
+    }),
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+      return command;
+    }),
+    save: jest.fn((outputPath) => {
+      fs.writeFile(outputPath, filters.join(',')).then(() => handlers.end(), handlers.error);
+      return command;
+    })
+  };
+  return command;
+};
+
+describe('AudioRenderService', () => {
+  const originalStorageDir = audioProcessingService.stemStorageDir;
+  let storageDir;
+  const song = {
+    song_id: 'song-1',
+    stems: { tracks: { guitar: 'job-1/guitar.mp3', backing: 'job-1/backing.mp3' } }
+  };
+
+  beforeEach(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'renders-'));
+    audioProcessingService.stemStorageDir = storageDir;
+    await fs.mkdir(path.join(storageDir, 'job-1'));
+    await fs.writeFile(path.join(storageDir, 'job-1', 'guitar.mp3'), 'guitar');
+    await fs.writeFile(path.join(storageDir, 'job-1', 'backing.mp3'), 'backing');
+
+    ffmpeg.mockImplementation(fakeFfmpeg);
+    jest.spyOn(audioProcessingService, 'getAudioInfo').mockResolvedValue({ sample_rate: 44100 });
+  });
+
+  afterEach(async () => {
+    audioProcessingService.stemStorageDir = originalStorageDir;
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  describe('normalizeOptions', () => {
+    it('should round the speed to the cache step and refuse values out of range', () => {
+      expect(audioRendering.normalizeOptions({ speed: '0.77', semitones: '-2' })).toEqual({ speed: 0.75, semitones: -2 });
+      expect(audioRendering.normalizeOptions()).toEqual({ speed: 1, semitones: 0 });
+      expect(() => audioRendering.normalizeOptions({ speed: 0.2 })).toThrow(expect.objectContaining({ code: 'INVALID_SPEED' }));
+      expect(() => audioRendering.normalizeOptions({ semitones: 13 })).toThrow(expect.objectContaining({ code: 'INVALID_SEMITONES' }));
+    });
+  });
+
+  describe('buildFilters', () => {
+    it('should slow down with atempo only', () => {
+      expect(audioRendering.buildFilters(0.75, 0, 44100)).toEqual(['atempo=0.750000']);
+      expect(audioRendering.buildFilters(1, 0, 44100)).toEqual([]);
+    });
+
+    it('should shift pitch by resampling and restore the tempo', () => {
+      expect(audioRendering.buildFilters(1, 12, 44100)).toEqual(['asetrate=88200', 'aresample=44100', 'atempo=0.500000']);
+
+      const filters = audioRendering.buildFilters(1, -3, 44100);
+      expect(filters.slice(0, 2)).toEqual(['asetrate=37084', 'aresample=44100']);
+      expect(parseFloat(filters[2].split('=')[1])).toBeCloseTo(Math.pow(2, 3 / 12), 4);
+    });
+
+    it('should chain atempo for factors beyond its range', () => {
+      const filters = audioRendering.buildFilters(0.5, 12, 44100);
+      const tempos = filters.filter(filter => filter.startsWith('atempo=')).map(filter => parseFloat(filter.split('=')[1]));
+
+      expect(tempos.every(tempo => tempo >= 0.5 && tempo <= 2)).toBe(true);
+      expect(tempos.reduce((product, tempo) => product * tempo, 1)).toBeCloseTo(0.25, 5);
+    });
+  });
+
+  describe('getStemRender', () => {
+    it('should render once per stem, speed and pitch and serve the cache afterwards', async () => {
+      const [first, concurrent] = await Promise.all([
+        audioRendering.getStemRender(song, 'guitar', { speed: 0.75, semitones: 2 }),
+        audioRendering.getStemRender(song, 'guitar', { speed: 0.76, semitones: 2 })
+      ]);
+      const again = await audioRendering.getStemRender(song, 'guitar', { speed: 0.75, semitones: 2 });
+
+      expect(first).toEqual({ path: path.join(storageDir, 'job-1', 'renders', 'guitar_75_2.mp3'), contentType: 'audio/mpeg' });
+      expect(concurrent).toEqual(first);
+      expect(again).toEqual(first);
+      expect(ffmpeg).toHaveBeenCalledTimes(1);
+      expect(await fs.readFile(first.path, 'utf8')).toMatch(/^asetrate=49501,aresample=44100,atempo=/);
+    });
+
+    it('should serve the stem itself at normal speed and pitch', async () => {
+      const file = await audioRendering.getStemRender(song, 'backing', {});
+
+      expect(file.path).toBe(path.join(storageDir, 'job-1', 'backing.mp3'));
+      expect(ffmpeg).not.toHaveBeenCalled();
+      expect(await audioRendering.getStemRender(song, 'vocals', { speed: 0.5 })).toBeNull();
+    });
+
+    it('should keep only the most recently used renders', async () => {
+      const maxRenders = audioRendering.maxRendersPerSong;
+      audioRendering.maxRendersPerSong = 2;
+
+      try {
+        await audioRendering.getStemRender(song, 'guitar', { speed: 0.5 });
+        await audioRendering.getStemRender(song, 'guitar', { speed: 0.6 });
+        // Make the second render the least recently used
+        const old = new Date(Date.now() - 60000);
+        await fs.utimes(path.join(storageDir, 'job-1', 'renders', 'guitar_60_0.mp3'), old, old);
+        await audioRendering.getStemRender(song, 'guitar', { speed: 0.7 });
+
+        expect((await fs.readdir(path.join(storageDir, 'job-1', 'renders'))).sort()).toEqual(['guitar_50_0.mp3', 'guitar_70_0.mp3']);
+      } finally {
+        audioRendering.maxRendersPerSong = maxRenders;
+      }
+    });
+  });
+
+  describe('getSongRender', () => {
+    it('should render the full mix kept by analysis', async () => {
+      await fs.writeFile(path.join(storageDir, 'job-1', 'mix.mp3'), 'mix');
+
+      const file = await audioRendering.getSongRender({ ...song, stems: { ...song.stems, mix: 'job-1/mix.mp3' } }, { speed: 0.5 });
+
+      expect(file.path).toBe(path.join(storageDir, 'job-1', 'renders', 'mix_50_0.mp3'));
+      expect(await fs.readFile(file.path, 'utf8')).toBe('atempo=0.500000');
+    });
+
+    it('should render a kept upload of a song without stems under the song', async () => {
+      const uploadPath = path.join(storageDir, '..', `${path.basename(storageDir)}-upload.mp3`);
+      await fs.writeFile(uploadPath, 'upload');
+
+      try {
+        const file = await audioRendering.getSongRender({ song_id: 'song-2', stems: null, original_audio_url: uploadPath }, { semitones: -2 });
+
+        expect(file.path).toBe(path.join(storageDir, 'song-2', 'renders', 'mix_100_-2.mp3'));
+      } finally {
+        await fs.rm(uploadPath, { force: true });
+      }
+    });
+
+    it('should fetch the audio of an older song from its source once', async () => {
+      const provider = {
+        download: jest.fn((url, outputPath) => fs.writeFile(outputPath, 'downloaded'))
+      };
+      jest.spyOn(audioSources, 'resolve').mockReturnValue(provider);
+      jest.spyOn(audioProcessingService, 'encodeStem').mockImplementation((inputPath, outputPath) => fs.copyFile(inputPath, outputPath));
+      const olderSong = { song_id: 'song-3', stems: null, youtube_id: 'abc123' };
+
+      const [file, concurrent] = await Promise.all([
+        audioRendering.getSongRender(olderSong, {}),
+        audioRendering.getSongRender(olderSong, {})
+      ]);
+
+      expect(file.path).toBe(path.join(storageDir, 'song-3', 'mix.mp3'));
+      expect(concurrent).toEqual(file);
+      expect(provider.download).toHaveBeenCalledTimes(1);
+      expect(provider.download.mock.calls[0][0]).toBe('https://www.youtube.com/watch?v=abc123');
+      expect(await fs.readdir(path.join(storageDir, 'song-3'))).toEqual(['mix.mp3']);
+    });
+
+    it('should return null for a song without any audio', async () => {
+      expect(await audioRendering.getSongRender({ song_id: 'song-4', stems: null }, { speed: 0.5 })).toBeNull();
+    });
+  });
+});
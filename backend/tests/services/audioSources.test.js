@@ -0,0 +1,143 @@
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const audioSources = require('../../services/audioSources');
+const httpAudioSource = require('../../services/sources/httpAudio');
+
+// Stand-in for a site serving audio files
+const routes = {
+  '/song.mp3': (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'audio/mpeg',
+      'Content-Length': 9,
+      Link: '<https://creativecommons.org/licenses/by/4.0/>; rel="license"'
+    });
+    res.end(req.method === 'HEAD' ? undefined : 'ID3-audio');
+  },
+  '/download': (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': 'attachment; filename="Morning%20Jam.ogg"'
+    });
+    res.end(req.method === 'HEAD' ? undefined : 'OggS-audio');
+  },
+  '/moved': (req, res) => {
+    res.writeHead(302, { Location: '/song.mp3' });
+    res.end();
+  },
+  '/page.html': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html></html>');
+  },
+  '/big.wav': (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'audio/wav' });
+    res.end(Buffer.alloc(2048));
+  }
+};
+
+describe('Audio sources', () => {
+  let server;
+  let baseUrl;
+  let tempDir;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const route = routes[req.url];
+      if (!route) {
+        res.writeHead(404);
+        return res.end();
+      }
+      route(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    httpAudioSource.allowPrivateHosts = true;
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sources-'));
+  });
+
+  afterEach(async () => {
+    httpAudioSource.maxBytes = (process.env.MAX_FILE_SIZE_MB || 50) * 1024 * 1024;
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('resolve', () => {
+    it('should pick the YouTube provider for YouTube links and direct links for other URLs', () => {
+      expect(audioSources.resolve('https://youtu.be/dQw4w9WgXcQ').name).toBe('youtube');
+      expect(audioSources.resolve('https://www.youtube.com/watch?v=dQw4w9WgXcQ').name).toBe('youtube');
+      expect(audioSources.resolve('https://example.com/song.mp3').name).toBe('http');
+      expect(audioSources.resolve('ftp://example.com/song.mp3')).toBeNull();
+      expect(audioSources.resolve('not a url')).toBeNull();
+    });
+
+    it('should try registered providers before the built-in ones', () => {
+      const provider = { name: 'library', matches: url => url.startsWith('https://library.example/') };
+      audioSources.register(provider);
+
+      expect(audioSources.resolve('https://library.example/track/1')).toBe(provider);
+      expect(audioSources.get('library')).toBe(provider);
+
+      audioSources.providers = audioSources.providers.filter(p => p !== provider);
+    });
+  });
+
+  describe('direct links', () => {
+    it('should read the title and license of an audio link', async () => {
+      const metadata = await httpAudioSource.getMetadata(`${baseUrl}/song.mp3`);
+
+      expect(metadata).toMatchObject({
+        title: 'song',
+        license: 'https://creativecommons.org/licenses/by/4.0/',
+        attribution: `song.mp3 from 127.0.0.1:${server.address().port}`
+      });
+    });
+
+    it('should take the title from Content-Disposition', async () => {
+      const metadata = await httpAudioSource.getMetadata(`${baseUrl}/download`);
+
+      expect(metadata.title).toBe('Morning Jam');
+      expect(metadata.license).toBeNull();
+    });
+
+    it('should download audio, following redirects', async () => {
+      const outputPath = path.join(tempDir, 'raw.audio');
+
+      await httpAudioSource.download(`${baseUrl}/moved`, outputPath);
+
+      expect(await fs.readFile(outputPath, 'utf8')).toBe('ID3-audio');
+    });
+
+    it('should refuse links that are not audio without retrying', async () => {
+      await expect(httpAudioSource.download(`${baseUrl}/page.html`, path.join(tempDir, 'raw.audio')))
+        .rejects.toMatchObject({ code: 'SOURCE_NOT_AUDIO', retryable: false });
+    });
+
+    it('should refuse missing files without retrying', async () => {
+      await expect(httpAudioSource.download(`${baseUrl}/missing.mp3`, path.join(tempDir, 'raw.audio')))
+        .rejects.toMatchObject({ code: 'SOURCE_UNAVAILABLE', retryable: false });
+    });
+
+    it('should stop downloads over the size limit', async () => {
+      httpAudioSource.maxBytes = 1024;
+
+      await expect(httpAudioSource.download(`${baseUrl}/big.wav`, path.join(tempDir, 'raw.audio')))
+        .rejects.toMatchObject({ code: 'SOURCE_TOO_LARGE' });
+    });
+
+    it('should refuse links to private network addresses', async () => {
+      httpAudioSource.allowPrivateHosts = false;
+
+      await expect(httpAudioSource.download(`${baseUrl}/song.mp3`, path.join(tempDir, 'raw.audio')))
+        .rejects.toMatchObject({ code: 'SOURCE_BLOCKED', retryable: false });
+      await expect(httpAudioSource.getMetadata('http://[::ffff:10.0.0.1]/song.mp3'))
+        .rejects.toMatchObject({ code: 'SOURCE_BLOCKED' });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const beatTrackingService = require('../../services/beatTracking');
+
+// Evenly spaced beats with a repeating accent pattern
+const buildBeats = (count, interval, pattern) => ({
+  times: Array.from({ length: count }, (_, i) => beatTrackingService.roundTime(i * interval)),
+  accents: Array.from({ length: count }, (_, i) => pattern[i % pattern.length])
+});
+
+describe('BeatTrackingService', () => {
+  describe('buildBeatGrid', () => {
+    it('should infer 4/4 with bars and downbeats', () => {
+      const { times, accents } = buildBeats(32, 0.5, [1, 0.3, 0.6, 0.3]);
+
+      const grid = beatTrackingService.buildBeatGrid(times, accents);
+
+      expect(grid.time_signature).toBe('4/4');
+      expect(grid.bpm).toBe(120);
+      expect(grid.bars).toHaveLength(8);
+      expect(grid.downbeats.slice(0, 3)).toEqual([0, 2, 4]);
+      expect(grid.beats[5]).toMatchObject({ bar: 2, beat: 2 });
+    });
+
+    it('should infer 3/4 and a pickup before the first downbeat', () => {
+      // Pattern starts on beat 3, so the first two beats are a pickup
+      const { times, accents } = buildBeats(30, 0.5, [0.3, 0.3, 1]);
+
+      const grid = beatTrackingService.buildBeatGrid(times, accents);
+
+      expect(grid.time_signature).toBe('3/4');
+      expect(grid.beats[0].bar).toBe(0);
+      expect(grid.bars[0].start_time).toBe(1);
+    });
+
+    it('should report tempo changes', () => {
+      const slow = Array.from({ length: 16 }, (_, i) => i * 0.6);
+      const fast = Array.from({ length: 16 }, (_, i) => 9.6 + (i + 1) * 0.5);
+      const times = slow.concat(fast);
+
+      const grid = beatTrackingService.buildBeatGrid(times, times.map(() => 1));
+
+      expect(grid.tempo_changes[0].bpm).toBe(100);
+      expect(grid.tempo_changes[grid.tempo_changes.length - 1].bpm).toBe(120);
+    });
+
+    it('should return an empty grid without beats', () => {
+      expect(beatTrackingService.buildBeatGrid([], [])).toEqual(beatTrackingService.getEmptyGrid());
+    });
+  });
+
+  describe('snapChordsToGrid', () => {
+    // Three bars of 4/4 at 120 bpm
+    const grid = {
+      beats: Array.from({ length: 12 }, (_, i) => ({ time: i * 0.5, bar: Math.floor(i / 4) + 1, beat: i % 4 + 1 })),
+      bars: [
+        { bar: 1, start_time: 0, end_time: 2 },
+        { bar: 2, start_time: 2, end_time: 4 },
+        { bar: 3, start_time: 4, end_time: 6 }
+      ]
+    };
+
+    it('should move chord boundaries onto bar lines', () => {
+      const snapped = beatTrackingService.snapChordsToGrid([
+        { chord: 'C', start_time: 0.1, duration: 1.85, confidence: 0.9 },
+        { chord: 'G', start_time: 1.95, duration: 4.05, confidence: 0.8 }
+      ], grid);
+
+      expect(snapped).toEqual([
+        { chord: 'C', start_time: 0, duration: 2, confidence: 0.9, bar: 1, beat: 1, beat_count: 4 },
+        { chord: 'G', start_time: 2, duration: 4, confidence: 0.8, bar: 2, beat: 1, beat_count: 8 }
+      ]);
+    });
+
+    it('should keep two chords per bar on their beats', () => {
+      const snapped = beatTrackingService.snapChordsToGrid([
+        { chord: 'C', start_time: 0.05, duration: 0.95, confidence: 0.9 },
+        { chord: 'G', start_time: 1, duration: 1.05, confidence: 0.9 },
+        { chord: 'Am', start_time: 2.05, duration: 0.9, confidence: 0.9 },
+        { chord: 'F', start_time: 2.95, duration: 1.05, confidence: 0.9 }
+      ], grid);
+
+      expect(snapped.map(c => [c.chord, c.bar, c.beat, c.beat_count])).toEqual([
+        ['C', 1, 1, 2],
+        ['G', 1, 3, 2],
+        ['Am', 2, 1, 2],
+        ['F', 2, 3, 2]
+      ]);
+    });
+
+    it('should snap a change exactly between two beats to the later one', () => {
+      const snapped = beatTrackingService.snapChordsToGrid([
+        { chord: 'C', start_time: 0, duration: 1.25, confidence: 0.9 },
+        { chord: 'G', start_time: 1.25, duration: 0.75, confidence: 0.9 }
+      ], grid);
+
+      expect(snapped.map(c => [c.chord, c.start_time, c.duration])).toEqual([['C', 0, 1.5], ['G', 1.5, 0.5]]);
+    });
+
+    it('should absorb chords shorter than half a beat', () => {
+      const snapped = beatTrackingService.snapChordsToGrid([
+        { chord: 'C', start_time: 0, duration: 1.9, confidence: 0.9 },
+        { chord: 'D', start_time: 1.9, duration: 0.2, confidence: 0.4 },
+        { chord: 'C', start_time: 2.1, duration: 3.9, confidence: 0.9 }
+      ], grid);
+
+      expect(snapped.map(c => [c.chord, c.beat_count])).toEqual([['C', 12]]);
+    });
+
+    it('should fall back to bar lines without beats', () => {
+      const snapped = beatTrackingService.snapChordsToGrid([
+        { chord: 'C', start_time: 0.1, duration: 2.2, confidence: 0.9 },
+        { chord: 'G', start_time: 2.3, duration: 3.7, confidence: 0.8 }
+      ], { bars: grid.bars });
+
+      expect(snapped.map(c => [c.chord, c.start_time, c.duration, c.bar])).toEqual([['C', 0, 2, 1], ['G', 2, 4, 2]]);
+    });
+  });
+
+  describe('trackBeats', () => {
+    it('should track beats in a click track', () => {
+      const sampleRate = 44100;
+      const bpm = 100;
+      const audioData = new Float32Array(sampleRate * 15);
+      for (let beat = 0; beat < 25; beat++) {
+        const start = Math.floor(beat * 60 / bpm * sampleRate);
+        const amplitude = beat % 4 === 0 ? 1 : 0.4;
+        for (let i = 0; i < 2000; i++) {
+          audioData[start + i] += amplitude * Math.sin(2 * Math.PI * 200 * i / sampleRate) * Math.exp(-i / 400);
+        }
+      }
+
+      const grid = beatTrackingService.trackBeats(audioData, sampleRate);
+
+      expect(grid.bpm).toBe(100);
+      expect(grid.beats.length).toBeGreaterThan(20);
+      expect(grid.confidence).toBeGreaterThan(0.5);
+      expect(grid.onsets.length).toBeGreaterThan(20);
+    });
+  });
+
+  describe('describeOnsets', () => {
+    it('should measure onset strength and how quickly each hit dies away', () => {
+      const sampleRate = 44100;
+      const audioData = new Float32Array(sampleRate);
+      // A ringing hit at 0.1 s and a muted one at 0.5 s
+      [[0.1, 4], [0.5, 80]].forEach(([time, damping]) => {
+        const start = Math.floor(time * sampleRate);
+        for (let i = 0; i < 0.3 * sampleRate; i++) {
+          audioData[start + i] = Math.sin(2 * Math.PI * 220 * i / sampleRate) * Math.exp(-damping * i / sampleRate);
+        }
+      });
+      const spectralFlux = new Array(100).fill(0);
+      spectralFlux[10] = 2;
+      spectralFlux[50] = 1;
+
+      const onsets = beatTrackingService.describeOnsets(audioData, sampleRate, [10, 50], spectralFlux, 0.01);
+
+      expect(onsets.map(onset => onset.time)).toEqual([0.1, 0.5]);
+      expect(onsets.map(onset => onset.strength)).toEqual([1, 0.5]);
+      expect(onsets[0].decay).toBeGreaterThan(0.5);
+      expect(onsets[1].decay).toBeLessThan(0.1);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const chordDrillService = require('../../services/chordDrill');
+const { record } = require('../helpers/chroma');
+
+describe('ChordDrillService', () => {
+  describe('normalizePair', () => {
+    it('should put both orders of a pair in the same order', () => {
+      expect(chordDrillService.normalizePair(['G', 'C'])).toEqual(['C', 'G']);
+      expect(chordDrillService.normalizePair(['C', 'G'])).toEqual(['C', 'G']);
+    });
+
+    it('should refuse pairs that cannot be told apart', () => {
+      expect(chordDrillService.normalizePair(['C', 'C'])).toBeNull();
+      expect(chordDrillService.normalizePair(['C', 'H7'])).toBeNull();
+      expect(chordDrillService.normalizePair(['C'])).toBeNull();
+    });
+  });
+
+  describe('countChanges', () => {
+    it('should count clean changes per minute and how long they take', () => {
+      // Ten seconds of C and G, a second each with 200 ms between
+      const parts = [];
+      for (let i = 0; i < 10; i++) {
+        parts.push([i % 2 === 0 ? 'C' : 'G', 0.8], [null, 0.2]);
+      }
+
+      const results = chordDrillService.countChanges(record(parts), ['C', 'G'], 60);
+
+      expect(results).toMatchObject({
+        seconds: 10,
+        changes: 9,
+        clean_changes: 9,
+        changes_per_minute: 54,
+        average_change_ms: 200,
+        fastest_change_ms: 200,
+        held_seconds: { C: 4, G: 4 }
+      });
+    });
+
+    it('should count slow changes without counting them as clean', () => {
+      const results = chordDrillService.countChanges(record([['C', 2], [null, 3], ['G', 2], [null, 0.5], ['C', 2]]), ['C', 'G'], 60);
+
+      expect(results.changes).toBe(2);
+      expect(results.clean_changes).toBe(1);
+      expect(results.average_change_ms).toBe(500);
+    });
+
+    it('should ignore other chords, brief flickers and audio after the drill', () => {
+      const frames = record([['C', 2], ['G', 0.1], ['C', 1], ['F', 1], ['G', 2], ['C', 5]]);
+
+      const results = chordDrillService.countChanges(frames, ['C', 'G'], 6);
+
+      expect(results.seconds).toBe(6);
+      expect(results.changes).toBe(1);
+      expect(results.average_change_ms).toBe(1000);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const fft = require('../../services/fft');
+
+describe('FFTService', () => {
+  it('should match the direct DFT', () => {
+    const N = 64;
+    const input = Array.from({ length: N }, () => Math.random() * 2 - 1);
+    const real = Float64Array.from(input);
+    const imag = new Float64Array(N);
+
+    fft.transform(real, imag);
+
+    for (let k = 0; k < N; k++) {
+      let dftReal = 0;
+      let dftImag = 0;
+      for (let n = 0; n < N; n++) {
+        dftReal += input[n] * Math.cos(-2 * Math.PI * k * n / N);
+        dftImag += input[n] * Math.sin(-2 * Math.PI * k * n / N);
+      }
+      expect(real[k]).toBeCloseTo(dftReal, 8);
+      expect(imag[k]).toBeCloseTo(dftImag, 8);
+    }
+  });
+
+  it('should restore the input with the inverse transform', () => {
+    const input = Array.from({ length: 256 }, (_, i) => Math.sin(i / 3) + Math.cos(i / 7));
+    const real = Float64Array.from(input);
+    const imag = new Float64Array(256);
+
+    fft.transform(real, imag);
+    fft.transform(real, imag, true);
+
+    input.forEach((value, i) => {
+      expect(real[i]).toBeCloseTo(value, 10);
+      expect(imag[i]).toBeCloseTo(0, 10);
+    });
+  });
+
+  it('should tell power-of-two sizes', () => {
+    expect(fft.isPowerOfTwo(4096)).toBe(true);
+    expect(fft.isPowerOfTwo(100)).toBe(false);
+    expect(fft.isPowerOfTwo(1)).toBe(false);
+  });
+});
@@ -0,0 +1,213 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+  pool: { end: jest.fn() }
+}));
+jest.mock('../../config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn() }
+}));
+
+const { query, transaction } = require('../../config/database');
+const { cache } = require('../../config/redis');
+const jobQueue = require('../../services/jobQueue');
+
+const row = (overrides = {}) => ({
+  job_id: 'job-1',
+  status: 'processing',
+  attempts: 1,
+  max_attempts: 3,
+  progress_percentage: 40,
+  current_step: 'audio_conversion',
+  source_type: 'upload',
+  ...overrides
+});
+
+describe('JobQueueService', () => {
+  beforeEach(() => {
+    query.mockReset();
+    transaction.mockImplementation(callback => callback({ query }));
+    cache.get.mockResolvedValue(null);
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay with every attempt up to the cap', () => {
+      expect([1, 2, 3].map(attempts => jobQueue.getRetryDelay(attempts))).toEqual([30, 60, 120]);
+      expect(jobQueue.getRetryDelay(20)).toBe(jobQueue.retryMaxSeconds);
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('should not retry errors that fail the same way every time', () => {
+      expect(jobQueue.isRetryable(new Error('connect ETIMEDOUT'))).toBe(true);
+      expect(jobQueue.isRetryable(new Error('Invalid YouTube URL format'))).toBe(false);
+      expect(jobQueue.isRetryable(Object.assign(new Error('Bad job'), { retryable: false }))).toBe(false);
+    });
+  });
+
+  describe('fail', () => {
+    it('should requeue a job with backoff while it has attempts left', async () => {
+      query.mockResolvedValue({ rows: [row({ status: 'queued', attempts: 2 })] });
+
+      const job = await jobQueue.fail(row({ attempts: 2 }), new Error('ffmpeg exited with code 1'));
+
+      expect(job.status).toBe('queued');
+      expect(query.mock.calls[0][1]).toEqual(['job-1', 'queued', 'ffmpeg exited with code 1', 60]);
+      expect(cache.set).toHaveBeenCalledWith('job_status_job-1', expect.objectContaining({ status: 'queued' }), 3600);
+    });
+
+    it('should fail a job for good once it is out of attempts', async () => {
+      query.mockResolvedValue({ rows: [row({ status: 'failed', attempts: 3 })] });
+
+      await jobQueue.fail(row({ attempts: 3 }), new Error('ffmpeg exited with code 1'));
+
+      expect(query.mock.calls[0][1]).toEqual(['job-1', 'failed', 'ffmpeg exited with code 1', 0]);
+    });
+
+    it('should fail a job for good on a permanent error', async () => {
+      query.mockResolvedValue({ rows: [row({ status: 'failed' })] });
+
+      await jobQueue.fail(row({ attempts: 1 }), new Error('Video not found'));
+
+      expect(query.mock.calls[0][1][1]).toBe('failed');
+    });
+  });
+
+  describe('enqueue', () => {
+    it('should put the job in its tier lane', async () => {
+      query.mockResolvedValue({ rows: [row({ status: 'queued', tier: 'premium' })] });
+
+      await jobQueue.enqueue({ userId: 'user-1', sourceType: 'upload', source: {}, tier: 'premium' });
+
+      expect(query.mock.calls[0][1].slice(-3)).toEqual(['premium', 2, null]);
+    });
+
+    it('should fall back to the free lane for unknown tiers', async () => {
+      query.mockResolvedValue({ rows: [row({ status: 'queued' })] });
+
+      await jobQueue.enqueue({ userId: 'user-1', sourceType: 'upload', source: {}, tier: 'enterprise' });
+
+      expect(query.mock.calls[0][1].slice(-3)).toEqual(['free', 0, null]);
+    });
+  });
+
+  describe('claimNext', () => {
+    it('should return null when nothing is runnable', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      expect(await jobQueue.claimNext('worker-1')).toBeNull();
+      expect(query.mock.calls[0][0]).toContain('pg_advisory_xact_lock');
+      expect(query.mock.calls[1][0]).toContain('SKIP LOCKED');
+      expect(cache.set).not.toHaveBeenCalled();
+    });
+
+    it('should pass every lane with its concurrency', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      await jobQueue.claimNext('worker-1');
+
+      expect(JSON.parse(query.mock.calls[1][1][1])).toEqual([
+        { tier: 'batch', concurrency: 1 },
+        { tier: 'free', concurrency: 1 },
+        { tier: 'basic', concurrency: 2 },
+        { tier: 'premium', concurrency: 4 }
+      ]);
+    });
+  });
+
+  describe('cancel', () => {
+    it('should cancel a queued job straight away', async () => {
+      query.mockResolvedValue({ rows: [row({ status: 'cancelled', cancel_requested: true })] });
+
+      const job = await jobQueue.cancel('job-1');
+
+      expect(job.status).toBe('cancelled');
+      expect(cache.set).toHaveBeenCalledWith('job_status_job-1', expect.objectContaining({ status: 'cancelled' }), 3600);
+    });
+
+    it('should report a running job as cancelling until its worker stops', async () => {
+      query.mockResolvedValue({ rows: [row({ status: 'processing', cancel_requested: true })] });
+
+      await jobQueue.cancel('job-1');
+
+      expect(cache.set).toHaveBeenCalledWith('job_status_job-1', expect.objectContaining({ status: 'cancelling' }), 3600);
+    });
+
+    it('should leave finished jobs alone', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      expect(await jobQueue.cancel('job-1')).toBeNull();
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('should tell the worker when a cancel was requested', async () => {
+      query.mockResolvedValueOnce({ rows: [{ cancel_requested: true }] });
+      query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await jobQueue.heartbeat('job-1')).toBe(true);
+      expect(await jobQueue.heartbeat('job-1')).toBe(false);
+    });
+  });
+
+  describe('estimateWait', () => {
+    it('should spread the jobs ahead over the jobs running now', () => {
+      expect(jobQueue.estimateWait({ status: 'queued' }, { ahead: 4, running: 2, averageSeconds: 60 })).toEqual({
+        queue_position: 5,
+        estimated_start_seconds: 120,
+        estimated_remaining_seconds: 180
+      });
+    });
+
+    it('should estimate the rest of a running job from its progress', () => {
+      expect(jobQueue.estimateWait({ status: 'processing', progress_percentage: 75 }, { ahead: 0, running: 1, averageSeconds: 100 }))
+        .toEqual({ estimated_remaining_seconds: 25 });
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should read the status from the table when it is not cached', async () => {
+      query.mockResolvedValueOnce({ rows: [row({ status: 'queued', attempts: 1, run_after: '2026-01-01T00:00:00Z', error_message: 'timeout' })] });
+      query.mockResolvedValueOnce({ rows: [{ ahead: '2', running: '1', average_seconds: null }] });
+
+      const status = await jobQueue.getStatus('job-1');
+
+      expect(status).toMatchObject({
+        job_id: 'job-1',
+        status: 'queued',
+        attempts: 1,
+        next_attempt_at: '2026-01-01T00:00:00Z',
+        error: 'timeout',
+        queue_position: 3,
+        estimated_start_seconds: 2 * jobQueue.defaultJobSeconds
+      });
+      expect(cache.set).toHaveBeenCalledWith(
+        'job_status_job-1',
+        expect.not.objectContaining({ queue_position: expect.anything() }),
+        3600
+      );
+    });
+
+    it('should skip the queue estimate for finished jobs', async () => {
+      cache.get.mockResolvedValue({ job_id: 'job-1', status: 'completed' });
+
+      expect(await jobQueue.getStatus('job-1')).toEqual({ job_id: 'job-1', status: 'completed' });
+      expect(query).not.toHaveBeenCalled();
+    });
+
+    it('should return null for an unknown job', async () => {
+      query.mockResolvedValue({ rows: [] });
+
+      expect(await jobQueue.getStatus('missing')).toBeNull();
+    });
+  });
+
+  describe('getResults', () => {
+    it('should only return stored results for completed jobs', async () => {
+      query.mockResolvedValueOnce({ rows: [row({ status: 'completed', results: { job_id: 'job-1' } })] });
+      query.mockResolvedValueOnce({ rows: [row({ status: 'processing', results: null })] });
+
+      expect(await jobQueue.getResults('job-1')).toEqual({ job_id: 'job-1' });
+      expect(await jobQueue.getResults('job-1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const keyDetectionService = require('../../services/keyDetection');
+
+// Pitch-class weights for the notes of a scale, with extra weight on the tonic triad
+const buildProfile = (notes, triad) => {
+  const profile = new Array(12).fill(0);
+  notes.forEach(pc => { profile[pc] += 1; });
+  triad.forEach(pc => { profile[pc] += 2; });
+  return profile;
+};
+
+describe('KeyDetectionService', () => {
+  describe('estimateKey', () => {
+    it('should detect a major key', () => {
+      // G major scale with a G-B-D emphasis
+      const profile = buildProfile([7, 9, 11, 0, 2, 4, 6], [7, 11, 2]);
+
+      const result = keyDetectionService.estimateKey(profile);
+
+      expect(result.key).toBe('G');
+      expect(result.scale).toBe('Major');
+      expect(result.notation).toBe('G');
+      expect(result.confidence).toBeGreaterThan(0.5);
+    });
+
+    it('should detect a minor key rather than its relative major', () => {
+      // A natural minor scale with an A-C-E emphasis
+      const profile = buildProfile([9, 11, 0, 2, 4, 5, 7], [9, 0, 4]);
+
+      const result = keyDetectionService.estimateKey(profile);
+
+      expect(result.key).toBe('A');
+      expect(result.scale).toBe('Minor');
+      expect(result.notation).toBe('Am');
+    });
+
+    it('should rank alternatives and list relative and parallel keys', () => {
+      const profile = buildProfile([0, 2, 4, 5, 7, 9, 11], [0, 4, 7]);
+
+      const result = keyDetectionService.estimateKey(profile);
+
+      expect(result.alternatives.length).toBeGreaterThan(0);
+      for (let i = 1; i < result.alternatives.length; i++) {
+        expect(result.alternatives[i - 1].correlation).toBeGreaterThanOrEqual(result.alternatives[i].correlation);
+      }
+      expect(result.related_keys).toEqual([
+        { key: 'A', scale: 'Minor', relation: 'relative' },
+        { key: 'C', scale: 'Minor', relation: 'parallel' }
+      ]);
+    });
+
+    it('should return the default key for silence', () => {
+      const result = keyDetectionService.estimateKey(new Array(12).fill(0));
+
+      expect(result).toEqual(keyDetectionService.getDefaultKey());
+    });
+  });
+
+  describe('accumulateChroma', () => {
+    it('should sum chroma frames into one profile', () => {
+      const frame = new Array(12).fill(0);
+      frame[3] = 0.5;
+
+      expect(keyDetectionService.accumulateChroma([frame, frame])[3]).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const melodyTranscription = require('../../services/melodyTranscription');
+
+const sampleRate = 44100;
+
+// Plucked notes (decaying fundamental plus two harmonics), one every noteSeconds
+const synthesizeLine = (midiNotes, noteSeconds = 0.25) => {
+  const noteLength = Math.floor(noteSeconds * sampleRate);
+  const audio = new Float32Array(noteLength * midiNotes.length + sampleRate / 5);
+
+  midiNotes.forEach((midi, n) => {
+    const freq = 440 * 2 ** ((midi - 69) / 12);
+    for (let i = 0; i < noteLength; i++) {
+      const phase = 2 * Math.PI * freq * i / sampleRate;
+      const envelope = Math.exp(-4 * i / sampleRate);
+      audio[n * noteLength + i] += envelope * (0.6 * Math.sin(phase) + 0.3 * Math.sin(2 * phase) + 0.1 * Math.sin(3 * phase));
+    }
+  });
+
+  return audio;
+};
+
+describe('MelodyTranscriptionService', () => {
+  describe('transcribe', () => {
+    it('should transcribe a monophonic line, splitting repeated notes at their onsets', () => {
+      // A minor pentatonic run with a repeated E4
+      const line = [57, 60, 62, 64, 64, 67, 69];
+
+      const notes = melodyTranscription.transcribe(synthesizeLine(line), sampleRate);
+
+      expect(notes.map(note => note.midi)).toEqual(line);
+      expect(notes.map(note => note.note)).toEqual(['A3', 'C4', 'D4', 'E4', 'E4', 'G4', 'A4']);
+      notes.forEach((note, n) => {
+        expect(note.start_time).toBeCloseTo(n * 0.25, 1);
+        expect(note.confidence).toBeGreaterThan(0.8);
+      });
+    });
+
+    it('should return no notes for silence', () => {
+      expect(melodyTranscription.transcribe(new Float32Array(sampleRate), sampleRate)).toEqual([]);
+    });
+  });
+
+  describe('assignFretPositions', () => {
+    const toNotes = (midiNotes, gap = 0) => midiNotes.map((midi, n) => ({ midi, start_time: n * (0.25 + gap), duration: 0.25 }));
+
+    it('should place every note on a string and fret that plays it, without big jumps', () => {
+      const positions = melodyTranscription.assignFretPositions(toNotes([57, 60, 62, 64, 67, 69, 72]));
+
+      positions.forEach(note => {
+        const open = melodyTranscription.tuning[5 - note.string];
+        expect(open + note.fret).toBe(note.midi);
+      });
+      const fretted = positions.filter(note => note.fret > 0).map(note => note.fret);
+      for (let i = 1; i < fretted.length; i++) {
+        expect(Math.abs(fretted[i] - fretted[i - 1])).toBeLessThanOrEqual(melodyTranscription.comfortableStretch);
+      }
+    });
+
+    it('should cross strings rather than shift position', () => {
+      // E5 - B4 - E5 at the 12th fret: B4 on the B string keeps the hand in place,
+      // where the 7th fret of the high E string would need two five-fret shifts
+      const positions = melodyTranscription.assignFretPositions(toNotes([76, 71, 76]));
+
+      expect(positions.map(note => [note.string, note.fret])).toEqual([[0, 12], [1, 12], [0, 12]]);
+    });
+
+    it('should prefer low positions for notes with several options', () => {
+      expect(melodyTranscription.assignFretPositions(toNotes([64]))[0]).toMatchObject({ string: 0, fret: 0 });
+      expect(melodyTranscription.assignFretPositions(toNotes([45]))[0]).toMatchObject({ string: 4, fret: 0 });
+    });
+
+    it('should shift notes outside the guitar range by octaves', () => {
+      expect(melodyTranscription.getFretCandidates(28)).toEqual([{ string: 5, fret: 0 }]);
+      expect(melodyTranscription.getFretCandidates(100).every(c => c.fret <= melodyTranscription.maxFret)).toBe(true);
+    });
+  });
+});
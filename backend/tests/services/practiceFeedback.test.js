@@ -0,0 +1,143 @@
+jest.mock('../../services/practiceService', () => ({
+  getPracticeSession: jest.fn(),
+  addPracticeAnalysis: jest.fn()
+}));
+jest.mock('../../services/songService', () => ({
+  getSongById: jest.fn()
+}));
+
+const practiceService = require('../../services/practiceService');
+const songService = require('../../services/songService');
+const practiceFeedbackService = require('../../services/practiceFeedback');
+const { chromaOf } = require('../helpers/chroma');
+
+describe('PracticeFeedbackService', () => {
+  const sessionId = 'session-1';
+  const userId = 'user-1';
+
+  beforeEach(() => {
+    practiceService.getPracticeSession.mockResolvedValue({ session_id: sessionId, user_id: userId, song_id: 'song-1', end_time: null });
+    practiceService.addPracticeAnalysis.mockResolvedValue({});
+    songService.getSongById.mockResolvedValue({
+      song_id: 'song-1',
+      chord_progression: [
+        { chord: 'C', start_time: 0, duration: 2 },
+        { chord: 'G', start_time: 2, duration: 2 }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    await practiceFeedbackService.endSession(sessionId);
+  });
+
+  // Feedback for frames of [song time, chord played] sent one after another
+  const play = async (frames) => {
+    const feedback = [];
+    for (const [songTime, chord] of frames) {
+      await practiceFeedbackService.submitFrame(sessionId, userId, { song_time: songTime, chroma: chromaOf(chord), rms: 0.1 }, item => feedback.push(item));
+    }
+    return feedback;
+  };
+
+  describe('submitFrame', () => {
+    it('should judge the frame against the chord the song expects at that time', async () => {
+      const [feedback] = await play([[0.5, 'C']]);
+
+      expect(feedback).toMatchObject({
+        type: 'chord_feedback',
+        session_id: sessionId,
+        expected_chord: 'C',
+        played_chord: 'C',
+        correct: true,
+        strings: [],
+        within_budget: true
+      });
+    });
+
+    it('should say which strings sound wrong on a wrong chord', async () => {
+      const [feedback] = await play([[0.5, 'Cm']]);
+
+      expect(feedback.correct).toBe(false);
+      expect(feedback.played_chord).toBe('Cm');
+      expect(feedback.strings).toEqual(expect.arrayContaining([
+        expect.objectContaining({ string: 3, expected: 'E', status: 'wrong_note', heard: 'D#' })
+      ]));
+    });
+
+    it('should measure late and early chord changes', async () => {
+      const late = await play([[1.8, 'C'], [2.1, 'C'], [2.3, 'G']]);
+      expect(late[2].timing).toEqual({ drift_ms: 300, average_drift_ms: 300, status: 'late' });
+
+      await practiceFeedbackService.endSession(sessionId);
+      const early = await play([[1.6, 'C'], [1.8, 'G'], [2.1, 'G']]);
+      expect(early[2].timing).toMatchObject({ drift_ms: -200, status: 'early' });
+    });
+
+    it('should store a summary of each chord once the song moves on', async () => {
+      await play([[0.5, 'C'], [1, 'Cm'], [2.1, 'G']]);
+
+      expect(practiceService.addPracticeAnalysis).toHaveBeenCalledTimes(1);
+      expect(practiceService.addPracticeAnalysis).toHaveBeenCalledWith(sessionId, expect.objectContaining({
+        current_chord: 'C',
+        accuracy: 50,
+        mistake_detected: expect.objectContaining({ type: 'string', string: 3 }),
+        string_mistakes: [expect.objectContaining({ chord: 'C', strings: expect.any(Array) })]
+      }));
+    });
+
+    it('should finish writing the last chord before the session ends', async () => {
+      let stored = false;
+      practiceService.addPracticeAnalysis.mockImplementation(() => new Promise(resolve => setTimeout(() => {
+        stored = true;
+        resolve({});
+      }, 10)));
+      await play([[0.5, 'C'], [1, 'C']]);
+
+      await practiceFeedbackService.endSession(sessionId);
+
+      expect(practiceService.addPracticeAnalysis).toHaveBeenCalledWith(sessionId, expect.objectContaining({ current_chord: 'C', accuracy: 100 }));
+      expect(stored).toBe(true);
+    });
+
+    it('should skip to the newest frame when frames arrive faster than they are scored', async () => {
+      const feedback = [];
+      const send = (songTime) => practiceFeedbackService.submitFrame(sessionId, userId, { song_time: songTime, chroma: chromaOf('C') }, item => feedback.push(item));
+
+      await Promise.all([send(0.1), send(0.2), send(0.3)]);
+
+      expect(feedback.map(item => item.song_time)).toEqual([0.1, 0.3]);
+    });
+
+    it('should refuse frames for ended sessions', async () => {
+      practiceService.getPracticeSession.mockResolvedValue({ session_id: sessionId, user_id: userId, song_id: 'song-1', end_time: new Date() });
+
+      await expect(play([[0.5, 'C']])).rejects.toMatchObject({ code: 'SESSION_ENDED' });
+    });
+  });
+
+  describe('decodeFrame', () => {
+    it('should compute chroma and level from PCM audio', () => {
+      const sampleRate = 16000;
+      const samples = Buffer.alloc(sampleRate / 2 * 2);
+      // C major: C4, E4, G4
+      for (let i = 0; i < sampleRate / 2; i++) {
+        const t = i / sampleRate;
+        const value = [261.63, 329.63, 392].reduce((sum, f) => sum + Math.sin(2 * Math.PI * f * t), 0) / 4;
+        samples.writeInt16LE(Math.round(value * 32767), i * 2);
+      }
+
+      const frame = practiceFeedbackService.decodeFrame({ song_time: 1, audio: samples.toString('base64'), sample_rate: sampleRate });
+      const loudest = frame.chroma.map((level, pitchClass) => [level, pitchClass]).sort((a, b) => b[0] - a[0]).slice(0, 3);
+
+      expect(loudest.map(([, pitchClass]) => pitchClass).sort((a, b) => a - b)).toEqual([0, 4, 7]);
+      expect(frame.rms).toBeGreaterThan(0.1);
+    });
+
+    it('should reject frames it cannot score', () => {
+      expect(() => practiceFeedbackService.decodeFrame({ chroma: chromaOf('C') })).toThrow(expect.objectContaining({ code: 'INVALID_FRAME' }));
+      expect(() => practiceFeedbackService.decodeFrame({ song_time: 1, chroma: [1, 2] })).toThrow(/12 non-negative/);
+      expect(() => practiceFeedbackService.decodeFrame({ song_time: 1, audio: 'AAAA', sample_rate: 4000 })).toThrow(/sample_rate/);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const practiceScoringService = require('../../services/practiceScoring');
+const { record } = require('../helpers/chroma');
+
+describe('PracticeScoringService', () => {
+  const song = [
+    { chord: 'C', start_time: 0, duration: 2 },
+    { chord: 'G', start_time: 2, duration: 2 },
+    { chord: 'Am', start_time: 4, duration: 2 },
+    { chord: 'F', start_time: 6, duration: 2 }
+  ];
+
+  describe('scorePerformance', () => {
+    it('should score a clean take as right and on time', () => {
+      const score = practiceScoringService.scorePerformance(record([['C', 2], ['G', 2], ['Am', 2], ['F', 2]]), song);
+
+      expect(score.chord_accuracy).toBe(100);
+      expect(score.timing_accuracy).toBe(100);
+      expect(score.rhythm_accuracy).toBe(100);
+      expect(score.chords.map(chord => chord.offset_ms)).toEqual([0, 0, 0, 0]);
+      expect(score.mistakes).toEqual([]);
+    });
+
+    it('should only blame the chord that was missed, not the ones after it', () => {
+      // Rests where the G should be
+      const score = practiceScoringService.scorePerformance(record([['C', 2], [null, 2], ['Am', 2], ['F', 2]]), song);
+
+      expect(score.chords.map(chord => chord.status)).toEqual(['correct', 'missed', 'correct', 'correct']);
+      expect(score.chord_accuracy).toBe(75);
+      expect(score.mistakes).toEqual([expect.objectContaining({ type: 'missing', timestamp: 2 })]);
+    });
+
+    it('should report a wrong chord with what was played', () => {
+      const score = practiceScoringService.scorePerformance(record([['C', 2], ['F', 2], ['Am', 2], ['F', 2]]), song);
+
+      expect(score.chords[1]).toMatchObject({ chord: 'G', played: 'F', correct: false, status: 'wrong_chord' });
+      expect(score.chords[2].correct).toBe(true);
+    });
+
+    it('should measure how early or late each change was', () => {
+      // G 300 ms late, Am 200 ms early
+      const score = practiceScoringService.scorePerformance(record([['C', 2.3], ['G', 1.5], ['Am', 2.2], ['F', 2]]), song);
+
+      expect(score.chords.map(chord => chord.offset_ms)).toEqual([0, 300, -200, 0]);
+      expect(score.timing_accuracy).toBeLessThan(100);
+      expect(score.rhythm_accuracy).toBeLessThan(100);
+      expect(score.mistakes.map(mistake => mistake.description)).toEqual([
+        'Changed to G 300 ms late',
+        'Changed to Am 200 ms early'
+      ]);
+    });
+
+    it('should follow the session tempo and where the recording starts', () => {
+      // Second half of the song at half speed
+      const score = practiceScoringService.scorePerformance(record([['Am', 4], ['F', 4]]), song, {
+        startTime: 4,
+        tempoPercentage: 50
+      });
+
+      expect(score.chords.map(chord => [chord.chord, chord.offset_ms])).toEqual([['Am', 0], ['F', 0]]);
+      expect(score.chord_accuracy).toBe(100);
+    });
+
+    it('should keep a steady lag in rhythm while costing timing', () => {
+      const score = practiceScoringService.scorePerformance(record([[null, 0.3], ['C', 2], ['G', 2], ['Am', 2], ['F', 1.7]]), song);
+
+      expect(score.chords.map(chord => chord.offset_ms)).toEqual([300, 300, 300, 300]);
+      expect(score.rhythm_accuracy).toBe(100);
+      expect(score.timing_accuracy).toBeLessThan(60);
+    });
+  });
+});
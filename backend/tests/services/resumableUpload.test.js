@@ -0,0 +1,152 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  pool: { end: jest.fn() }
+}));
+jest.mock('../../services/audioProcessing', () => ({
+  supportedFormats: ['mp3', 'wav', 'ogg', 'm4a', 'flac'],
+  maxFileSize: 1024 * 1024
+}));
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { query } = require('../../config/database');
+const resumableUploadService = require('../../services/resumableUpload');
+
+const checksum = (chunk) => `sha256 ${crypto.createHash('sha256').update(chunk).digest('hex')}`;
+const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+describe('ResumableUploadService', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    query.mockReset();
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+    resumableUploadService.uploadDir = tempDir;
+    resumableUploadService.partialDir = path.join(tempDir, 'partial');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const startUpload = async (totalSize) => {
+    query.mockImplementationOnce((sql, params) => Promise.resolve({
+      rows: [{
+        upload_id: 'upload-1',
+        user_id: params[0],
+        file_name: params[1],
+        mime_type: params[2],
+        total_size: String(params[3]),
+        received_size: '0',
+        temp_path: params[4],
+        status: 'uploading'
+      }]
+    }));
+    return resumableUploadService.createUpload({ userId: 'user-1', fileName: 'song.mp3', mimeType: 'audio/mpeg', totalSize });
+  };
+
+  // Every chunk write is accepted by the database
+  const acceptWrites = () => {
+    query.mockImplementation((sql, params) => Promise.resolve({
+      rows: [{ upload_id: params[0], received_size: String(params[2]), total_size: '10', status: 'uploading' }]
+    }));
+  };
+
+  describe('createUpload', () => {
+    it('should reject unsupported file types and oversized files', async () => {
+      await expect(resumableUploadService.createUpload({ userId: 'user-1', fileName: 'notes.txt', totalSize: 10 }))
+        .rejects.toMatchObject({ code: 'INVALID_FILE_TYPE' });
+      await expect(resumableUploadService.createUpload({ userId: 'user-1', fileName: 'song.mp3', totalSize: 2 * 1024 * 1024 }))
+        .rejects.toMatchObject({ code: 'FILE_TOO_LARGE' });
+      expect(query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('writeChunk', () => {
+    it('should assemble chunks into the partial file', async () => {
+      const upload = await startUpload(10);
+      acceptWrites();
+
+      const first = Buffer.from('hello');
+      const second = Buffer.from('world');
+      const afterFirst = await resumableUploadService.writeChunk(upload, 0, first, checksum(first));
+      const afterSecond = await resumableUploadService.writeChunk(
+        { ...upload, received_size: afterFirst.received_size }, 5, second, checksum(second)
+      );
+
+      expect(afterSecond.received_size).toBe('10');
+      expect(await fs.readFile(upload.temp_path, 'utf8')).toBe('helloworld');
+    });
+
+    it('should reject a chunk at the wrong offset with the expected one', async () => {
+      const upload = await startUpload(10);
+      const chunk = Buffer.from('world');
+
+      await expect(resumableUploadService.writeChunk({ ...upload, received_size: '5' }, 0, chunk, checksum(chunk)))
+        .rejects.toMatchObject({ code: 'OFFSET_MISMATCH', offset: 5 });
+    });
+
+    it('should reject a chunk whose checksum does not match', async () => {
+      const upload = await startUpload(10);
+
+      await expect(resumableUploadService.writeChunk(upload, 0, Buffer.from('hello'), checksum(Buffer.from('hallo'))))
+        .rejects.toMatchObject({ code: 'CHECKSUM_MISMATCH' });
+      expect(await fs.readFile(upload.temp_path, 'utf8')).toBe('');
+    });
+
+    it('should refuse chunks for an expired upload', async () => {
+      const upload = await startUpload(10);
+      const chunk = Buffer.from('hello');
+
+      await expect(resumableUploadService.writeChunk({ ...upload, status: 'expired' }, 0, chunk, checksum(chunk)))
+        .rejects.toMatchObject({ code: 'UPLOAD_EXPIRED' });
+    });
+  });
+
+  describe('finalize', () => {
+    it('should refuse an incomplete upload', async () => {
+      const upload = await startUpload(10);
+
+      await expect(resumableUploadService.finalize({ ...upload, received_size: '5' }))
+        .rejects.toMatchObject({ code: 'UPLOAD_INCOMPLETE', offset: 5 });
+    });
+
+    it('should move a complete upload into the uploads directory', async () => {
+      const upload = await startUpload(10);
+      await fs.writeFile(upload.temp_path, 'helloworld');
+      query.mockResolvedValueOnce({ rows: [{ ...upload, status: 'finalized' }] });
+
+      const file = await resumableUploadService.finalize({ ...upload, received_size: '10' });
+
+      expect(path.dirname(file.path)).toBe(tempDir);
+      expect(file).toMatchObject({ originalname: 'song.mp3', mimetype: 'audio/mpeg', size: 10 });
+      expect(await fs.readFile(file.path, 'utf8')).toBe('helloworld');
+      expect(await exists(upload.temp_path)).toBe(false);
+    });
+
+    it('should close an upload that matched an analysed song', async () => {
+      const upload = await startUpload(10);
+      query.mockResolvedValueOnce({ rows: [] });
+
+      await resumableUploadService.finalizeKnown({ ...upload, received_size: '10' }, 'job-1');
+
+      expect(query.mock.calls[1][1]).toEqual([upload.upload_id, 'job-1']);
+      expect(await exists(upload.temp_path)).toBe(false);
+    });
+  });
+
+  describe('expireStale', () => {
+    it('should remove the partial files of expired uploads', async () => {
+      const upload = await startUpload(10);
+      query.mockResolvedValueOnce({ rows: [{ upload_id: upload.upload_id, temp_path: upload.temp_path }] });
+
+      const expired = await resumableUploadService.expireStale();
+
+      expect(expired).toBe(1);
+      expect(query.mock.calls[1][0]).toContain("status = 'expired'");
+      expect(await exists(upload.temp_path)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const songIdentificationService = require('../../services/songIdentification');
+
+// One-second chroma blocks following a chord sequence, with optional noise and transposition
+const createTimeline = (chords, { noise = 0, seed = 1, semitones = 0 } = {}) => {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+
+  return chords.map((chord, t) => {
+    const notes = chord.map(note => (note + semitones + 12) % 12);
+    const chroma = Array.from({ length: 12 }, (_, i) => Math.min(1, (notes.includes(i) ? 0.9 : 0.1) + noise * random()));
+    return { time: t, chroma, rms: 0.2 };
+  });
+};
+
+// A chord sequence of the given length, drawn from the chords with a seeded generator
+const createProgression = (chords, length, seed) => {
+  let state = seed;
+  return Array.from({ length }, () => {
+    state = (state * 16807) % 2147483647;
+    return chords[state % chords.length];
+  });
+};
+
+describe('SongIdentificationService', () => {
+  const C = [0, 4, 7];
+  const G = [7, 11, 2];
+  const Am = [9, 0, 4];
+  const F = [5, 9, 0];
+  const Dm = [2, 5, 9];
+  const E = [4, 8, 11];
+
+  const songA = createProgression([C, G, Am, F, Dm, E], 60, 3);
+  const songB = createProgression([C, G, Am, F, Dm, E], 60, 11);
+  const songs = [
+    { song_id: 'song-a', chroma_signature: songIdentificationService.createSignature(createTimeline(songA)) },
+    { song_id: 'song-b', chroma_signature: songIdentificationService.createSignature(createTimeline(songB)) }
+  ];
+
+  const recordingOf = (chords, options) => [
+    { signature: songIdentificationService.createSignature(createTimeline(chords, options)), phaseSeconds: 0 }
+  ];
+
+  describe('createSignature', () => {
+    it('should pack one 2-bit level per pitch class and mark silent blocks', () => {
+      const signature = songIdentificationService.createSignature([
+        { chroma: [1, 0, 0, 0, 0.5, 0, 0, 0.3, 0, 0, 0, 0], rms: 0.2 },
+        { chroma: new Array(12).fill(1), rms: 0 }
+      ]);
+
+      expect(signature).toEqual([3 | (2 << 8) | (1 << 14), -1]);
+    });
+
+    it('should return null for silent audio', () => {
+      const silent = createTimeline(songA.slice(0, 5)).map(block => ({ ...block, rms: 0 }));
+
+      expect(songIdentificationService.createSignature(silent)).toBeNull();
+    });
+  });
+
+  describe('index keys', () => {
+    const countShared = (keys, songKeys) => keys.filter(key => songKeys.includes(key)).length;
+
+    it('should key chord changes, not how long each chord is held', () => {
+      const held = songIdentificationService.createSignature(createTimeline([C, C, C, G, G, Am]));
+      const changed = songIdentificationService.createSignature(createTimeline([C, G, Am]));
+
+      expect(songIdentificationService.createIndexKeys(held)).toEqual(songIdentificationService.createIndexKeys(changed));
+      expect(songIdentificationService.createIndexKeys(held)).toHaveLength(2);
+      expect(songIdentificationService.createIndexKeys(
+        songIdentificationService.createSignature(createTimeline([C, C, C]))
+      )).toBeNull();
+    });
+
+    it('should share the most keys with the song the recording comes from', () => {
+      const keys = songIdentificationService.createQueryKeys(recordingOf(songA.slice(20, 32), { noise: 0.2, seed: 5 }));
+      const keysA = songIdentificationService.createIndexKeys(songs[0].chroma_signature);
+      const keysB = songIdentificationService.createIndexKeys(songs[1].chroma_signature);
+
+      expect(keys.length).toBeGreaterThan(0);
+      expect(keys.every(key => keysA.includes(key))).toBe(true);
+      expect(countShared(keys, keysA)).toBeGreaterThan(countShared(keys, keysB));
+    });
+
+    it('should look a recording in another key up in the song\'s key only when transposing', () => {
+      const recording = recordingOf(songA.slice(10, 22), { semitones: 2 });
+      const keysA = songIdentificationService.createIndexKeys(songs[0].chroma_signature);
+      const plain = songIdentificationService.createQueryKeys(recording);
+      const transposed = songIdentificationService.createQueryKeys(recording, true);
+
+      expect(countShared(plain, keysA)).toBe(0);
+      expect(songIdentificationService.changeKeys(recording[0].signature, -2).size).toBeGreaterThan(0);
+      songIdentificationService.changeKeys(recording[0].signature, -2).forEach(key => {
+        expect(transposed).toContain(key);
+        expect(keysA).toContain(key);
+      });
+    });
+  });
+
+  describe('rankMatches', () => {
+    it('should rank the song the recording comes from first, with its offset', () => {
+      const matches = songIdentificationService.rankMatches(
+        recordingOf(songA.slice(20, 32), { noise: 0.2, seed: 5 }),
+        songs
+      );
+
+      expect(matches[0]).toMatchObject({ song: songs[0], offset_seconds: 20, transposition: 0 });
+      expect(matches[0].score).toBeGreaterThan(0.8);
+      matches.slice(1).forEach(match => expect(match.score).toBeLessThan(matches[0].score));
+    });
+
+    it('should give the offset of the start of the recording for later phases', () => {
+      const [queryA] = recordingOf(songA.slice(31, 41));
+      const matches = songIdentificationService.rankMatches([{ ...queryA, phaseSeconds: 0.5 }], songs);
+
+      expect(matches[0].offset_seconds).toBe(30.5);
+    });
+
+    it('should find a recording in another key only when transposing', () => {
+      const recording = recordingOf(songA.slice(10, 22), { semitones: 2 });
+
+      const plain = songIdentificationService.rankMatches(recording, songs);
+      const transposed = songIdentificationService.rankMatches(recording, songs, { transpose: true });
+
+      expect(plain.find(match => match.song === songs[0] && match.offset_seconds === 10)).toBeUndefined();
+      expect(transposed[0]).toMatchObject({ song: songs[0], offset_seconds: 10, transposition: 2 });
+    });
+
+    it('should not match recordings that are too short or longer than the song', () => {
+      expect(songIdentificationService.rankMatches(recordingOf(songA.slice(0, 3)), songs)).toEqual([]);
+
+      const longRecording = recordingOf(songA.concat(songA));
+      expect(songIdentificationService.rankMatches(longRecording, songs)).toEqual([]);
+    });
+  });
+});
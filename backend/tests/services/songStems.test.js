@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const audioProcessingService = require('../../services/audioProcessing');
+const songStems = require('../../services/songStems');
+const wavDecoder = require('../../services/wavDecoder');
+
+describe('SongStemService', () => {
+  const originalStorageDir = audioProcessingService.stemStorageDir;
+  let storageDir;
+
+  const song = (overrides = {}) => ({
+    song_id: 'song-1',
+    duration_seconds: 2,
+    stems: { method: 'hpss', format: 'mp3', tracks: { guitar: 'job-1/guitar.mp3', backing: 'job-1/backing.mp3' } },
+    beat_grid: {
+      beats: [
+        { time: 0, beat: 1 },
+        { time: 0.5, beat: 2 },
+        { time: 1, beat: 3 },
+        { time: 1.5, beat: 4 }
+      ]
+    },
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'song-stems-'));
+    audioProcessingService.stemStorageDir = storageDir;
+    await fs.mkdir(path.join(storageDir, 'job-1'));
+    await fs.writeFile(path.join(storageDir, 'job-1', 'guitar.mp3'), 'guitar');
+    await fs.writeFile(path.join(storageDir, 'job-1', 'backing.mp3'), 'backing');
+  });
+
+  afterEach(async () => {
+    audioProcessingService.stemStorageDir = originalStorageDir;
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  describe('listStems', () => {
+    it('should list the stored stems and a click track', async () => {
+      expect(await songStems.listStems(song())).toEqual([
+        { name: 'guitar', content_type: 'audio/mpeg' },
+        { name: 'backing', content_type: 'audio/mpeg' },
+        { name: 'click', content_type: 'audio/wav' }
+      ]);
+    });
+
+    it('should skip missing files and offer no click without stems', async () => {
+      await fs.rm(path.join(storageDir, 'job-1', 'backing.mp3'));
+
+      expect((await songStems.listStems(song())).map(stem => stem.name)).toEqual(['guitar', 'click']);
+      expect(await songStems.listStems(song({ stems: null }))).toEqual([]);
+    });
+  });
+
+  describe('getStemFile', () => {
+    it('should resolve stored stems inside the storage directory only', async () => {
+      expect(await songStems.getStemFile(song(), 'guitar')).toEqual({
+        path: path.join(storageDir, 'job-1', 'guitar.mp3'),
+        contentType: 'audio/mpeg'
+      });
+      expect(await songStems.getStemFile(song(), 'vocals')).toBeNull();
+
+      const escaping = song({ stems: { tracks: { guitar: '../outside.mp3' } } });
+      expect(await songStems.getStemFile(escaping, 'guitar')).toBeNull();
+    });
+
+    it('should render the click track from the beat grid once', async () => {
+      const file = await songStems.getStemFile(song(), 'click');
+
+      expect(file.path).toBe(path.join(storageDir, 'job-1', 'click.wav'));
+      const click = wavDecoder.decode(await fs.readFile(file.path));
+      expect(click.duration).toBeCloseTo(2, 2);
+      // Silent between the clicks
+      expect(click.samples[Math.round(0.25 * click.sampleRate)]).toBe(0);
+
+      const { mtimeMs } = await fs.stat(file.path);
+      await songStems.getStemFile(song(), 'click');
+      expect((await fs.stat(file.path)).mtimeMs).toBe(mtimeMs);
+    });
+  });
+
+  describe('renderClickTrack', () => {
+    it('should place a click on every beat, higher on the downbeat', () => {
+      const samples = songStems.renderClickTrack([{ time: 0, beat: 1 }, { time: 1, beat: 2 }], 2);
+      const rate = songStems.clickSampleRate;
+      const zeroCrossings = (start) => {
+        let count = 0;
+        for (let i = start + 1; i < start + Math.round(0.02 * rate); i++) {
+          if (Math.sign(samples[i]) !== Math.sign(samples[i - 1])) count++;
+        }
+        return count;
+      };
+
+      expect(samples).toHaveLength(2 * rate);
+      expect(Math.max(...samples.slice(rate, rate + 100))).toBeGreaterThan(0.3);
+      expect(zeroCrossings(0)).toBeGreaterThan(zeroCrossings(rate));
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const songStructure = require('../../services/songStructure');
+
+// Triad chroma with a little energy on every other pitch class
+const triad = (root, minor = false) => {
+  const chroma = new Array(12).fill(0.05);
+  [0, minor ? 3 : 4, 7].forEach(interval => {
+    chroma[(root + interval) % 12] = 1;
+  });
+  return chroma;
+};
+
+const C = triad(0);
+const F = triad(5);
+const G = triad(7);
+const D = triad(2);
+const Am = triad(9, true);
+const Em = triad(4, true);
+const Bm = triad(11, true);
+const Bb = triad(10);
+const Dm = triad(2, true);
+
+// Two-second bars, each covered by two one-second chroma blocks
+const buildSong = (sections) => {
+  const timeline = [];
+  const bars = [];
+
+  sections.forEach(({ chords, rms }) => {
+    chords.forEach(chroma => {
+      const start = bars.length * 2;
+      bars.push({ bar: bars.length + 1, start_time: start, end_time: start + 2 });
+      timeline.push({ time: start, chroma, rms }, { time: start + 1, chroma, rms });
+    });
+  });
+
+  return { timeline, bars, duration: bars.length * 2 };
+};
+
+const summarize = (sections) => sections.map(section => `${section.name} ${section.start_bar}-${section.end_bar}`);
+
+describe('SongStructureService', () => {
+  describe('analyzeStructure', () => {
+    const verse = { chords: [C, G, Am, F, C, G, Am, F], rms: 0.5 };
+    const chorus = { chords: [F, C, G, G, F, C, G, Em], rms: 0.9 };
+    const bridge = { chords: [Dm, Dm, Bb, Bb], rms: 0.6 };
+
+    it('should find and label the sections of a verse/chorus song', () => {
+      const intro = { chords: [Am, Am, F, F], rms: 0.3 };
+      const outro = { chords: [C, C, C, C], rms: 0.3 };
+      const { timeline, bars, duration } = buildSong([intro, verse, chorus, verse, chorus, bridge, chorus, outro]);
+
+      const sections = songStructure.analyzeStructure(timeline, 1, bars, duration);
+
+      expect(summarize(sections)).toEqual([
+        'Intro 1-4', 'Verse 1 5-12', 'Chorus 1 13-20', 'Verse 2 21-28',
+        'Chorus 2 29-36', 'Bridge 37-40', 'Chorus 3 41-48', 'Outro 49-52'
+      ]);
+      expect(sections[2]).toMatchObject({ label: 'chorus', start_time: 24, end_time: 40, same_as: [4, 6] });
+      expect(sections[1].group).toBe(sections[3].group);
+      expect(sections[1].group).not.toBe(sections[2].group);
+    });
+
+    it('should label the same music at both ends as intro and outro', () => {
+      const ends = { chords: [Em, Em, Em, Em], rms: 0.3 };
+      const otherVerse = { chords: [Em, D, C, D, Em, D, C, Bm], rms: 0.5 };
+      const { timeline, bars, duration } = buildSong([ends, otherVerse, chorus, otherVerse, chorus, bridge, chorus, ends]);
+
+      const sections = songStructure.analyzeStructure(timeline, 1, bars, duration);
+
+      expect(sections[0]).toMatchObject({ label: 'intro', same_as: [7] });
+      expect(sections[7]).toMatchObject({ label: 'outro', same_as: [0] });
+      expect(sections.map(section => section.label)).toEqual([
+        'intro', 'verse', 'chorus', 'verse', 'chorus', 'bridge', 'chorus', 'outro'
+      ]);
+    });
+
+    it('should join a verse of two different phrases into one section', () => {
+      const twoPhraseVerse = { chords: [C, C, Am, Am, Dm, Dm, G, G], rms: 0.5 };
+      const { timeline, bars, duration } = buildSong([twoPhraseVerse, chorus, twoPhraseVerse, chorus]);
+
+      const sections = songStructure.analyzeStructure(timeline, 1, bars, duration);
+
+      expect(summarize(sections)).toEqual(['Verse 1 1-8', 'Chorus 1 9-16', 'Verse 2 17-24', 'Chorus 2 25-32']);
+    });
+
+    it('should fall back to fixed-length units without a beat grid', () => {
+      const { timeline, duration } = buildSong([verse, chorus, verse, chorus]);
+
+      const sections = songStructure.analyzeStructure(timeline, 1, [], duration);
+
+      expect(sections.map(section => section.label)).toEqual(['verse', 'chorus', 'verse', 'chorus']);
+      expect(sections[1]).toMatchObject({ start_time: 16, end_time: 32, start_bar: null });
+    });
+
+    it('should return a single section for short audio and nothing for no audio', () => {
+      const { timeline, bars, duration } = buildSong([{ chords: [C, G, C, G], rms: 0.5 }]);
+
+      expect(songStructure.analyzeStructure(timeline, 1, bars, duration)).toEqual([
+        expect.objectContaining({ label: 'verse', start_time: 0, end_time: 8, same_as: [] })
+      ]);
+      expect(songStructure.analyzeStructure([], 1, [], 0)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const spacedRepetitionService = require('../../services/spacedRepetition');
+
+describe('SpacedRepetitionService', () => {
+  describe('review', () => {
+    it('should stretch the interval of a remembered item by its ease', () => {
+      const first = spacedRepetitionService.review({}, 90, '2024-03-01');
+      expect(first).toMatchObject({ interval_days: 1, repetitions: 1, due_date: '2024-03-02', grade: 4 });
+
+      const second = spacedRepetitionService.review(first, 90, '2024-03-02');
+      expect(second).toMatchObject({ interval_days: 6, repetitions: 2, due_date: '2024-03-08' });
+
+      const third = spacedRepetitionService.review(second, 100, '2024-03-08');
+      expect(third.interval_days).toBe(Math.round(6 * second.ease_factor));
+      expect(third.ease_factor).toBeCloseTo(second.ease_factor + 0.1);
+    });
+
+    it('should bring a failed item back tomorrow with a lower ease', () => {
+      const item = { ease_factor: '2.50', interval_days: 15, repetitions: 3, lapses: 0, due_date: '2024-03-01' };
+      const schedule = spacedRepetitionService.review(item, 40, '2024-03-01');
+
+      expect(schedule).toMatchObject({ interval_days: 1, repetitions: 0, lapses: 1, due_date: '2024-03-02' });
+      expect(schedule.ease_factor).toBeCloseTo(2.3);
+    });
+
+    it('should keep the ease above its minimum', () => {
+      const schedule = spacedRepetitionService.review({ ease_factor: 1.35 }, 0, '2024-03-01');
+      expect(schedule.ease_factor).toBe(spacedRepetitionService.minEase);
+    });
+
+    it('should not move an item practised before it is due', () => {
+      const item = { ease_factor: 2.5, interval_days: 6, repetitions: 2, lapses: 0, due_date: '2024-03-08' };
+      const schedule = spacedRepetitionService.review(item, 100, '2024-03-04');
+
+      expect(schedule).toMatchObject({ interval_days: 6, repetitions: 2, due_date: '2024-03-08', last_score: 100 });
+    });
+  });
+
+  describe('collectReviews', () => {
+    const song = {
+      song_id: 'song-1',
+      title: 'Song',
+      sections: [
+        { id: 0, name: 'verse', label: 'verse', group: 'A', start_time: 0, end_time: 10 },
+        { id: 1, name: 'chorus', label: 'chorus', group: 'B', start_time: 10, end_time: 20 },
+        { id: 2, name: 'verse', label: 'verse', group: 'A', start_time: 20, end_time: 30 }
+      ]
+    };
+
+    it('should grade chords, techniques and sections of a session', () => {
+      const session = {
+        chord_accuracy: { C: 80, G: { accuracy: 50 } },
+        section_accuracy: { chorus: 60 },
+        overall_accuracy: '72.50',
+        focus_techniques: ['strumming', 'chord_changes']
+      };
+      const reviews = spacedRepetitionService.collectReviews(session, [], song);
+
+      expect(reviews).toEqual(expect.arrayContaining([
+        expect.objectContaining({ item_type: 'chord', item_key: 'C', score: 80 }),
+        expect.objectContaining({ item_type: 'chord', item_key: 'G', score: 50 }),
+        expect.objectContaining({ item_type: 'technique', item_key: 'chord_changes', label: 'Chord changes', score: 72.5 }),
+        expect.objectContaining({ item_type: 'section', item_key: 'song-1:B', song_id: 'song-1', score: 60 })
+      ]));
+      expect(reviews).toHaveLength(5);
+    });
+
+    it('should fall back to the analysed chords and group repeated sections', () => {
+      const analyses = [{
+        timing_data: {
+          chords: [
+            { chord: 'C', start_time: 1, status: 'correct' },
+            { chord: 'G', start_time: 5, status: 'wrong_chord' },
+            { chord: 'C', start_time: 22, status: 'correct' }
+          ]
+        }
+      }];
+      const reviews = spacedRepetitionService.collectReviews({ chord_accuracy: {} }, analyses, song);
+
+      expect(reviews).toEqual([
+        expect.objectContaining({ item_type: 'chord', item_key: 'C', score: 100 }),
+        expect.objectContaining({ item_type: 'chord', item_key: 'G', score: 0 }),
+        expect.objectContaining({ item_type: 'section', item_key: 'song-1:A', label: 'Song – Verse', score: 66.67 })
+      ]);
+    });
+  });
+
+  describe('buildPlan', () => {
+    const items = [
+      { item_id: 'a', item_type: 'chord', label: 'C', ease_factor: '2.50', interval_days: 10, due_date: '2024-03-09', last_score: '90.00' },
+      { item_id: 'b', item_type: 'section', label: 'Song – Chorus', ease_factor: '1.80', interval_days: 1, due_date: '2024-03-09', last_score: '40.00' },
+      { item_id: 'c', item_type: 'technique', label: 'Strumming', ease_factor: '2.20', interval_days: 6, due_date: '2024-03-10', last_score: null }
+    ];
+
+    it('should put the most overdue items first', () => {
+      const plan = spacedRepetitionService.buildPlan(items, '2024-03-10');
+
+      expect(plan.items.map(item => item.item_id)).toEqual(['b', 'a', 'c']);
+      expect(plan.items[0]).toMatchObject({ overdue_days: 1, estimated_minutes: 5, ease_factor: 1.8, last_score: 40 });
+      expect(plan).toMatchObject({ date: '2024-03-10', total_minutes: 13, due_count: 3 });
+    });
+
+    it('should stop when the minutes are used', () => {
+      const plan = spacedRepetitionService.buildPlan(items, '2024-03-10', 5);
+
+      expect(plan.items.map(item => item.item_id)).toEqual(['b']);
+      expect(plan.total_minutes).toBe(5);
+      expect(plan.due_count).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const stemSeparation = require('../../services/stemSeparation');
+const wavDecoder = require('../../services/wavDecoder');
+
+const sampleRate = 22050;
+
+const tone = (frequency, seconds, amplitude = 0.3) => {
+  const samples = new Float32Array(Math.round(seconds * sampleRate));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+  }
+  return samples;
+};
+
+// Short decaying noise bursts, like a hi-hat, every quarter second
+const clicks = (seconds) => {
+  const samples = new Float32Array(Math.round(seconds * sampleRate));
+  let seed = 1;
+  for (let start = 0; start < samples.length; start += sampleRate / 4) {
+    for (let i = 0; i < 200 && start + i < samples.length; i++) {
+      seed = (seed * 16807) % 2147483647;
+      samples[start + i] = (seed / 2147483647 - 0.5) * Math.exp(-i / 40);
+    }
+  }
+  return samples;
+};
+
+const mix = (...signals) => signals[0].map((_, i) => signals.reduce((sum, signal) => sum + signal[i], 0));
+
+// Energy of the part of a stem that correlates with a reference signal
+const projection = (stem, reference) => {
+  let dot = 0;
+  let norm = 0;
+  for (let i = 0; i < reference.length; i++) {
+    dot += stem[i] * reference[i];
+    norm += reference[i] * reference[i];
+  }
+  return dot / norm;
+};
+
+describe('StemSeparationService', () => {
+  describe('separate', () => {
+    it('should return stems that add up to the input', () => {
+      const input = mix(tone(196, 1), tone(55, 1), clicks(1));
+
+      const { guitar, backing } = stemSeparation.separate(input, sampleRate);
+
+      expect(guitar).toHaveLength(input.length);
+      expect(backing).toHaveLength(input.length);
+      const maxError = input.reduce((max, value, i) => Math.max(max, Math.abs(guitar[i] + backing[i] - value)), 0);
+      expect(maxError).toBeLessThan(1e-6);
+    });
+
+    it('should reconstruct the signal when no bin is masked', () => {
+      const input = mix(tone(330, 0.5), clicks(0.5));
+      const frameCount = Math.ceil((input.length + stemSeparation.frameSize) / stemSeparation.hopSize) + 1;
+
+      const output = stemSeparation.istft(stemSeparation.stft(input, frameCount), frameCount, input.length);
+
+      const maxError = input.reduce((max, value, i) => Math.max(max, Math.abs(output[i] - value)), 0);
+      expect(maxError).toBeLessThan(1e-4);
+    });
+
+    it('should keep sustained notes in the guitar stem and move bass and drums to the backing stem', () => {
+      const guitarNote = tone(247, 2);
+      const bassNote = tone(55, 2);
+      const drums = clicks(2);
+
+      const { guitar, backing } = stemSeparation.separate(mix(guitarNote, bassNote, drums), sampleRate);
+
+      expect(projection(guitar, guitarNote)).toBeGreaterThan(0.8);
+      expect(projection(backing, bassNote)).toBeGreaterThan(0.8);
+      expect(projection(backing, drums)).toBeGreaterThan(projection(guitar, drums));
+    });
+
+    it('should handle empty and very short input', () => {
+      expect(stemSeparation.separate(new Float32Array(0), sampleRate).guitar).toHaveLength(0);
+      expect(stemSeparation.separate(tone(196, 0.01), sampleRate).backing).toHaveLength(221);
+    });
+  });
+
+  describe('createStemWriter', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stems-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should append windows into one WAV file per stem', async () => {
+      const writer = await stemSeparation.createStemWriter(tempDir, sampleRate);
+      await writer.append({ guitar: new Float32Array([0.5, -0.5]), backing: new Float32Array([0.25, 0]) });
+      await writer.append({ guitar: new Float32Array([1]), backing: new Float32Array([-1]) });
+
+      const paths = await writer.finish();
+
+      expect(Object.keys(paths)).toEqual(['guitar', 'backing']);
+      const guitar = wavDecoder.decode(await fs.readFile(paths.guitar));
+      expect(guitar.sampleRate).toBe(sampleRate);
+      expect(guitar.channels).toBe(1);
+      expect(Array.from(guitar.samples).map(value => Math.round(value * 100) / 100)).toEqual([0.5, -0.5, 1]);
+      const backing = wavDecoder.decode(await fs.readFile(paths.backing));
+      expect(Array.from(backing.samples).map(value => Math.round(value * 100) / 100)).toEqual([0.25, 0, -1]);
+    });
+
+    it('should remove the stem files when discarded', async () => {
+      const writer = await stemSeparation.createStemWriter(tempDir, sampleRate);
+      await writer.append({ guitar: new Float32Array([0.5]), backing: new Float32Array([0.5]) });
+
+      await writer.discard();
+
+      expect(writer.discarded).toBe(true);
+      expect(await fs.readdir(tempDir)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const stringDiagnosisService = require('../../services/stringDiagnosis');
+
+// Chroma with the given pitch classes at the given levels
+const chromaOf = (levels) => {
+  const chroma = new Array(12).fill(0.05);
+  Object.entries(levels).forEach(([pitchClass, level]) => {
+    chroma[pitchClass] = level;
+  });
+  return chroma;
+};
+
+// A second of plucked strings (MIDI notes) with ten harmonics each over a little noise.
+// The buzzing note is modulated with slow noise, which spreads noise around its partials.
+const sampleRate = 44100;
+const strum = (notes, { buzzing = null } = {}) => {
+  let state = 7;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 * 2 - 1;
+  };
+  const samples = new Float32Array(sampleRate);
+  let rattle = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / sampleRate;
+    rattle += (random() - rattle) * 0.005;
+    let value = 0;
+    notes.forEach(midi => {
+      const frequency = 440 * Math.pow(2, (midi - 69) / 12);
+      let tone = 0;
+      for (let h = 1; h <= 10; h++) {
+        tone += Math.sin(2 * Math.PI * h * frequency * t) / h;
+      }
+      value += midi === buzzing ? tone * (1 + 60 * rattle) : tone;
+    });
+    samples[i] = value * 0.05 + random() * 0.0005;
+  }
+  return samples;
+};
+
+// C major as voiced: C3 on the A string, E3 on the D, open G3, C4 on the B, open high E4
+const C = [48, 52, 55, 60, 64];
+
+describe('StringDiagnosisService', () => {
+  describe('getVoicing', () => {
+    it('should number strings as tablature does, high E first', () => {
+      const voicing = stringDiagnosisService.getVoicing('C');
+
+      expect(voicing.map(string => [string.string, string.fret, string.pitch_class])).toEqual([
+        [5, null, null],
+        [4, 3, 0],
+        [3, 2, 4],
+        [2, 0, 7],
+        [1, 1, 0],
+        [0, 0, 4]
+      ]);
+    });
+  });
+
+  describe('checkChroma', () => {
+    it('should find nothing wrong with a clean chord', () => {
+      expect(stringDiagnosisService.checkChroma(chromaOf({ 0: 1, 4: 0.8, 7: 0.7 }), 'C')).toEqual({ strings: [], extra_notes: [] });
+    });
+
+    it('should report the strings of a missing note', () => {
+      const { strings } = stringDiagnosisService.checkChroma(chromaOf({ 0: 1, 7: 0.7 }), 'C');
+
+      expect(strings).toEqual([
+        { string: 3, fret: 2, expected: 'E', status: 'missing', heard: null },
+        { string: 0, fret: 0, expected: 'E', status: 'missing', heard: null }
+      ]);
+    });
+
+    it('should report a note fretted a semitone off as a wrong note', () => {
+      const diagnosis = stringDiagnosisService.checkChroma(chromaOf({ 0: 1, 3: 0.8, 7: 0.7 }), 'C');
+
+      expect(diagnosis.strings[0]).toMatchObject({ string: 3, status: 'wrong_note', heard: 'D#' });
+      expect(diagnosis.extra_notes).toEqual(['D#']);
+    });
+
+    it('should report an open string that should be muted', () => {
+      // D is played without the low E, which rings here
+      const { strings } = stringDiagnosisService.checkChroma(chromaOf({ 2: 1, 6: 0.8, 9: 0.7, 4: 0.9 }), 'D');
+
+      expect(strings).toEqual([{ string: 5, fret: null, status: 'not_muted', heard: 'E' }]);
+    });
+  });
+
+  describe('checkSpectrum', () => {
+    it('should find nothing wrong with a clean chord', () => {
+      expect(stringDiagnosisService.checkSpectrum(strum(C), sampleRate, 'C')).toEqual({ strings: [], extra_notes: [] });
+    });
+
+    it('should find a dead string', () => {
+      const { strings } = stringDiagnosisService.checkSpectrum(strum([48, 55, 60, 64]), sampleRate, 'C');
+
+      expect(strings).toEqual([{ string: 3, fret: 2, expected: 'E3', status: 'muted', heard: null }]);
+    });
+
+    it('should find a buzzing string', () => {
+      const { strings } = stringDiagnosisService.checkSpectrum(strum(C, { buzzing: 48 }), sampleRate, 'C');
+
+      expect(strings).toEqual([expect.objectContaining({ string: 4, fret: 3, status: 'buzzing' })]);
+    });
+
+    it('should find a fret played on the neighbouring string', () => {
+      // The D string's second fret lands on the G string: A3 instead of E3 and G3
+      const { strings } = stringDiagnosisService.checkSpectrum(strum([48, 57, 60, 64]), sampleRate, 'C');
+
+      expect(strings).toContainEqual({ string: 3, fret: 2, expected: 'E3', status: 'wrong_string', heard: 'A3', played_string: 2 });
+    });
+
+    it('should find an open string that should be muted, and stray notes', () => {
+      const ringing = stringDiagnosisService.checkSpectrum(strum([40, 50, 57, 62, 66]), sampleRate, 'D');
+      expect(ringing).toEqual({ strings: [{ string: 5, fret: null, status: 'not_muted', heard: 'E2' }], extra_notes: [] });
+
+      const stray = stringDiagnosisService.checkSpectrum(strum([...C, 54]), sampleRate, 'C');
+      expect(stray).toEqual({ strings: [], extra_notes: ['F#3'] });
+    });
+  });
+});
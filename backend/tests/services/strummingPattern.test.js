@@ -0,0 +1,60 @@
+const strummingPatternService = require('../../services/strummingPattern');
+
+// 4/4 grid at 120 BPM: half-second beats, two-second bars
+const buildGrid = (barCount) => {
+  const beats = [];
+  const bars = [];
+  for (let bar = 1; bar <= barCount; bar++) {
+    const start = (bar - 1) * 2;
+    bars.push({ bar, start_time: start, end_time: start + 2 });
+    for (let beat = 1; beat <= 4; beat++) {
+      beats.push({ time: start + (beat - 1) * 0.5, bar, beat, accent: beat === 1 ? 1 : 0.5 });
+    }
+  }
+  return { bpm: 120, time_signature: '4/4', beats_per_bar: 4, beats, bars };
+};
+
+// Onsets at positions given in beats from the start of a bar, with a little timing jitter
+const buildOnsets = (barStart, positions, overrides = {}) => positions.map((position, i) => ({
+  time: barStart + (position - 1) * 0.5 + (i % 2 ? 0.012 : -0.008),
+  strength: 0.5,
+  decay: 0.6,
+  ...overrides[position]
+}));
+
+describe('StrummingPatternService', () => {
+  describe('extractPatterns', () => {
+    it('should describe an eighth-note bar as down and up strokes with accents and muted hits', () => {
+      // The classic D - D U - U D U, accent on beat 1 and a muted strum on the "and" of 3
+      const onsets = buildOnsets(0, [1, 2, 2.5, 3.5, 4, 4.5], {
+        1: { strength: 1 },
+        3.5: { decay: 0.05 }
+      });
+
+      const [bar] = strummingPatternService.extractPatterns(onsets, buildGrid(1), [{ chord: 'G', start_time: 0, duration: 2 }]);
+
+      expect(bar).toMatchObject({ bar: 1, chord: 'G', subdivision: 'eighth', pattern: 'D-DU-XDU' });
+      expect(bar.strokes.map(stroke => stroke.position)).toEqual([1, 2, 2.5, 3.5, 4, 4.5]);
+      expect(bar.strokes.map(stroke => stroke.direction)).toEqual(['down', 'down', 'up', 'up', 'down', 'up']);
+      expect(bar.strokes.filter(stroke => stroke.accent).map(stroke => stroke.position)).toEqual([1]);
+      expect(bar.strokes.filter(stroke => stroke.muted).map(stroke => stroke.position)).toEqual([3.5]);
+    });
+
+    it('should switch to a sixteenth-note grid when strums fall between the eighths', () => {
+      const onsets = buildOnsets(2, [1, 1.5, 1.75, 2, 3, 3.25, 3.5, 4]);
+
+      const [bar] = strummingPatternService.extractPatterns(onsets, buildGrid(2), []);
+
+      expect(bar).toMatchObject({ bar: 2, chord: null, subdivision: 'sixteenth' });
+      expect(bar.pattern).toBe('D-DUD---DUD-D---');
+    });
+
+    it('should leave out bars without strums and handle a missing grid', () => {
+      const patterns = strummingPatternService.extractPatterns(buildOnsets(0, [1, 3]), buildGrid(3), []);
+
+      expect(patterns.map(bar => bar.bar)).toEqual([1]);
+      expect(strummingPatternService.extractPatterns([], buildGrid(1))).toEqual([]);
+      expect(strummingPatternService.extractPatterns(buildOnsets(0, [1]), { beats: [], bars: [] })).toEqual([]);
+    });
+  });
+});
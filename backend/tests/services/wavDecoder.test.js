@@ -0,0 +1,113 @@
+const wavDecoder = require('../../services/wavDecoder');
+
+// Build a RIFF/WAVE buffer from interleaved sample values in [-1, 1]
+const buildWav = ({ samples, channels = 1, sampleRate = 44100, bitsPerSample = 16, float = false, extensible = false, extraChunks = [] }) => {
+  const bytesPerSample = bitsPerSample / 8;
+  const data = Buffer.alloc(samples.length * bytesPerSample);
+  samples.forEach((value, i) => {
+    const offset = i * bytesPerSample;
+    if (float) {
+      data.writeFloatLE(value, offset);
+    } else if (bitsPerSample === 8) {
+      data.writeUInt8(Math.round(value * 127) + 128, offset);
+    } else {
+      const max = 2 ** (bitsPerSample - 1) - 1;
+      data.writeIntLE(Math.round(value * max), offset, bytesPerSample);
+    }
+  });
+
+  const fmt = Buffer.alloc(extensible ? 40 : 16);
+  fmt.writeUInt16LE(extensible ? 0xfffe : (float ? 3 : 1), 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * channels * bytesPerSample, 8);
+  fmt.writeUInt16LE(channels * bytesPerSample, 12);
+  fmt.writeUInt16LE(bitsPerSample, 14);
+  if (extensible) {
+    fmt.writeUInt16LE(22, 16);
+    fmt.writeUInt16LE(bitsPerSample, 18);
+    fmt.writeUInt16LE(float ? 3 : 1, 24);
+  }
+
+  const chunk = (id, body) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(body.length, 4);
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+  };
+
+  const body = Buffer.concat([
+    Buffer.from('WAVE', 'ascii'),
+    chunk('fmt ', fmt),
+    ...extraChunks.map(([id, content]) => chunk(id, content)),
+    chunk('data', data)
+  ]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+};
+
+describe('WavDecoderService', () => {
+  it('should decode 16-bit mono PCM', () => {
+    const decoded = wavDecoder.decode(buildWav({ samples: [0, 0.5, -0.5, 1] }));
+
+    expect(decoded).toMatchObject({ sampleRate: 44100, channels: 1, bitDepth: 16, format: 'pcm' });
+    expect(Array.from(decoded.samples).map(v => Number(v.toFixed(3)))).toEqual([0, 0.5, -0.5, 1]);
+  });
+
+  it('should downmix stereo to mono', () => {
+    const decoded = wavDecoder.decode(buildWav({ samples: [0.5, -0.5, 1, 0], channels: 2 }));
+
+    expect(decoded.samples).toHaveLength(2);
+    expect(decoded.samples[0]).toBeCloseTo(0, 4);
+    expect(decoded.samples[1]).toBeCloseTo(0.5, 4);
+  });
+
+  it('should skip extra chunks, including odd-sized ones, before the data', () => {
+    const buffer = buildWav({
+      samples: [0.25, -0.25],
+      bitsPerSample: 24,
+      extraChunks: [['LIST', Buffer.from('INFOISFT', 'ascii')], ['fact', Buffer.alloc(5)]]
+    });
+
+    const decoded = wavDecoder.decode(buffer);
+
+    expect(decoded.bitDepth).toBe(24);
+    expect(decoded.samples[0]).toBeCloseTo(0.25, 5);
+    expect(decoded.samples[1]).toBeCloseTo(-0.25, 5);
+  });
+
+  it('should decode 32-bit float and extensible files', () => {
+    const float = wavDecoder.decode(buildWav({ samples: [0.125, -0.75], bitsPerSample: 32, float: true }));
+    const extensible = wavDecoder.decode(buildWav({ samples: [0.125, -0.75], bitsPerSample: 32, float: true, extensible: true }));
+    const pcm8 = wavDecoder.decode(buildWav({ samples: [0, 1], bitsPerSample: 8 }));
+
+    expect(float.format).toBe('float');
+    expect(Array.from(float.samples)).toEqual([0.125, -0.75]);
+    expect(Array.from(extensible.samples)).toEqual([0.125, -0.75]);
+    expect(pcm8.samples[1]).toBeCloseTo(1, 1);
+  });
+
+  it('should resample to the requested rate', () => {
+    const samples = Array.from({ length: 22050 }, (_, i) => Math.sin(2 * Math.PI * 440 * i / 22050));
+
+    const up = wavDecoder.decode(buildWav({ samples, sampleRate: 22050 }), { sampleRate: 44100 });
+    const down = wavDecoder.decode(buildWav({ samples, sampleRate: 22050 }), { sampleRate: 11025 });
+
+    expect(up.sampleRate).toBe(44100);
+    expect(up.samples).toHaveLength(44100);
+    expect(up.duration).toBeCloseTo(1, 5);
+    expect(down.samples).toHaveLength(11025);
+    // Upsampled signal still follows the original sine
+    expect(up.samples[101]).toBeCloseTo(Math.sin(2 * Math.PI * 440 * 101 / 44100), 2);
+  });
+
+  it('should reject files that are not supported WAVs', () => {
+    expect(() => wavDecoder.decode(Buffer.from('ID3 not a wav file'))).toThrow('Not a RIFF/WAVE file');
+
+    const adpcm = buildWav({ samples: [0, 0] });
+    adpcm.writeUInt16LE(2, 20);
+    expect(() => wavDecoder.decode(adpcm)).toThrow('Unsupported WAV format tag 0x2');
+  });
+});
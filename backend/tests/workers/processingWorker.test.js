@@ -0,0 +1,206 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  pool: { end: jest.fn() }
+}));
+jest.mock('../../services/jobQueue', () => ({
+  getWorkerId: jest.fn(),
+  claimNext: jest.fn(),
+  heartbeat: jest.fn(),
+  complete: jest.fn(),
+  fail: jest.fn(),
+  markCancelled: jest.fn(),
+  recoverStalled: jest.fn()
+}));
+jest.mock('../../services/audioProcessing', () => ({
+  analysisVersion: 1,
+  processAudioFile: jest.fn(),
+  processSourceUrl: jest.fn(),
+  fingerprintAudioFile: jest.fn()
+}));
+jest.mock('../../services/songService', () => ({
+  saveSongFromResults: jest.fn(),
+  addRevisionFromResults: jest.fn(),
+  getSongByContentHash: jest.fn(),
+  findSongByFingerprint: jest.fn(),
+  toProcessingSummary: jest.fn()
+}));
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const jobQueue = require('../../services/jobQueue');
+const audioProcessingService = require('../../services/audioProcessing');
+const songService = require('../../services/songService');
+const ProcessingWorker = require('../../workers/processingWorker');
+
+const createUpload = async () => {
+  const filePath = path.join(os.tmpdir(), `upload-${process.pid}-${Date.now()}.mp3`);
+  await fs.writeFile(filePath, 'audio');
+  return filePath;
+};
+
+const exists = (filePath) => fs.access(filePath).then(() => true, () => false);
+
+describe('ProcessingWorker', () => {
+  const worker = new ProcessingWorker({ workerId: 'test-worker', heartbeatIntervalMs: 60000 });
+
+  beforeEach(() => {
+    audioProcessingService.fingerprintAudioFile.mockResolvedValue({ fingerprint: [1, 2, 3], duration: 180 });
+    songService.getSongByContentHash.mockResolvedValue(null);
+    songService.findSongByFingerprint.mockResolvedValue(null);
+  });
+
+  describe('runJob', () => {
+    it('should process an upload, store the song and complete the job', async () => {
+      const filePath = await createUpload();
+      const job = { job_id: 'job-1', attempts: 1, source_type: 'upload', source: { file_path: filePath, original_name: 'song.mp3' } };
+      audioProcessingService.processAudioFile.mockResolvedValue({ job_id: 'job-1', status: 'completed', chords: [] });
+      songService.saveSongFromResults.mockResolvedValue({ song_id: 'song-1' });
+      jobQueue.complete.mockResolvedValue({});
+
+      await worker.runJob(job);
+
+      expect(audioProcessingService.processAudioFile).toHaveBeenCalledWith(
+        filePath,
+        'song.mp3',
+        {},
+        { jobId: 'job-1', signal: expect.any(AbortSignal) }
+      );
+      expect(jobQueue.complete).toHaveBeenCalledWith(
+        'job-1',
+        expect.objectContaining({ results: expect.objectContaining({ song_id: 'song-1', processing_completed: true }) }),
+        'song-1',
+        { deduplicated: false }
+      );
+      expect(songService.saveSongFromResults).toHaveBeenCalledWith(
+        expect.any(Object),
+        { content_hash: undefined, audio_fingerprint: [1, 2, 3] },
+        { jobId: 'job-1' }
+      );
+      expect(await exists(filePath)).toBe(false);
+    });
+
+    it('should keep the upload for the retry when a failed job is requeued', async () => {
+      const filePath = await createUpload();
+      const job = { job_id: 'job-2', attempts: 1, source_type: 'upload', source: { file_path: filePath, original_name: 'song.mp3' } };
+      const error = new Error('ffmpeg exited with code 1');
+      audioProcessingService.processAudioFile.mockRejectedValue(error);
+      jobQueue.fail.mockResolvedValue({ status: 'queued' });
+
+      await worker.runJob(job);
+
+      expect(jobQueue.fail).toHaveBeenCalledWith(job, error);
+      expect(jobQueue.complete).not.toHaveBeenCalled();
+      expect(await exists(filePath)).toBe(true);
+
+      jobQueue.fail.mockResolvedValue({ status: 'failed' });
+      await worker.runJob(job);
+      expect(await exists(filePath)).toBe(false);
+    });
+
+    it('should still complete the job when the song cannot be stored', async () => {
+      const job = { job_id: 'job-3', attempts: 1, source_type: 'youtube', youtube_id: 'dQw4w9WgXcQ', source: { youtube_url: 'https://youtu.be/dQw4w9WgXcQ' } };
+      audioProcessingService.processSourceUrl.mockResolvedValue({ job_id: 'job-3', status: 'completed' });
+      songService.saveSongFromResults.mockRejectedValue(new Error('connection refused'));
+
+      await worker.runJob(job);
+
+      expect(songService.saveSongFromResults).toHaveBeenCalledWith(
+        expect.any(Object),
+        { youtube_id: 'dQw4w9WgXcQ' },
+        { jobId: 'job-3' }
+      );
+      expect(jobQueue.complete).toHaveBeenCalledWith(
+        'job-3',
+        expect.objectContaining({ results: expect.objectContaining({ database_storage_failed: true }) }),
+        null,
+        { deduplicated: false }
+      );
+    });
+
+    it('should answer a re-encoded copy of an analysed song without analysing it', async () => {
+      const filePath = await createUpload();
+      const job = { job_id: 'job-6', attempts: 1, source_type: 'upload', source: { file_path: filePath, original_name: 'song.ogg', content_hash: 'abc' } };
+      songService.findSongByFingerprint.mockResolvedValue({ song_id: 'song-6' });
+      songService.toProcessingSummary.mockReturnValue({ song_id: 'song-6', processing_completed: true });
+
+      await worker.runJob(job);
+
+      expect(songService.getSongByContentHash).toHaveBeenCalledWith('abc', 1);
+      expect(songService.findSongByFingerprint).toHaveBeenCalledWith([1, 2, 3], 180, 1);
+      expect(audioProcessingService.processAudioFile).not.toHaveBeenCalled();
+      expect(jobQueue.complete).toHaveBeenCalledWith(
+        'job-6',
+        expect.objectContaining({ message: 'Song already processed', results: { song_id: 'song-6', processing_completed: true } }),
+        'song-6',
+        { deduplicated: true }
+      );
+      expect(await exists(filePath)).toBe(false);
+    });
+
+    it('should abort a job whose cancel was requested and not retry it', async () => {
+      const filePath = await createUpload();
+      const job = { job_id: 'job-5', attempts: 1, source_type: 'upload', source: { file_path: filePath, original_name: 'song.mp3' } };
+      const cancellingWorker = new ProcessingWorker({ workerId: 'test-worker', heartbeatIntervalMs: 5 });
+      jobQueue.heartbeat.mockResolvedValue(true);
+      audioProcessingService.processAudioFile.mockImplementation((file, name, prefs, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('Job cancelled'), { code: 'JOB_CANCELLED' })));
+      }));
+      jobQueue.markCancelled.mockResolvedValue({ status: 'cancelled' });
+
+      await cancellingWorker.runJob(job);
+
+      expect(jobQueue.markCancelled).toHaveBeenCalledWith('job-5');
+      expect(jobQueue.fail).not.toHaveBeenCalled();
+      expect(await exists(filePath)).toBe(false);
+    });
+  });
+
+  describe('reanalyseSong', () => {
+    it('should store the new analysis as a revision of the song', async () => {
+      const job = {
+        job_id: 'job-7',
+        batch_id: 'batch-1',
+        source_type: 'reanalysis',
+        source: { song_id: 'song-7', youtube_url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', auto_promote: false }
+      };
+      audioProcessingService.processSourceUrl.mockResolvedValue({ job_id: 'job-7', analysis_version: 2 });
+      songService.addRevisionFromResults.mockResolvedValue({ revision_id: 'rev-2', revision_number: 2, analysis_version: 2 });
+
+      const { results, songId } = await worker.processJob(job);
+
+      expect(songService.addRevisionFromResults).toHaveBeenCalledWith(
+        'song-7',
+        { job_id: 'job-7', analysis_version: 2 },
+        { jobId: 'job-7', batchId: 'batch-1', promote: false }
+      );
+      expect(songService.saveSongFromResults).not.toHaveBeenCalled();
+      expect(results).toMatchObject({ revision_id: 'rev-2', revision_number: 2, promoted: false });
+      expect(songId).toBe('song-7');
+    });
+  });
+
+  describe('processJob', () => {
+    it('should process audio from a URL through its source provider', async () => {
+      const job = { job_id: 'job-8', source_type: 'url', source: { url: 'https://example.com/song.mp3', provider: 'http' } };
+      const results = { job_id: 'job-8', metadata: { provider: 'http', source_id: 'https://example.com/song.mp3' } };
+      audioProcessingService.processSourceUrl.mockResolvedValue(results);
+      songService.saveSongFromResults.mockResolvedValue({ song_id: 'song-8' });
+
+      const { songId } = await worker.processJob(job);
+
+      expect(audioProcessingService.processSourceUrl).toHaveBeenCalledWith(
+        'https://example.com/song.mp3',
+        {},
+        expect.objectContaining({ jobId: 'job-8' })
+      );
+      expect(songService.saveSongFromResults).toHaveBeenCalledWith(results, {}, { jobId: 'job-8' });
+      expect(songId).toBe('song-8');
+    });
+
+    it('should reject unknown sources without retrying', async () => {
+      await expect(worker.processJob({ job_id: 'job-4', source_type: 'ftp' }))
+        .rejects.toMatchObject({ retryable: false });
+    });
+  });
+});
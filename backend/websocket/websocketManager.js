@@ -4,6 +4,7 @@ const logger = require('../config/logger');
 const { cache } = require('../config/redis');
 const audioProcessingService = require('../services/audioProcessing');
 const practiceService = require('../services/practiceService');
+const practiceFeedbackService = require('../services/practiceFeedback');
 
 class WebSocketManager {
   constructor() {
@@ -299,6 +300,7 @@ class WebSocketManager {
         this.sessionSubscriptions.get(session_id).delete(socket.id);
         if (this.sessionSubscriptions.get(session_id).size === 0) {
           this.sessionSubscriptions.delete(session_id);
+          practiceFeedbackService.endSession(session_id);
         }
       }
 
@@ -321,10 +323,10 @@ class WebSocketManager {
     }
   }
 
-  // Handle real-time practice data
+  // Handle real-time practice data: score streamed frames and answer with feedback
   async handlePracticeData(socket, data) {
     try {
-      const { session_id, timestamp, current_chord, accuracy, mistake_detected, encouragement } = data;
+      const { session_id } = data || {};
 
       if (!session_id) {
         socket.emit('error', { 
@@ -334,31 +336,26 @@ class WebSocketManager {
         return;
       }
 
-      // Store practice analysis
-      await practiceService.addPracticeAnalysis(session_id, {
-        timestamp,
-        current_chord,
-        accuracy,
-        mistake_detected,
-        encouragement,
-        pitch_data: data.pitch_data,
-        timing_data: data.timing_data
-      });
+      const clientInfo = this.connectedClients.get(socket.id);
+      if (!clientInfo || !clientInfo.subscriptions.has(`session:${session_id}`)) {
+        socket.emit('error', {
+          message: 'Join the practice session before sending practice data',
+          code: 'SESSION_NOT_JOINED'
+        });
+        return;
+      }
 
-      // Broadcast to session room (excluding sender)
-      socket.to(`session:${session_id}`).emit('practice_feedback', {
-        type: 'realtime_feedback',
-        session_id,
-        timestamp,
-        current_chord,
-        accuracy,
-        mistake_detected,
-        encouragement,
-        user: socket.username
+      await practiceFeedbackService.submitFrame(session_id, socket.userId, data, (feedback) => {
+        socket.emit('practice_feedback', feedback);
+        // Others watching the session (e.g. a teacher) see the same feedback
+        socket.to(`session:${session_id}`).emit('practice_feedback', { ...feedback, user: socket.username });
       });
-
-      logger.debug(`Practice data received: ${socket.userEmail} -> ${session_id}`);
     } catch (error) {
+      if (['INVALID_FRAME', 'SESSION_NOT_FOUND', 'SESSION_ENDED', 'SONG_NOT_FOUND'].includes(error.code)) {
+        socket.emit('error', { message: error.message, code: error.code });
+        return;
+      }
+
       logger.error('Failed to handle practice data', { 
         socketId: socket.id,
         error: error.message 
@@ -397,8 +394,8 @@ class WebSocketManager {
           ...jobStatus
         });
 
-        // Stop monitoring if job is completed or failed
-        if (jobStatus.status === 'completed' || jobStatus.status === 'failed') {
+        // Stop monitoring once the job is completed, failed or cancelled
+        if (['completed', 'failed', 'cancelled'].includes(jobStatus.status)) {
           this.stopJobMonitoring(jobId);
         }
       } catch (error) {
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+/**
+ * Audio Processing Worker for ZEZE Backend
+ * Takes jobs from the processing_jobs queue and runs the analysis pipeline outside the API
+ * process. Several workers can run side by side; each claims jobs through the queue's tier
+ * lanes, sends heartbeats while a job runs (aborting it when a cancel was requested), and
+ * requeues jobs left behind by a worker that crashed. The same periodic sweep expires
+ * resumable uploads that were abandoned part-way.
+ *
+ * Usage: node workers/processingWorker.js
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const logger = require('../config/logger');
+const jobQueue = require('../services/jobQueue');
+const audioProcessingService = require('../services/audioProcessing');
+const songService = require('../services/songService');
+const resumableUploadService = require('../services/resumableUpload');
+
+class ProcessingWorker {
+  constructor(options = {}) {
+    this.workerId = options.workerId || jobQueue.getWorkerId();
+    this.concurrency = options.concurrency || parseInt(process.env.WORKER_CONCURRENCY) || 1;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs || 5000;
+    this.recoveryIntervalMs = options.recoveryIntervalMs || 60000;
+
+    this.activeJobs = new Map();
+    this.running = false;
+    this.polling = false;
+    this.pollTimer = null;
+    this.recoveryTimer = null;
+  }
+
+  async start() {
+    this.running = true;
+    logger.info(`Processing worker ${this.workerId} started`, { concurrency: this.concurrency });
+
+    await this.recoverStalled();
+    await this.expireUploads();
+    this.recoveryTimer = setInterval(() => {
+      this.recoverStalled();
+      this.expireUploads();
+    }, this.recoveryIntervalMs);
+    this.schedulePoll(0);
+  }
+
+  // Stop claiming jobs and wait for the ones in flight to finish
+  async stop() {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.recoveryTimer);
+
+    await Promise.allSettled([...this.activeJobs.values()]);
+    logger.info(`Processing worker ${this.workerId} stopped`);
+  }
+
+  schedulePoll(delay) {
+    if (!this.running) return;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  // Claim jobs until the worker is full or the queue has nothing runnable
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running && this.activeJobs.size < this.concurrency) {
+        const job = await jobQueue.claimNext(this.workerId);
+        if (!job) break;
+
+        const run = this.runJob(job).finally(() => {
+          this.activeJobs.delete(job.job_id);
+          this.schedulePoll(0);
+        });
+        this.activeJobs.set(job.job_id, run);
+      }
+    } catch (error) {
+      logger.error('Failed to poll job queue', { workerId: this.workerId, error: error.message });
+    } finally {
+      this.polling = false;
+    }
+
+    this.schedulePoll(this.pollIntervalMs);
+  }
+
+  async recoverStalled() {
+    try {
+      await jobQueue.recoverStalled();
+    } catch (error) {
+      logger.error('Failed to recover stalled jobs', { workerId: this.workerId, error: error.message });
+    }
+  }
+
+  async expireUploads() {
+    try {
+      await resumableUploadService.expireStale();
+    } catch (error) {
+      logger.error('Failed to expire unfinished uploads', { workerId: this.workerId, error: error.message });
+    }
+  }
+
+  async runJob(job) {
+    const controller = new AbortController();
+    const heartbeat = setInterval(() => {
+      jobQueue.heartbeat(job.job_id)
+        .then(cancelRequested => {
+          if (cancelRequested && !controller.signal.aborted) {
+            logger.info(`Aborting cancelled job ${job.job_id}`);
+            controller.abort();
+          }
+        })
+        .catch(error => {
+          logger.warn('Job heartbeat failed', { jobId: job.job_id, error: error.message });
+        });
+    }, this.heartbeatIntervalMs);
+
+    let finished = false;
+    try {
+      const { results, songId, deduplicated = false } = await this.processJob(job, controller.signal);
+      await jobQueue.complete(job.job_id, results, songId, { deduplicated });
+      finished = true;
+    } catch (error) {
+      if (controller.signal.aborted || error.code === 'JOB_CANCELLED') {
+        await this.markCancelled(job);
+        finished = true;
+      } else {
+        finished = await this.recordFailure(job, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    // Uploads are kept for retries and removed once the job is done either way. Re-analysis
+    // reads a song's kept audio, which must stay.
+    if (finished && job.source_type === 'upload' && job.source && job.source.file_path) {
+      await fs.rm(job.source.file_path, { force: true }).catch(error => {
+        logger.warn('Failed to remove processed upload', { jobId: job.job_id, error: error.message });
+      });
+    }
+  }
+
+  async markCancelled(job) {
+    try {
+      await jobQueue.markCancelled(job.job_id);
+      logger.info(`Job ${job.job_id} cancelled`);
+    } catch (error) {
+      // Crash recovery cancels the job once its heartbeat goes stale
+      logger.error('Failed to record job cancellation', { jobId: job.job_id, error: error.message });
+    }
+  }
+
+  // Returns whether the job is finished for good (no retry left)
+  async recordFailure(job, error) {
+    logger.error(`Job ${job.job_id} attempt ${job.attempts} failed`, { error: error.message, stack: error.stack });
+    try {
+      const updated = await jobQueue.fail(job, error);
+      return !updated || updated.status === 'failed';
+    } catch (queueError) {
+      // The heartbeat has stopped, so crash recovery will pick the job up again
+      logger.error('Failed to record job failure', { jobId: job.job_id, error: queueError.message });
+      return false;
+    }
+  }
+
+  // Run the pipeline for a job and store the song. Uploads of audio that was already analysed
+  // by the current analyser are answered with that song instead.
+  async processJob(job, signal) {
+    const source = job.source || {};
+    const userPreferences = job.user_preferences || {};
+    const songData = {};
+    let results;
+
+    switch (job.source_type) {
+      case 'upload': {
+        const { song, fingerprint } = await this.findKnownUpload(job, signal);
+        if (song) return this.reuseSong(job, song);
+
+        results = await audioProcessingService.processAudioFile(
+          source.file_path,
+          source.original_name,
+          userPreferences,
+          { jobId: job.job_id, signal }
+        );
+        songData.content_hash = source.content_hash;
+        songData.audio_fingerprint = fingerprint;
+        break;
+      }
+      // Jobs queued before URL sources were generalised carry a youtube_url
+      case 'url':
+      case 'youtube':
+        results = await audioProcessingService.processSourceUrl(
+          source.url || source.youtube_url,
+          userPreferences,
+          { jobId: job.job_id, signal }
+        );
+        break;
+      case 'reanalysis':
+        return this.reanalyseSong(job, signal);
+      default: {
+        const error = new Error(`Unknown job source type: ${job.source_type}`);
+        error.retryable = false;
+        throw error;
+      }
+    }
+
+    if (job.youtube_id) songData.youtube_id = job.youtube_id;
+    return this.saveSong(job, results, songData);
+  }
+
+  // Analyse a stored song again with the current analyser and keep the result as a new revision
+  async reanalyseSong(job, signal) {
+    const source = job.source || {};
+    const options = { jobId: job.job_id, signal };
+    const url = source.url || source.youtube_url;
+    const results = url
+      ? await audioProcessingService.processSourceUrl(url, {}, options)
+      : await audioProcessingService.processAudioFile(source.file_path, source.original_name || 'audio', {}, options);
+
+    const revision = await songService.addRevisionFromResults(source.song_id, results, {
+      jobId: job.job_id,
+      batchId: job.batch_id,
+      promote: Boolean(source.auto_promote)
+    });
+
+    return {
+      results: {
+        job_id: job.job_id,
+        status: 'completed',
+        song_id: source.song_id,
+        revision_id: revision.revision_id,
+        revision_number: revision.revision_number,
+        analysis_version: revision.analysis_version,
+        promoted: Boolean(source.auto_promote)
+      },
+      songId: source.song_id
+    };
+  }
+
+  // Look the upload up by content hash, then by acoustic fingerprint for re-encoded copies
+  async findKnownUpload(job, signal) {
+    const source = job.source || {};
+    const version = audioProcessingService.analysisVersion;
+    const { fingerprint, duration } = await audioProcessingService.fingerprintAudioFile(source.file_path, signal);
+
+    try {
+      const song = (source.content_hash && await songService.getSongByContentHash(source.content_hash, version)) ||
+        await songService.findSongByFingerprint(fingerprint, duration, version);
+      return { song, fingerprint };
+    } catch (error) {
+      logger.warn('Known audio lookup failed, analysing the upload', { jobId: job.job_id, error: error.message });
+      return { song: null, fingerprint };
+    }
+  }
+
+  reuseSong(job, song) {
+    logger.info(`Job ${job.job_id} matched an analysed song`, { songId: song.song_id });
+    return {
+      results: {
+        job_id: job.job_id,
+        status: 'completed',
+        message: 'Song already processed',
+        results: songService.toProcessingSummary(song)
+      },
+      songId: song.song_id,
+      deduplicated: true
+    };
+  }
+
+  // Store the song; processing results are still returned when the database write fails
+  async saveSong(job, results, songData = {}) {
+    const summary = {
+      metadata: results.metadata,
+      chords: results.chords,
+      strumming: results.strumming,
+      sections: results.sections,
+      tablature: results.tablature,
+      tempo: results.tempo,
+      key: results.key,
+      processing_completed: true
+    };
+
+    try {
+      const song = await songService.saveSongFromResults(results, songData, { jobId: job.job_id });
+      return {
+        results: { ...results, results: { song_id: song.song_id, ...summary } },
+        songId: song.song_id
+      };
+    } catch (dbError) {
+      logger.warn('Failed to create song entry in database, keeping results on the job', {
+        jobId: job.job_id,
+        error: dbError.message
+      });
+      return {
+        results: { ...results, results: { song_id: results.job_id, ...summary, database_storage_failed: true } },
+        songId: null
+      };
+    }
+  }
+}
+
+async function main() {
+  const worker = new ProcessingWorker();
+
+  const shutdown = async (signal) => {
+    logger.info(`Received ${signal}, finishing in-flight jobs...`);
+    await worker.stop();
+    const { pool } = require('../config/database');
+    await pool.end();
+    const { redis } = require('../config/redis');
+    redis.disconnect();
+    process.exit(0);
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+
+  await worker.start();
+}
+
+// Run worker if called directly
+if (require.main === module) {
+  main().catch((error) => {
+    logger.error('Processing worker failed to start', { error: error.message });
+    process.exit(1);
+  });
+}
+
+module.exports = ProcessingWorker;
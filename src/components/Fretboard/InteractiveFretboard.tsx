@@ -1,7 +1,7 @@
 import React, { useState, useCallback, useMemo } from 'react';
 import { View, StyleSheet, Dimensions, PanResponder, Animated } from 'react-native';
 import Svg, { Line, Circle, Text as SvgText, Rect } from 'react-native-svg';
-import { Chord, FingerPosition } from '@/types/music';
+import { Chord, FingerPosition, StringIssue } from '@/types/music';
 
 interface InteractiveFretboardProps {
   chords: Chord[];
@@ -14,6 +14,8 @@ interface InteractiveFretboardProps {
   onSwipe?: (direction: 'left' | 'right') => void;
   transposeKey?: string;
   capoPosition?: number;
+  // Strings that sounded wrong in the last take of the current chord
+  stringIssues?: StringIssue[];
 }
 
 const { width: screenWidth } = Dimensions.get('window');
@@ -29,6 +31,7 @@ const InteractiveFretboard: React.FC<InteractiveFretboardProps> = ({
   onSwipe,
   transposeKey,
   capoPosition = 0,
+  stringIssues = [],
 }) => {
   const fretboardWidth = Math.min(screenWidth - 40, 350);
   const fretboardHeight = 180;
@@ -146,10 +149,21 @@ const InteractiveFretboard: React.FC<InteractiveFretboardProps> = ({
     return frets;
   };
 
+  const issueStyles: Record<StringIssue['status'], { color: string; label: (issue: StringIssue) => string }> = {
+    muted: { color: '#ff4757', label: () => 'not sounding' },
+    missing: { color: '#ff4757', label: (issue) => `${issue.expected} missing` },
+    buzzing: { color: '#ffa502', label: () => 'buzzing' },
+    wrong_string: { color: '#a55eea', label: () => 'wrong string' },
+    wrong_note: { color: '#a55eea', label: (issue) => `${issue.heard} instead of ${issue.expected}` },
+    not_muted: { color: '#ff4757', label: () => 'mute this string' },
+  };
+
   const renderStrings = () => {
     const strings: React.ReactNode[] = [];
     for (let i = 0; i < stringCount; i++) {
       const strokeWidth = i < 2 ? 3 : i < 4 ? 2.5 : 2;
+      const issue = stringIssues.find(item => item.string === i);
+      const issueStyle = issue ? issueStyles[issue.status] : null;
       
       strings.push(
         <Line
@@ -158,10 +172,27 @@ const InteractiveFretboard: React.FC<InteractiveFretboardProps> = ({
           y1={i * stringSpacing}
           x2={fretboardWidth}
           y2={i * stringSpacing}
-          stroke="#cd853f"
-          strokeWidth={strokeWidth}
+          stroke={issueStyle ? issueStyle.color : '#cd853f'}
+          strokeWidth={issueStyle ? strokeWidth + 2 : strokeWidth}
+          strokeDasharray={issue?.status === 'buzzing' ? '6,3' : undefined}
         />
       );
+
+      if (issue && issueStyle) {
+        strings.push(
+          <SvgText
+            key={`string-issue-${i}`}
+            x={fretboardWidth - 4}
+            y={i * stringSpacing - 5}
+            fontSize={10}
+            fill={issueStyle.color}
+            textAnchor="end"
+            fontWeight="bold"
+          >
+            {issueStyle.label(issue)}
+          </SvgText>
+        );
+      }
     }
     return strings;
   };
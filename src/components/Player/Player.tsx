@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
   View,
   Text,
@@ -9,6 +9,7 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import Toast from 'react-native-toast-message';
+import Slider from '@react-native-community/slider';
 import { Video, ResizeMode, AVPlaybackStatus, Audio } from 'expo-av';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigation } from '@react-navigation/native';
@@ -22,16 +23,20 @@ import useAudioSync from '@/hooks/useAudioSync';
 import usePracticeSession from '@/hooks/usePracticeSession';
 import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS, SHADOWS } from '@/constants/theme';
 import { LEARNING_ROAMMAP } from '@/data/learningRoadmap';
-import { isFeatureEnabled, SubscriptionTier } from '@/constants/plans';
+import ApiService from '@/services/api';
+import { StemPlayer, StemMix, STEM_LABELS } from '@/services/stemPlayer';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
+const MAX_SEMITONES = 12;
 
 interface PlayerProps {
   song: Song;
   onBack?: () => void;
+  // Seconds to start from, e.g. where an identified recording matched the song
+  startTime?: number;
 }
 
-const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
+const Player: React.FC<PlayerProps> = ({ song, onBack, startTime }) => {
   const dispatch = useDispatch<AppDispatch>();
   const navigation = useNavigation();
   const videoRef = useRef<Video>(null);
@@ -41,14 +46,16 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
   const [capoPosition, setCapoPosition] = useState(0);
   const [playbackSpeed, setPlaybackSpeed] = useState(1.0);
   const [tempoPercentage, setTempoPercentage] = useState(100);
+  const [semitones, setSemitones] = useState(0);
   const [loopSection, setLoopSection] = useState<{ start: number; end: number } | null>(null);
   const [showTechniqueHelp, setShowTechniqueHelp] = useState(false);
   const [isMuted, setIsMuted] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
   const [recording, setRecording] = useState<Audio.Recording | null>(null);
-  const [activeStem, setActiveStem] = useState<'both' | 'vocals' | 'instrumental'>('both');
-  const [isSeparating, setIsSeparating] = useState(false);
-  const [separatedTracks, setSeparatedTracks] = useState<{ vocals?: string; instrumental?: string } | null>(null);
+  const stemPlayerRef = useRef(new StemPlayer());
+  const [stemMix, setStemMix] = useState<StemMix>({});
+  // Speed the loaded stems were rendered at; their positions are scaled back to song time
+  const stemSpeedRef = useRef(1);
   const [showSkillsDropdown, setShowSkillsDropdown] = useState(false);
   const [showTuner, setShowTuner] = useState(false);
 
@@ -59,10 +66,34 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
     loading,
   } = useSelector((state: RootState) => state.player);
 
-  const { user } = useSelector((state: RootState) => state.profile);
-  const userTier: SubscriptionTier = (user as any)?.subscription_tier || 'free';
-
   const practiceSession = usePracticeSession();
+  const { liveFeedback, startLiveFeedback, stopLiveFeedback } = practiceSession;
+
+  // The song position for live feedback, carried on from the last reported one between updates
+  const songClockRef = useRef({ time: currentTime, at: Date.now(), isPlaying, speed: playbackSpeed });
+  useEffect(() => {
+    songClockRef.current = { time: currentTime, at: Date.now(), isPlaying, speed: playbackSpeed };
+  }, [currentTime, isPlaying, playbackSpeed]);
+
+  const getSongPosition = useCallback(() => {
+    const clock = songClockRef.current;
+    if (!clock.isPlaying) return null;
+    return { time: clock.time + (Date.now() - clock.at) / 1000 * clock.speed, speed: clock.speed };
+  }, []);
+
+  // Listen to the player for live feedback as long as a practice session runs
+  const liveSessionId = practiceSession.sessionActive ? practiceSession.currentSession?.id : null;
+  useEffect(() => {
+    if (!liveSessionId) return;
+    startLiveFeedback(getSongPosition);
+    return stopLiveFeedback;
+  }, [liveSessionId, startLiveFeedback, stopLiveFeedback, getSongPosition]);
+
+  // With stems loaded they are the audio and the clock; the video only shows the picture
+  const hasStems = Object.keys(stemMix).length > 0;
+  // Songs without stems load their own audio alone when played slowed down or transposed
+  const hasSeparatedStems = Boolean(stemMix.guitar && stemMix.backing);
+  const stemMode = stemMix.guitar?.muted ? 'backing' : stemMix.backing?.muted ? 'guitar' : 'full';
 
   // Sync audio with chord display
   useAudioSync({
@@ -75,6 +106,20 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
 
   const currentChord = currentChordIndex >= 0 ? song.chords[currentChordIndex] : null;
 
+  // String issues of the current chord: heard live while streaming, otherwise from the last
+  // analysed take, the mistake nearest to the chord's place in the song when it comes up again
+  const currentStringIssues = useMemo(() => {
+    if (!currentChord) return [];
+    if (liveFeedback && liveFeedback.expected_chord === currentChord.name && liveFeedback.correct !== null) {
+      return liveFeedback.strings;
+    }
+    const mistakes = practiceSession.stringMistakes.filter(mistake => mistake.chord === currentChord.name);
+    if (mistakes.length === 0) return [];
+    return mistakes.reduce((nearest, mistake) =>
+      Math.abs(mistake.start_time - currentChord.startTime) < Math.abs(nearest.start_time - currentChord.startTime) ? mistake : nearest
+    ).strings;
+  }, [currentChord, liveFeedback, practiceSession.stringMistakes]);
+
   // Helper functions for skills
   const getRequiredSkills = (song: Song): string[] => {
     // Based on song difficulty and characteristics, determine required skills
@@ -109,6 +154,27 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
     }
   }, [isPlaying, showControls, currentTime]);
 
+  const selectStemMode = useCallback(async (mode: 'full' | 'backing' | 'guitar') => {
+    if (!hasSeparatedStems) {
+      Toast.show({ type: 'info', text1: 'Stems Not Available', text2: 'This song has no separated stems yet' });
+      return;
+    }
+    const stemPlayer = stemPlayerRef.current;
+    await stemPlayer.setStemMuted('guitar', mode === 'backing');
+    await stemPlayer.setStemMuted('backing', mode === 'guitar');
+    setStemMix(stemPlayer.getMix());
+  }, [hasSeparatedStems]);
+
+  const updateStemVolume = useCallback(async (name: string, volume: number) => {
+    await stemPlayerRef.current.setStemVolume(name, volume);
+    setStemMix(stemPlayerRef.current.getMix());
+  }, []);
+
+  const toggleStemMute = useCallback(async (name: string) => {
+    await stemPlayerRef.current.setStemMuted(name, !stemMix[name]?.muted);
+    setStemMix(stemPlayerRef.current.getMix());
+  }, [stemMix]);
+
   const handlePlayPause = useCallback(() => {
     if (isPlaying) {
       dispatch(pause());
@@ -119,18 +185,31 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
           focus_techniques: ['chord_changes', 'rhythm'],
           tempo_percentage: tempoPercentage,
         });
+        // Play along with the backing: the recorded guitar would mask the player's own
+        if (hasSeparatedStems) {
+          selectStemMode('backing');
+        }
       }
       dispatch(play());
     }
-  }, [isPlaying, dispatch, practiceSession, song.id, currentChordIndex, tempoPercentage]);
+  }, [isPlaying, dispatch, practiceSession, song.id, currentChordIndex, tempoPercentage, hasSeparatedStems, selectStemMode]);
 
   const handleSeek = useCallback((time: number) => {
     dispatch(setCurrentTime(time));
     if (videoRef.current) {
       videoRef.current.setPositionAsync(time * 1000); // expo-av uses ms
     }
+    if (stemPlayerRef.current.isLoaded) {
+      stemPlayerRef.current.seek(time * 1000 / stemSpeedRef.current);
+    }
   }, [dispatch]);
 
+  useEffect(() => {
+    if (startTime && startTime > 0) {
+      handleSeek(startTime);
+    }
+  }, [song.id, startTime, handleSeek]);
+
   const handleNextChord = useCallback(() => {
     if (currentChord && currentChordIndex < song.chords.length - 1) {
       const nextChordTime = song.chords[currentChordIndex + 1].startTime;
@@ -205,6 +284,90 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
     }
   }, [dispatch, practiceSession]);
 
+  // The stem player keeps the handler it was loaded with, so it reads the latest one from a ref
+  const statusHandlerRef = useRef(handlePlaybackStatusUpdate);
+  statusHandlerRef.current = handlePlaybackStatusUpdate;
+  // Read when stems are reloaded at another speed or pitch, without reloading on every change
+  const reloadStateRef = useRef({ stemMix, currentTime, isPlaying, isMuted });
+  reloadStateRef.current = { stemMix, currentTime, isPlaying, isMuted };
+
+  // Stems are rendered by the server at the chosen speed and pitch, so a change reloads them
+  useEffect(() => {
+    const stemPlayer = stemPlayerRef.current;
+    const speed = playbackSpeed;
+    let cancelled = false;
+
+    const toSongTime = (status: AVPlaybackStatus): AVPlaybackStatus => (
+      status.isLoaded
+        ? {
+          ...status,
+          positionMillis: status.positionMillis * speed,
+          durationMillis: status.durationMillis !== undefined ? status.durationMillis * speed : undefined,
+        }
+        : status
+    );
+
+    const loadStems = async () => {
+      try {
+        const sources = await ApiService.getStemSources(song.id, { speed, semitones });
+        if (cancelled) return;
+        if (sources.length === 0) {
+          setStemMix({});
+          return;
+        }
+
+        const { stemMix: previousMix, currentTime: resumeAt, isPlaying: wasPlaying, isMuted: muted } = reloadStateRef.current;
+        await stemPlayer.load(sources, (status) => statusHandlerRef.current(toSongTime(status)), previousMix);
+        // Left the song while the stems were loading
+        if (cancelled) {
+          await stemPlayer.unload();
+          return;
+        }
+
+        stemSpeedRef.current = speed;
+        await stemPlayer.setMasterMuted(muted);
+        if (resumeAt > 0) await stemPlayer.seek(resumeAt * 1000 / speed);
+        if (wasPlaying) await stemPlayer.play();
+        setStemMix(stemPlayer.getMix());
+      } catch (error) {
+        console.warn('Stems not available, playing the full audio:', error);
+        if (cancelled) return;
+        setStemMix({});
+        if (semitones !== 0) {
+          Toast.show({ type: 'info', text1: 'Pitch Shift Not Available', text2: 'This song\'s audio could not be transposed' });
+          setSemitones(0);
+        }
+      }
+    };
+
+    if (song.id) {
+      loadStems();
+    } else {
+      setStemMix({});
+    }
+    return () => {
+      cancelled = true;
+      stemPlayer.unload();
+    };
+  }, [song.id, playbackSpeed, semitones]);
+
+  useEffect(() => {
+    if (!hasStems) return;
+    (isPlaying ? stemPlayerRef.current.play() : stemPlayerRef.current.pause())
+      .catch((error) => console.error('Stem playback error:', error));
+  }, [isPlaying, hasStems]);
+
+  useEffect(() => {
+    if (!hasStems) return;
+    stemPlayerRef.current.setMasterMuted(isMuted)
+      .catch((error) => console.error('Stem mute error:', error));
+  }, [isMuted, hasStems]);
+
+  // The server renders the stems, or the song's own audio, at the chosen pitch
+  const shiftPitch = useCallback((delta: number) => {
+    setSemitones((current) => Math.max(-MAX_SEMITONES, Math.min(MAX_SEMITONES, current + delta)));
+  }, []);
+
   const toggleLoop = useCallback(() => {
     if (currentChord && !loopSection) {
       setLoopSection({
@@ -292,10 +455,10 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
             style={styles.video}
             useNativeControls={false}
             resizeMode={ResizeMode.CONTAIN}
-            onPlaybackStatusUpdate={handlePlaybackStatusUpdate}
+            onPlaybackStatusUpdate={hasStems ? undefined : handlePlaybackStatusUpdate}
             rate={playbackSpeed}
             shouldPlay={isPlaying}
-            isMuted={isMuted}
+            isMuted={isMuted || hasStems}
             volume={1.0}
           />
         ) : (
@@ -354,48 +517,25 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
         )}
       </View>
 
-      {/* Suppression Toggles */}
+      {/* Stem Modes */}
       <View style={styles.suppressionBar}>
-        <TouchableOpacity
-          style={[styles.suppressionButton, activeStem === 'both' && styles.suppressionButtonActive]}
-          onPress={() => setActiveStem('both')}
-        >
-          <Text style={styles.suppressionText}>Full Audio</Text>
-        </TouchableOpacity>
-        <TouchableOpacity
-          style={[
-            styles.suppressionButton,
-            activeStem === 'vocals' && styles.suppressionButtonActive,
-            !isFeatureEnabled(userTier, 'hasStems') && styles.suppressionButtonDisabled
-          ]}
-          onPress={() => {
-            if (isFeatureEnabled(userTier, 'hasStems')) {
-              setActiveStem('vocals');
-            } else {
-              Toast.show({ type: 'info', text1: 'Premium Feature', text2: 'Upgrade to Legend to isolate vocals' });
-            }
-          }}
-        >
-          <Text style={styles.suppressionText}>Vocals Only</Text>
-          {!isFeatureEnabled(userTier, 'hasStems') && <Text style={styles.lockIcon}>🔒</Text>}
-        </TouchableOpacity>
-        <TouchableOpacity
-          style={[
-            styles.suppressionButton,
-            activeStem === 'instrumental' && styles.suppressionButtonActive,
-            !isFeatureEnabled(userTier, 'hasStems') && styles.suppressionButtonDisabled
-          ]}
-          onPress={() => {
-            if (isFeatureEnabled(userTier, 'hasStems')) {
-              setActiveStem('instrumental');
-            } else {
-              Toast.show({ type: 'info', text1: 'Premium Feature', text2: 'Upgrade to Legend to isolate instruments' });
-            }
-          }}
-        >
-          <Text style={styles.suppressionText}>No Vocals</Text>
-          {!isFeatureEnabled(userTier, 'hasStems') && <Text style={styles.lockIcon}>🔒</Text>}
-        </TouchableOpacity>
+        {([
+          ['full', 'Full Mix'],
+          ['backing', 'Backing Track'],
+          ['guitar', 'Guitar Only'],
+        ] as const).map(([mode, label]) => (
+          <TouchableOpacity
+            key={mode}
+            style={[
+              styles.suppressionButton,
+              stemMode === mode && styles.suppressionButtonActive,
+              mode !== 'full' && !hasSeparatedStems && styles.suppressionButtonDisabled
+            ]}
+            onPress={() => selectStemMode(mode)}
+          >
+            <Text style={styles.suppressionText}>{label}</Text>
+          </TouchableOpacity>
+        ))}
       </View>
 
       {/* Main Content */}
@@ -433,6 +573,7 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
             showTuningNotes={true}
             transposeKey={transpositionKey}
             capoPosition={capoPosition}
+            stringIssues={currentStringIssues}
             onChordChange={(index) => {
               const chordTime = song.chords[index].startTime;
               handleSeek(chordTime);
@@ -517,7 +658,7 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
           <View style={styles.controlRow}>
             <Text style={styles.controlLabel}>Tempo: {tempoPercentage}%</Text>
             <View style={styles.tempoButtons}>
-              {[75, 85, 100, 115].map((tempo) => (
+              {[50, 75, 85, 100, 115].map((tempo) => (
                 <TouchableOpacity
                   key={tempo}
                   style={[
@@ -532,6 +673,34 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
             </View>
           </View>
 
+          <View style={styles.controlRow}>
+            <Text style={styles.controlLabel}>
+              Pitch: {semitones > 0 ? `+${semitones}` : semitones} semitones
+            </Text>
+            <View style={styles.tempoButtons}>
+              <TouchableOpacity
+                style={styles.tempoButton}
+                onPress={() => shiftPitch(-1)}
+                disabled={semitones <= -MAX_SEMITONES}
+              >
+                <Text style={styles.tempoButtonText}>−</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.tempoButton, semitones === 0 && styles.tempoButtonActive]}
+                onPress={() => setSemitones(0)}
+              >
+                <Text style={styles.tempoButtonText}>0</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.tempoButton}
+                onPress={() => shiftPitch(1)}
+                disabled={semitones >= MAX_SEMITONES}
+              >
+                <Text style={styles.tempoButtonText}>+</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+
           <View style={styles.controlRow}>
             <Text style={styles.controlLabel}>Loop Current Chord</Text>
             <TouchableOpacity
@@ -563,6 +732,35 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
           </View>
         </View>
 
+        {/* Stem Mixer */}
+        {hasStems && (
+          <View style={styles.learningControls}>
+            <Text style={styles.learningSectionTitle}>Stem Mixer</Text>
+            {Object.entries(stemMix).map(([name, level]) => (
+              <View key={name} style={styles.controlRow}>
+                <TouchableOpacity
+                  style={[styles.smallControlButton, level.muted && styles.controlButtonActive]}
+                  onPress={() => toggleStemMute(name)}
+                >
+                  <Text style={styles.controlButtonText}>{level.muted ? '🔇' : '🔊'}</Text>
+                </TouchableOpacity>
+                <Text style={styles.stemLabel}>{STEM_LABELS[name] || name}</Text>
+                <Slider
+                  style={styles.stemSlider}
+                  minimumValue={0}
+                  maximumValue={1}
+                  value={level.volume}
+                  onValueChange={(value: number) => updateStemVolume(name, value)}
+                  minimumTrackTintColor={COLORS.primary}
+                  maximumTrackTintColor={COLORS.surfaceLight}
+                  thumbTintColor={COLORS.primary}
+                  disabled={level.muted}
+                />
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Technique Help */}
         {showTechniqueHelp && currentChord && (
           <View style={styles.techniqueHelp}>
@@ -582,6 +780,20 @@ const Player: React.FC<PlayerProps> = ({ song, onBack }) => {
             <Text style={styles.sessionText}>
               Started: {new Date(practiceSession.startTime || '').toLocaleTimeString()}
             </Text>
+            {liveFeedback && liveFeedback.correct !== null && (
+              <View style={styles.liveFeedback}>
+                <Text style={[styles.liveFeedbackChord, { color: liveFeedback.correct ? COLORS.success : COLORS.error }]}>
+                  {liveFeedback.correct
+                    ? `${liveFeedback.expected_chord} ✓`
+                    : `Heard ${liveFeedback.played_chord || 'something else'}, expected ${liveFeedback.expected_chord}`}
+                </Text>
+                {liveFeedback.timing && liveFeedback.timing.status !== 'on_time' && (
+                  <Text style={styles.sessionText}>
+                    Last change {Math.abs(liveFeedback.timing.drift_ms)} ms {liveFeedback.timing.status}
+                  </Text>
+                )}
+              </View>
+            )}
             <TouchableOpacity
               style={styles.endSessionButton}
               onPress={() => practiceSession.endSession()}
@@ -796,11 +1008,15 @@ const styles = StyleSheet.create({
   suppressionButtonDisabled: {
     opacity: 0.5,
   },
-  lockIcon: {
-    fontSize: 10,
-    position: 'absolute',
-    top: 2,
-    right: 2,
+  stemLabel: {
+    ...TYPOGRAPHY.body,
+    color: COLORS.text,
+    width: 72,
+    marginLeft: SPACING.sm,
+  },
+  stemSlider: {
+    flex: 1,
+    height: 30,
   },
   smallControlButton: {
     padding: SPACING.sm,
@@ -912,6 +1128,14 @@ const styles = StyleSheet.create({
     ...TYPOGRAPHY.caption,
     marginBottom: SPACING.md,
   },
+  liveFeedback: {
+    marginBottom: SPACING.md,
+  },
+  liveFeedbackChord: {
+    ...TYPOGRAPHY.body,
+    fontWeight: 'bold',
+    marginBottom: SPACING.xs,
+  },
   endSessionButton: {
     backgroundColor: COLORS.primary,
     paddingVertical: SPACING.sm,
@@ -17,12 +17,14 @@ interface TablatureNote {
   time: number;
   duration: number;
   chord?: string;
+  note?: string;
   technique?: string;
 }
 
 interface Tablature {
   tuning: string[];
   capo: number;
+  source?: 'melody' | 'chords';
   notes: TablatureNote[];
 }
 
@@ -59,9 +61,10 @@ const TablatureView: React.FC<TablatureViewProps> = ({
     }
   }, [currentBeat]);
 
+  // String 0 is the high E at the top of the tab; tuning is listed from the low E up
   const renderString = (stringIndex: number) => {
     const stringNotes = tablature.notes.filter(note => note.string === stringIndex);
-    const stringName = tablature.tuning[stringIndex];
+    const stringName = tablature.tuning[tablature.tuning.length - 1 - stringIndex];
     
     return (
       <View key={stringIndex} style={styles.stringContainer}>
@@ -210,7 +213,7 @@ const TablatureView: React.FC<TablatureViewProps> = ({
 
         {/* Guitar strings */}
         <View style={styles.stringsContainer}>
-          {tablature.tuning.map((_, stringIndex) => renderString(stringIndex + 1))}
+          {tablature.tuning.map((_, stringIndex) => renderString(stringIndex))}
         </View>
       </ScrollView>
 
@@ -9,9 +9,9 @@ import {
   ScrollView,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { Audio } from 'expo-av';
 import Slider from '@react-native-community/slider';
 import TablatureView from './TablatureView';
+import { StemPlayer, StemSource, StemMix, STEM_LABELS } from '@/services/stemPlayer';
 import { COLORS, SPACING, TYPOGRAPHY, BORDER_RADIUS, SHADOWS } from '@/constants/theme';
 
 const { width } = Dimensions.get('window');
@@ -27,6 +27,8 @@ interface AudioTrack {
   tablature?: any;
   chords?: any[];
   sections?: any[];
+  // Synchronised stems (guitar, backing, click); played instead of audioUrl when present
+  stems?: StemSource[];
 }
 
 interface UnifiedAudioPlayerProps {
@@ -39,6 +41,8 @@ interface UnifiedAudioPlayerProps {
   playlist?: AudioTrack[];
   enableRecording?: boolean;
   enablePracticeMode?: boolean;
+  // Stems muted when the track loads, e.g. ['guitar'] to play along with the backing
+  mutedStems?: string[];
 }
 
 const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
@@ -52,8 +56,11 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
     playlist = [],
     enableRecording = true,
     enablePracticeMode = true,
+    mutedStems = [],
   } = props;
-  const [sound, setSound] = useState<Audio.Sound | null>(null);
+  const playerRef = useRef(new StemPlayer());
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [stemMix, setStemMix] = useState<StemMix>({});
   const [isPlaying, setIsPlaying] = useState(false);
   const [playbackSpeed, setPlaybackSpeed] = useState(1.0);
   const [position, setPosition] = useState(0);
@@ -71,13 +78,13 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
   const [volume, setVolume] = useState(1.0);
 
   const playbackLineAnim = useRef(new Animated.Value(0)).current;
+  const hasAudio = !!(track.stems?.length || (track.audioUrl && track.audioUrl.trim() !== ''));
+  const stemNames = Object.keys(stemMix);
 
   useEffect(() => {
     loadAudio();
     return () => {
-      if (sound) {
-        sound.unloadAsync();
-      }
+      playerRef.current.unload();
     };
   }, [track]);
 
@@ -113,33 +120,37 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
   }, [position, track.tempo, track.chords, track.sections]);
 
   const loadAudio = async () => {
+    const player = playerRef.current;
     try {
-      // Check if audio URL is available
-      if (!track.audioUrl || track.audioUrl.trim() === '') {
-        console.log('No audio URL available for this track');
+      // Check if audio is available
+      if (!hasAudio) {
+        console.log('No audio available for this track');
         setIsLoading(false);
         return;
       }
 
       setIsLoading(true);
+      setIsLoaded(false);
 
-      if (sound) {
-        await sound.unloadAsync();
-      }
+      const sources: StemSource[] = track.stems?.length
+        ? track.stems
+        : [{ name: 'mix', uri: track.audioUrl }];
+      console.log('Loading audio:', sources.map((source) => source.name).join(', '));
 
-      console.log('Loading audio from:', track.audioUrl);
+      const initialMix: StemMix = {};
+      mutedStems.forEach((name) => {
+        initialMix[name] = { volume: 1, muted: true };
+      });
 
-      const { sound: newSound } = await Audio.Sound.createAsync(
-        { uri: track.audioUrl },
-        {
-          shouldPlay: false,
-          isLooping: false,
-          volume: volume,
-        }
-      );
+      await player.load(sources, (status) => statusHandlerRef.current(status), initialMix);
+      await player.setMasterVolume(volume);
+      await player.setMasterMuted(isMuted);
+      if (playbackSpeed !== 1.0) {
+        await player.setRate(playbackSpeed);
+      }
 
-      newSound.setOnPlaybackStatusUpdate(onPlaybackStatusUpdate);
-      setSound(newSound);
+      setStemMix(player.getMix());
+      setIsLoaded(true);
       setIsLoading(false);
     } catch (error) {
       console.error('Error loading audio:', error);
@@ -155,19 +166,23 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
       
       // Handle looping
       if (isLooping && loopEnd > 0 && status.positionMillis >= loopEnd) {
-        sound?.setPositionAsync(loopStart);
+        playerRef.current.seek(loopStart);
       }
     }
-  }, [sound, isLooping, loopStart, loopEnd]);
+  }, [isLooping, loopStart, loopEnd]);
+
+  // The player keeps the handler it was loaded with, so it reads the latest one from a ref
+  const statusHandlerRef = useRef(onPlaybackStatusUpdate);
+  statusHandlerRef.current = onPlaybackStatusUpdate;
 
   const togglePlayback = async () => {
-    if (!sound) return;
+    if (!isLoaded) return;
 
     try {
       if (isPlaying) {
-        await sound.pauseAsync();
+        await playerRef.current.pause();
       } else {
-        await sound.playAsync();
+        await playerRef.current.play();
       }
     } catch (error) {
       console.error('Error toggling playback:', error);
@@ -175,10 +190,10 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
   };
 
   const stopPlayback = async () => {
-    if (!sound) return;
+    if (!isLoaded) return;
 
     try {
-      await sound.stopAsync();
+      await playerRef.current.stop();
       setPosition(0);
       setCurrentBeat(0);
       playbackLineAnim.setValue(0);
@@ -190,11 +205,11 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
   };
 
   const seekToPosition = async (value: number) => {
-    if (!sound || !duration) return;
+    if (!isLoaded || !duration) return;
 
     const newPosition = (value / 100) * duration;
     try {
-      await sound.setPositionAsync(newPosition);
+      await playerRef.current.seek(newPosition);
     } catch (error) {
       console.error('Error seeking:', error);
     }
@@ -203,9 +218,9 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
   const updatePlaybackSpeed = async (speed: number) => {
     setPlaybackSpeed(speed);
     
-    if (sound) {
+    if (isLoaded) {
       try {
-        await sound.setRateAsync(speed, true);
+        await playerRef.current.setRate(speed);
       } catch (error) {
         console.error('Error setting playback speed:', error);
       }
@@ -215,9 +230,9 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
   const updateVolume = async (vol: number) => {
     setVolume(vol);
     
-    if (sound) {
+    if (isLoaded) {
       try {
-        await sound.setVolumeAsync(vol);
+        await playerRef.current.setMasterVolume(vol);
       } catch (error) {
         console.error('Error setting volume:', error);
       }
@@ -228,20 +243,47 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
     const newMuteState = !isMuted;
     setIsMuted(newMuteState);
     
-    if (sound) {
+    if (isLoaded) {
       try {
-        await sound.setIsMutedAsync(newMuteState);
+        await playerRef.current.setMasterMuted(newMuteState);
       } catch (error) {
         console.error('Error toggling mute:', error);
       }
     }
   };
 
+  const updateStemVolume = async (name: string, vol: number) => {
+    try {
+      await playerRef.current.setStemVolume(name, vol);
+      setStemMix(playerRef.current.getMix());
+    } catch (error) {
+      console.error('Error setting stem volume:', error);
+    }
+  };
+
+  const setStemMuted = async (name: string, muted: boolean) => {
+    try {
+      await playerRef.current.setStemMuted(name, muted);
+      setStemMix(playerRef.current.getMix());
+    } catch (error) {
+      console.error('Error muting stem:', error);
+    }
+  };
+
+  // Play along: the backing without the recorded guitar
+  const isPlayingAlong = !!stemMix.guitar?.muted && !!stemMix.backing && !stemMix.backing.muted;
+  const togglePlayAlong = async () => {
+    await setStemMuted('guitar', !isPlayingAlong);
+    if (!isPlayingAlong) {
+      await setStemMuted('backing', false);
+    }
+  };
+
   const jumpToSection = async (section: any) => {
-    if (!sound) return;
+    if (!isLoaded) return;
     
     try {
-      await sound.setPositionAsync(section.startTime * 1000);
+      await playerRef.current.seek(section.startTime * 1000);
       setActiveSection(track.sections?.indexOf(section) || 0);
     } catch (error) {
       console.error('Error jumping to section:', error);
@@ -249,12 +291,12 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
   };
 
   const jumpToChord = async (chordIndex: number) => {
-    if (!sound || !track.chords) return;
+    if (!isLoaded || !track.chords) return;
     
     try {
       const chord = track.chords[chordIndex];
       if (chord) {
-        await sound.setPositionAsync(chord.startTime * 1000);
+        await playerRef.current.seek(chord.startTime * 1000);
         setCurrentChordIndex(chordIndex);
       }
     } catch (error) {
@@ -354,8 +396,8 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
   );
 
   const renderAudioControls = () => {
-    // If no audio URL is available, show a message instead of controls
-    if (!track.audioUrl || track.audioUrl.trim() === '') {
+    // If no audio is available, show a message instead of controls
+    if (!hasAudio) {
       return (
         <View style={styles.audioControls}>
           <View style={styles.noAudioContainer}>
@@ -453,6 +495,54 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
   );
   };
 
+  const renderStemMixer = () => {
+    if (stemNames.length < 2) return null;
+
+    return (
+      <View style={styles.stemMixer}>
+        <View style={styles.stemMixerHeader}>
+          <Text style={styles.sectionTitle}>Stems</Text>
+          {enablePracticeMode && stemMix.guitar && stemMix.backing && (
+            <TouchableOpacity
+              style={[styles.playAlongButton, isPlayingAlong && styles.playAlongButtonActive]}
+              onPress={togglePlayAlong}
+            >
+              <Ionicons name="musical-notes" size={16} color={COLORS.text} />
+              <Text style={styles.playAlongText}>Play along</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {stemNames.map((name) => {
+          const level = stemMix[name];
+          return (
+            <View key={name} style={styles.stemRow}>
+              <TouchableOpacity
+                style={[styles.stemMuteButton, level.muted && styles.muteButtonActive]}
+                onPress={() => setStemMuted(name, !level.muted)}
+              >
+                <Ionicons name={level.muted ? "volume-off" : "volume-high"} size={18} color={COLORS.text} />
+              </TouchableOpacity>
+              <Text style={styles.stemLabel}>{STEM_LABELS[name] || name}</Text>
+              <Slider
+                style={styles.volumeSlider}
+                minimumValue={0}
+                maximumValue={1}
+                value={level.volume}
+                onValueChange={(value: number) => updateStemVolume(name, value)}
+                minimumTrackTintColor={COLORS.primary}
+                maximumTrackTintColor={COLORS.surfaceLight}
+                thumbTintColor={COLORS.primary}
+                disabled={level.muted}
+              />
+              <Text style={styles.volumeLabel}>{Math.round(level.volume * 100)}%</Text>
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
   const renderSections = () => {
     if (!showSections || !track.sections || track.sections.length === 0) return null;
 
@@ -583,6 +673,9 @@ const UnifiedAudioPlayer = (props: UnifiedAudioPlayerProps) => {
         {/* Audio Controls */}
         {renderAudioControls()}
 
+        {/* Stem Mixer */}
+        {renderStemMixer()}
+
         {/* Speed Controls */}
         {renderSpeedControls()}
 
@@ -773,6 +866,59 @@ const styles = StyleSheet.create({
     width: 40,
     textAlign: 'right',
   },
+  stemMixer: {
+    backgroundColor: COLORS.surface,
+    borderRadius: BORDER_RADIUS.lg,
+    padding: SPACING.lg,
+    marginBottom: SPACING.lg,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+  },
+  stemMixerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  playAlongButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: COLORS.surfaceLight,
+    paddingHorizontal: SPACING.sm,
+    paddingVertical: SPACING.xs,
+    borderRadius: BORDER_RADIUS.sm,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+    gap: SPACING.xs,
+  },
+  playAlongButtonActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  playAlongText: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text,
+    fontWeight: 'bold',
+  },
+  stemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: SPACING.sm,
+  },
+  stemMuteButton: {
+    width: 32,
+    height: 32,
+    borderRadius: BORDER_RADIUS.round,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: COLORS.surfaceLight,
+    borderWidth: 1,
+    borderColor: COLORS.glassBorder,
+  },
+  stemLabel: {
+    ...TYPOGRAPHY.caption,
+    color: COLORS.text,
+    width: 64,
+  },
   speedControl: {
     backgroundColor: COLORS.surface,
     borderRadius: BORDER_RADIUS.lg,
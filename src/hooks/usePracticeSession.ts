@@ -1,7 +1,8 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import Toast from 'react-native-toast-message';
 import { ProgressService, StartPracticeRequest, PracticeAnalysisRequest } from '@/services/progressService';
-import { PracticeSession } from '@/types/music';
+import { PracticeFeedbackStream, SongPosition } from '@/services/practiceFeedback';
+import { PracticeSession, StringMistake, PracticeFeedback } from '@/types/music';
 
 interface UsePracticeSessionState {
   currentSession: PracticeSession | null;
@@ -11,6 +12,10 @@ interface UsePracticeSessionState {
   startTime: Date | null;
   accuracy: number;
   notes: string;
+  // Strings that sounded wrong in the last analysed take, per chord
+  stringMistakes: StringMistake[];
+  // Latest live feedback on what is being played, while streaming
+  liveFeedback: PracticeFeedback | null;
 }
 
 interface UsePracticeSessionReturn extends UsePracticeSessionState {
@@ -18,6 +23,9 @@ interface UsePracticeSessionReturn extends UsePracticeSessionState {
   endSession: (analysisData?: FormData) => Promise<void>;
   addNote: (note: string) => void;
   reset: () => void;
+  // Stream the microphone for live feedback; getSongPosition answers null while the song is paused
+  startLiveFeedback: (getSongPosition: () => SongPosition | null) => Promise<void>;
+  stopLiveFeedback: () => void;
 }
 
 export const usePracticeSession = (): UsePracticeSessionReturn => {
@@ -29,13 +37,25 @@ export const usePracticeSession = (): UsePracticeSessionReturn => {
     startTime: null,
     accuracy: 0,
     notes: '',
+    stringMistakes: [],
+    liveFeedback: null,
   });
 
+  const feedbackStreamRef = useRef<PracticeFeedbackStream | null>(null);
+
   const updateState = useCallback((updates: Partial<UsePracticeSessionState>) => {
     setState(prev => ({ ...prev, ...updates }));
   }, []);
 
+  const stopLiveFeedback = useCallback(() => {
+    feedbackStreamRef.current?.stop();
+    feedbackStreamRef.current = null;
+  }, []);
+
+  useEffect(() => stopLiveFeedback, [stopLiveFeedback]);
+
   const reset = useCallback(() => {
+    stopLiveFeedback();
     setState({
       currentSession: null,
       loading: false,
@@ -44,8 +64,10 @@ export const usePracticeSession = (): UsePracticeSessionReturn => {
       startTime: null,
       accuracy: 0,
       notes: '',
+      stringMistakes: [],
+      liveFeedback: null,
     });
-  }, []);
+  }, [stopLiveFeedback]);
 
   const startSession = useCallback(async (
     songId: string,
@@ -105,6 +127,7 @@ export const usePracticeSession = (): UsePracticeSessionReturn => {
     }
 
     try {
+      stopLiveFeedback();
       updateState({ loading: true });
 
       const endTime = new Date();
@@ -117,6 +140,7 @@ export const usePracticeSession = (): UsePracticeSessionReturn => {
 
         updateState({
           accuracy: analysis.analysis_results.overall_accuracy,
+          stringMistakes: analysis.analysis_results.string_mistakes || [],
         });
       }
 
@@ -149,7 +173,31 @@ export const usePracticeSession = (): UsePracticeSessionReturn => {
         text2: errorMessage,
       });
     }
-  }, [state.currentSession, state.startTime, state.accuracy, state.notes, updateState]);
+  }, [state.currentSession, state.startTime, state.accuracy, state.notes, updateState, stopLiveFeedback]);
+
+  const startLiveFeedback = useCallback(async (getSongPosition: () => SongPosition | null) => {
+    if (!state.currentSession || !state.sessionActive) return;
+    stopLiveFeedback();
+
+    const stream = new PracticeFeedbackStream(state.currentSession.id, getSongPosition, {
+      onFeedback: (feedback) => updateState({ liveFeedback: feedback }),
+      onError: (message) => updateState({ error: message }),
+    });
+    feedbackStreamRef.current = stream;
+
+    try {
+      await stream.start();
+    } catch (error) {
+      stream.stop();
+      if (feedbackStreamRef.current === stream) feedbackStreamRef.current = null;
+      const errorMessage = error instanceof Error ? error.message : 'Failed to start live feedback';
+      Toast.show({
+        type: 'info',
+        text1: 'Live Feedback Unavailable',
+        text2: errorMessage,
+      });
+    }
+  }, [state.currentSession, state.sessionActive, stopLiveFeedback, updateState]);
 
   const addNote = useCallback((note: string) => {
     updateState({ notes: state.notes + (state.notes ? '\n' : '') + note });
@@ -161,6 +209,8 @@ export const usePracticeSession = (): UsePracticeSessionReturn => {
     endSession,
     addNote,
     reset,
+    startLiveFeedback,
+    stopLiveFeedback,
   };
 };
 
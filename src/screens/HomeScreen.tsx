@@ -18,7 +18,7 @@ import { StackNavigationProp } from '@react-navigation/stack';
 import Toast from 'react-native-toast-message';
 import * as DocumentPicker from 'expo-document-picker';
 import { RootState, AppDispatch } from '@/store';
-import { processYouTubeUrl, processAudioFile, clearError, fetchPopularSongs, fetchRecommendedSongs } from '@/store/slices/songsSlice';
+import { processYouTubeUrl, processAudioFile, clearError, fetchPopularSongs, fetchRecommendedSongs, resumePendingUploads } from '@/store/slices/songsSlice';
 import { loadSong } from '@/store/slices/playerSlice';
 import { Song } from '@/types/music';
 import ApiService from '@/services/api';
@@ -52,6 +52,7 @@ const HomeScreen: React.FC = () => {
   React.useEffect(() => {
     dispatch(fetchPopularSongs());
     dispatch(fetchRecommendedSongs());
+    dispatch(resumePendingUploads());
   }, [dispatch]);
 
   const handleProcessYouTube = async () => {
@@ -59,17 +60,19 @@ const HomeScreen: React.FC = () => {
       Toast.show({
         type: 'error',
         text1: 'Error',
-        text2: 'Please enter a YouTube URL',
+        text2: 'Please enter a YouTube or audio file URL',
       });
       return;
     }
 
-    const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.+/;
-    if (!youtubeRegex.test(youtubeUrl)) {
+    // YouTube videos and direct links to audio files; the server tells which links it supports
+    const trimmedUrl = youtubeUrl.trim();
+    const url = /^https?:\/\//i.test(trimmedUrl) ? trimmedUrl : `https://${trimmedUrl}`;
+    if (!/^https?:\/\/[^\s/]+\.[^\s]+$/i.test(url)) {
       Toast.show({
         type: 'error',
         text1: 'Error',
-        text2: 'Please enter a valid YouTube URL',
+        text2: 'Please enter a valid http(s) URL',
       });
       return;
     }
@@ -85,7 +88,7 @@ const HomeScreen: React.FC = () => {
          return;
       }
 
-      const resultAction = await dispatch(processYouTubeUrl(youtubeUrl));
+      const resultAction = await dispatch(processYouTubeUrl(url));
       handleProcessResult(resultAction);
     } catch (err) {
       Toast.show({
@@ -132,6 +135,7 @@ const HomeScreen: React.FC = () => {
       uri: asset.uri,
       name: asset.name,
       type: asset.mimeType || 'audio/mpeg',
+      size: asset.size,
     };
 
     try {
@@ -354,7 +358,7 @@ const HomeScreen: React.FC = () => {
 
         {activeTab === 'youtube' ? (
           <View style={styles.inputContainer}>
-            <Text style={styles.label}>Paste YouTube URL</Text>
+            <Text style={styles.label}>Paste YouTube or audio file URL</Text>
             <TextInput
               style={styles.textInput}
               placeholder="e.g. https://youtube.com/watch?v=..."
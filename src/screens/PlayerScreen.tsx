@@ -14,7 +14,7 @@ import { Song } from '@/types/music';
 import Player from '@/components/Player/Player';
 import GuitarTuner from '@/components/Tuner/GuitarTuner';
 import { COLORS, SPACING, TYPOGRAPHY } from '@/constants/theme';
-import { useNavigation } from '@react-navigation/native';
+import { useNavigation, useRoute } from '@react-navigation/native';
 import Toast from 'react-native-toast-message';
 
 const PlayerScreen: React.FC = () => {
@@ -27,6 +27,9 @@ const PlayerScreen: React.FC = () => {
   } = useSelector((state: RootState) => state.player);
 
   const navigation = useNavigation<any>();
+  const route = useRoute<any>();
+  // Set when opening a song from an identified recording, to start where it matched
+  const startTime: number | undefined = route.params?.startTime;
 
   React.useEffect(() => {
     if (!currentSong && !loading) {
@@ -60,6 +63,7 @@ const PlayerScreen: React.FC = () => {
       <Player
         song={currentSong}
         onBack={handleBack}
+        startTime={startTime}
       />
       <TouchableOpacity
         style={styles.tunerButton}
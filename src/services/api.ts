@@ -1,6 +1,9 @@
 import axios, { AxiosResponse, AxiosError } from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
+import { ResumableUploadService } from './resumableUpload';
+import { StemSource } from './stemPlayer';
+import { StringIssue, StringMistake } from '@/types/music';
 
 const API_BASE_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3001/api';
 
@@ -43,6 +46,9 @@ export interface JobStatus {
   progress_percentage: number;
   current_step: string;
   estimated_remaining_seconds?: number;
+  queue_position?: number;
+  estimated_start_seconds?: number;
+  tier?: string;
   partial_results?: any;
   error?: string;
 }
@@ -62,6 +68,8 @@ export interface ProcessedResults {
       video_url?: string;
     };
     chords: Chord[];
+    strumming?: StrummingBar[];
+    sections?: SongSection[];
     tablature: Tablature;
     techniques: Technique[];
     processed_at: string;
@@ -76,6 +84,41 @@ export interface Chord {
   fingerPositions?: FingerPosition[];
 }
 
+export interface StrumStroke {
+  time: number;
+  beat: number;
+  position: number;
+  direction: 'down' | 'up';
+  accent: boolean;
+  muted: boolean;
+}
+
+export interface StrummingBar {
+  bar: number;
+  start_time: number;
+  end_time: number;
+  chord: string | null;
+  subdivision: 'eighth' | 'sixteenth';
+  // One symbol per eighth or sixteenth: D down, U up, X muted, - rest
+  pattern: string;
+  strokes: StrumStroke[];
+}
+
+export interface SongSection {
+  id: number;
+  label: 'intro' | 'verse' | 'pre_chorus' | 'chorus' | 'bridge' | 'interlude' | 'outro';
+  // Display name, numbered when the label repeats, e.g. 'Verse 2'
+  name: string;
+  // Sections with the same group letter are repeats of each other
+  group: string;
+  start_time: number;
+  end_time: number;
+  start_bar: number | null;
+  end_bar: number | null;
+  // Ids of the other sections in the same group
+  same_as: number[];
+}
+
 export interface FingerPosition {
   string: number;
   fret: number;
@@ -111,10 +154,30 @@ export interface Song {
   thumbnail_url?: string;
   popularity_score: number;
   chords?: Chord[];
+  strumming_patterns?: StrummingBar[];
+  sections?: SongSection[];
   tablature?: Tablature;
   is_saved?: boolean;
 }
 
+export interface SongStem {
+  name: string;
+  content_type: string;
+  url: string;
+}
+
+// A song a recording may come from; offset_seconds is where in the song the recording starts
+export interface SongMatch {
+  song_id: string;
+  title: string;
+  artist: string;
+  duration_seconds: number;
+  thumbnail_url?: string;
+  score: number;
+  offset_seconds: number;
+  transposition: number;
+}
+
 export interface PracticeSession {
   session_id: string;
   start_time: string;
@@ -129,6 +192,62 @@ export interface PracticeSession {
   session_notes?: string;
 }
 
+export interface ChordResult {
+  chord: string;
+  start_time: number;
+  played: string | null;
+  correct: boolean;
+  offset_ms: number | null;
+  recording_start: number | null;
+  recording_end: number | null;
+  status: 'correct' | 'wrong_chord' | 'missed';
+  strings?: StringIssue[];
+  extra_notes?: string[];
+}
+
+export interface ChordDrillResults {
+  seconds: number;
+  changes: number;
+  clean_changes: number;
+  changes_per_minute: number;
+  average_change_ms: number | null;
+  fastest_change_ms: number | null;
+  held_seconds: Record<string, number>;
+}
+
+export interface ChordDrillPair {
+  chords: string[];
+  attempts: number;
+  best_changes_per_minute: number;
+  latest_changes_per_minute: number;
+  last_practiced: string;
+}
+
+export interface ReviewItem {
+  item_id: string;
+  item_type: 'chord' | 'technique' | 'section';
+  item_key: string;
+  song_id: string | null;
+  label: string;
+  details: { song_title: string; name: string; start_time: number; end_time: number } | null;
+  ease_factor: number;
+  interval_days: number;
+  repetitions: number;
+  lapses: number;
+  due_date: string;
+  last_score: number | null;
+  last_reviewed_at: string | null;
+  overdue_days: number;
+  estimated_minutes: number;
+}
+
+export interface DuePlan {
+  date: string;
+  items: ReviewItem[];
+  total_minutes: number;
+  due_count: number;
+}
+
 export interface AnalysisResults {
   analysis_results: {
     overall_accuracy: number;
@@ -136,7 +255,11 @@ export interface AnalysisResults {
     pitch_accuracy: number;
     rhythm_accuracy: number;
     chord_accuracy: Record<string, any>;
+    // Every chord of the take, aligned to the song; offset_ms is positive when late
+    chord_results: ChordResult[];
     mistakes: any[];
+    // Chords of the take with strings that sounded dead, buzzing, misplaced or unmuted
+    string_mistakes: StringMistake[];
     improvement_areas: string[];
     next_practice_suggestions: any;
   };
@@ -335,6 +458,11 @@ class ApiService {
     userPreferences?: any
   ): Promise<ApiResponse<{ job_id: string; status: string; results?: ProcessedResults['results'] }>> {
     try {
+      // Large files go up in resumable chunks so a dropped connection does not restart them
+      if (ResumableUploadService.shouldUseChunks(file)) {
+        return await ResumableUploadService.upload(this.api, file, userPreferences);
+      }
+
       const formData = new FormData();
 
       // In React Native, the file object should look like { uri, name, type }
@@ -356,6 +484,16 @@ class ApiService {
     }
   }
 
+  // Abandon an unfinished chunked upload of a file; interrupted uploads are otherwise resumed
+  async cancelUpload(file: any): Promise<void> {
+    try {
+      await ResumableUploadService.cancel(this.api, file);
+    } catch (error: any) {
+      console.error('Cancel upload error:', error);
+      throw error;
+    }
+  }
+
   async processYouTubeUrl(
     youtubeUrl: string,
     userPreferences?: any
@@ -372,6 +510,46 @@ class ApiService {
     }
   }
 
+  // YouTube videos and direct links to audio files
+  async processAudioUrl(
+    url: string,
+    userPreferences?: any
+  ): Promise<ApiResponse<{ job_id: string; status: string; provider?: string; results?: ProcessedResults['results'] }>> {
+    try {
+      const response = await this.api.post('/process-url', {
+        url,
+        user_preferences: userPreferences || {},
+      });
+      return response.data;
+    } catch (error: any) {
+      console.error('Process URL error:', error);
+      throw error;
+    }
+  }
+
+  // Find the analysed songs a short recording (played, hummed or off the speakers) comes from
+  async identifySong(
+    file: any,
+    options: { transpose?: boolean; limit?: number } = {}
+  ): Promise<{ recording_seconds: number; matches: SongMatch[] }> {
+    try {
+      const formData = new FormData();
+      formData.append('audio_file', file);
+      if (options.transpose) formData.append('transpose', 'true');
+      if (options.limit) formData.append('limit', String(options.limit));
+
+      const response = await this.api.post('/identify', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error: any) {
+      console.error('Identify song error:', error);
+      throw error;
+    }
+  }
+
   async getProcessingStatus(jobId: string): Promise<ApiResponse<JobStatus>> {
     try {
       const response = await this.api.get(`/process-status/${jobId}`);
@@ -382,6 +560,16 @@ class ApiService {
     }
   }
 
+  async cancelProcessing(jobId: string): Promise<ApiResponse<JobStatus>> {
+    try {
+      const response = await this.api.delete(`/process-status/${jobId}`);
+      return response.data;
+    } catch (error: any) {
+      console.error('Cancel processing error:', error);
+      throw error;
+    }
+  }
+
   async getSongResults(jobId: string): Promise<ApiResponse<ProcessedResults>> {
     try {
       const response = await this.api.get(`/song-results/${jobId}`);
@@ -454,6 +642,44 @@ class ApiService {
     }
   }
 
+  async getSongStems(songId: string): Promise<{ song_id: string; method: string | null; stems: SongStem[] }> {
+    try {
+      const response = await this.api.get(`/songs/${songId}/stems`);
+      return response.data;
+    } catch (error: any) {
+      console.error('Get song stems error:', error);
+      throw error;
+    }
+  }
+
+  // Stems ready for StemPlayer; the audio requests carry the auth header themselves. With a
+  // speed or semitone shift the server renders the stems that way (pitch and tempo kept); songs
+  // without stems then play the song's own audio rendered the same way.
+  async getStemSources(
+    songId: string,
+    render: { speed?: number; semitones?: number } = {}
+  ): Promise<StemSource[]> {
+    const { stems } = await this.getSongStems(songId);
+    const { accessToken } = await this.getStoredTokens();
+    const headers: Record<string, string> = accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+    const { speed = 1, semitones = 0 } = render;
+    const renderQuery = speed !== 1 || semitones !== 0
+      ? `/render?speed=${speed}&semitones=${semitones}`
+      : '';
+
+    if (stems.length === 0) {
+      return renderQuery
+        ? [{ name: 'mix', uri: `${API_BASE_URL}/songs/${songId}/audio${renderQuery}`, headers }]
+        : [];
+    }
+
+    return stems.map((stem) => ({
+      name: stem.name,
+      uri: `${API_BASE_URL}/songs/${songId}/stems/${stem.name}${renderQuery}`,
+      headers,
+    }));
+  }
+
   async getPopularSongs(limit?: number): Promise<ApiResponse<{ songs: Song[]; pagination: any }>> {
     try {
       const response = await this.api.get('/songs/popular/list', {
@@ -604,7 +830,81 @@ class ApiService {
     }
   }
 
-  async getPracticeStats(timeFrame?: string): Promise<ApiResponse<any>> {
+  async startChordDrill(
+    chords: [string, string],
+    durationSeconds?: number
+  ): Promise<{ session_id: string; chords: string[]; duration_seconds: number; last_changes_per_minute: number | null }> {
+    try {
+      const response = await this.api.post('/practice/drills/start', {
+        chords,
+        duration_seconds: durationSeconds,
+      });
+      return response.data;
+    } catch (error: any) {
+      console.error('Start chord drill error:', error);
+      throw error;
+    }
+  }
+
+  // Recording of the drill, as the app records it; the server transcodes it
+  async finishChordDrill(
+    sessionId: string,
+    file: any
+  ): Promise<{ drill_results: ChordDrillResults; previous_best: number | null; personal_best: boolean }> {
+    try {
+      const formData = new FormData();
+      formData.append('audio_file', file);
+
+      const response = await this.api.post(`/practice/drills/${sessionId}/finish`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      });
+      return response.data;
+    } catch (error: any) {
+      console.error('Finish chord drill error:', error);
+      throw error;
+    }
+  }
+
+  async getChordDrills(): Promise<{ pairs: ChordDrillPair[] }> {
+    try {
+      const response = await this.api.get('/practice/drills');
+      return response.data;
+    } catch (error: any) {
+      console.error('Get chord drills error:', error);
+      throw error;
+    }
+  }
+
+  async getChordDrillHistory(
+    chords: [string, string],
+    limit?: number
+  ): Promise<{ chords: string[]; attempts: Array<{ session_id: string; start_time: string; changes_per_minute: number; drill_results: ChordDrillResults }> }> {
+    try {
+      const response = await this.api.get('/practice/drills', {
+        params: { chords: chords.join(','), limit },
+      });
+      return response.data;
+    } catch (error: any) {
+      console.error('Get chord drill history error:', error);
+      throw error;
+    }
+  }
+
+  async getDuePlan(minutes?: number): Promise<DuePlan> {
+    try {
+      const response = await this.api.get('/practice/due', {
+        params: { minutes },
+      });
+      return response.data;
+    } catch (error: any) {
+      console.error('Get due plan error:', error);
+      throw error;
+    }
+  }
+
+    async getPracticeStats(timeFrame?: string): Promise<ApiResponse<any>> {
     try {
       const response = await this.api.get('/practice/stats', {
         params: { timeFrame: timeFrame || '30d' },
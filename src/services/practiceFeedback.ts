@@ -0,0 +1,174 @@
+import { io, Socket } from 'socket.io-client';
+import { Audio } from 'expo-av';
+import AudioRecord from 'react-native-audio-record';
+import ApiService from './api';
+import { PracticeFeedback } from '@/types/music';
+
+// Live practice feedback. While a session is active the microphone is streamed to the server
+// over the websocket as short PCM frames stamped with the song position, and every frame is
+// answered with practice_feedback: the chord heard, the strings that sound wrong and how far
+// the last chord change drifted from the song.
+
+const SOCKET_URL = (process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3001/api').replace(/\/api\/?$/, '');
+
+const SAMPLE_RATE = 16000;
+// One chroma window of the server's chord detection, about a quarter of a second
+const FRAME_SAMPLES = 4096;
+const FRAME_BYTES = FRAME_SAMPLES * 2;
+
+// Session problems after which streaming cannot go on
+const FATAL_ERRORS = ['SESSION_NOT_FOUND', 'SESSION_ENDED', 'SONG_NOT_FOUND'];
+
+// Where the song is, in seconds, and how fast it plays; at 50% a second of audio is half a
+// second of the song
+export interface SongPosition {
+  time: number;
+  speed: number;
+}
+
+export interface PracticeFeedbackHandlers {
+  onFeedback: (feedback: PracticeFeedback) => void;
+  onError?: (message: string) => void;
+}
+
+const decodeBase64 = (data: string): Uint8Array => {
+  const binaryString = atob(data);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes;
+};
+
+export class PracticeFeedbackStream {
+  private socket: Socket | null = null;
+  private recording = false;
+  private stopped = false;
+  private buffer = new Uint8Array(FRAME_BYTES);
+  private buffered = 0;
+
+  // getSongPosition answers null while the song is not playing
+  constructor(
+    private sessionId: string,
+    private getSongPosition: () => SongPosition | null,
+    private handlers: PracticeFeedbackHandlers
+  ) {}
+
+  async start(): Promise<void> {
+    if (this.socket || this.stopped) return;
+
+    const { status } = await Audio.requestPermissionsAsync();
+    if (status !== 'granted') {
+      throw new Error('Microphone access is needed for live feedback');
+    }
+
+    const { accessToken } = await ApiService.getStoredTokens();
+    if (!accessToken) {
+      throw new Error('Sign in to get live feedback');
+    }
+    // Stopped while asking for the microphone
+    if (this.stopped) return;
+
+    const socket = io(SOCKET_URL, {
+      auth: { token: accessToken },
+      transports: ['websocket'],
+    });
+    this.socket = socket;
+
+    // Joined again after every reconnect; frames are only scored for a joined session
+    socket.on('connect', () => {
+      socket.emit('join_session', { session_id: this.sessionId });
+    });
+
+    socket.on('session_joined', ({ session_id }: { session_id: string }) => {
+      if (session_id !== this.sessionId) return;
+      this.startRecording().catch((error) => {
+        console.error('Failed to start practice recording:', error);
+        this.handlers.onError?.('Could not record from the microphone');
+      });
+    });
+
+    socket.on('practice_feedback', (feedback: PracticeFeedback) => {
+      if (feedback.session_id === this.sessionId) this.handlers.onFeedback(feedback);
+    });
+
+    socket.on('error', (error: { message: string; code?: string }) => {
+      console.error('Practice feedback error:', error);
+      this.handlers.onError?.(error.message);
+      if (error.code && FATAL_ERRORS.includes(error.code)) this.stop();
+    });
+
+    socket.on('connect_error', (error: Error) => {
+      console.error('Practice feedback connection error:', error);
+      this.handlers.onError?.(error.message);
+    });
+  }
+
+  stop(): void {
+    this.stopped = true;
+    if (this.recording) {
+      this.recording = false;
+      AudioRecord.stop();
+    }
+    this.buffered = 0;
+
+    if (this.socket) {
+      this.socket.emit('leave_session', { session_id: this.sessionId });
+      this.socket.disconnect();
+      this.socket = null;
+    }
+  }
+
+  private async startRecording(): Promise<void> {
+    if (this.recording) return;
+
+    await Audio.setAudioModeAsync({
+      allowsRecordingIOS: true,
+      playsInSilentModeIOS: true,
+    });
+    if (this.stopped || this.recording) return;
+
+    AudioRecord.init({
+      sampleRate: SAMPLE_RATE,
+      channels: 1,
+      bitsPerSample: 16,
+      audioSource: 6, // microphone
+      wavFile: '',
+    });
+    AudioRecord.on('data', (data: string) => this.handleAudio(data));
+    AudioRecord.start();
+    this.recording = true;
+  }
+
+  // Collect microphone audio into whole frames and send each with the song position it began at
+  private handleAudio(data: string): void {
+    const position = this.getSongPosition();
+    if (!position || !this.socket?.connected) {
+      // Audio from while the song is paused or the connection is down belongs to no position
+      this.buffered = 0;
+      return;
+    }
+
+    const bytes = decodeBase64(data);
+    let read = 0;
+    while (read < bytes.length) {
+      const count = Math.min(FRAME_BYTES - this.buffered, bytes.length - read);
+      this.buffer.set(bytes.subarray(read, read + count), this.buffered);
+      this.buffered += count;
+      read += count;
+
+      if (this.buffered === FRAME_BYTES) {
+        // The chunk ends at the song position, so the frame ends before the part not yet read
+        const endTime = position.time - (bytes.length - read) / 2 / SAMPLE_RATE * position.speed;
+        this.socket.emit('practice_data', {
+          session_id: this.sessionId,
+          song_time: Math.max(0, endTime - FRAME_SAMPLES / SAMPLE_RATE * position.speed),
+          audio: this.buffer.slice(),
+          encoding: 'pcm_s16le',
+          sample_rate: SAMPLE_RATE,
+        });
+        this.buffered = 0;
+      }
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import { apiClient } from './api';
+import { StringMistake } from '@/types/music';
 
 export interface PracticeSession {
   session_id: string;
@@ -33,11 +34,12 @@ export interface ChordAccuracy {
 
 export interface Mistake {
   timestamp: number;
-  type: 'chord_mistake' | 'timing' | 'pitch' | 'rhythm';
+  type: 'chord_mistake' | 'timing' | 'pitch' | 'rhythm' | 'string';
   description?: string;
   expected?: string;
   played?: string;
   severity: 'minor' | 'major';
+  string?: number;
 }
 
 export interface StartPracticeRequest {
@@ -75,6 +77,7 @@ export interface PracticeAnalysisResponse {
     rhythm_accuracy: number;
     chord_accuracy: Record<string, ChordAccuracy>;
     mistakes: Mistake[];
+    string_mistakes: StringMistake[];
     improvement_areas: string[];
     next_practice_suggestions: {
       focus_techniques: string[];
@@ -0,0 +1,215 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+
+// Chunked, resumable audio uploads. Files are sent in checksummed chunks to /uploads; after a
+// dropped connection the upload continues from the offset the server reports instead of
+// starting over. The upload id of every unfinished file is kept on the device, so a later
+// attempt, or the next app start, picks the upload up where it stopped.
+
+export interface UploadFile {
+  uri: string;
+  name: string;
+  type?: string;
+  size?: number;
+}
+
+interface UploadStatus {
+  upload_id: string;
+  status: string;
+  offset: number;
+  total_size: number;
+  chunk_size: number;
+  job_id: string | null;
+}
+
+export interface PendingUpload {
+  upload_id: string;
+  file: UploadFile;
+  user_preferences: any;
+  started_at: string;
+}
+
+const PENDING_UPLOADS_KEY = '@zeze_pending_uploads';
+
+const sha256Hex = async (data: ArrayBuffer): Promise<string> => {
+  const digest = await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const readBlob = (blob: Blob): Promise<ArrayBuffer> =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as ArrayBuffer);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+    reader.readAsArrayBuffer(blob);
+  });
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Answers that mean the upload is gone for good: expired, aborted, finalised or not ours
+const isUploadGone = (error: any): boolean => {
+  const statusCode = error?.response?.status;
+  return statusCode === 404 || statusCode === 410 || error?.response?.data?.code === 'UPLOAD_NOT_ACTIVE';
+};
+
+export class ResumableUploadService {
+  // Files above this size are uploaded in chunks instead of one multipart request
+  static THRESHOLD_BYTES = 5 * 1024 * 1024;
+  private static MAX_RETRIES = 5;
+
+  static shouldUseChunks(file: UploadFile): boolean {
+    return (file.size || 0) > this.THRESHOLD_BYTES;
+  }
+
+  // The same file picked again gets a new cache URI, so files are known by name and size
+  private static fileKey(file: UploadFile): string {
+    return `${file.name}:${file.size}`;
+  }
+
+  private static async getPending(): Promise<Record<string, PendingUpload>> {
+    try {
+      const stored = await AsyncStorage.getItem(PENDING_UPLOADS_KEY);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Failed to read pending uploads:', error);
+      return {};
+    }
+  }
+
+  private static async setPending(key: string, pending: PendingUpload | null): Promise<void> {
+    const uploads = await this.getPending();
+    if (pending) {
+      uploads[key] = pending;
+    } else {
+      delete uploads[key];
+    }
+    await AsyncStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(uploads));
+  }
+
+  // Unfinished uploads, e.g. to resume them when the app starts
+  static async listPending(): Promise<PendingUpload[]> {
+    return Object.values(await this.getPending());
+  }
+
+  // Upload a file and queue it for processing; resolves with the same body as /process-audio.
+  // An upload of the same file that was interrupted before is continued.
+  static async upload(
+    api: any,
+    file: UploadFile,
+    userPreferences?: any,
+    onProgress?: (fraction: number) => void
+  ): Promise<any> {
+    const key = this.fileKey(file);
+    const pending = (await this.getPending())[key];
+
+    let blob: Blob;
+    try {
+      blob = await (await fetch(file.uri)).blob();
+    } catch (error) {
+      // The file is no longer on the device; its upload cannot be continued
+      if (pending) await this.setPending(key, null);
+      throw error;
+    }
+
+    let status: UploadStatus | null = null;
+    if (pending) {
+      try {
+        status = (await api.get(`/uploads/${pending.upload_id}`)).data as UploadStatus;
+      } catch (error) {
+        if (!isUploadGone(error)) throw error;
+      }
+
+      // Finalised before its answer got back to us: follow the job it queued
+      if (status?.status === 'finalized' && status.job_id) {
+        await this.setPending(key, null);
+        return { job_id: status.job_id, status: 'queued' };
+      }
+      if (status?.status !== 'uploading') status = null;
+    }
+
+    if (!status) {
+      const created = await api.post('/uploads', {
+        file_name: file.name,
+        mime_type: file.type,
+        total_size: blob.size,
+        user_preferences: userPreferences || {},
+      });
+      status = created.data as UploadStatus;
+      await this.setPending(key, {
+        upload_id: status.upload_id,
+        file,
+        user_preferences: userPreferences || {},
+        started_at: new Date().toISOString(),
+      });
+    }
+
+    const uploadId = status.upload_id;
+    try {
+      await this.sendChunks(api, uploadId, blob, status, onProgress);
+      const response = await api.post(`/uploads/${uploadId}/finalize`);
+      await this.setPending(key, null);
+      return response.data;
+    } catch (error) {
+      // Anything else (a dropped connection, the daily limit) leaves the upload to resume later
+      if (isUploadGone(error)) await this.setPending(key, null);
+      throw error;
+    }
+  }
+
+  // Abandon a file's upload on the server; only for a user cancelling it
+  static async cancel(api: any, file: UploadFile): Promise<void> {
+    const key = this.fileKey(file);
+    const pending = (await this.getPending())[key];
+    if (!pending) return;
+
+    try {
+      await api.delete(`/uploads/${pending.upload_id}`);
+    } catch (error) {
+      if (!isUploadGone(error)) throw error;
+    }
+    await this.setPending(key, null);
+  }
+
+  private static async sendChunks(
+    api: any,
+    uploadId: string,
+    blob: Blob,
+    status: UploadStatus,
+    onProgress?: (fraction: number) => void
+  ): Promise<void> {
+    let offset = status.offset;
+    let failures = 0;
+
+    while (offset < blob.size) {
+      const buffer = await readBlob(blob.slice(offset, Math.min(offset + status.chunk_size, blob.size)));
+      const chunk = new Uint8Array(buffer);
+
+      try {
+        const response = await api.put(`/uploads/${uploadId}`, chunk, {
+          headers: {
+            'Content-Type': 'application/octet-stream',
+            'Upload-Offset': String(offset),
+            'Upload-Checksum': `sha256 ${await sha256Hex(buffer)}`,
+          },
+          transformRequest: [(data: any) => data],
+        });
+        offset = response.data.offset;
+        failures = 0;
+        onProgress?.(offset / blob.size);
+      } catch (error: any) {
+        const statusCode = error?.response?.status;
+        if (isUploadGone(error) || statusCode === 400 || statusCode === 413) {
+          throw error;
+        }
+
+        failures += 1;
+        if (failures > this.MAX_RETRIES) throw error;
+        await wait(Math.min(1000 * 2 ** (failures - 1), 15000));
+
+        // Continue from whatever the server actually stored
+        const current = await api.get(`/uploads/${uploadId}`).catch(() => null);
+        if (current) offset = current.data.offset;
+      }
+    }
+  }
+}
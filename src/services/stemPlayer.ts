@@ -0,0 +1,179 @@
+import { Audio, AVPlaybackStatus } from 'expo-av';
+
+// Plays the stems of a song (guitar, backing, click) as one track. Every stem is its own
+// expo-av sound: the first stem is the clock, and the others are moved back onto it when they
+// drift. Muted stems keep playing at zero volume so unmuting never needs a resync.
+
+export interface StemSource {
+  name: string;
+  uri: string;
+  headers?: Record<string, string>;
+}
+
+export interface StemLevel {
+  volume: number;
+  muted: boolean;
+}
+
+export type StemMix = Record<string, StemLevel>;
+
+export const STEM_LABELS: Record<string, string> = {
+  mix: 'Full mix',
+  guitar: 'Guitar',
+  backing: 'Backing',
+  click: 'Click',
+};
+
+const DRIFT_TOLERANCE_MS = 50;
+const DRIFT_CHECK_INTERVAL_MS = 2000;
+const PROGRESS_UPDATE_INTERVAL_MS = 250;
+
+export class StemPlayer {
+  private sounds: { name: string; sound: Audio.Sound }[] = [];
+  private mix: StemMix = {};
+  private masterVolume = 1;
+  private masterMuted = false;
+  private lastDriftCheck = 0;
+  private correctingDrift = false;
+
+  get stemNames(): string[] {
+    return this.sounds.map(({ name }) => name);
+  }
+
+  get isLoaded(): boolean {
+    return this.sounds.length > 0;
+  }
+
+  getMix(): StemMix {
+    return { ...this.mix };
+  }
+
+  async load(
+    stems: StemSource[],
+    onStatus: (status: AVPlaybackStatus) => void,
+    initialMix: Record<string, Partial<StemLevel>> = {}
+  ): Promise<void> {
+    await this.unload();
+
+    this.mix = {};
+    stems.forEach(({ name }) => {
+      this.mix[name] = { volume: 1, muted: false, ...initialMix[name] };
+    });
+
+    const loaded = await Promise.all(
+      stems.map((stem) =>
+        Audio.Sound.createAsync(
+          { uri: stem.uri, headers: stem.headers },
+          {
+            shouldPlay: false,
+            volume: this.getEffectiveVolume(stem.name),
+            progressUpdateIntervalMillis: PROGRESS_UPDATE_INTERVAL_MS,
+          }
+        )
+      )
+    );
+    this.sounds = stems.map((stem, i) => ({ name: stem.name, sound: loaded[i].sound }));
+
+    this.sounds[0]?.sound.setOnPlaybackStatusUpdate((status) => {
+      onStatus(status);
+      if (status.isLoaded && status.isPlaying) {
+        this.checkDrift();
+      }
+    });
+  }
+
+  async unload(): Promise<void> {
+    const sounds = this.sounds;
+    this.sounds = [];
+    await Promise.all(sounds.map(({ sound }) => sound.unloadAsync().catch(() => undefined)));
+  }
+
+  // Start every stem from the clock's position, so they begin together
+  async play(): Promise<void> {
+    const position = await this.getPosition();
+    await Promise.all(this.sounds.map(({ sound }) => sound.playFromPositionAsync(position)));
+  }
+
+  async pause(): Promise<void> {
+    await Promise.all(this.sounds.map(({ sound }) => sound.pauseAsync()));
+    await this.alignFollowers();
+  }
+
+  async stop(): Promise<void> {
+    await Promise.all(this.sounds.map(({ sound }) => sound.stopAsync()));
+  }
+
+  async seek(positionMillis: number): Promise<void> {
+    await Promise.all(this.sounds.map(({ sound }) => sound.setPositionAsync(positionMillis)));
+  }
+
+  async setRate(rate: number): Promise<void> {
+    await Promise.all(this.sounds.map(({ sound }) => sound.setRateAsync(rate, true)));
+  }
+
+  async setStemVolume(name: string, volume: number): Promise<void> {
+    if (!this.mix[name]) return;
+    this.mix[name] = { ...this.mix[name], volume };
+    await this.applyVolume(name);
+  }
+
+  async setStemMuted(name: string, muted: boolean): Promise<void> {
+    if (!this.mix[name]) return;
+    this.mix[name] = { ...this.mix[name], muted };
+    await this.applyVolume(name);
+  }
+
+  async setMasterVolume(volume: number): Promise<void> {
+    this.masterVolume = volume;
+    await Promise.all(this.stemNames.map((name) => this.applyVolume(name)));
+  }
+
+  async setMasterMuted(muted: boolean): Promise<void> {
+    this.masterMuted = muted;
+    await Promise.all(this.stemNames.map((name) => this.applyVolume(name)));
+  }
+
+  private getEffectiveVolume(name: string): number {
+    const level = this.mix[name];
+    if (!level || level.muted || this.masterMuted) return 0;
+    return level.volume * this.masterVolume;
+  }
+
+  private async applyVolume(name: string): Promise<void> {
+    const entry = this.sounds.find((stem) => stem.name === name);
+    if (entry) {
+      await entry.sound.setVolumeAsync(this.getEffectiveVolume(name));
+    }
+  }
+
+  private async getPosition(): Promise<number> {
+    const clock = this.sounds[0]?.sound;
+    if (!clock) return 0;
+    const status = await clock.getStatusAsync();
+    return status.isLoaded ? status.positionMillis : 0;
+  }
+
+  private checkDrift() {
+    const now = Date.now();
+    if (this.correctingDrift || now - this.lastDriftCheck < DRIFT_CHECK_INTERVAL_MS) return;
+    this.lastDriftCheck = now;
+    this.correctingDrift = true;
+    this.alignFollowers()
+      .catch((error) => console.warn('Stem resync failed:', error))
+      .finally(() => {
+        this.correctingDrift = false;
+      });
+  }
+
+  // Move stems that wandered off the clock back onto it
+  private async alignFollowers(): Promise<void> {
+    for (const { sound } of this.sounds.slice(1)) {
+      const [clockPosition, status] = await Promise.all([this.getPosition(), sound.getStatusAsync()]);
+      if (status.isLoaded && Math.abs(status.positionMillis - clockPosition) > DRIFT_TOLERANCE_MS) {
+        await sound.setPositionAsync(clockPosition);
+      }
+    }
+  }
+}
+
+export default StemPlayer;
@@ -2,11 +2,12 @@ import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
 import { Song } from '@/types/music';
 import ApiService from '@/services/api';
 import SongCacheService from '@/services/songCache';
+import { ResumableUploadService } from '@/services/resumableUpload';
 
 interface SongsState {
   songs: Song[];
   currentProcessingJob: string | null;
-  processingStatus: 'idle' | 'processing' | 'completed' | 'failed';
+  processingStatus: 'idle' | 'processing' | 'completed' | 'failed' | 'cancelled';
   processingProgress: number;
   loading: boolean;
   error: string | null;
@@ -51,7 +52,7 @@ export const processYouTubeUrl = createAsyncThunk(
         targetKey: 'C',
         difficultyLevel: 3,
       };
-      const initResponse = await ApiService.processYouTubeUrl(youtubeUrl, defaultPreferences);
+      const initResponse = await ApiService.processAudioUrl(youtubeUrl, defaultPreferences);
       const jobId = initResponse.data?.job_id;
 
       if (!jobId) {
@@ -66,7 +67,7 @@ export const processYouTubeUrl = createAsyncThunk(
       return await pollJobStatus(jobId, dispatch);
     } catch (error: any) {
       const statusCode = error?.response?.status;
-      let errorMessage = error?.response?.data?.message || error.message || 'Failed to process YouTube URL';
+      let errorMessage = error?.response?.data?.message || error.message || 'Failed to process URL';
       
       // Handle specific status codes
       if (statusCode === 429) {
@@ -150,6 +151,19 @@ export const processAudioFile = createAsyncThunk(
   }
 );
 
+// Continue chunked uploads that were interrupted, e.g. by the app closing; each one finishes
+// like a regular file upload
+export const resumePendingUploads = createAsyncThunk(
+  'songs/resumePendingUploads',
+  async (_, { dispatch }) => {
+    const pending = await ResumableUploadService.listPending();
+    for (const upload of pending) {
+      await dispatch(processAudioFile(upload.file));
+    }
+    return pending.length;
+  }
+);
+
 const pollJobStatus = async (jobId: string, dispatch: any) => {
   // Initial polling state
   dispatch(updateProcessingStatus({ jobId, status: 'processing', progress: 0 }));
@@ -185,6 +199,10 @@ const pollJobStatus = async (jobId: string, dispatch: any) => {
         throw new Error(data.error || 'Processing failed');
       }
 
+      if (data.status === 'cancelled') {
+        throw new Error('Processing cancelled');
+      }
+
       // Wait before next poll
       await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
       pollCount++;
@@ -192,7 +210,11 @@ const pollJobStatus = async (jobId: string, dispatch: any) => {
       consecutiveErrors++;
       
       // Only retry on specific transient errors
-      if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS || error.message.includes('Processing timed out')) {
+      if (
+        consecutiveErrors >= MAX_CONSECUTIVE_ERRORS ||
+        error.message.includes('Processing timed out') ||
+        error.message.includes('Processing cancelled')
+      ) {
         throw error;
       }
       
@@ -205,6 +227,18 @@ const pollJobStatus = async (jobId: string, dispatch: any) => {
   throw new Error('Processing timed out. Please check back later.');
 };
 
+export const cancelProcessing = createAsyncThunk(
+  'songs/cancelProcessing',
+  async (jobId: string, { rejectWithValue }) => {
+    try {
+      const response = await ApiService.cancelProcessing(jobId);
+      return { jobId, status: (response as any).status as string };
+    } catch (error: any) {
+      return rejectWithValue(error?.response?.data?.error || error.message);
+    }
+  }
+);
+
 export const fetchJobStatus = createAsyncThunk(
   'songs/fetchJobStatus',
   async (jobId: string, { rejectWithValue }) => {
@@ -245,7 +279,7 @@ const songsSlice = createSlice({
     },
     updateProcessingStatus: (state, action: PayloadAction<{
       jobId: string;
-      status: 'processing' | 'completed' | 'failed';
+      status: 'processing' | 'completed' | 'failed' | 'cancelled';
       progress?: number;
     }>) => {
       if (state.currentProcessingJob === action.payload.jobId || !state.currentProcessingJob) {
@@ -389,6 +423,15 @@ const songsSlice = createSlice({
         state.error = action.payload as string;
         state.processingStatus = 'failed';
       })
+      .addCase(cancelProcessing.fulfilled, (state, action) => {
+        // A running job reports 'cancelling' until its worker stops; polling picks up the rest
+        if (state.currentProcessingJob === action.payload.jobId && action.payload.status === 'cancelled') {
+          state.processingStatus = 'cancelled';
+        }
+      })
+      .addCase(cancelProcessing.rejected, (state, action) => {
+        state.error = action.payload as string;
+      })
       .addCase(fetchJobStatus.fulfilled, (state, action) => {
         const data = action.payload.data;
         if (data && state.currentProcessingJob === data.job_id) {
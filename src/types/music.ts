@@ -13,6 +13,44 @@ export interface FingerPosition {
   finger?: number; // 1-4 for finger number
 }
 
+// A string that sounded wrong in a practice take; string is numbered as in FingerPosition
+export interface StringIssue {
+  string: number;
+  fret: number | null;
+  status: 'muted' | 'buzzing' | 'wrong_string' | 'not_muted' | 'missing' | 'wrong_note';
+  expected?: string;
+  heard?: string | null;
+  played_string?: number;
+}
+
+// String issues of one chord of a practice take
+export interface StringMistake {
+  chord: string;
+  start_time: number;
+  strings: StringIssue[];
+  extra_notes: string[];
+}
+
+// Live feedback on one streamed frame of a practice session; correct is null when nothing was
+// expected or the player was silent, and drift_ms is positive when the last change came late
+export interface PracticeFeedback {
+  session_id: string;
+  song_time: number;
+  expected_chord: string | null;
+  played_chord: string | null;
+  correct: boolean | null;
+  silent: boolean;
+  strings: StringIssue[];
+  extra_notes: string[];
+  timing: {
+    drift_ms: number;
+    average_drift_ms: number;
+    status: 'on_time' | 'early' | 'late';
+  } | null;
+  processing_ms: number;
+  within_budget: boolean;
+}
+
 export interface Song {
   id: string;
   title: string;